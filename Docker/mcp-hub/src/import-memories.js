@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+// ============================================================
+// MCP-SUPERSERVER - Memory Import CLI
+// ============================================================
+// Bulk import memories from JSONL, Markdown notes or mem0 exports
+// To use: node src/import-memories.js <path> [options]
+
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import { initializeNeo4j, closeNeo4j } from './services/neo4j-client.js';
+import { initializeSchemaRegistry } from './services/entity-schemas.js';
+import { importFormats, importMemoriesFromPath } from './services/memory-import.js';
+import { NamespaceError, resolveNamespace, runWithNamespace } from './utils/namespace.js';
+
+dotenv.config();
+
+const USAGE = `Usage: node src/import-memories.js <path> [options]
+
+Import memories from a JSONL file, a directory of Markdown notes or a mem0 export.
+
+Options:
+  --format <format>      ${Object.values(importFormats).join(' | ')} (default: detected)
+  --dry-run              Parse, validate and deduplicate without writing
+  --batch-size <n>       Memories written per transaction
+  --type <type>          Type for records without a valid one (default: fact)
+  --tag <tag>            Tag added to every memory (repeatable)
+  --source <source>      Source recorded on records that have none
+  --namespace <name>     Namespace the memories are imported into (default: default)
+  --no-existing-check    Skip deduplication against stored memories
+  -h, --help             Show this help`;
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      format: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      'batch-size': { type: 'string' },
+      type: { type: 'string' },
+      tag: { type: 'string', multiple: true, default: [] },
+      source: { type: 'string' },
+      namespace: { type: 'string' },
+      'no-existing-check': { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help || positionals.length !== 1) {
+    console.log(USAGE);
+    return values.help ? 0 : 1;
+  }
+
+  const batchSize = values['batch-size'];
+  if (batchSize !== undefined && !/^[1-9]\d*$/.test(batchSize)) {
+    console.error(`Invalid --batch-size "${batchSize}": expected a positive integer\n`);
+    console.log(USAGE);
+    return 1;
+  }
+
+  let namespace;
+  try {
+    namespace = resolveNamespace(values.namespace);
+  } catch (error) {
+    if (!(error instanceof NamespaceError)) {
+      throw error;
+    }
+    console.error(`${error.message}\n`);
+    console.log(USAGE);
+    return 1;
+  }
+
+  initializeSchemaRegistry();
+  const checkExisting = !values['no-existing-check'];
+  const needsNeo4j = checkExisting || !values['dry-run'];
+
+  if (needsNeo4j) {
+    initializeNeo4j();
+  }
+
+  try {
+    const report = await runWithNamespace(namespace, () => importMemoriesFromPath(positionals[0], {
+      format: values.format || null,
+      source: values.source || null,
+      dryRun: values['dry-run'],
+      batchSize: batchSize ? parseInt(batchSize) : undefined,
+      defaultType: values.type,
+      tags: values.tag,
+      checkExisting,
+      onProgress: ({ batch, batches, processed, total }) => {
+        console.error(`Batch ${batch}/${batches}: ${processed}/${total} memories`);
+      }
+    }));
+
+    console.log(JSON.stringify(report, null, 2));
+    return report.counts.failed > 0 ? 1 : 0;
+  } finally {
+    if (needsNeo4j) {
+      await closeNeo4j();
+    }
+  }
+}
+
+main()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error(`Import failed: ${error.message}`);
+    process.exitCode = 1;
+  });
@@ -6,6 +6,12 @@
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ReadResourceRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
 import { logger } from '../utils/logger.js';
 import { createModuleLogger } from '../utils/log-helpers.js';
 
@@ -124,6 +130,7 @@ export class BaseMCPServer {
             type: 'text',
             text: JSON.stringify({
               error: error.message,
+              ...(error.validationErrors && { validationErrors: error.validationErrors }),
               tool: name
             }, null, 2)
           }
@@ -223,21 +230,21 @@ export class BaseMCPServer {
     );
 
     // Register tool handler
-    this.server.setRequestHandler('tools/list', async () => {
+    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
       return { tools: this.listTools() };
     });
 
-    this.server.setRequestHandler('tools/call', async (request) => {
+    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
       const { name, arguments: args } = request.params;
       return this.callTool(name, args || {});
     });
 
     // Register resource handler
-    this.server.setRequestHandler('resources/list', async () => {
+    this.server.setRequestHandler(ListResourcesRequestSchema, async () => {
       return { resources: this.listResources() };
     });
 
-    this.server.setRequestHandler('resources/read', async (request) => {
+    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
       const { uri } = request.params;
       return this.readResource(uri);
     });
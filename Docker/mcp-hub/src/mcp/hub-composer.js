@@ -0,0 +1,272 @@
+// ============================================================
+// MCP Hub Composer
+// ============================================================
+// Description: Merge the built-in tool map and the BaseMCPServer
+// subclasses from the MCPServers registry into one namespaced tool surface
+
+import { MCPServers } from './servers/index.js';
+import { neo4jTools } from './tools/neo4j-tools.js';
+import { obsidianTools } from './tools/obsidian-tools.js';
+import { ollamaTools } from './tools/ollama-tools.js';
+import { memoryTools } from './tools/memory-tools.js';
+import { sessionTools } from './tools/session-tools.js';
+import { createModuleLogger } from '../utils/log-helpers.js';
+
+const hubLogger = createModuleLogger('HubComposer');
+
+/**
+ * Built-in tool modules served under their bare names
+ */
+export const builtinToolModules = {
+  neo4j: neo4jTools,
+  obsidian: obsidianTools,
+  ollama: ollamaTools,
+  memory: memoryTools,
+  session: sessionTools
+};
+
+/**
+ * Argument every built-in tool accepts to pick the tenant namespace of the call
+ */
+export const namespaceArgument = {
+  type: 'string',
+  description: 'Namespace (tenant) to read and write in; defaults to the session or X-Namespace header namespace'
+};
+
+/**
+ * Built-in tool input schema with the namespace argument added
+ */
+function withNamespaceArgument(inputSchema = { type: 'object' }) {
+  return {
+    ...inputSchema,
+    properties: { ...(inputSchema.properties || {}), namespace: namespaceArgument }
+  };
+}
+
+/**
+ * Default hub composition settings (overridden by the "hub" section of config/mcp-hub.json)
+ */
+export const defaultHubConfig = {
+  builtin_tools: true,
+  namespace_separator: '.',
+  unqualified_aliases: false,
+  on_collision: 'warn',
+  servers: Object.fromEntries(Object.keys(MCPServers).map(key => [key, { enabled: true }]))
+};
+
+/**
+ * Error raised when tool names collide and on_collision is "error"
+ */
+export class ToolCollisionError extends Error {
+  constructor(collisions) {
+    super(`Tool name collisions: ${collisions.map(c => c.name).join(', ')}`);
+    this.name = 'ToolCollisionError';
+    this.collisions = collisions;
+  }
+}
+
+/**
+ * Hub Composer
+ * Builds one tool registry from built-in tools and registry servers
+ */
+export class HubComposer {
+  constructor(config = {}) {
+    this.config = {
+      ...defaultHubConfig,
+      ...config,
+      servers: { ...defaultHubConfig.servers, ...(config.servers || {}) }
+    };
+    this.registry = config.registry || MCPServers;
+    this.tools = new Map();
+    this.servers = new Map();
+    this.collisions = [];
+  }
+
+  /**
+   * Instantiate enabled servers and build the tool map
+   */
+  compose() {
+    this.tools.clear();
+    this.servers.clear();
+    this.collisions = [];
+
+    // Bare name -> sources claiming it, resolved once everything is registered
+    const claims = new Map();
+    const claim = (bareName, entry) => {
+      if (!claims.has(bareName)) {
+        claims.set(bareName, []);
+      }
+      claims.get(bareName).push(entry);
+    };
+
+    if (this.config.builtin_tools) {
+      for (const [moduleName, toolMap] of Object.entries(builtinToolModules)) {
+        for (const tool of Object.values(toolMap)) {
+          claim(tool.name, {
+            name: tool.name,
+            description: tool.description,
+            inputSchema: withNamespaceArgument(tool.inputSchema),
+            handler: tool.handler,
+            source: `builtin:${moduleName}`,
+            builtin: true
+          });
+        }
+      }
+    }
+
+    for (const [key, serverSettings] of Object.entries(this.config.servers)) {
+      if (!serverSettings?.enabled) {
+        continue;
+      }
+
+      const entry = this.registry[key];
+      if (!entry?.serverClass) {
+        hubLogger.warn('Unknown server in hub configuration', { server: key });
+        continue;
+      }
+
+      const server = new entry.serverClass(serverSettings.config || {});
+      this.servers.set(server.name, { key, server });
+
+      for (const tool of server.tools.values()) {
+        const qualifiedName = `${server.name}${this.config.namespace_separator}${tool.name}`;
+        const composed = {
+          name: qualifiedName,
+          description: `[${server.name}] ${tool.description}`,
+          inputSchema: tool.inputSchema,
+          handler: tool.handler,
+          source: server.name,
+          builtin: false
+        };
+
+        this.addTool(composed);
+        claim(tool.name, { ...composed, name: tool.name });
+      }
+    }
+
+    this.resolveBareNames(claims);
+
+    hubLogger.info('Hub composed', {
+      servers: this.servers.size,
+      tools: this.tools.size,
+      collisions: this.collisions.length
+    });
+
+    if (this.collisions.length > 0 && this.config.on_collision === 'error') {
+      throw new ToolCollisionError(this.collisions);
+    }
+
+    return this;
+  }
+
+  /**
+   * Decide which source owns each bare tool name
+   * Built-in tools always keep their names; server tools get an alias only when unambiguous
+   */
+  resolveBareNames(claims) {
+    for (const [bareName, claimants] of claims.entries()) {
+      if (claimants.length > 1) {
+        const collision = {
+          name: bareName,
+          sources: claimants.map(c => c.source)
+        };
+        this.collisions.push(collision);
+        hubLogger.warn('Tool name collision', collision);
+      }
+
+      const builtin = claimants.find(c => c.builtin);
+      if (builtin) {
+        this.addTool(builtin);
+      } else if (claimants.length === 1 && this.config.unqualified_aliases) {
+        this.addTool({ ...claimants[0], alias: true });
+      }
+    }
+  }
+
+  /**
+   * Add a tool, refusing to overwrite an existing name
+   */
+  addTool(tool) {
+    if (this.tools.has(tool.name)) {
+      hubLogger.warn('Duplicate tool name skipped', {
+        name: tool.name,
+        kept: this.tools.get(tool.name).source,
+        skipped: tool.source
+      });
+      return;
+    }
+
+    this.tools.set(tool.name, tool);
+  }
+
+  /**
+   * List tools in MCP format
+   */
+  listTools() {
+    return Array.from(this.tools.values()).map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      inputSchema: tool.inputSchema
+    }));
+  }
+
+  /**
+   * Get a tool by (qualified or bare) name
+   */
+  getTool(name) {
+    return this.tools.get(name);
+  }
+
+  /**
+   * Call a tool and return its raw result
+   * context is passed through to the handler (signal, reportProgress)
+   */
+  async callTool(name, args = {}, context = {}) {
+    const tool = this.tools.get(name);
+
+    if (!tool) {
+      throw new Error(`Unknown tool: ${name}`);
+    }
+
+    return tool.handler(args, context);
+  }
+
+  /**
+   * Get the detected name collisions
+   */
+  getCollisions() {
+    return [...this.collisions];
+  }
+
+  /**
+   * Summary of the composed hub
+   */
+  getInfo() {
+    return {
+      builtinTools: this.config.builtin_tools,
+      namespaceSeparator: this.config.namespace_separator,
+      toolCount: this.tools.size,
+      servers: Array.from(this.servers.values()).map(({ key, server }) => ({
+        key,
+        ...server.getInfo()
+      })),
+      collisions: this.getCollisions()
+    };
+  }
+}
+
+/**
+ * Create and compose a hub
+ */
+export function createHubComposer(config = {}) {
+  return new HubComposer(config).compose();
+}
+
+export default {
+  HubComposer,
+  ToolCollisionError,
+  createHubComposer,
+  builtinToolModules,
+  namespaceArgument,
+  defaultHubConfig
+};
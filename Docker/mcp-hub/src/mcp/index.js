@@ -4,224 +4,19 @@
 // Real MCP server using Model Context Protocol SDK
 // Runs over stdio as per MCP specification
 
-import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import {
-  CallToolRequestSchema,
-  ListToolsRequestSchema,
-  ListResourcesRequestSchema,
-  ReadResourceRequestSchema,
-  ListPromptsRequestSchema,
-  GetPromptRequestSchema
-} from '@modelcontextprotocol/sdk/types.js';
 import { logger } from '../utils/logger.js';
 import { initializeNeo4j, closeNeo4j } from '../services/neo4j-client.js';
 import { initializeOllama } from '../services/ollama-router.js';
-import { neo4jTools } from './tools/neo4j-tools.js';
-import { obsidianTools } from './tools/obsidian-tools.js';
-import { ollamaTools } from './tools/ollama-tools.js';
-import { memoryTools } from './tools/memory-tools.js';
+import { initializeVaultIndex, closeVaultIndex } from '../services/obsidian-index.js';
+import { initializeSchemaRegistry } from '../services/entity-schemas.js';
+import { hub, createMcpServer } from './server-factory.js';
 
 // ============================================================
 // MCP Server Setup
 // ============================================================
 
-const server = new Server(
-  {
-    name: 'mcp-superserver',
-    version: '1.0.0',
-  },
-  {
-    capabilities: {
-      tools: {},
-      resources: {},
-      prompts: {},
-    },
-  }
-);
-
-// ============================================================
-// Tool Registration
-// ============================================================
-
-// Register all tools from different modules
-const allTools = {
-  ...neo4jTools,
-  ...obsidianTools,
-  ...ollamaTools,
-  ...memoryTools
-};
-
-// List available tools
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  logger.info('MCP: Listing tools', { count: Object.keys(allTools).length });
-  return {
-    tools: Object.values(allTools)
-  };
-});
-
-// Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
-
-  logger.info('MCP: Tool called', { tool: name, args });
-
-  const tool = allTools[name];
-  if (!tool) {
-    logger.error('MCP: Unknown tool', { tool: name });
-    throw new Error(`Unknown tool: ${name}`);
-  }
-
-  try {
-    const result = await tool.handler(args);
-    logger.info('MCP: Tool executed', { tool: name, success: true });
-    return {
-      content: [{ type: 'text', text: JSON.stringify(result, null, 2) }]
-    };
-  } catch (error) {
-    logger.error('MCP: Tool error', { tool: name, error: error.message });
-    return {
-      content: [{ type: 'text', text: JSON.stringify({ error: error.message }, null, 2) }],
-      isError: true
-    };
-  }
-});
-
-// ============================================================
-// Resources
-// ============================================================
-
-server.setRequestHandler(ListResourcesRequestSchema, async () => {
-  return {
-    resources: [
-      {
-        uri: 'health://status',
-        name: 'Health Status',
-        description: 'Current health status of all services',
-        mimeType: 'application/json'
-      },
-      {
-        uri: 'config://mcp-hub',
-        name: 'MCP Hub Configuration',
-        description: 'Current configuration',
-        mimeType: 'application/json'
-      }
-    ]
-  };
-});
-
-server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
-  const { uri } = request.params;
-
-  if (uri === 'health://status') {
-    return {
-      contents: [{
-        uri,
-        mimeType: 'application/json',
-        text: JSON.stringify({
-          status: 'healthy',
-          timestamp: new Date().toISOString(),
-          services: {
-            neo4j: 'connected',
-            ollama: 'connected',
-            obsidian: 'available'
-          }
-        }, null, 2)
-      }]
-    };
-  }
-
-  if (uri === 'config://mcp-hub') {
-    return {
-      contents: [{
-        uri,
-        mimeType: 'application/json',
-        text: JSON.stringify({
-          name: 'mcp-superserver',
-          version: '1.0.0',
-          tools: Object.keys(allTools).length
-        }, null, 2)
-      }]
-    };
-  }
-
-  throw new Error(`Resource not found: ${uri}`);
-});
-
-// ============================================================
-// Prompts
-// ============================================================
-
-server.setRequestHandler(ListPromptsRequestSchema, async () => {
-  return {
-    prompts: [
-      {
-        name: 'analyze-memory',
-        description: 'Analyze stored memory for patterns',
-        arguments: [
-          {
-            name: 'query',
-            description: 'Query to analyze',
-            required: true
-          }
-        ]
-      },
-      {
-        name: 'store-observation',
-        description: 'Store a new observation in memory',
-        arguments: [
-          {
-            name: 'content',
-            description: 'Content to store',
-            required: true
-          },
-          {
-            name: 'tags',
-            description: 'Comma-separated tags',
-            required: false
-          }
-        ]
-      }
-    ]
-  };
-});
-
-server.setRequestHandler(GetPromptRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
-
-  if (name === 'analyze-memory') {
-    return {
-      messages: [
-        {
-          role: 'user',
-          content: {
-            type: 'text',
-            text: `Analyze the following memory query: ${args?.query || ''}`
-          }
-        }
-      ]
-    };
-  }
-
-  if (name === 'store-observation') {
-    const content = args?.content || '';
-    const tags = args?.tags || '';
-
-    return {
-      messages: [
-        {
-          role: 'user',
-          content: {
-            type: 'text',
-            text: `Store this observation: "${content}"\nTags: ${tags}`
-          }
-        }
-      ]
-    };
-  }
-
-  throw new Error(`Prompt not found: ${name}`);
-});
+const server = createMcpServer();
 
 // ============================================================
 // Server Startup
@@ -244,6 +39,15 @@ async function main() {
     });
   }
 
+  // Load the entity schemas that graph writes are validated against
+  try {
+    initializeSchemaRegistry();
+  } catch (error) {
+    logger.warn('Failed to load entity schemas, graph writes will be rejected until fixed', {
+      error: error.message
+    });
+  }
+
   // Initialize Ollama router
   try {
     if (process.env.OLLAMA_ENABLED !== 'false') {
@@ -261,11 +65,20 @@ async function main() {
     });
   }
 
+  // Build the Obsidian search index and watch the vault
+  if (process.env.OBSIDIAN_INDEX_ENABLED !== 'false') {
+    initializeVaultIndex().catch(err => {
+      logger.warn('Failed to build Obsidian index, searches will build it on demand', {
+        error: err.message
+      });
+    });
+  }
+
   const transport = new StdioServerTransport();
   await server.connect(transport);
 
   logger.info('MCP-SUPERSERVER: MCP server running', {
-    tools: Object.keys(allTools).length,
+    tools: hub.tools.size,
     mode: 'stdio'
   });
 }
@@ -277,6 +90,7 @@ async function main() {
 process.on('SIGINT', async () => {
   logger.info('MCP-SUPERSERVER: Received SIGINT, shutting down...');
   await server.close();
+  await closeVaultIndex();
   await closeNeo4j();
   process.exit(0);
 });
@@ -284,6 +98,7 @@ process.on('SIGINT', async () => {
 process.on('SIGTERM', async () => {
   logger.info('MCP-SUPERSERVER: Received SIGTERM, shutting down...');
   await server.close();
+  await closeVaultIndex();
   await closeNeo4j();
   process.exit(0);
 });
@@ -0,0 +1,300 @@
+// ============================================================
+// MCP-SUPERSERVER - MCP Server Factory
+// ============================================================
+// Builds an MCP server with all tool/resource/prompt handlers
+// Each transport (stdio, Streamable HTTP session, SSE session) gets its own instance
+
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
+import { logger } from '../utils/logger.js';
+import { getHubConfigSection } from '../utils/hub-config.js';
+import { createHubComposer } from './hub-composer.js';
+import { namespaceConfig, resolveNamespace, runWithNamespace } from '../utils/namespace.js';
+
+// ============================================================
+// Tool Registration
+// ============================================================
+
+// Built-in tools plus namespaced tools from every enabled registry server
+export const hub = createHubComposer(getHubConfigSection('hub'));
+
+/**
+ * Namespace of a tool call: the namespace argument of a built-in tool, then the
+ * request _meta, then the HTTP header of this request, then the session default
+ */
+export function resolveCallNamespace(tool, request, extra = {}, sessionNamespace = null) {
+  const args = request.params.arguments || {};
+  const header = extra.requestInfo?.headers?.[namespaceConfig.header];
+
+  return resolveNamespace(
+    tool?.builtin ? args.namespace : null,
+    request.params._meta?.namespace,
+    Array.isArray(header) ? header[0] : header,
+    sessionNamespace
+  );
+}
+
+/**
+ * Second handler argument: the call's cancellation signal and, when the client
+ * sent a progressToken, reportProgress(message) for MCP progress notifications
+ */
+export function createToolContext(request, extra = {}) {
+  const progressToken = request.params._meta?.progressToken;
+  let progress = 0;
+
+  const reportProgress = progressToken !== undefined && extra.sendNotification
+    ? (message) => extra.sendNotification({
+      method: 'notifications/progress',
+      params: { progressToken, progress: ++progress, message }
+    })
+    : null;
+
+  return {
+    signal: extra.signal,
+    reportProgress
+  };
+}
+
+/**
+ * Tool arguments without the namespace argument
+ */
+function omitNamespace({ namespace, ...rest }) {
+  return rest;
+}
+
+/**
+ * Register tool list/call handlers
+ */
+function registerToolHandlers(server, { namespace: sessionNamespace = null } = {}) {
+  // List available tools
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    const tools = hub.listTools();
+    logger.info('MCP: Listing tools', { count: tools.length });
+    return { tools };
+  });
+
+  // Handle tool calls
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const { name, arguments: args = {} } = request.params;
+
+    const tool = hub.getTool(name);
+    if (!tool) {
+      logger.error('MCP: Unknown tool', { tool: name });
+      throw new Error(`Unknown tool: ${name}`);
+    }
+
+    try {
+      const namespace = resolveCallNamespace(tool, request, extra, sessionNamespace);
+      logger.info('MCP: Tool called', { tool: name, namespace, args });
+
+      // Built-in tools read the namespace from context, not from their arguments
+      const toolArgs = tool.builtin ? omitNamespace(args) : args;
+      const context = createToolContext(request, extra);
+      const result = await runWithNamespace(namespace, () => tool.handler(toolArgs, context));
+      logger.info('MCP: Tool executed', { tool: name, namespace, success: true });
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }]
+      };
+    } catch (error) {
+      logger.error('MCP: Tool error', { tool: name, error: error.message });
+      const payload = {
+        error: error.message,
+        ...(error.validationErrors && { validationErrors: error.validationErrors })
+      };
+      return {
+        content: [{ type: 'text', text: JSON.stringify(payload, null, 2) }],
+        isError: true
+      };
+    }
+  });
+}
+
+// ============================================================
+// Resources
+// ============================================================
+
+/**
+ * Register resource list/read handlers
+ */
+function registerResourceHandlers(server) {
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    return {
+      resources: [
+        {
+          uri: 'health://status',
+          name: 'Health Status',
+          description: 'Current health status of all services',
+          mimeType: 'application/json'
+        },
+        {
+          uri: 'config://mcp-hub',
+          name: 'MCP Hub Configuration',
+          description: 'Current configuration',
+          mimeType: 'application/json'
+        }
+      ]
+    };
+  });
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    const { uri } = request.params;
+
+    if (uri === 'health://status') {
+      return {
+        contents: [{
+          uri,
+          mimeType: 'application/json',
+          text: JSON.stringify({
+            status: 'healthy',
+            timestamp: new Date().toISOString(),
+            services: {
+              neo4j: 'connected',
+              ollama: 'connected',
+              obsidian: 'available'
+            }
+          }, null, 2)
+        }]
+      };
+    }
+
+    if (uri === 'config://mcp-hub') {
+      return {
+        contents: [{
+          uri,
+          mimeType: 'application/json',
+          text: JSON.stringify({
+            name: 'mcp-superserver',
+            version: '1.0.0',
+            hub: hub.getInfo()
+          }, null, 2)
+        }]
+      };
+    }
+
+    throw new Error(`Resource not found: ${uri}`);
+  });
+}
+
+// ============================================================
+// Prompts
+// ============================================================
+
+/**
+ * Register prompt list/get handlers
+ */
+function registerPromptHandlers(server) {
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    return {
+      prompts: [
+        {
+          name: 'analyze-memory',
+          description: 'Analyze stored memory for patterns',
+          arguments: [
+            {
+              name: 'query',
+              description: 'Query to analyze',
+              required: true
+            }
+          ]
+        },
+        {
+          name: 'store-observation',
+          description: 'Store a new observation in memory',
+          arguments: [
+            {
+              name: 'content',
+              description: 'Content to store',
+              required: true
+            },
+            {
+              name: 'tags',
+              description: 'Comma-separated tags',
+              required: false
+            }
+          ]
+        }
+      ]
+    };
+  });
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    const { name, arguments: args } = request.params;
+
+    if (name === 'analyze-memory') {
+      return {
+        messages: [
+          {
+            role: 'user',
+            content: {
+              type: 'text',
+              text: `Analyze the following memory query: ${args?.query || ''}`
+            }
+          }
+        ]
+      };
+    }
+
+    if (name === 'store-observation') {
+      const content = args?.content || '';
+      const tags = args?.tags || '';
+
+      return {
+        messages: [
+          {
+            role: 'user',
+            content: {
+              type: 'text',
+              text: `Store this observation: "${content}"\nTags: ${tags}`
+            }
+          }
+        ]
+      };
+    }
+
+    throw new Error(`Prompt not found: ${name}`);
+  });
+}
+
+// ============================================================
+// Server Factory
+// ============================================================
+
+/**
+ * Create an MCP server with all handlers registered
+ * options.namespace is the session default, e.g. from the X-Namespace header at connect time
+ */
+export function createMcpServer(options = {}) {
+  const server = new Server(
+    {
+      name: 'mcp-superserver',
+      version: '1.0.0',
+    },
+    {
+      capabilities: {
+        tools: {},
+        resources: {},
+        prompts: {},
+      },
+    }
+  );
+
+  registerToolHandlers(server, options);
+  registerResourceHandlers(server);
+  registerPromptHandlers(server);
+
+  return server;
+}
+
+export default {
+  hub,
+  resolveCallNamespace,
+  createToolContext,
+  createMcpServer
+};
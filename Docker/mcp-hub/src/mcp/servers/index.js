@@ -3,29 +3,42 @@
 // ============================================================
 // Central export point for all MCP servers
 
-export { WanakuClient, initializeWanaku, getWanakuClient } from '../wanaku-client.js';
-export { BaseMCPServer, createInputSchema, createTool } from '../base-server.js';
-export {
+import {
   Neo4jMemoryServer,
   createNeo4jMemoryServer
 } from './neo4j-memory-server.js';
-export {
+import {
   ObsidianMemoryServer,
   createObsidianMemoryServer
 } from './obsidian-memory-server.js';
-export {
+import {
   OllamaServer,
   createOllamaServer
 } from './ollama-server.js';
-export {
+import {
   SequentialThinkingServer,
   createSequentialThinkingServer
 } from './sequential-thinking-server.js';
-export {
+import {
   TaskMasterServer,
   createTaskMasterServer
 } from './task-master-server.js';
 
+export { WanakuClient, initializeWanaku, closeWanaku, getWanakuClient } from '../wanaku-client.js';
+export { BaseMCPServer, createInputSchema, createTool } from '../base-server.js';
+export {
+  Neo4jMemoryServer,
+  createNeo4jMemoryServer,
+  ObsidianMemoryServer,
+  createObsidianMemoryServer,
+  OllamaServer,
+  createOllamaServer,
+  SequentialThinkingServer,
+  createSequentialThinkingServer,
+  TaskMasterServer,
+  createTaskMasterServer
+};
+
 // Server metadata
 export const MCPServers = {
   neo4jMemory: {
@@ -33,6 +46,7 @@ export const MCPServers = {
     version: '1.0.0',
     description: 'MCP server for Neo4j graph memory operations',
     class: 'Neo4jMemoryServer',
+    serverClass: Neo4jMemoryServer,
     creator: createNeo4jMemoryServer
   },
   obsidianMemory: {
@@ -40,6 +54,7 @@ export const MCPServers = {
     version: '1.0.0',
     description: 'MCP server for Obsidian vault operations',
     class: 'ObsidianMemoryServer',
+    serverClass: ObsidianMemoryServer,
     creator: createObsidianMemoryServer
   },
   ollama: {
@@ -47,6 +62,7 @@ export const MCPServers = {
     version: '1.0.0',
     description: 'MCP server for Ollama model operations',
     class: 'OllamaServer',
+    serverClass: OllamaServer,
     creator: createOllamaServer
   },
   sequentialThinking: {
@@ -54,6 +70,7 @@ export const MCPServers = {
     version: '1.0.0',
     description: 'MCP server for reasoning chains',
     class: 'SequentialThinkingServer',
+    serverClass: SequentialThinkingServer,
     creator: createSequentialThinkingServer
   },
   taskMaster: {
@@ -61,6 +78,7 @@ export const MCPServers = {
     version: '1.0.0',
     description: 'MCP server for task management',
     class: 'TaskMasterServer',
+    serverClass: TaskMasterServer,
     creator: createTaskMasterServer
   }
 };
@@ -391,7 +391,7 @@ export class Neo4jMemoryServer extends BaseMCPServer {
 
         switch (pattern) {
           case 'connected':
-            const connected = await findConnectedEntities(label, id, maxDepth);
+            const connected = await findConnectedEntities(label, id, null, maxDepth);
             result = {
               type: 'connected_entities',
               entities: connected.map(c => ({
@@ -8,9 +8,10 @@ import { BaseMCPServer, createTool, createInputSchema } from '../base-server.js'
 import {
   readLogFile,
   writeMarkdown,
-  getLogFiles,
-  searchByText
+  getLogFiles
 } from '../../services/obsidian-writer.js';
+import { getVaultIndex } from '../../services/obsidian-index.js';
+import { namespaceVaultDir, excludedVaultDirs } from '../../utils/namespace.js';
 import { logger } from '../../utils/logger.js';
 import { createModuleLogger } from '../../utils/log-helpers.js';
 import fs from 'fs/promises';
@@ -36,6 +37,8 @@ export class ObsidianMemoryServer extends BaseMCPServer {
 
     this.vaultPath = config.vaultPath || process.env.OBSIDIAN_VAULT_PATH || '/app/obsidian-vault';
     this.logsFolder = config.logsFolder || process.env.OBSIDIAN_LOGS_FOLDER || 'MCP Logs';
+    // Links come from the hub's shared index (OBSIDIAN_VAULT) unless a vault is given
+    this.linkIndex = config.index || (config.vaultPath ? getVaultIndex(config.vaultPath) : getVaultIndex());
 
     this.registerTools();
     this.registerResources();
@@ -413,6 +416,184 @@ export class ObsidianMemoryServer extends BaseMCPServer {
       }
     ));
 
+    // Backlinks tool
+    this.registerTool(createTool(
+      'get_backlinks',
+      'List the notes that link to or embed a note',
+      createInputSchema({
+        note: {
+          type: 'string',
+          description: 'Note name, path or alias (e.g., Projects/Roadmap)'
+        }
+      }, ['note']),
+      async (args) => {
+        const { note } = args;
+
+        serverLogger.info('Getting backlinks', { note });
+
+        try {
+          const index = await this.getLinkIndex();
+          const scope = this.linkScope();
+          const notePath = this.resolveNotePath(index, note, scope);
+
+          const backlinks = index.getBacklinks(notePath, scope).map(link => ({
+            source: link.source,
+            heading: link.heading,
+            alias: link.alias,
+            embed: link.embed,
+            line: link.line,
+            context: link.context
+          }));
+
+          return {
+            success: true,
+            note: notePath,
+            count: backlinks.length,
+            backlinks
+          };
+        } catch (error) {
+          return {
+            success: false,
+            error: error.message
+          };
+        }
+      }
+    ));
+
+    // Outgoing links tool
+    this.registerTool(createTool(
+      'get_outgoing_links',
+      'List the wikilinks and embeds in a note and where they resolve',
+      createInputSchema({
+        note: {
+          type: 'string',
+          description: 'Note name, path or alias'
+        }
+      }, ['note']),
+      async (args) => {
+        const { note } = args;
+
+        serverLogger.info('Getting outgoing links', { note });
+
+        try {
+          const index = await this.getLinkIndex();
+          const scope = this.linkScope();
+          const notePath = this.resolveNotePath(index, note, scope);
+
+          const links = index.getOutgoingLinks(notePath, scope).map(link => ({
+            target: link.target,
+            resolved: link.resolved,
+            broken: !link.resolved,
+            heading: link.heading,
+            alias: link.alias,
+            embed: link.embed,
+            line: link.line
+          }));
+
+          return {
+            success: true,
+            note: notePath,
+            count: links.length,
+            links
+          };
+        } catch (error) {
+          return {
+            success: false,
+            error: error.message
+          };
+        }
+      }
+    ));
+
+    // Orphan notes tool
+    this.registerTool(createTool(
+      'find_orphan_notes',
+      'Find notes that no other note links to',
+      createInputSchema({
+        directory: {
+          type: 'string',
+          description: 'Only consider notes under this folder'
+        },
+        isolatedOnly: {
+          type: 'boolean',
+          description: 'Only return notes that also link to no other note',
+          default: false
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of notes to return',
+          default: 100
+        }
+      }, []),
+      async (args) => {
+        const { directory = '', isolatedOnly = false, limit = 100 } = args;
+
+        serverLogger.info('Finding orphan notes', { directory, isolatedOnly });
+
+        try {
+          const index = await this.getLinkIndex();
+          const orphans = index.findOrphans({ directory, isolatedOnly, scope: this.linkScope() });
+
+          return {
+            success: true,
+            total: orphans.length,
+            count: Math.min(orphans.length, limit),
+            notes: orphans.slice(0, limit)
+          };
+        } catch (error) {
+          return {
+            success: false,
+            error: error.message
+          };
+        }
+      }
+    ));
+
+    // Broken links tool
+    this.registerTool(createTool(
+      'find_broken_links',
+      'Find wikilinks and embeds whose target does not exist in the vault',
+      createInputSchema({
+        directory: {
+          type: 'string',
+          description: 'Only check notes under this folder'
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of links to return',
+          default: 100
+        }
+      }, []),
+      async (args) => {
+        const { directory = '', limit = 100 } = args;
+
+        serverLogger.info('Finding broken links', { directory });
+
+        try {
+          const index = await this.getLinkIndex();
+          const broken = index.findBrokenLinks({ directory, scope: this.linkScope() });
+
+          return {
+            success: true,
+            total: broken.length,
+            count: Math.min(broken.length, limit),
+            links: broken.slice(0, limit).map(link => ({
+              source: link.source,
+              target: link.target,
+              embed: link.embed,
+              line: link.line,
+              context: link.context
+            }))
+          };
+        } catch (error) {
+          return {
+            success: false,
+            error: error.message
+          };
+        }
+      }
+    ));
+
     serverLogger.info('Obsidian Memory tools registered', {
       count: this.tools.size
     });
@@ -431,6 +612,7 @@ export class ObsidianMemoryServer extends BaseMCPServer {
       handler: async () => {
         return {
           vaultPath: this.vaultPath,
+          linkIndexVaultPath: this.linkIndex.vaultPath,
           logsFolder: this.logsFolder,
           serverVersion: '1.0.0'
         };
@@ -510,6 +692,42 @@ export class ObsidianMemoryServer extends BaseMCPServer {
     return yaml;
   }
 
+  /**
+   * Link index for the vault, brought up to date before each query
+   * A watched index is already current; otherwise changed files are reindexed
+   */
+  async getLinkIndex() {
+    const firstBuild = !this.linkIndex.built;
+    await this.linkIndex.ensureBuilt();
+
+    if (!firstBuild && !this.linkIndex.watcher) {
+      await this.linkIndex.build();
+    }
+
+    return this.linkIndex;
+  }
+
+  /**
+   * Part of the vault the current namespace may see: its own folder, and for
+   * the default namespace the vault without the other namespaces' folders
+   */
+  linkScope() {
+    return { root: namespaceVaultDir(), exclude: excludedVaultDirs() };
+  }
+
+  /**
+   * Resolve a note argument the way a [[wikilink]] to it would resolve
+   */
+  resolveNotePath(index, note, scope) {
+    const notePath = index.resolveNote(note, scope);
+
+    if (!notePath) {
+      throw new Error(`Note not found: ${note}`);
+    }
+
+    return notePath;
+  }
+
   /**
    * Generate filename from title
    */
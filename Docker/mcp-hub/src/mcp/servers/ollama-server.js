@@ -13,7 +13,8 @@ import {
   getAvailableModels,
   getModelInfo,
   pullModel,
-  taskTypes
+  taskTypes,
+  defaultTaskType
 } from '../../services/ollama-router.js';
 import { logger } from '../../utils/logger.js';
 import { createModuleLogger } from '../../utils/log-helpers.js';
@@ -67,18 +68,18 @@ export class OllamaServer extends BaseMCPServer {
         },
         stream: {
           type: 'boolean',
-          description: 'Whether to stream the response',
+          description: 'Stream tokens as MCP progress notifications when the call has a progressToken',
           default: false
         },
         taskType: {
           type: 'string',
-          description: 'Task type for model routing',
+          description: 'Task type for model routing ("auto" classifies the prompt)',
           enum: Object.values(taskTypes),
-          default: taskTypes.CHAT
+          default: defaultTaskType
         }
       }, ['messages']),
-      async (args) => {
-        const { messages, model, stream = false, taskType = taskTypes.CHAT } = args;
+      async (args, context = {}) => {
+        const { messages, model, stream = false, taskType = defaultTaskType } = args;
 
         serverLogger.info('Chat request', {
           messageCount: messages.length,
@@ -87,11 +88,18 @@ export class OllamaServer extends BaseMCPServer {
         });
 
         try {
-          const result = await chat(messages, model, { stream });
+          const result = await chat(messages, model, {
+            taskType,
+            stream,
+            signal: context.signal,
+            onToken: context.reportProgress || undefined
+          });
 
           return {
             success: true,
             model: result.model,
+            taskType: result.taskType,
+            classification: result.classification,
             message: result.message,
             done: result.done,
             duration_ms: result.duration_ms
@@ -120,13 +128,18 @@ export class OllamaServer extends BaseMCPServer {
         },
         taskType: {
           type: 'string',
-          description: 'Task type for model routing',
+          description: 'Task type for model routing ("auto" classifies the prompt)',
           enum: Object.values(taskTypes),
-          default: taskTypes.CHAT
+          default: defaultTaskType
+        },
+        stream: {
+          type: 'boolean',
+          description: 'Stream tokens as MCP progress notifications when the call has a progressToken',
+          default: false
         }
       }, ['prompt']),
-      async (args) => {
-        const { prompt, model, taskType = taskTypes.CHAT } = args;
+      async (args, context = {}) => {
+        const { prompt, model, taskType = defaultTaskType, stream = false } = args;
 
         serverLogger.info('Completion request', {
           promptLength: prompt.length,
@@ -135,11 +148,18 @@ export class OllamaServer extends BaseMCPServer {
         });
 
         try {
-          const result = await routeRequest(taskType, prompt, { model });
+          const result = await routeRequest(taskType, prompt, {
+            model,
+            stream,
+            signal: context.signal,
+            onToken: context.reportProgress || undefined
+          });
 
           return {
             success: true,
             model: result.model,
+            taskType: result.taskType,
+            classification: result.classification,
             response: result.response,
             done: result.done,
             duration_ms: result.duration_ms,
@@ -364,7 +384,7 @@ export class OllamaServer extends BaseMCPServer {
         taskType: {
           type: 'string',
           description: 'Task type to set model for',
-          enum: Object.values(taskTypes),
+          enum: Object.values(taskTypes).filter(type => type !== taskTypes.AUTO),
           default: taskTypes.CHAT
         }
       }, ['model']),
@@ -8,15 +8,13 @@ import { BaseMCPServer, createTool, createInputSchema } from '../base-server.js'
 import { v4 as uuidv4 } from 'uuid';
 import { logger } from '../../utils/logger.js';
 import { createModuleLogger } from '../../utils/log-helpers.js';
+import { createChainStore } from '../../services/chain-store.js';
+import { currentNamespace } from '../../utils/namespace.js';
 import {
-  createEntity,
-  getEntityById,
-  updateEntity,
-  findEntities
-} from '../../services/neo4j-entities.js';
-import {
-  createRelationship
-} from '../../services/neo4j-relationships.js';
+  annotateSteps,
+  buildChainTree,
+  renderChainTree
+} from '../../services/reasoning-tree.js';
 import {
   writeReasoningTrace,
   writeMarkdown
@@ -40,8 +38,11 @@ export class SequentialThinkingServer extends BaseMCPServer {
       }
     });
 
+    // Cache of chains touched by this process, keyed by namespace and chain id;
+    // the store is the source of truth
     this.activeChains = new Map();
-    this.chainStore = config.chainStore || 'neo4j'; // neo4j or memory
+    this.chainStore = config.chainStore || 'neo4j'; // neo4j, file or memory
+    this.store = config.store || createChainStore(this.chainStore, { chainDir: config.chainDir });
     this.exportToObsidian = config.exportToObsidian !== false;
 
     this.registerTools();
@@ -103,36 +104,8 @@ export class SequentialThinkingServer extends BaseMCPServer {
           branch_from: branchFrom
         };
 
-        // Store in memory
-        this.activeChains.set(chainId, chain);
-
-        // Store in Neo4j if enabled
-        if (this.chainStore === 'neo4j') {
-          try {
-            await createEntity('ReasoningChain', {
-              id: chainId,
-              prompt,
-              goal,
-              status: 'in_progress',
-              created_at: timestamp
-            });
-
-            // If branching, create relationship
-            if (branchFrom) {
-              await createRelationship(
-                'ReasoningChain',
-                branchFrom,
-                'BRANCHED_TO',
-                'ReasoningChain',
-                chainId
-              );
-            }
-          } catch (error) {
-            serverLogger.warn('Failed to store chain in Neo4j', {
-              error: error.message
-            });
-          }
-        }
+        this.activeChains.set(this.cacheKey(chainId), chain);
+        await this.persist('store chain', () => this.store.saveChain(chain));
 
         // Log to Obsidian
         if (this.exportToObsidian) {
@@ -191,7 +164,7 @@ export class SequentialThinkingServer extends BaseMCPServer {
 
         serverLogger.info('Adding reasoning step', { chainId, stepType });
 
-        const chain = this.activeChains.get(chainId);
+        const chain = await this.getChain(chainId);
 
         if (!chain) {
           return {
@@ -216,34 +189,7 @@ export class SequentialThinkingServer extends BaseMCPServer {
         chain.steps.push(step);
         chain.updated_at = timestamp;
 
-        // Update in Neo4j
-        if (this.chainStore === 'neo4j') {
-          try {
-            // Create step entity
-            await createEntity('ReasoningStep', {
-              id: stepId,
-              step_number: step.step_number,
-              thought,
-              step_type: stepType,
-              confidence,
-              created_at: timestamp
-            });
-
-            // Link to chain
-            await createRelationship(
-              'ReasoningChain',
-              chainId,
-              'HAS_STEP',
-              'ReasoningStep',
-              stepId,
-              { order: step.step_number }
-            );
-          } catch (error) {
-            serverLogger.warn('Failed to store step in Neo4j', {
-              error: error.message
-            });
-          }
-        }
+        await this.persist('store step', () => this.saveStep(chainId, step));
 
         // Log to Obsidian
         if (this.exportToObsidian) {
@@ -267,6 +213,124 @@ export class SequentialThinkingServer extends BaseMCPServer {
       }
     ));
 
+    // Revise step tool
+    this.registerTool(createTool(
+      'revise_step',
+      'Revise an earlier step; the superseded step is kept and linked with REVISES',
+      createInputSchema({
+        chainId: {
+          type: 'string',
+          description: 'The chain ID'
+        },
+        stepNumber: {
+          type: 'number',
+          description: 'Number of the step to revise'
+        },
+        stepId: {
+          type: 'string',
+          description: 'ID of the step to revise (alternative to stepNumber)'
+        },
+        thought: {
+          type: 'string',
+          description: 'The revised thought'
+        },
+        reason: {
+          type: 'string',
+          description: 'Why the earlier step is being revised'
+        },
+        data: {
+          type: 'object',
+          description: 'Additional data for the revision',
+          additionalProperties: true
+        },
+        confidence: {
+          type: 'number',
+          description: 'Confidence level (0-1)',
+          minimum: 0,
+          maximum: 1
+        }
+      }, ['chainId', 'thought']),
+      async (args) => {
+        const { chainId, stepNumber, stepId, thought, reason, data = {}, confidence } = args;
+
+        serverLogger.info('Revising reasoning step', { chainId, stepNumber, stepId });
+
+        const chain = await this.getChain(chainId);
+
+        if (!chain) {
+          return {
+            success: false,
+            error: 'Chain not found'
+          };
+        }
+
+        if (chain.status !== 'in_progress') {
+          return {
+            success: false,
+            error: `Cannot revise a ${chain.status} chain`
+          };
+        }
+
+        const target = annotateSteps(chain.steps).find(step =>
+          stepId ? step.id === stepId : step.step_number === stepNumber
+        );
+
+        if (!target) {
+          return {
+            success: false,
+            error: 'Step not found'
+          };
+        }
+
+        if (target.status === 'superseded') {
+          return {
+            success: false,
+            error: 'Step already revised; revise the active version instead',
+            activeStepId: target.superseded_by
+          };
+        }
+
+        const timestamp = new Date().toISOString();
+
+        const step = {
+          id: uuidv4(),
+          step_number: chain.steps.length + 1,
+          thought,
+          data: reason ? { ...data, revision_reason: reason } : data,
+          step_type: target.step_type,
+          confidence,
+          revises: target.id,
+          created_at: timestamp
+        };
+
+        chain.steps.push(step);
+        chain.updated_at = timestamp;
+
+        await this.persist('store revision', () => this.saveStep(chainId, step));
+
+        if (this.exportToObsidian) {
+          writeReasoningTrace('sequential-thinking', thought, {
+            action: 'revise_step',
+            chainId,
+            stepId: step.id,
+            revises: target.id,
+            reason
+          }, null).catch(err => {
+            serverLogger.warn('Failed to log to Obsidian', { error: err.message });
+          });
+        }
+
+        return {
+          success: true,
+          stepId: step.id,
+          stepNumber: step.step_number,
+          revisedStepId: target.id,
+          revisedStepNumber: target.step_number,
+          message: 'Step revised successfully'
+        };
+      }
+    ));
+
     // Get chain tool
     this.registerTool(createTool(
       'get_chain',
@@ -280,35 +344,20 @@ export class SequentialThinkingServer extends BaseMCPServer {
           type: 'boolean',
           description: 'Whether to include steps in response',
           default: true
+        },
+        view: {
+          type: 'string',
+          description: 'flat lists every step; tree folds revisions under the active thought and shows branches',
+          enum: ['flat', 'tree'],
+          default: 'flat'
         }
       }, ['chainId']),
       async (args) => {
-        const { chainId, includeSteps = true } = args;
+        const { chainId, includeSteps = true, view = 'flat' } = args;
 
         serverLogger.info('Getting chain', { chainId });
 
-        let chain = this.activeChains.get(chainId);
-
-        // Try Neo4j if not in memory
-        if (!chain && this.chainStore === 'neo4j') {
-          try {
-            const entity = await getEntityById('ReasoningChain', chainId);
-            if (entity) {
-              chain = {
-                id: entity.properties.id,
-                prompt: entity.properties.prompt,
-                goal: entity.properties.goal,
-                status: entity.properties.status,
-                created_at: entity.properties.created_at,
-                steps: [] // Steps would need to be fetched separately
-              };
-            }
-          } catch (error) {
-            serverLogger.warn('Failed to fetch chain from Neo4j', {
-              error: error.message
-            });
-          }
-        }
+        const chain = await this.getChain(chainId);
 
         if (!chain) {
           return {
@@ -325,11 +374,19 @@ export class SequentialThinkingServer extends BaseMCPServer {
           status: chain.status,
           created_at: chain.created_at,
           updated_at: chain.updated_at,
+          branch_from: chain.branch_from,
+          conclusion: chain.conclusion,
           stepCount: chain.steps.length
         };
 
         if (includeSteps) {
-          response.steps = chain.steps;
+          response.steps = annotateSteps(chain.steps);
+        }
+
+        if (view === 'tree') {
+          const tree = buildChainTree(chain, await this.getBranches(chainId));
+          response.tree = tree;
+          response.rendered = renderChainTree(tree);
         }
 
         return response;
@@ -365,7 +422,7 @@ export class SequentialThinkingServer extends BaseMCPServer {
 
         serverLogger.info('Concluding chain', { chainId, success });
 
-        const chain = this.activeChains.get(chainId);
+        const chain = await this.getChain(chainId);
 
         if (!chain) {
           return {
@@ -376,27 +433,32 @@ export class SequentialThinkingServer extends BaseMCPServer {
 
         const timestamp = new Date().toISOString();
 
-        chain.status = success ? 'completed' : 'failed';
-        chain.conclusion = conclusion;
-        chain.confidence = confidence;
-        chain.completed_at = timestamp;
-        chain.updated_at = timestamp;
+        // The conclusion is also kept as the chain's final step
+        const step = {
+          id: uuidv4(),
+          step_number: chain.steps.length + 1,
+          thought: conclusion,
+          data: {},
+          step_type: 'conclusion',
+          confidence,
+          created_at: timestamp
+        };
+        chain.steps.push(step);
 
-        // Update in Neo4j
-        if (this.chainStore === 'neo4j') {
-          try {
-            await updateEntity('ReasoningChain', chainId, {
-              status: chain.status,
-              conclusion,
-              confidence,
-              completed_at: timestamp
-            });
-          } catch (error) {
-            serverLogger.warn('Failed to update chain in Neo4j', {
-              error: error.message
-            });
-          }
-        }
+        const updates = {
+          status: success ? 'completed' : 'failed',
+          conclusion,
+          conclusion_step_id: step.id,
+          confidence,
+          completed_at: timestamp,
+          updated_at: timestamp
+        };
+        Object.assign(chain, updates);
+
+        await this.persist('store conclusion', async () => {
+          await this.saveStep(chainId, step);
+          await this.store.updateChain(chainId, updates);
+        });
 
         // Log to Obsidian
         if (this.exportToObsidian) {
@@ -449,14 +511,21 @@ export class SequentialThinkingServer extends BaseMCPServer {
 
         serverLogger.info('Listing chains', { status, limit });
 
-        let chains = Array.from(this.activeChains.values());
+        let chains;
+        try {
+          chains = await this.store.listChains({ status, limit });
+        } catch (error) {
+          serverLogger.warn('Failed to list chains from store, using cached chains', {
+            store: this.chainStore,
+            error: error.message
+          });
 
-        if (status !== 'all') {
-          chains = chains.filter(c => c.status === status);
+          chains = this.cachedChains()
+            .filter(c => status === 'all' || c.status === status)
+            .slice(0, limit)
+            .map(c => ({ ...c, stepCount: c.steps.length }));
         }
 
-        chains = chains.slice(0, limit);
-
         return {
           success: true,
           count: chains.length,
@@ -465,7 +534,7 @@ export class SequentialThinkingServer extends BaseMCPServer {
             prompt: c.prompt.substring(0, 100) + '...',
             goal: c.goal,
             status: c.status,
-            stepCount: c.steps.length,
+            stepCount: c.stepCount,
             created_at: c.created_at
           }))
         };
@@ -491,7 +560,7 @@ export class SequentialThinkingServer extends BaseMCPServer {
 
         serverLogger.info('Branching chain', { chainId, atStep });
 
-        const chain = this.activeChains.get(chainId);
+        const chain = await this.getChain(chainId);
 
         if (!chain) {
           return {
@@ -513,40 +582,23 @@ export class SequentialThinkingServer extends BaseMCPServer {
           prompt: chain.prompt,
           context: { ...chain.context },
           goal: chain.goal,
-          tags: [...chain.tags, 'branch'],
-          steps: stepsToCopy.map(s => ({ ...s })),
+          tags: [...(chain.tags || []), 'branch'],
+          // Copies get their own IDs so each chain owns its step nodes
+          steps: stepsToCopy.map(s => ({ ...s, id: uuidv4(), copied_from: s.id })),
           status: 'in_progress',
           created_at: timestamp,
           updated_at: timestamp,
           branch_from: chainId
         };
 
-        this.activeChains.set(newChainId, newChain);
-
-        // Store in Neo4j
-        if (this.chainStore === 'neo4j') {
-          try {
-            await createEntity('ReasoningChain', {
-              id: newChainId,
-              prompt: chain.prompt,
-              goal: chain.goal,
-              status: 'in_progress',
-              created_at: timestamp
-            });
+        this.activeChains.set(this.cacheKey(newChainId), newChain);
 
-            await createRelationship(
-              'ReasoningChain',
-              chainId,
-              'BRANCHED_TO',
-              'ReasoningChain',
-              newChainId
-            );
-          } catch (error) {
-            serverLogger.warn('Failed to store branch in Neo4j', {
-              error: error.message
-            });
+        await this.persist('store branch', async () => {
+          await this.store.saveChain({ ...newChain, steps: [] });
+          for (const step of newChain.steps) {
+            await this.saveStep(newChainId, step);
           }
-        }
+        });
 
         return {
           success: true,
@@ -558,11 +610,225 @@ export class SequentialThinkingServer extends BaseMCPServer {
       }
     ));
 
+    // Merge branches tool
+    this.registerTool(createTool(
+      'merge_branches',
+      'Merge the conclusions of branch chains back into their parent chain',
+      createInputSchema({
+        chainId: {
+          type: 'string',
+          description: 'The parent chain ID'
+        },
+        branchIds: {
+          type: 'array',
+          description: 'Branches to merge (default: every unmerged branch of the chain)',
+          items: { type: 'string' }
+        },
+        includeUnconcluded: {
+          type: 'boolean',
+          description: 'Also merge in-progress branches using their latest active thought',
+          default: false
+        },
+        synthesis: {
+          type: 'string',
+          description: 'Optional combined thought added after the merged conclusions'
+        }
+      }, ['chainId']),
+      async (args) => {
+        const { chainId, branchIds, includeUnconcluded = false, synthesis } = args;
+
+        serverLogger.info('Merging branches', { chainId, branchIds });
+
+        const chain = await this.getChain(chainId);
+
+        if (!chain) {
+          return {
+            success: false,
+            error: 'Chain not found'
+          };
+        }
+
+        if (chain.status !== 'in_progress') {
+          return {
+            success: false,
+            error: `Cannot merge into a ${chain.status} chain`
+          };
+        }
+
+        const ids = branchIds || (await this.getBranches(chainId)).map(b => b.id);
+        const merged = [];
+        const skipped = [];
+
+        const addStep = async (step) => {
+          chain.steps.push(step);
+          chain.updated_at = step.created_at;
+          await this.persist('store merged step', () => this.saveStep(chainId, step));
+        };
+
+        for (const branchId of ids) {
+          const branch = await this.getChain(branchId);
+          let reason = null;
+
+          if (!branch) {
+            reason = 'not found';
+          } else if (branch.branch_from !== chainId) {
+            reason = 'not a branch of this chain';
+          } else if (branch.merged_into) {
+            reason = 'already merged';
+          } else if (branch.status === 'in_progress' && !includeUnconcluded) {
+            reason = 'not concluded';
+          }
+
+          const active = branch ? annotateSteps(branch.steps).filter(s => s.status === 'active') : [];
+          const thought = branch?.conclusion || active[active.length - 1]?.thought;
+
+          if (!reason && !thought) {
+            reason = 'nothing to merge';
+          }
+
+          if (reason) {
+            skipped.push({ branchId, reason });
+            continue;
+          }
+
+          const timestamp = new Date().toISOString();
+
+          await addStep({
+            id: uuidv4(),
+            step_number: chain.steps.length + 1,
+            thought,
+            data: { branch_status: branch.status },
+            step_type: 'inference',
+            confidence: branch.confidence,
+            merged_from: branch.id,
+            created_at: timestamp
+          });
+
+          branch.merged_into = chainId;
+          await this.persist('mark branch merged', () =>
+            this.store.updateChain(branch.id, { merged_into: chainId, updated_at: timestamp })
+          );
+
+          merged.push({ branchId: branch.id, status: branch.status, thought });
+        }
+
+        if (synthesis && merged.length > 0) {
+          await addStep({
+            id: uuidv4(),
+            step_number: chain.steps.length + 1,
+            thought: synthesis,
+            data: { merged_branches: merged.map(m => m.branchId) },
+            step_type: 'inference',
+            created_at: new Date().toISOString()
+          });
+        }
+
+        return {
+          success: true,
+          chainId,
+          mergedCount: merged.length,
+          merged,
+          skipped,
+          stepCount: chain.steps.length,
+          message: merged.length > 0 ? 'Branches merged successfully' : 'No branches merged'
+        };
+      }
+    ));
+
     serverLogger.info('Sequential Thinking tools registered', {
       count: this.tools.size
     });
   }
 
+  /**
+   * Cache key of a chain in the current namespace
+   */
+  cacheKey(chainId) {
+    return `${currentNamespace()}:${chainId}`;
+  }
+
+  /**
+   * Cached chains of the current namespace
+   */
+  cachedChains() {
+    const prefix = this.cacheKey('');
+    return Array.from(this.activeChains)
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([, chain]) => chain);
+  }
+
+  /**
+   * Get a chain from the cache, rehydrating it from the store after a restart
+   * Only chains of the current namespace are found
+   */
+  async getChain(chainId) {
+    const key = this.cacheKey(chainId);
+
+    if (this.activeChains.has(key)) {
+      return this.activeChains.get(key);
+    }
+
+    try {
+      const chain = await this.store.loadChain(chainId);
+
+      // A concurrent call may have loaded the chain first; keep its copy
+      if (chain && !this.activeChains.has(key)) {
+        this.activeChains.set(key, chain);
+        serverLogger.info('Chain rehydrated from store', {
+          chainId,
+          store: this.chainStore,
+          steps: chain.steps.length
+        });
+      }
+
+      return chain && this.activeChains.get(key);
+    } catch (error) {
+      serverLogger.warn('Failed to load chain from store', {
+        chainId,
+        store: this.chainStore,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Branches of a chain, from the store or the cache if the store is unavailable
+   */
+  async getBranches(chainId) {
+    try {
+      return await this.store.listChains({ branchFrom: chainId, limit: 100 });
+    } catch (error) {
+      serverLogger.warn('Failed to list branches from store, using cached chains', {
+        chainId,
+        error: error.message
+      });
+      return this.cachedChains().filter(c => c.branch_from === chainId);
+    }
+  }
+
+  /**
+   * Store a step and take the step number the store gave it, which may differ
+   * from the cached one when another process added steps to the chain
+   */
+  async saveStep(chainId, step) {
+    step.step_number = await this.store.saveStep(chainId, step);
+  }
+
+  /**
+   * Run a store write; failures are logged so reasoning can continue in memory
+   */
+  async persist(action, fn) {
+    try {
+      await fn();
+    } catch (error) {
+      serverLogger.warn(`Failed to ${action}`, {
+        store: this.chainStore,
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Export chain to Obsidian markdown
    */
@@ -593,6 +859,10 @@ export class SequentialThinkingServer extends BaseMCPServer {
     // Steps
     markdown += `## Reasoning Steps\n\n`;
     for (const step of chain.steps) {
+      if (step.id === chain.conclusion_step_id) {
+        continue;
+      }
+
       markdown += `### Step ${step.step_number}: ${step.step_type}\n\n`;
       markdown += `${step.thought}\n\n`;
 
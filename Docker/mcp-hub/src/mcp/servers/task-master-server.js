@@ -19,6 +19,23 @@ import {
   createRelationship,
   getEntityRelationships
 } from '../../services/neo4j-relationships.js';
+import { executeQuery, executeWriteTransaction } from '../../services/neo4j-client.js';
+import { routeRequest, taskTypes } from '../../services/ollama-router.js';
+import {
+  buildPrdPrompt,
+  parsePrdResponse,
+  buildTaskPlan,
+  persistTaskPlan,
+  PrdValidationError
+} from '../../services/prd-parser.js';
+import {
+  DEPENDENCY_TYPES,
+  DONE_STATUSES,
+  rankNextTasks,
+  computeCriticalPath
+} from '../../services/task-graph.js';
+import { obsidianTools } from '../tools/obsidian-tools.js';
+import { currentNamespace, namespacePredicate } from '../../utils/namespace.js';
 
 const serverLogger = createModuleLogger('TaskMasterServer');
 
@@ -39,6 +56,10 @@ export class TaskMasterServer extends BaseMCPServer {
     });
 
     this.taskStore = config.taskStore || 'neo4j';
+    // Injectable for deterministic tests
+    this.modelRequest = config.modelRequest || routeRequest;
+    this.writeTransaction = config.writeTransaction || executeWriteTransaction;
+    this.readNote = config.readNote || ((filename) => obsidianTools.read_note.handler({ filename }));
     this.registerTools();
   }
 
@@ -569,6 +590,17 @@ export class TaskMasterServer extends BaseMCPServer {
           };
         }
 
+        const cycle = await this.findDependencyCycle(taskId, dependsOnTaskId);
+        if (cycle) {
+          serverLogger.warn('Dependency rejected, would create a cycle', { taskId, dependsOnTaskId, cycle });
+
+          return {
+            success: false,
+            error: 'Dependency would create a cycle',
+            cycle
+          };
+        }
+
         await createRelationship(
           'Task',
           dependsOnTaskId,
@@ -622,10 +654,307 @@ export class TaskMasterServer extends BaseMCPServer {
       }
     ));
 
+    // Parse PRD tool
+    this.registerTool(createTool(
+      'parse_prd',
+      'Parse a requirements document into a task tree with subtasks and dependencies',
+      createInputSchema({
+        document: {
+          type: 'string',
+          description: 'Requirements document text'
+        },
+        notePath: {
+          type: 'string',
+          description: 'Obsidian note to read the document from (instead of document)'
+        },
+        parentTaskId: {
+          type: 'string',
+          description: 'Attach the top-level tasks as subtasks of this task'
+        },
+        taskType: {
+          type: 'string',
+          description: 'Model routing task type',
+          enum: [taskTypes.REASONING, taskTypes.CODING],
+          default: taskTypes.REASONING
+        },
+        model: {
+          type: 'string',
+          description: 'Override the routed model'
+        },
+        dryRun: {
+          type: 'boolean',
+          description: 'Validate and return the task tree without writing it',
+          default: false
+        }
+      }, []),
+      async (args) => {
+        const {
+          notePath,
+          parentTaskId,
+          taskType = taskTypes.REASONING,
+          model,
+          dryRun = false
+        } = args;
+        let { document } = args;
+
+        if (!document && !notePath) {
+          return {
+            success: false,
+            error: 'Either document or notePath is required'
+          };
+        }
+
+        if (!document) {
+          const note = await this.readNote(notePath);
+          document = note.content;
+        }
+
+        if (parentTaskId && !dryRun) {
+          const parent = await getEntityById('Task', parentTaskId);
+          if (!parent) {
+            return {
+              success: false,
+              error: 'Parent task not found'
+            };
+          }
+        }
+
+        serverLogger.info('Parsing PRD', {
+          notePath,
+          length: document.length,
+          taskType
+        });
+
+        const response = await this.modelRequest(taskType, buildPrdPrompt(document), {
+          model,
+          format: 'json'
+        });
+
+        let tree;
+        try {
+          tree = parsePrdResponse(response.response);
+        } catch (error) {
+          if (error instanceof PrdValidationError) {
+            serverLogger.warn('PRD model output rejected', { errors: error.errors });
+            return {
+              success: false,
+              error: 'Model output failed validation',
+              validationErrors: error.errors,
+              model: response.model
+            };
+          }
+          throw error;
+        }
+
+        const plan = buildTaskPlan(tree, {
+          parentTaskId,
+          source: notePath ? `prd:${notePath}` : 'prd'
+        });
+
+        if (dryRun) {
+          return {
+            success: true,
+            dryRun: true,
+            model: response.model,
+            taskCount: tree.count,
+            tree: tree.tasks
+          };
+        }
+
+        const created = await this.writeTransaction(tx => persistTaskPlan(tx, plan));
+
+        serverLogger.info('PRD parsed into tasks', created);
+
+        const keyToId = Object.fromEntries(plan.tasks.map(t => [t.source_key, t.id]));
+
+        return {
+          success: true,
+          model: response.model,
+          created,
+          rootTaskIds: tree.tasks.map(t => keyToId[t.key]),
+          tasks: plan.tasks.map(t => ({
+            taskId: t.id,
+            key: t.source_key,
+            title: t.title,
+            priority: t.priority
+          }))
+        };
+      }
+    ));
+
+    // Next task tool
+    this.registerTool(createTool(
+      'next_task',
+      'Recommend the highest-priority pending task whose dependencies are complete',
+      createInputSchema({
+        parentTaskId: {
+          type: 'string',
+          description: 'Only consider tasks under this parent'
+        },
+        assignee: {
+          type: 'string',
+          description: 'Only consider tasks for this assignee'
+        },
+        alternatives: {
+          type: 'number',
+          description: 'Number of runner-up tasks to include',
+          default: 3
+        }
+      }, []),
+      async (args) => {
+        const { parentTaskId, assignee, alternatives = 3 } = args;
+
+        serverLogger.info('Finding next task', { parentTaskId, assignee });
+
+        const { tasks, edges } = await this.loadDependencyGraph({ parentTaskId, assignee, pendingLeavesOnly: true });
+        const ranked = rankNextTasks(tasks, edges);
+
+        if (ranked.length === 0) {
+          return {
+            success: true,
+            task: null,
+            candidates: tasks.length,
+            message: tasks.length > 0 ? 'All pending tasks are blocked' : 'No pending tasks'
+          };
+        }
+
+        const summarize = ({ task, overdue, unblocks, softDependencies }) => ({
+          taskId: task.id,
+          title: task.title,
+          priority: task.priority,
+          dueDate: task.due_date,
+          overdue,
+          unblocks,
+          pendingSoftDependencies: softDependencies
+        });
+
+        return {
+          success: true,
+          task: summarize(ranked[0]),
+          alternatives: ranked.slice(1, 1 + alternatives).map(summarize),
+          candidates: tasks.length,
+          blocked: tasks.length - ranked.length
+        };
+      }
+    ));
+
+    // Critical path tool
+    this.registerTool(createTool(
+      'critical_path',
+      'Longest chain of dependent subtasks under a parent task, weighted by estimated_hours',
+      createInputSchema({
+        parentTaskId: {
+          type: 'string',
+          description: 'Parent task ID'
+        },
+        remainingOnly: {
+          type: 'boolean',
+          description: 'Ignore the effort of completed tasks',
+          default: true
+        }
+      }, ['parentTaskId']),
+      async (args) => {
+        const { parentTaskId, remainingOnly = true } = args;
+
+        serverLogger.info('Computing critical path', { parentTaskId });
+
+        const parent = await getEntityById('Task', parentTaskId);
+        if (!parent) {
+          return {
+            success: false,
+            error: 'Task not found'
+          };
+        }
+
+        const { tasks, edges } = await this.loadDependencyGraph({ parentTaskId });
+        const { path, length } = computeCriticalPath(tasks, edges, { remainingOnly });
+
+        return {
+          success: true,
+          parentTaskId,
+          taskCount: tasks.length,
+          length,
+          path: path.map(task => ({
+            taskId: task.id,
+            title: task.title,
+            status: task.status,
+            estimatedHours: task.estimated_hours ?? null
+          }))
+        };
+      }
+    ));
+
     serverLogger.info('Task Master tools registered', {
       count: this.tools.size
     });
   }
+
+  /**
+   * Dependency path that a new (dependsOn)->(task) edge would close into a cycle
+   */
+  async findDependencyCycle(taskId, dependsOnTaskId) {
+    if (taskId === dependsOnTaskId) {
+      return [taskId];
+    }
+
+    const result = await executeQuery(
+      `
+        MATCH p = shortestPath(
+          (t:Task {id: $taskId})-[:${DEPENDENCY_TYPES.join('|')}*]->(d:Task {id: $dependsOnTaskId})
+        )
+        WHERE all(n IN nodes(p) WHERE ${namespacePredicate('n')})
+        RETURN [n IN nodes(p) | n.id] AS path
+      `,
+      { taskId, dependsOnTaskId, namespace: currentNamespace() }
+    );
+
+    const path = result.records[0]?.get('path');
+    return path ? [...path, taskId] : null;
+  }
+
+  /**
+   * Load tasks (optionally scoped to a parent's subtree) and the dependency edges touching them
+   */
+  async loadDependencyGraph({ parentTaskId, assignee, pendingLeavesOnly = false } = {}) {
+    const conditions = [namespacePredicate('t')];
+    if (assignee) conditions.push('t.assignee = $assignee');
+    if (pendingLeavesOnly) {
+      conditions.push(`t.status = 'pending'`);
+      conditions.push('NOT EXISTS { MATCH (t)-[:HAS_SUBTASK]->(s:Task) WHERE NOT s.status IN $done }');
+    }
+
+    if (parentTaskId) conditions.push(namespacePredicate('p'));
+
+    const match = parentTaskId
+      ? 'MATCH (p:Task {id: $parentTaskId})-[:HAS_SUBTASK*1..]->(t:Task)'
+      : 'MATCH (t:Task)';
+    const namespace = currentNamespace();
+
+    const taskResult = await executeQuery(
+      `${match} WHERE ${conditions.join(' AND ')} RETURN DISTINCT t`,
+      { parentTaskId: parentTaskId ?? null, assignee: assignee ?? null, done: DONE_STATUSES, namespace }
+    );
+    const tasks = taskResult.records.map(r => r.get('t').properties);
+
+    const edgeResult = await executeQuery(
+      `
+        MATCH (d:Task)-[r]->(t:Task)
+        WHERE (d.id IN $ids OR t.id IN $ids) AND type(r) IN $types
+          AND ${namespacePredicate('d')} AND ${namespacePredicate('t')}
+        RETURN d.id AS from, t.id AS to, type(r) AS type, d.status AS fromStatus, t.status AS toStatus
+      `,
+      { ids: tasks.map(t => t.id), types: DEPENDENCY_TYPES, namespace }
+    );
+    const edges = edgeResult.records.map(r => ({
+      from: r.get('from'),
+      to: r.get('to'),
+      type: r.get('type'),
+      fromStatus: r.get('fromStatus'),
+      toStatus: r.get('toStatus')
+    }));
+
+    return { tasks, edges };
+  }
 }
 
 /**
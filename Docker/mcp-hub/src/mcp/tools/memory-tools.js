@@ -3,9 +3,39 @@
 // ============================================================
 // High-level memory operations combining Neo4j and Obsidian
 
+import neo4j from 'neo4j-driver';
 import { logger } from '../../utils/logger.js';
+import { executeQuery, executeReadTransaction } from '../../services/neo4j-client.js';
+import { safeInteger, safeDepth } from '../../utils/cypher-safety.js';
+import { cosineSimilarity } from '../../utils/similarity.js';
+import { contentHash, importFormats, importMemoriesFromPath, resolveImportPath } from '../../services/memory-import.js';
+import { exportConfig, exportFormats, writeGraphExport } from '../../services/graph-export.js';
+import { consolidationConfig, consolidateMemories, listMemoryNamespaces } from '../../services/memory-consolidation.js';
+import {
+  decayConfig,
+  decayParams,
+  decayedImportanceCypher,
+  effectiveImportance,
+  reinforceMemories,
+  reinforceLinkedMemories,
+  forgetMemories
+} from '../../services/memory-decay.js';
+import {
+  extractionConfig,
+  extractAndLinkEntities,
+  listPendingExtractions,
+  reviewExtractions
+} from '../../services/entity-extraction.js';
+import { getFrontmatterList } from '../../utils/frontmatter.js';
+import { currentNamespace, namespacePredicate, runWithNamespace } from '../../utils/namespace.js';
 import neo4jHandlers from './neo4j-tools.js';
 import obsidianHandlers from './obsidian-tools.js';
+import ollamaHandlers from './ollama-tools.js';
+
+const EMBEDDING_MODEL = process.env.OLLAMA_EMBEDDING_MODEL || 'nomic-embed-text';
+const VECTOR_INDEX_NAME = 'memory_embeddings';
+const IMPORTANCE_WEIGHT = parseFloat(process.env.MEMORY_IMPORTANCE_WEIGHT || '0.2');
+const SEMANTIC_CANDIDATE_LIMIT = parseInt(process.env.MEMORY_SEMANTIC_CANDIDATES || '500');
 
 // ============================================================
 // Memory Tools for MCP
@@ -53,6 +83,10 @@ export const memoryTools = {
         source: {
           type: 'string',
           description: 'Source of the memory (user, system, external)'
+        },
+        extract: {
+          type: 'boolean',
+          description: `Extract entities and relations with the reasoning model (default: ${extractionConfig.enabled})`
         }
       },
       required: ['content', 'type']
@@ -61,7 +95,7 @@ export const memoryTools = {
 
   recall_memory: {
     name: 'recall_memory',
-    description: 'Recall memories matching a query',
+    description: 'Recall memories matching a query, ranked by semantic similarity and importance',
     inputSchema: {
       type: 'object',
       properties: {
@@ -82,6 +116,18 @@ export const memoryTools = {
           type: 'number',
           description: 'Maximum results (default: 10)',
           default: 10
+        },
+        semantic: {
+          type: 'boolean',
+          description: 'Rank by embedding similarity blended with importance (default: true)',
+          default: true
+        },
+        min_score: {
+          type: 'number',
+          description: 'Minimum similarity for semantic matches 0-1 (default: 0)',
+          minimum: 0,
+          maximum: 1,
+          default: 0
         }
       },
       required: ['query']
@@ -173,7 +219,7 @@ export const memoryTools = {
 
   update_memory_importance: {
     name: 'update_memory_importance',
-    description: 'Update the importance score of a memory',
+    description: 'Update the importance score of a memory; it decays from the new value',
     inputSchema: {
       type: 'object',
       properties: {
@@ -196,6 +242,198 @@ export const memoryTools = {
     }
   },
 
+  review_extractions: {
+    name: 'review_extractions',
+    description: 'List, accept or reject low-confidence entity and relation extractions awaiting review',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        action: {
+          type: 'string',
+          description: 'list pending extractions, or accept / reject them by id (default: list)',
+          enum: ['list', 'accept', 'reject'],
+          default: 'list'
+        },
+        ids: {
+          type: 'array',
+          description: 'Extraction ids returned by list (for accept / reject)',
+          items: { type: 'string' }
+        },
+        memory_id: {
+          type: 'string',
+          description: 'Only list extractions from this memory'
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum extractions to list (default: 50)',
+          default: 50,
+          minimum: 1
+        }
+      }
+    }
+  },
+
+  forget_memories: {
+    name: 'forget_memories',
+    description: 'Archive memories whose time-decayed importance fell below a threshold to Obsidian and drop them from recall',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        threshold: {
+          type: 'number',
+          description: `Decayed importance below which memories are archived 0-1 (default: ${decayConfig.forgetThreshold})`,
+          minimum: 0,
+          maximum: 1
+        },
+        type: {
+          type: 'string',
+          description: 'Only archive memories of this type'
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum memories to archive (default: 100)',
+          default: 100,
+          minimum: 1
+        },
+        dry_run: {
+          type: 'boolean',
+          description: 'List the memories that would be archived (default: false)',
+          default: false
+        }
+      }
+    }
+  },
+
+  import_memories: {
+    name: 'import_memories',
+    description: 'Bulk import memories from a JSONL file, a directory of Markdown notes or a mem0 export, skipping content already stored',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: {
+          type: 'string',
+          description: 'File or directory, relative to the import directory (MEMORY_IMPORT_DIR)'
+        },
+        format: {
+          type: 'string',
+          description: 'Input format (default: detected from the extension; directories are Markdown)',
+          enum: ['auto', ...Object.values(importFormats)],
+          default: 'auto'
+        },
+        dry_run: {
+          type: 'boolean',
+          description: 'Parse, validate and deduplicate without writing (default: false)',
+          default: false
+        },
+        batch_size: {
+          type: 'number',
+          description: 'Memories written per transaction (default: 200)',
+          minimum: 1,
+          maximum: 5000
+        },
+        default_type: {
+          type: 'string',
+          description: 'Type for records without a valid one (default: fact)',
+          enum: ['fact', 'concept', 'event', 'observation', 'task']
+        },
+        tags: {
+          type: 'array',
+          description: 'Tags added to every imported memory',
+          items: { type: 'string' }
+        },
+        source: {
+          type: 'string',
+          description: 'Source recorded on records that have none (default: the format)'
+        },
+        embed: {
+          type: 'boolean',
+          description: 'Embed content for semantic recall; slower for large imports (default: false)',
+          default: false
+        }
+      },
+      required: ['path']
+    }
+  },
+
+  export_graph: {
+    name: 'export_graph',
+    description: 'Export memories, concepts, tags, tasks and reasoning chains to a JSON-LD, GraphML or Cypher file in the export directory',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        format: {
+          type: 'string',
+          description: 'Output format: jsonld, graphml (Gephi) or cypher (replayable script)',
+          enum: Object.values(exportFormats),
+          default: 'jsonld'
+        },
+        labels: {
+          type: 'array',
+          description: `Node labels to export (default: ${exportConfig.defaultLabels.join(', ')})`,
+          items: { type: 'string' }
+        },
+        tag: {
+          type: 'string',
+          description: 'Only nodes tagged with this tag'
+        },
+        from: {
+          type: 'string',
+          description: 'Only nodes created on or after this date (ISO format)'
+        },
+        to: {
+          type: 'string',
+          description: 'Only nodes created on or before this date (ISO format)'
+        },
+        include_embeddings: {
+          type: 'boolean',
+          description: 'Include memory embedding vectors (default: false)',
+          default: false
+        },
+        filename: {
+          type: 'string',
+          description: 'File name inside the export directory (default: graph-<timestamp>.<ext>)'
+        }
+      }
+    }
+  },
+
+  consolidate_memories: {
+    name: 'consolidate_memories',
+    description: 'Merge exact and near-duplicate memories into one, keeping tags, entities, the highest importance and a MERGED_FROM trail, and rewrite their Obsidian notes',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dry_run: {
+          type: 'boolean',
+          description: 'Report duplicate groups without merging (default: false)',
+          default: false
+        },
+        threshold: {
+          type: 'number',
+          description: `Word-shingle similarity for near duplicates 0-1 (default: ${consolidationConfig.threshold})`,
+          minimum: 0,
+          maximum: 1
+        },
+        embedding_threshold: {
+          type: 'number',
+          description: `Embedding similarity for near duplicates 0-1 (default: ${consolidationConfig.embeddingThreshold})`,
+          minimum: 0,
+          maximum: 1
+        },
+        use_embeddings: {
+          type: 'boolean',
+          description: 'Also compare embeddings of memories that share wording (default: true)',
+          default: true
+        },
+        limit: {
+          type: 'number',
+          description: `Most recent memories to scan (default: ${consolidationConfig.limit})`,
+          minimum: 2
+        }
+      }
+    }
+  },
+
   summarize_memories: {
     name: 'summarize_memories',
     description: 'Get a summary of stored memories by type and tags',
@@ -215,12 +453,340 @@ export const memoryTools = {
   }
 };
 
+// ============================================================
+// Embedding Helpers
+// ============================================================
+
+let embeddingFunction = async (text) => {
+  const result = await ollamaHandlers.embed({ model: EMBEDDING_MODEL, text });
+  return result.embedding;
+};
+
+let vectorIndexReady = false;
+
+/**
+ * query_graph is closed outside the default namespace, so the memory
+ * tools read through the driver with $namespace bound to the caller
+ */
+function readThroughDriver(query, params) {
+  return executeReadTransaction(async (tx) => {
+    const result = await tx.run(query, params);
+    return result.records.map(record => record.toObject());
+  });
+}
+
+let graphReader = readThroughDriver;
+
+/**
+ * Override the function used to embed memory content (tests, alternate providers)
+ */
+export function setEmbeddingFunction(fn) {
+  embeddingFunction = fn;
+}
+
+/**
+ * Override the function that runs memory read queries (tests); null restores the driver
+ */
+export function setGraphReader(fn) {
+  graphReader = fn || readThroughDriver;
+}
+
+/**
+ * Run a read query in the current namespace, returning plain records
+ */
+function readGraph(query, params = {}) {
+  return graphReader(query, { ...params, namespace: currentNamespace() });
+}
+
+/**
+ * Embed text, returning null when no embedding can be produced
+ */
+export async function embedText(text) {
+  try {
+    const embedding = await embeddingFunction(text);
+    return Array.isArray(embedding) && embedding.length > 0 ? embedding : null;
+  } catch (error) {
+    logger.warn('Memory: Embedding failed', { error: error.message });
+    return null;
+  }
+}
+
+export { cosineSimilarity };
+
+/**
+ * Blend similarity with importance into a single recall score
+ */
+export function blendScore(similarity, importance = 0.5, weight = IMPORTANCE_WEIGHT) {
+  return (1 - weight) * similarity + weight * (importance ?? 0.5);
+}
+
+/**
+ * Rank memories against a query embedding (in-process fallback for the vector index)
+ * Importance is decayed to now before blending
+ */
+export function rankMemoriesBySimilarity(queryEmbedding, memories, { limit = 10, minScore = 0, importanceWeight = IMPORTANCE_WEIGHT, now = Date.now() } = {}) {
+  return memories
+    .map(memory => {
+      const similarity = cosineSimilarity(queryEmbedding, memory.embedding);
+      return {
+        ...memory,
+        similarity,
+        score: blendScore(similarity, effectiveImportance(memory, now), importanceWeight)
+      };
+    })
+    .filter(memory => memory.similarity >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Create the Memory vector index once the embedding dimension is known
+ */
+async function ensureVectorIndex(dimension) {
+  if (vectorIndexReady) {
+    return;
+  }
+
+  try {
+    // Schema change, so it bypasses the read-only query_graph tool
+    await executeQuery(`
+      CREATE VECTOR INDEX ${VECTOR_INDEX_NAME} IF NOT EXISTS
+      FOR (m:Memory) ON (m.embedding)
+      OPTIONS { indexConfig: {
+        \`vector.dimensions\`: ${safeInteger(dimension, { name: 'embedding dimension', min: 1 })},
+        \`vector.similarity_function\`: 'cosine'
+      } }
+    `);
+    vectorIndexReady = true;
+  } catch (error) {
+    logger.warn('Memory: Vector index unavailable, using in-process similarity', {
+      error: error.message
+    });
+  }
+}
+
+function toMemory(node) {
+  const { accessCount } = node.properties;
+  const memory = {
+    id: node.properties.id,
+    content: node.properties.content,
+    type: node.properties.type,
+    importance: node.properties.importance,
+    createdAt: node.properties.createdAt,
+    importanceUpdatedAt: node.properties.importanceUpdatedAt ?? null,
+    accessCount: neo4j.isInt(accessCount) ? accessCount.toNumber() : (accessCount ?? 0),
+    lastAccessedAt: node.properties.lastAccessedAt ?? null
+  };
+  return { ...memory, effectiveImportance: effectiveImportance(memory) };
+}
+
+/**
+ * Semantic recall: Neo4j vector index first, in-process cosine ranking as fallback
+ */
+async function semanticRecall(queryEmbedding, { type, limit, minScore }) {
+  const candidateCount = Math.max(limit * 4, limit);
+
+  try {
+    const records = await readGraph(`
+      CALL db.index.vector.queryNodes('${VECTOR_INDEX_NAME}', $candidates, $embedding)
+      YIELD node AS m, score
+      WHERE ${namespacePredicate('m')}
+      ${type ? 'AND m.type = $type' : ''}
+      RETURN m, score
+    `, { candidates: neo4j.int(candidateCount), embedding: queryEmbedding, type });
+
+    return records
+      .map(r => {
+        // Neo4j cosine scores are normalised to [0, 1]; map back to [-1, 1]
+        const similarity = r.score * 2 - 1;
+        const memory = toMemory(r.m);
+        return { ...memory, similarity, score: blendScore(similarity, memory.effectiveImportance) };
+      })
+      .filter(m => m.similarity >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  } catch (error) {
+    logger.debug('Memory: Vector index query failed, falling back', { error: error.message });
+  }
+
+  const records = await readGraph(`
+    MATCH (m:Memory)
+    WHERE m.embedding IS NOT NULL AND ${namespacePredicate('m')}
+    ${type ? 'AND m.type = $type' : ''}
+    RETURN m
+    ORDER BY m.createdAt DESC
+    LIMIT $candidates
+  `, { type, candidates: neo4j.int(SEMANTIC_CANDIDATE_LIMIT) });
+
+  const candidates = records.map(r => ({
+    ...toMemory(r.m),
+    embedding: r.m.properties.embedding
+  }));
+
+  return rankMemoriesBySimilarity(queryEmbedding, candidates, { limit, minScore })
+    .map(({ embedding, ...memory }) => memory);
+}
+
+/**
+ * Reinforcement is best effort: a failed write must not fail the recall or link
+ */
+async function reinforceQuietly(reinforce, keys) {
+  try {
+    await reinforce(keys);
+  } catch (error) {
+    logger.warn('Memory: Reinforcement failed', { error: error.message });
+  }
+}
+
+// ============================================================
+// Consolidation Helpers
+// ============================================================
+
+let consolidationRunning = false;
+let consolidationTimer = null;
+
+/**
+ * Obsidian note written by store_memory
+ */
+function memoryNotePath(memory) {
+  return `memory/${String(memory.createdAt).split('T')[0]}/${memory.id}.md`;
+}
+
+/**
+ * Record merged duplicates in the survivor's note and delete their notes
+ * Imported memories have no note, so missing notes are skipped
+ */
+export async function rewriteMemoryNotes(plan) {
+  const filename = memoryNotePath(plan.survivor);
+  let note = null;
+
+  try {
+    note = await obsidianHandlers.read_note({ filename });
+  } catch (error) {
+    logger.debug('Memory: No note for merged memory', { filename });
+  }
+
+  if (note) {
+    const frontmatter = note.frontmatter || {};
+    const header = '## Merged memories';
+    const lines = plan.duplicates
+      .map(memory => `- ${memory.id} (${memory.createdAt}): ${String(memory.content).substring(0, 80).replace(/\s+/g, ' ')}`)
+      .join('\n');
+    const body = note.content.trimEnd();
+
+    await obsidianHandlers.write_note({
+      filename,
+      content: body.includes(header) ? `${body}\n${lines}\n` : `${body}\n\n${header}\n\n${lines}\n`,
+      frontmatter: {
+        ...frontmatter,
+        tags: [...new Set([...getFrontmatterList(frontmatter, 'tags'), ...plan.tags])],
+        importance: String(plan.importance),
+        merged_from: [...getFrontmatterList(frontmatter, 'merged_from'), ...plan.duplicates.map(memory => memory.id)]
+      }
+    });
+  }
+
+  for (const memory of plan.duplicates) {
+    await obsidianHandlers.delete_note({ filename: memoryNotePath(memory) });
+  }
+}
+
+/**
+ * Consolidate each namespace on its own, so memories are never merged across tenants
+ */
+export async function consolidateAllNamespaces() {
+  let namespaces;
+  try {
+    namespaces = await listMemoryNamespaces();
+  } catch (error) {
+    logger.warn('Memory: Scheduled consolidation skipped', { error: error.message });
+    return [];
+  }
+
+  const results = [];
+  for (const namespace of namespaces) {
+    const result = await runWithNamespace(namespace, () => handlers.consolidate_memories({}));
+    if (!result.success) {
+      logger.warn('Memory: Scheduled consolidation skipped', { namespace, error: result.error });
+    }
+    results.push({ namespace, ...result });
+  }
+  return results;
+}
+
+/**
+ * Run consolidate_memories for every namespace every interval ms (0 disables)
+ */
+export function startConsolidationSchedule(interval = consolidationConfig.interval) {
+  stopConsolidationSchedule();
+
+  if (!interval) {
+    return false;
+  }
+
+  consolidationTimer = setInterval(() => {
+    consolidateAllNamespaces();
+  }, interval);
+  consolidationTimer.unref();
+
+  logger.info('Memory: Consolidation scheduled', { interval_ms: interval });
+  return true;
+}
+
+export function stopConsolidationSchedule() {
+  if (consolidationTimer) {
+    clearInterval(consolidationTimer);
+    consolidationTimer = null;
+  }
+}
+
+// ============================================================
+// Archive Helpers
+// ============================================================
+
+/**
+ * Move a faded memory's note under the archive folder, recording its
+ * decay state in the frontmatter; returns the archive note path
+ */
+export async function archiveMemoryNote(memory, archivedAt = new Date().toISOString()) {
+  const filename = memoryNotePath(memory);
+  const archiveFilename = `${decayConfig.archiveDir}/${filename}`;
+  let content = `# ${memory.content.substring(0, 50)}\n\n${memory.content}\n`;
+  let frontmatter = {};
+
+  try {
+    const note = await obsidianHandlers.read_note({ filename });
+    content = note.content;
+    frontmatter = note.frontmatter || {};
+  } catch (error) {
+    logger.debug('Memory: No note for archived memory, writing content', { filename });
+  }
+
+  await obsidianHandlers.write_note({
+    filename: archiveFilename,
+    content,
+    frontmatter: {
+      ...frontmatter,
+      tags: [...new Set([...getFrontmatterList(frontmatter, 'tags'), 'memory', 'archived', ...(memory.tags || [])])],
+      memory_id: memory.id,
+      importance: String(memory.importance ?? 0.5),
+      effective_importance: String(Math.round(memory.effectiveImportance * 1000) / 1000),
+      access_count: String(memory.accessCount ?? 0),
+      ...(memory.lastAccessedAt && { last_accessed: memory.lastAccessedAt }),
+      archived: archivedAt
+    }
+  });
+  await obsidianHandlers.delete_note({ filename });
+
+  return archiveFilename;
+}
+
 // ============================================================
 // Tool Handlers
 // ============================================================
 
 const handlers = {
-  async store_memory({ content, type, tags = [], entities = [], importance = 0.5, source = 'user' }) {
+  async store_memory({ content, type, tags = [], entities = [], importance = 0.5, source = 'user', extract = extractionConfig.enabled }) {
     const timestamp = new Date().toISOString();
     const dateStr = timestamp.split('T')[0];
 
@@ -228,6 +794,9 @@ const handlers = {
     const memoryId = `mem_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     const memoryName = `Memory_${memoryId}`;
 
+    const embedding = await embedText(content);
+    let extraction = null;
+
     // Store in Neo4j as entity
     try {
       await neo4jHandlers.create_entity({
@@ -239,10 +808,16 @@ const handlers = {
           type,
           importance,
           source,
-          createdAt: timestamp
+          createdAt: timestamp,
+          contentHash: contentHash(content),
+          ...(embedding && { embedding, embeddingModel: EMBEDDING_MODEL })
         }
       });
 
+      if (embedding) {
+        await ensureVectorIndex(embedding.length);
+      }
+
       // Add tags as relationships
       const tagLabel = 'Tag';
       for (const tag of tags) {
@@ -284,6 +859,17 @@ const handlers = {
       }
 
       logger.info('Memory: Stored in Neo4j', { memoryId, type });
+
+      // Extracted entities are linked after the memory exists; a failed
+      // extraction leaves the memory stored
+      if (extract) {
+        try {
+          extraction = await extractAndLinkEntities(memoryId, content);
+        } catch (error) {
+          logger.warn('Memory: Entity extraction failed', { memoryId, error: error.message });
+          extraction = { error: error.message };
+        }
+      }
     } catch (error) {
       logger.error('Memory: Neo4j storage failed', { error: error.message });
     }
@@ -311,6 +897,8 @@ const handlers = {
       type,
       importance,
       timestamp,
+      embedded: embedding !== null,
+      ...(extraction && { extraction }),
       stored: {
         neo4j: true,
         obsidian: true
@@ -318,44 +906,60 @@ const handlers = {
     };
   },
 
-  async recall_memory({ query, type, tags, limit = 10 }) {
+  async recall_memory({ query, type, tags, limit = 10, semantic = true, min_score = 0 }) {
     const results = {
       neo4j: [],
       obsidian: []
     };
+    let mode = 'keyword';
 
-    // Search Neo4j
-    try {
-      const cypher = `
-        MATCH (m:Memory)
-        WHERE m.content CONTAINS $query
-        ${type ? 'AND m.type = $type' : ''}
-        RETURN m
-        ORDER BY m.importance DESC
-        LIMIT $limit
-      `;
+    // Semantic search in Neo4j
+    if (semantic) {
+      const queryEmbedding = await embedText(query);
 
-      const neoResult = await neo4jHandlers.query_graph({
-        query: cypher,
-        params: { query, type, limit }
-      });
+      if (queryEmbedding) {
+        try {
+          results.neo4j = await semanticRecall(queryEmbedding, { type, limit, minScore: min_score });
+          mode = 'semantic';
 
-      results.neo4j = neoResult.records.map(r => ({
-        id: r.m.properties.id,
-        content: r.m.properties.content,
-        type: r.m.properties.type,
-        importance: r.m.properties.importance,
-        createdAt: r.m.properties.createdAt
-      }));
+          logger.info('Memory: Semantic recall', {
+            query,
+            found: results.neo4j.length
+          });
+        } catch (error) {
+          logger.error('Memory: Semantic recall failed', { error: error.message });
+        }
+      }
+    }
 
-      logger.info('Memory: Neo4j recall', {
-        query,
-        found: results.neo4j.length
-      });
-    } catch (error) {
-      logger.error('Memory: Neo4j recall failed', { error: error.message });
+    // Keyword search in Neo4j
+    if (mode === 'keyword') {
+      try {
+        const cypher = `
+          MATCH (m:Memory)
+          WHERE m.content CONTAINS $query AND ${namespacePredicate('m')}
+          ${type ? 'AND m.type = $type' : ''}
+          RETURN m
+          ORDER BY ${decayedImportanceCypher('m')} DESC
+          LIMIT $limit
+        `;
+
+        const records = await readGraph(cypher, { query, type, limit: neo4j.int(limit), ...decayParams() });
+
+        results.neo4j = records.map(r => toMemory(r.m));
+
+        logger.info('Memory: Neo4j recall', {
+          query,
+          found: results.neo4j.length
+        });
+      } catch (error) {
+        logger.error('Memory: Neo4j recall failed', { error: error.message });
+      }
     }
 
+    // Recalled memories are reinforced and their access counted
+    await reinforceQuietly(reinforceMemories, results.neo4j.map(m => m.id));
+
     // Search Obsidian
     try {
       const obsResult = await obsidianHandlers.search_notes({
@@ -393,6 +997,7 @@ const handlers = {
     return {
       success: true,
       query,
+      mode,
       memories: allMemories.slice(0, limit),
       counts: {
         neo4j: results.neo4j.length,
@@ -423,6 +1028,8 @@ const handlers = {
         type: relationship
       });
 
+      await reinforceQuietly(reinforceLinkedMemories, [from_name, to_name]);
+
       return {
         success: true,
         ...result
@@ -451,6 +1058,8 @@ const handlers = {
           properties: { strength, notes }
         });
 
+        await reinforceQuietly(reinforceLinkedMemories, [from_name, to_name]);
+
         return {
           success: true,
           created: true,
@@ -464,22 +1073,17 @@ const handlers = {
 
   async get_knowledge_graph({ concept, depth = 2, limit = 50 }) {
     try {
-      const result = await neo4jHandlers.query_graph({
-        query: `
-          MATCH (c:Concept {name: $concept})-[r*1..${depth}]-(related)
-          RETURN c, r, related
-          LIMIT $limit
-        `,
-        params: { concept, limit }
-      });
+      const records = await readGraph(`
+        MATCH (c:Concept {name: $concept})-[r*1..${safeDepth(depth)}]-(related)
+        WHERE ${namespacePredicate('c')} AND ${namespacePredicate('related')}
+        RETURN c, r, related
+        LIMIT $limit
+      `, { concept, limit: neo4j.int(limit) });
 
       const nodes = [];
       const links = [];
 
-      for (const record of result.records) {
-        const center = record.get('c');
-        const related = record.get('related');
-        const relationships = record.get('r');
+      for (const { c: center, related, r: relationships } of records) {
 
         // Add center node
         if (!nodes.find(n => n.name === center.properties.name)) {
@@ -540,18 +1144,15 @@ const handlers = {
     try {
       const cypher = `
         MATCH (m:Memory)
-        WHERE m.createdAt >= $from AND m.createdAt <= $to
+        WHERE m.createdAt >= $from AND m.createdAt <= $to AND ${namespacePredicate('m')}
         ${type ? 'AND m.type = $type' : ''}
         RETURN m
         ORDER BY m.createdAt DESC
       `;
 
-      const result = await neo4jHandlers.query_graph({
-        query: cypher,
-        params: { from, to, type }
-      });
+      const records = await readGraph(cypher, { from, to, type });
 
-      const memories = result.records.map(r => ({
+      const memories = records.map(r => ({
         id: r.m.properties.id,
         content: r.m.properties.content,
         type: r.m.properties.type,
@@ -602,21 +1203,170 @@ const handlers = {
     }
   },
 
+  async review_extractions({ action = 'list', ids = [], memory_id, limit = 50 }) {
+    try {
+      if (action === 'list') {
+        const extractions = await listPendingExtractions({ memoryId: memory_id, limit });
+        return {
+          success: true,
+          action,
+          extractions,
+          count: extractions.length
+        };
+      }
+
+      if (ids.length === 0) {
+        return {
+          success: false,
+          error: `ids are required to ${action} extractions`
+        };
+      }
+
+      const count = await reviewExtractions(action, ids);
+
+      return {
+        success: true,
+        action,
+        requested: ids.length,
+        [action === 'accept' ? 'accepted' : 'rejected']: count
+      };
+    } catch (error) {
+      logger.error('Memory: Extraction review failed', { action, error: error.message });
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  async forget_memories({ threshold, type, limit = 100, dry_run = false }) {
+    try {
+      const report = await forgetMemories({
+        threshold,
+        type,
+        limit,
+        dryRun: dry_run,
+        archiveNote: (memory) => archiveMemoryNote(memory)
+      });
+
+      logger.info('Memory: Forget finished', { dryRun: dry_run, candidates: report.candidates, archived: report.archived });
+
+      return {
+        success: true,
+        ...report
+      };
+    } catch (error) {
+      logger.error('Memory: Forget failed', { error: error.message });
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  async import_memories({ path, format = 'auto', dry_run = false, batch_size, default_type, tags = [], source, embed = false }) {
+    try {
+      const report = await importMemoriesFromPath(resolveImportPath(path), {
+        format: format === 'auto' ? null : format,
+        source,
+        dryRun: dry_run,
+        batchSize: batch_size,
+        defaultType: default_type,
+        tags,
+        embedFunction: embed ? embedText : null,
+        embeddingModel: EMBEDDING_MODEL
+      });
+
+      if (report.embeddingDimension) {
+        await ensureVectorIndex(report.embeddingDimension);
+      }
+
+      logger.info('Memory: Import finished', { path, dryRun: dry_run, ...report.counts });
+
+      return {
+        success: true,
+        ...report
+      };
+    } catch (error) {
+      logger.error('Memory: Import failed', { path, error: error.message });
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  async export_graph({ format = 'jsonld', labels, tag, from, to, include_embeddings = false, filename }) {
+    try {
+      const result = await writeGraphExport(
+        { format, labels, tag, from, to, includeEmbeddings: include_embeddings },
+        { filename }
+      );
+
+      logger.info('Memory: Graph exported', { path: result.path, ...result.counts });
+
+      return {
+        success: true,
+        ...result
+      };
+    } catch (error) {
+      logger.error('Memory: Graph export failed', { error: error.message });
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  async consolidate_memories({ dry_run = false, threshold, embedding_threshold, use_embeddings = true, limit }) {
+    if (consolidationRunning) {
+      return {
+        success: false,
+        error: 'Consolidation is already running'
+      };
+    }
+
+    consolidationRunning = true;
+    try {
+      const report = await consolidateMemories({
+        dryRun: dry_run,
+        threshold,
+        embeddingThreshold: embedding_threshold,
+        useEmbeddings: use_embeddings,
+        limit,
+        rewriteNotes: rewriteMemoryNotes
+      });
+
+      logger.info('Memory: Consolidation finished', { dryRun: dry_run, groups: report.groups, merged: report.merged });
+
+      return {
+        success: true,
+        ...report
+      };
+    } catch (error) {
+      logger.error('Memory: Consolidation failed', { error: error.message });
+      return {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      consolidationRunning = false;
+    }
+  },
+
   async summarize_memories({ type, tag }) {
     try {
       const cypher = `
         MATCH (m:Memory)
-        ${type ? 'WHERE m.type = $type' : ''}
+        WHERE ${namespacePredicate('m')}
+        ${type ? 'AND m.type = $type' : ''}
         RETURN m.type as type, count(m) as count, avg(m.importance) as avgImportance
         ORDER BY count DESC
       `;
 
-      const result = await neo4jHandlers.query_graph({
-        query: cypher,
-        params: { type }
-      });
+      const records = await readGraph(cypher, { type });
 
-      const summary = result.records.map(r => ({
+      const summary = records.map(r => ({
         type: r.type,
         count: r.count.toInt(),
         avgImportance: parseFloat(r.avgImportance)
@@ -625,17 +1375,15 @@ const handlers = {
       // Get tags if requested
       let tagSummary = [];
       if (tag) {
-        const tagResult = await neo4jHandlers.query_graph({
-          query: `
-            MATCH (m:Memory)-[:TAGGED_WITH]->(t:Tag {name: $tag})
-            RETURN count(m) as count
-          `,
-          params: { tag }
-        });
+        const tagRecords = await readGraph(`
+          MATCH (m:Memory)-[:TAGGED_WITH]->(t:Tag {name: $tag})
+          WHERE ${namespacePredicate('m')}
+          RETURN count(m) as count
+        `, { tag });
 
         tagSummary = [{
           tag,
-          count: tagResult.records[0]?.count?.toInt() || 0
+          count: tagRecords[0]?.count?.toInt() || 0
         }];
       }
 
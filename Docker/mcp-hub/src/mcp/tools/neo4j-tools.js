@@ -3,6 +3,17 @@
 // ============================================================
 
 import { getSession } from '../../services/neo4j-client.js';
+import { getSchemaRegistry } from '../../services/entity-schemas.js';
+import {
+  safeLabel,
+  safeRelationshipType,
+  safeInteger,
+  safeDepth,
+  assertReadOnlyQuery,
+  cypherSafetyConfig,
+  CypherSafetyError
+} from '../../utils/cypher-safety.js';
+import { currentNamespace, isDefaultNamespace, namespacePredicate } from '../../utils/namespace.js';
 import { logger } from '../../utils/logger.js';
 
 // ============================================================
@@ -112,7 +123,7 @@ export const neo4jTools = {
 
   query_graph: {
     name: 'query_graph',
-    description: 'Execute a Cypher query on Neo4j',
+    description: 'Execute a read-only Cypher query on Neo4j (writes only if NEO4J_ALLOW_WRITE_QUERIES=true). Queries are not scoped to a namespace, so only the default namespace may run them unless NEO4J_QUERY_GRAPH_ALL_NAMESPACES=true; $namespace holds the namespace of the call',
     inputSchema: {
       type: 'object',
       properties: {
@@ -184,21 +195,24 @@ export const neo4jTools = {
 
 const handlers = {
   async create_entity({ label, name, properties = {} }) {
+    safeLabel(label);
+
+    // Build properties object
+    const allProps = {
+      name,
+      ...properties,
+      createdAt: new Date().toISOString()
+    };
+    getSchemaRegistry().assertEntity(label, allProps);
+
     const session = getSession();
     try {
-      // Build properties object
-      const allProps = {
-        name,
-        ...properties,
-        createdAt: new Date().toISOString()
-      };
-
-      // Create node with all properties
+      // Create node with all properties, owned by the namespace of the call
       const result = await session.run(
         `CREATE (e:${label})
          SET e = $props
          RETURN e, elementId(e) as id`,
-        { props: allProps }
+        { props: { ...allProps, namespace: currentNamespace() } }
       );
 
       const record = result.records[0];
@@ -222,16 +236,33 @@ const handlers = {
   async update_entity({ id, properties }) {
     const session = getSession();
     try {
+      // Entities can't be moved to another namespace by an update
+      const { namespace: _ignored, ...rest } = properties;
       const allProps = {
-        ...properties,
+        ...rest,
         updatedAt: new Date().toISOString()
       };
 
+      // Validate against every label the node carries
+      const existing = await session.run(
+        `MATCH (e) WHERE elementId(e) = $id AND ${namespacePredicate('e')}
+         RETURN labels(e) AS labels`,
+        { id, namespace: currentNamespace() }
+      );
+
+      if (existing.records.length === 0) {
+        throw new Error(`Entity not found: ${id}`);
+      }
+
+      for (const label of existing.records[0].get('labels')) {
+        getSchemaRegistry().assertEntity(label, allProps, { partial: true });
+      }
+
       const result = await session.run(
-        `MATCH (e) WHERE elementId(e) = $id
+        `MATCH (e) WHERE elementId(e) = $id AND ${namespacePredicate('e')}
          SET e += $props
          RETURN e`,
-        { id, props: allProps }
+        { id, props: allProps, namespace: currentNamespace() }
       );
 
       if (result.records.length === 0) {
@@ -255,11 +286,12 @@ const handlers = {
   async delete_entity({ id, detach = false }) {
     const session = getSession();
     try {
+      const match = `MATCH (e) WHERE elementId(e) = $id AND ${namespacePredicate('e')}`;
       const query = detach
-        ? `MATCH (e) WHERE elementId(e) = $id DETACH DELETE e`
-        : `MATCH (e) WHERE elementId(e) = $id DELETE e`;
+        ? `${match} DETACH DELETE e`
+        : `${match} DELETE e`;
 
-      const result = await session.run(query, { id });
+      const result = await session.run(query, { id, namespace: currentNamespace() });
 
       logger.info('Neo4j: Entity deleted', { id, detach });
 
@@ -274,18 +306,24 @@ const handlers = {
   },
 
   async create_relationship({ from_label, from_name, to_label, to_name, relationship_type, properties = {} }) {
+    const fromLabel = safeLabel(from_label);
+    const toLabel = safeLabel(to_label);
+    const type = safeRelationshipType(relationship_type.toUpperCase());
+    getSchemaRegistry().assertRelationship(relationship_type, from_label, to_label, properties);
+
     const session = getSession();
     try {
       const result = await session.run(
-        `MATCH (from:${from_label} {name: $from_name})
-         MATCH (to:${to_label} {name: $to_name})
-         CREATE (from)-[r:${relationship_type.toUpperCase()}]->(to)
+        `MATCH (from:${fromLabel} {name: $from_name}) WHERE ${namespacePredicate('from')}
+         MATCH (to:${toLabel} {name: $to_name}) WHERE ${namespacePredicate('to')}
+         CREATE (from)-[r:${type}]->(to)
          SET r += $props
          RETURN r, elementId(r) as id`,
         {
           from_name,
           to_name,
-          props: { ...properties, createdAt: new Date().toISOString() }
+          namespace: currentNamespace(),
+          props: { ...properties, createdAt: new Date().toISOString(), namespace: currentNamespace() }
         }
       );
 
@@ -317,9 +355,17 @@ const handlers = {
   },
 
   async query_graph({ query, params = {} }) {
-    const session = getSession();
+    if (!isDefaultNamespace() && !cypherSafetyConfig.allowRawQueriesInNamespaces) {
+      throw new CypherSafetyError(
+        'query_graph reads across namespaces and is only available in the default namespace; set NEO4J_QUERY_GRAPH_ALL_NAMESPACES=true to permit it'
+      );
+    }
+    assertReadOnlyQuery(query);
+
+    const session = getSession(undefined, { readOnly: !cypherSafetyConfig.allowWriteQueries });
     try {
-      const result = await session.run(query, params);
+      // $namespace is reserved so queries can scope themselves to the caller
+      const result = await session.run(query, { ...params, namespace: currentNamespace() });
 
       const records = result.records.map(record => {
         const obj = {};
@@ -349,19 +395,17 @@ const handlers = {
   },
 
   async find_entities({ label, name_contains, limit = 50 }) {
+    const limitNum = safeInteger(Math.floor(Number(limit)) || 50, { name: 'limit', min: 1 });
+    const entityLabel = label ? safeLabel(label) : null;
+
     const session = getSession();
     try {
-      // Convertir limit a entero de forma segura
-      const limitNum = Math.floor(Number(String(limit))) || 50;
-
-      let query = `MATCH (e${label ? ':' + label : ''}`;
-      const params = {};
+      let query = `MATCH (e${entityLabel ? ':' + entityLabel : ''}) WHERE ${namespacePredicate('e')}`;
+      const params = { namespace: currentNamespace() };
 
       if (name_contains) {
-        query += `) WHERE e.name CONTAINS $name_contains`;
+        query += ` AND e.name CONTAINS $name_contains`;
         params.name_contains = name_contains;
-      } else {
-        query += ')';
       }
 
       // Usar el límite directamente en la query para evitar problemas de tipos
@@ -395,12 +439,16 @@ const handlers = {
   },
 
   async get_entity_context({ label, name, depth = 1 }) {
+    const entityLabel = safeLabel(label);
+    const maxDepth = safeDepth(depth);
+
     const session = getSession();
     try {
       const result = await session.run(
-        `MATCH (e:${label} {name: $name})-[r*1..${depth}]-(related)
+        `MATCH (e:${entityLabel} {name: $name})-[r*1..${maxDepth}]-(related)
+         WHERE ${namespacePredicate('e')} AND ${namespacePredicate('related')}
          RETURN e, r, related`,
-        { name }
+        { name, namespace: currentNamespace() }
       );
 
       const entity = result.records.length > 0 ? {
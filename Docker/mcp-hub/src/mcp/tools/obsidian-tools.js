@@ -5,6 +5,9 @@
 import { promises as fs } from 'fs';
 import path from 'path';
 import { logger } from '../../utils/logger.js';
+import { parseFrontmatter } from '../../utils/frontmatter.js';
+import { getVaultIndex, parseQuery } from '../../services/obsidian-index.js';
+import { namespaceVaultDir, excludedVaultDirs } from '../../utils/namespace.js';
 
 const VAULT_PATH = process.env.OBSIDIAN_VAULT || '/vault';
 
@@ -116,7 +119,7 @@ export const obsidianTools = {
 
   search_notes: {
     name: 'search_notes',
-    description: 'Search for notes containing text or patterns',
+    description: 'Full-text search ranked by BM25. Supports "quoted phrases" and tag:name or #name filters',
     inputSchema: {
       type: 'object',
       properties: {
@@ -124,6 +127,21 @@ export const obsidianTools = {
           type: 'string',
           description: 'Text to search for'
         },
+        tags: {
+          type: 'array',
+          description: 'Only return notes with all of these tags (nested tags match their parent)',
+          items: { type: 'string' }
+        },
+        directory: {
+          type: 'string',
+          description: 'Only search notes under this directory'
+        },
+        match: {
+          type: 'string',
+          description: 'Require all terms or rank notes matching any term (default: all)',
+          enum: ['all', 'any'],
+          default: 'all'
+        },
         case_sensitive: {
           type: 'boolean',
           description: 'Case sensitive search (default: false)',
@@ -198,48 +216,6 @@ export const obsidianTools = {
 // Helper Functions
 // ============================================================
 
-function parseFrontmatter(content) {
-  const frontmatterRegex = /^---\n([\s\S]*?)\n---\n([\s\S]*)$/;
-  const match = content.match(frontmatterRegex);
-
-  if (!match) {
-    return { frontmatter: null, body: content };
-  }
-
-  try {
-    // Simple YAML parser for basic structures
-    const frontmatter = {};
-    const lines = match[1].split('\n');
-
-    for (const line of lines) {
-      const colonIndex = line.indexOf(':');
-      if (colonIndex > 0) {
-        const key = line.substring(0, colonIndex).trim();
-        let value = line.substring(colonIndex + 1).trim();
-
-        // Handle arrays
-        if (value.startsWith('[') && value.endsWith(']')) {
-          value = value.slice(1, -1).split(',').map(v => v.trim().replace(/^"|"$/g, ''));
-        }
-        // Handle booleans
-        else if (value === 'true') value = true;
-        else if (value === 'false') value = false;
-        // Remove quotes from strings
-        else if (value.startsWith('"') && value.endsWith('"')) {
-          value = value.slice(1, -1);
-        }
-
-        frontmatter[key] = value;
-      }
-    }
-
-    return { frontmatter, body: match[2].trim() };
-  } catch (error) {
-    logger.warn('Failed to parse frontmatter', { error: error.message });
-    return { frontmatter: null, body: content };
-  }
-}
-
 function buildFrontmatter(frontmatter) {
   if (!frontmatter || Object.keys(frontmatter).length === 0) {
     return '';
@@ -267,11 +243,100 @@ function normalizeFilename(filename) {
   return filename;
 }
 
+/**
+ * Vault folder of the current namespace; the vault root for the default namespace
+ */
+function getNamespaceRoot() {
+  return path.join(VAULT_PATH, namespaceVaultDir());
+}
+
+/**
+ * Whether a vault-relative path lies in a folder the current namespace must not
+ * see; keeps the default namespace, whose root is the whole vault, out of the others
+ */
+function isExcludedPath(relative) {
+  const posixPath = relative.split(path.sep).join('/');
+  return excludedVaultDirs().some(dir => posixPath === dir || posixPath.startsWith(`${dir}/`));
+}
+
 function getFilePath(filename) {
   const normalized = normalizeFilename(filename);
   // Remove leading slash if present
   const cleanName = normalized.startsWith('/') ? normalized.slice(1) : normalized;
-  return path.join(VAULT_PATH, cleanName);
+  const root = getNamespaceRoot();
+  const filePath = path.join(root, cleanName);
+
+  const relative = path.relative(root, filePath);
+  if (relative === '..' || relative.startsWith(`..${path.sep}`) || isExcludedPath(relative)) {
+    throw new Error(`Note path escapes the namespace folder: ${filename}`);
+  }
+  return filePath;
+}
+
+/**
+ * Index directory of a namespace-relative directory
+ */
+function indexDirectory(directory) {
+  const dir = namespaceVaultDir();
+  const joined = path.posix.join(dir, directory.replace(/^\/+/, '')).replace(/^\.$/, '');
+
+  if ((dir && joined !== dir && !joined.startsWith(`${dir}/`)) || isExcludedPath(joined)) {
+    throw new Error(`Directory escapes the namespace folder: ${directory}`);
+  }
+  return joined;
+}
+
+/**
+ * Namespace-relative path of an indexed note
+ */
+function namespacePath(indexPath) {
+  const dir = namespaceVaultDir();
+  return dir ? path.posix.relative(dir, indexPath) : indexPath;
+}
+
+/**
+ * Update the vault index after a tool write, if it has been built
+ */
+async function syncIndex(filePath) {
+  const index = getVaultIndex();
+
+  if (!index.built) {
+    return;
+  }
+
+  try {
+    await index.refreshPath(path.relative(VAULT_PATH, filePath));
+  } catch (error) {
+    logger.warn('Obsidian: Failed to update search index', { path: filePath, error: error.message });
+  }
+}
+
+/**
+ * Words and quoted phrases of a query as typed, minus tag filters
+ */
+function rawQueryLiterals(query) {
+  const literals = [];
+  const rest = query.replace(/"([^"]+)"/g, (_, phrase) => {
+    literals.push(phrase);
+    return ' ';
+  });
+
+  for (const word of rest.split(/\s+/)) {
+    if (word && !word.startsWith('#') && !word.startsWith('tag:')) {
+      literals.push(word);
+    }
+  }
+
+  return literals;
+}
+
+function buildSnippetRegex(needles, caseSensitive) {
+  if (needles.length === 0) {
+    return null;
+  }
+
+  const escaped = needles.map(n => n.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\W+'));
+  return new RegExp(escaped.join('|'), caseSensitive ? '' : 'i');
 }
 
 async function ensureDir(filePath) {
@@ -333,6 +398,7 @@ const handlers = {
     }
 
     await fs.writeFile(filePath, fullContent, 'utf-8');
+    await syncIndex(filePath);
 
     logger.info('Obsidian: Note written', { filename, path: filePath });
 
@@ -351,6 +417,7 @@ const handlers = {
       const existing = await fs.readFile(filePath, 'utf-8');
       const newContent = existing + separator + content;
       await fs.writeFile(filePath, newContent, 'utf-8');
+      await syncIndex(filePath);
 
       logger.info('Obsidian: Content appended', { filename });
 
@@ -369,58 +436,14 @@ const handlers = {
   },
 
   async list_notes({ directory = '', tag, recursive = true, limit = 100 }) {
-    const searchPath = directory ? path.join(VAULT_PATH, directory) : VAULT_PATH;
-
-    async function walkDir(dir, depth = 0) {
-      const results = [];
-
-      try {
-        const entries = await fs.readdir(dir, { withFileTypes: true });
-
-        for (const entry of entries) {
-          if (entry.isDirectory() && recursive) {
-            const subResults = await walkDir(path.join(dir, entry.name), depth + 1);
-            results.push(...subResults);
-          } else if (entry.isFile() && entry.name.endsWith('.md')) {
-            const filePath = path.join(dir, entry.name);
-            const relativePath = path.relative(VAULT_PATH, filePath);
-
-            // Check tag if specified
-            if (tag) {
-              try {
-                const content = await fs.readFile(filePath, 'utf-8');
-                const { frontmatter } = parseFrontmatter(content);
-                const tags = frontmatter?.tags || [];
-
-                const tagArray = Array.isArray(tags) ? tags : [tags];
-                if (!tagArray.includes(tag)) {
-                  continue;
-                }
-              } catch {
-                // Skip files that can't be read
-                continue;
-              }
-            }
-
-            results.push({
-              filename: entry.name,
-              path: relativePath,
-              directory: path.dirname(relativePath)
-            });
-
-            if (results.length >= limit) {
-              break;
-            }
-          }
-        }
-      } catch (error) {
-        logger.warn('Error reading directory', { dir, error: error.message });
-      }
-
-      return results;
-    }
-
-    const notes = await walkDir(searchPath);
+    const index = await getVaultIndex().ensureBuilt();
+    const { notes, total } = index.list({
+      directory: indexDirectory(directory),
+      exclude: excludedVaultDirs(),
+      tag,
+      recursive,
+      limit
+    });
 
     logger.info('Obsidian: Notes listed', {
       count: notes.length,
@@ -430,84 +453,92 @@ const handlers = {
 
     return {
       success: true,
-      notes: notes.slice(0, limit),
-      count: notes.length
+      notes: notes.map(note => ({
+        filename: path.posix.basename(note.path),
+        path: namespacePath(note.path),
+        directory: path.posix.dirname(namespacePath(note.path))
+      })),
+      count: notes.length,
+      total
     };
   },
 
-  async search_notes({ query, case_sensitive = false, include_content = false, limit = 50 }) {
-    const searchRegex = new RegExp(
-      query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'),
-      case_sensitive ? 'g' : 'gi'
+  async search_notes({ query, tags = [], directory = '', match = 'all', case_sensitive = false, include_content = false, limit = 50 }) {
+    const startTime = Date.now();
+    const index = await getVaultIndex().ensureBuilt();
+
+    // Case-sensitive searches re-check candidates against the raw text
+    const { results: ranked, total } = index.search(query, {
+      tags,
+      directory: indexDirectory(directory),
+      exclude: excludedVaultDirs(),
+      match,
+      limit: case_sensitive ? Infinity : limit
+    });
+
+    const { terms, phrases } = parseQuery(query);
+    const literals = case_sensitive ? rawQueryLiterals(query) : [];
+    const snippetRegex = buildSnippetRegex(
+      case_sensitive ? literals : [...terms, ...phrases.map(p => p.join(' '))],
+      case_sensitive
     );
 
-    async function searchInDir(dir) {
-      const results = [];
-
-      try {
-        const entries = await fs.readdir(dir, { withFileTypes: true });
-
-        for (const entry of entries) {
-          if (entry.isDirectory()) {
-            const subResults = await searchInDir(path.join(dir, entry.name));
-            results.push(...subResults);
-          } else if (entry.isFile() && entry.name.endsWith('.md')) {
-            const filePath = path.join(dir, entry.name);
-            try {
-              const content = await fs.readFile(filePath, 'utf-8');
-              const matches = content.match(searchRegex);
-
-              if (matches) {
-                const result = {
-                  filename: entry.name,
-                  path: path.relative(VAULT_PATH, filePath),
-                  matchCount: matches.length
-                };
-
-                if (include_content) {
-                  // Get context around matches
-                  const lines = content.split('\n');
-                  const matchingLines = lines
-                    .map((line, index) => ({ line, index }))
-                    .filter(({ line }) => searchRegex.test(line))
-                    .slice(0, 5); // Max 5 snippets
-
-                  result.snippets = matchingLines.map(({ line, index }) => ({
-                    lineNumber: index + 1,
-                    text: line.trim().substring(0, 200)
-                  }));
-                }
-
-                results.push(result);
-              }
-            } catch {
-              // Skip files that can't be read
-            }
-          }
-
-          if (results.length >= limit) {
-            break;
-          }
+    const results = [];
+    for (const hit of ranked) {
+      if (results.length >= limit) {
+        break;
+      }
+
+      const result = {
+        filename: path.posix.basename(hit.path),
+        path: namespacePath(hit.path),
+        title: hit.title,
+        tags: hit.tags,
+        score: Number(hit.score.toFixed(4)),
+        matchCount: hit.matchCount
+      };
+
+      if (case_sensitive || include_content) {
+        let content;
+        try {
+          content = await fs.readFile(path.join(VAULT_PATH, hit.path), 'utf-8');
+        } catch {
+          // Removed since it was indexed
+          continue;
+        }
+
+        if (case_sensitive && !literals.every(literal => content.includes(literal))) {
+          continue;
+        }
+
+        if (include_content && snippetRegex) {
+          result.snippets = content
+            .split('\n')
+            .map((line, index) => ({ line, index }))
+            .filter(({ line }) => snippetRegex.test(line))
+            .slice(0, 5) // Max 5 snippets
+            .map(({ line, index }) => ({
+              lineNumber: index + 1,
+              text: line.trim().substring(0, 200)
+            }));
         }
-      } catch (error) {
-        logger.warn('Error searching directory', { dir, error: error.message });
       }
 
-      return results;
+      results.push(result);
     }
 
-    const results = await searchInDir(VAULT_PATH);
-
     logger.info('Obsidian: Search completed', {
       query,
-      count: results.length
+      count: results.length,
+      duration_ms: Date.now() - startTime
     });
 
     return {
       success: true,
       query,
-      results: results.slice(0, limit),
-      count: results.length
+      results,
+      count: results.length,
+      total: case_sensitive ? results.length : total
     };
   },
 
@@ -561,6 +592,7 @@ const handlers = {
 
     try {
       await fs.unlink(filePath);
+      await syncIndex(filePath);
 
       logger.info('Obsidian: Note deleted', { filename });
 
@@ -4,11 +4,29 @@
 
 import axios from 'axios';
 import { logger } from '../../utils/logger.js';
+import {
+  chat,
+  routeRequest,
+  generateEmbedding,
+  refreshAvailableModels,
+  taskTypes,
+  defaultTaskType
+} from '../../services/ollama-router.js';
+import { classifiedTaskTypes, getRoutingStats, recordRoutingFeedback } from '../../services/task-classifier.js';
 
 const OLLAMA_HOST = process.env.OLLAMA_HOST || 'localhost';
 const OLLAMA_PORT = process.env.OLLAMA_PORT || '11434';
 const OLLAMA_BASE_URL = `http://${OLLAMA_HOST}:${OLLAMA_PORT}`;
 
+/**
+ * Task type argument for tools that pick a model when none is given
+ */
+const taskTypeArgument = {
+  type: 'string',
+  description: `Task type used to pick a model when none is given ("auto" classifies the prompt; default: ${defaultTaskType})`,
+  enum: [taskTypes.AUTO, ...classifiedTaskTypes]
+};
+
 // ============================================================
 // Ollama Tools for MCP
 // ============================================================
@@ -22,8 +40,9 @@ export const ollamaTools = {
       properties: {
         model: {
           type: 'string',
-          description: 'Model name (e.g., llama3.2, mistral, deepseek-r1)'
+          description: 'Model name (e.g., llama3.2, mistral, deepseek-r1); chosen from task_type when omitted'
         },
+        task_type: taskTypeArgument,
         prompt: {
           type: 'string',
           description: 'User message/prompt'
@@ -40,11 +59,11 @@ export const ollamaTools = {
         },
         stream: {
           type: 'boolean',
-          description: 'Stream response (default: false)',
+          description: 'Stream tokens as MCP progress notifications when the call has a progressToken (default: false)',
           default: false
         }
       },
-      required: ['model', 'prompt']
+      required: ['prompt']
     }
   },
 
@@ -56,8 +75,9 @@ export const ollamaTools = {
       properties: {
         model: {
           type: 'string',
-          description: 'Model name'
+          description: 'Model name; chosen from task_type when omitted'
         },
+        task_type: taskTypeArgument,
         prompt: {
           type: 'string',
           description: 'Text to complete'
@@ -70,9 +90,14 @@ export const ollamaTools = {
           type: 'object',
           description: 'Additional model options',
           additionalProperties: true
+        },
+        stream: {
+          type: 'boolean',
+          description: 'Stream tokens as MCP progress notifications when the call has a progressToken (default: false)',
+          default: false
         }
       },
-      required: ['model', 'prompt']
+      required: ['prompt']
     }
   },
 
@@ -84,8 +109,7 @@ export const ollamaTools = {
       properties: {
         model: {
           type: 'string',
-          description: 'Embedding model name (e.g., nomic-embed-text)',
-          default: 'nomic-embed-text'
+          description: 'Embedding model name (e.g., nomic-embed-text); the embedding task model when omitted'
         },
         text: {
           type: 'string',
@@ -138,6 +162,41 @@ export const ollamaTools = {
       },
       required: ['model']
     }
+  },
+
+  routing_stats: {
+    name: 'ollama_routing_stats',
+    description: 'Show how "auto" task type requests were classified and how accurate the routing was, from feedback',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        recent: {
+          type: 'number',
+          description: 'Number of recent decisions to include (default: 20)',
+          default: 20
+        }
+      }
+    }
+  },
+
+  routing_feedback: {
+    name: 'ollama_routing_feedback',
+    description: 'Record the task type an "auto" request should have been routed to',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        decision_id: {
+          type: 'string',
+          description: 'classification.id returned by ollama_chat or ollama_complete'
+        },
+        task_type: {
+          type: 'string',
+          description: 'Correct task type',
+          enum: classifiedTaskTypes
+        }
+      },
+      required: ['decision_id', 'task_type']
+    }
   }
 };
 
@@ -186,118 +245,113 @@ async function ollamaGet(endpoint) {
 // Tool Handlers
 // ============================================================
 
+/**
+ * Token callback reporting each token as MCP progress, when the call asked for it
+ */
+function progressReporter(context) {
+  return context.reportProgress ? token => context.reportProgress(token) : undefined;
+}
+
+/**
+ * Handlers receive (args, context); context.signal cancels the call and
+ * context.reportProgress(message) sends an MCP progress notification
+ */
 const handlers = {
-  async chat({ model, prompt, system, temperature = 0.7, stream = false }) {
-    const data = {
-      model,
-      prompt,
+  async chat({ model, task_type: taskType = defaultTaskType, prompt, system, temperature = 0.7, stream = false }, context = {}) {
+    const messages = [
+      ...(system ? [{ role: 'system', content: system }] : []),
+      { role: 'user', content: prompt }
+    ];
+
+    logger.info('Ollama: Chat request', { model, taskType, promptLength: prompt.length, stream });
+
+    // The router picks the provider, walks the fallback chain and answers deterministic chats from the cache
+    const result = await chat(messages, model, {
+      taskType,
+      options: { temperature },
       stream,
-      options: {
-        temperature
-      }
-    };
-
-    if (system) {
-      data.system = system;
-    }
-
-    logger.info('Ollama: Chat request', { model, promptLength: prompt.length });
-
-    const result = await ollamaRequest('chat', data);
-
-    if (result.message) {
-      logger.info('Ollama: Chat response', {
-        model,
-        responseLength: result.message.content?.length || 0
-      });
-
-      return {
-        success: true,
-        model,
-        response: result.message.content,
-        done: result.done,
-        context: result.context,
-        prompt_eval_count: result.prompt_eval_count,
-        eval_count: result.eval_count
-      };
-    }
-
-    // Legacy API support
-    if (result.response) {
-      logger.info('Ollama: Generate response', {
-        model,
-        responseLength: result.response.length
-      });
-
-      return {
-        success: true,
-        model,
-        response: result.response,
-        done: result.done,
-        context: result.context
-      };
-    }
+      onToken: progressReporter(context),
+      signal: context.signal
+    });
 
-    throw new Error('Unexpected response format from Ollama');
-  },
+    logger.info('Ollama: Chat response', {
+      model: result.model,
+      provider: result.provider,
+      responseLength: result.message?.content?.length || 0
+    });
 
-  async complete({ model, prompt, suffix, options = {} }) {
-    const data = {
-      model,
-      prompt,
-      options
+    return {
+      success: true,
+      model: result.model,
+      provider: result.provider,
+      ...(result.classification && { classification: result.classification }),
+      ...(result.fallbacks && { fallbacks: result.fallbacks }),
+      ...(result.cached && { cached: result.cached }),
+      response: result.message?.content,
+      done: result.done,
+      prompt_eval_count: result.prompt_eval_count,
+      eval_count: result.eval_count
     };
+  },
 
-    if (suffix) {
-      data.suffix = suffix;
-    }
-
-    logger.info('Ollama: Completion request', { model, promptLength: prompt.length });
+  async complete({ model, task_type: taskType = defaultTaskType, prompt, suffix, options = {}, stream = false }, context = {}) {
+    logger.info('Ollama: Completion request', { model, taskType, promptLength: prompt.length, stream });
 
-    const result = await ollamaRequest('generate', data);
+    const result = await routeRequest(taskType, prompt, {
+      model,
+      options,
+      ...(suffix && { suffix }),
+      stream,
+      onToken: progressReporter(context),
+      signal: context.signal
+    });
 
     logger.info('Ollama: Completion response', {
-      model,
+      model: result.model,
+      provider: result.provider,
       responseLength: result.response?.length || 0
     });
 
     return {
       success: true,
-      model,
+      model: result.model,
+      provider: result.provider,
+      ...(result.classification && { classification: result.classification }),
+      ...(result.fallbacks && { fallbacks: result.fallbacks }),
+      ...(result.cached && { cached: result.cached }),
       completion: result.response,
       done: result.done,
-      context: result.context
+      prompt_eval_count: result.prompt_eval_count,
+      eval_count: result.eval_count
     };
   },
 
-  async embed({ model = 'nomic-embed-text', text }) {
-    const data = {
-      model,
-      input: text
-    };
-
+  async embed({ model, text }) {
     logger.info('Ollama: Embedding request', {
       model,
       textLength: text.length
     });
 
-    const result = await ollamaRequest('embed', data);
-
-    if (result.embeddings && result.embeddings.length > 0) {
-      logger.info('Ollama: Embedding generated', {
-        model,
-        dimension: result.embeddings[0].length
-      });
+    const result = await generateEmbedding(text, model);
 
-      return {
-        success: true,
-        model,
-        embedding: result.embeddings[0],
-        dimension: result.embeddings[0].length
-      };
+    if (!result.embedding?.length) {
+      throw new Error(`No embedding returned from ${result.provider}`);
     }
 
-    throw new Error('No embedding returned from Ollama');
+    logger.info('Ollama: Embedding generated', {
+      model: result.model,
+      provider: result.provider,
+      dimension: result.embedding.length
+    });
+
+    return {
+      success: true,
+      model: result.model,
+      provider: result.provider,
+      ...(result.cached && { cached: result.cached }),
+      embedding: result.embedding,
+      dimension: result.embedding.length
+    };
   },
 
   async list_models() {
@@ -391,9 +445,14 @@ const handlers = {
           }
         });
 
-        response.data.on('end', () => {
+        response.data.on('end', async () => {
           logger.info('Ollama: Model pulled', { model });
           status.status = 'success';
+
+          // A new digest drops the model's cached responses
+          await refreshAvailableModels().catch(error => {
+            logger.warn('Ollama: Model list refresh after pull failed', { model, error: error.message });
+          });
           resolve(status);
         });
 
@@ -423,6 +482,35 @@ const handlers = {
       template: result.template,
       details: result.details
     };
+  },
+
+  async routing_stats({ recent = 20 } = {}) {
+    return {
+      success: true,
+      ...getRoutingStats({ recent })
+    };
+  },
+
+  async routing_feedback({ decision_id: decisionId, task_type: taskType }) {
+    const decision = recordRoutingFeedback(decisionId, taskType);
+
+    if (!decision) {
+      throw new Error(`Routing decision not found: ${decisionId}`);
+    }
+
+    logger.info('Ollama: Routing feedback recorded', {
+      decisionId,
+      predicted: decision.taskType,
+      actual: decision.actualTaskType
+    });
+
+    return {
+      success: true,
+      decision_id: decisionId,
+      predicted: decision.taskType,
+      actual: decision.actualTaskType,
+      correct: decision.taskType === decision.actualTaskType
+    };
   }
 };
 
@@ -0,0 +1,264 @@
+// ============================================================
+// MCP-SUPERSERVER - Session MCP Tools
+// ============================================================
+// Conversation sessions with rolling summaries stored as memories
+
+import { logger } from '../../utils/logger.js';
+import {
+  sessionConfig,
+  turnRoles,
+  startSession,
+  getSession,
+  appendTurn,
+  endSession,
+  summarizeSession,
+  getSessionContext
+} from '../../services/session-memory.js';
+import memoryHandlers from './memory-tools.js';
+
+// ============================================================
+// Session Tools for MCP
+// ============================================================
+
+export const sessionTools = {
+  start_session: {
+    name: 'start_session',
+    description: 'Start recording a conversation session; returns the session id for append_turn',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        title: {
+          type: 'string',
+          description: 'Short title of the conversation'
+        },
+        client: {
+          type: 'string',
+          description: 'MCP client recording the session (e.g. claude, cursor)'
+        }
+      }
+    }
+  },
+
+  append_turn: {
+    name: 'append_turn',
+    description: `Record a conversation turn; every ${sessionConfig.summaryEvery} turns are summarized into a memory`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        session_id: {
+          type: 'string',
+          description: 'Session id from start_session'
+        },
+        role: {
+          type: 'string',
+          description: 'Who spoke',
+          enum: turnRoles
+        },
+        content: {
+          type: 'string',
+          description: 'Message content'
+        }
+      },
+      required: ['session_id', 'role', 'content']
+    }
+  },
+
+  end_session: {
+    name: 'end_session',
+    description: 'End a session, summarizing the turns not yet summarized',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        session_id: {
+          type: 'string',
+          description: 'Session id from start_session'
+        }
+      },
+      required: ['session_id']
+    }
+  },
+
+  get_session_context: {
+    name: 'get_session_context',
+    description: 'Digest of recent sessions (summaries and latest turns) that fits a token budget, for the next conversation',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        session_id: {
+          type: 'string',
+          description: 'Digest of one session instead of the most recent ones'
+        },
+        client: {
+          type: 'string',
+          description: 'Only sessions recorded by this client'
+        },
+        sessions: {
+          type: 'number',
+          description: 'Recent sessions to include (default: 3)',
+          default: 3,
+          minimum: 1
+        },
+        max_tokens: {
+          type: 'number',
+          description: `Token budget of the digest (default: ${sessionConfig.contextTokens})`,
+          minimum: 50
+        }
+      }
+    }
+  }
+};
+
+// ============================================================
+// Summary Helpers
+// ============================================================
+
+// Summaries in flight per session, so turns are never summarized twice
+const summaryRuns = new Map();
+
+/**
+ * Store a session summary as a memory through store_memory
+ */
+async function storeSessionSummary({ session, content, fromTurn, throughTurn }) {
+  const result = await memoryHandlers.store_memory({
+    content: `Session "${session.title || session.id}", turns ${fromTurn}-${throughTurn}: ${content}`,
+    type: 'event',
+    tags: ['session', ...(session.client ? [session.client] : [])],
+    source: 'session',
+    extract: false
+  });
+  return result.memoryId;
+}
+
+/**
+ * Summarize a session once any running summary of it has finished
+ */
+export function summarizeInOrder(sessionId, options = {}) {
+  const previous = summaryRuns.get(sessionId) || Promise.resolve();
+  const run = previous
+    .catch(() => {})
+    .then(() => summarizeSession(sessionId, { storeSummary: storeSessionSummary, ...options }));
+
+  summaryRuns.set(sessionId, run);
+  run.catch(() => {}).finally(() => {
+    if (summaryRuns.get(sessionId) === run) {
+      summaryRuns.delete(sessionId);
+    }
+  });
+
+  return run;
+}
+
+// ============================================================
+// Tool Handlers
+// ============================================================
+
+const handlers = {
+  async start_session({ title, client }) {
+    try {
+      const session = await startSession({ title, client });
+
+      return {
+        success: true,
+        sessionId: session.id,
+        session
+      };
+    } catch (error) {
+      logger.error('Session: Start failed', { error: error.message });
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  async append_turn({ session_id, role, content }) {
+    try {
+      const { turn, pending } = await appendTurn(session_id, { role, content });
+      const summarizing = pending >= sessionConfig.summaryEvery && !summaryRuns.has(session_id);
+
+      // Summaries run in the background so recording a turn stays fast
+      if (summarizing) {
+        summarizeInOrder(session_id).catch(error => {
+          logger.warn('Session: Rolling summary failed', { sessionId: session_id, error: error.message });
+        });
+      }
+
+      return {
+        success: true,
+        sessionId: session_id,
+        turn: turn.index,
+        pending,
+        summarizing
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  async end_session({ session_id }) {
+    try {
+      const existing = await getSession(session_id);
+      if (!existing) {
+        return {
+          success: false,
+          error: `No session "${session_id}"`
+        };
+      }
+
+      let summary = null;
+      let summaryError = null;
+      try {
+        summary = await summarizeInOrder(session_id);
+      } catch (error) {
+        summaryError = error.message;
+        logger.warn('Session: Final summary failed', { sessionId: session_id, error: error.message });
+      }
+
+      const session = await endSession(session_id);
+
+      return {
+        success: true,
+        session,
+        summary,
+        ...(summaryError && { summaryError })
+      };
+    } catch (error) {
+      logger.error('Session: End failed', { sessionId: session_id, error: error.message });
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
+  async get_session_context({ session_id, client, sessions = 3, max_tokens = sessionConfig.contextTokens }) {
+    try {
+      const context = await getSessionContext({
+        sessionId: session_id,
+        client,
+        sessions,
+        maxTokens: max_tokens
+      });
+
+      return {
+        success: true,
+        ...context
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+};
+
+// Attach handlers to tool definitions
+Object.keys(sessionTools).forEach(key => {
+  sessionTools[key].handler = handlers[key];
+});
+
+export default handlers;
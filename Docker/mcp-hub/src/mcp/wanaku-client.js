@@ -6,6 +6,7 @@
 
 import { logger } from '../utils/logger.js';
 import { createModuleLogger } from '../utils/log-helpers.js';
+import { registerShutdownCallback } from '../utils/graceful-shutdown.js';
 
 const wanakuLogger = createModuleLogger('WanakuClient');
 
@@ -17,9 +18,50 @@ const wanakuConfig = {
   port: process.env.WANAKU_PORT || 3000,
   protocol: process.env.WANAKU_PROTOCOL || 'http',
   timeout: parseInt(process.env.WANAKU_TIMEOUT || '30000'),
-  maxRetries: parseInt(process.env.WANAKU_MAX_RETRIES || '3')
+  maxRetries: parseInt(process.env.WANAKU_MAX_RETRIES || '3'),
+  retryDelay: parseInt(process.env.WANAKU_RETRY_DELAY || '250'),
+  routingPolicy: process.env.WANAKU_ROUTING_POLICY || 'priority',
+  // Interval of the background health probes; 0 disables them
+  healthCheckInterval: parseInt(process.env.WANAKU_HEALTH_INTERVAL || '30000'),
+  healthCheckTimeout: parseInt(process.env.WANAKU_HEALTH_TIMEOUT || '5000'),
+  failureThreshold: parseInt(process.env.WANAKU_FAILURE_THRESHOLD || '3'),
+  circuitResetTimeout: parseInt(process.env.WANAKU_CIRCUIT_RESET || '30000')
 };
 
+/**
+ * Routing policies for choosing among servers that advertise the same tool
+ */
+export const routingPolicies = {
+  PRIORITY: 'priority',
+  ROUND_ROBIN: 'round-robin',
+  LEAST_LATENCY: 'least-latency'
+};
+
+/**
+ * Circuit breaker states
+ */
+export const circuitStates = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * Error raised by a server tool call, carrying whether another server may succeed
+ */
+export class ServerCallError extends Error {
+  constructor(message, { server, status = null, retryable = true } = {}) {
+    super(message);
+    this.name = 'ServerCallError';
+    this.server = server;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+// Weight of the newest sample in the latency moving average
+const LATENCY_SMOOTHING = 0.3;
+
 /**
  * Wanaku MCP Router Client
  */
@@ -28,6 +70,8 @@ export class WanakuClient {
     this.config = { ...wanakuConfig, ...config };
     this.baseUrl = `${this.config.protocol}://${this.config.host}:${this.config.port}`;
     this.registeredServers = new Map();
+    this.roundRobinCursors = new Map();
+    this.healthTimer = null;
   }
 
   /**
@@ -83,9 +127,10 @@ export class WanakuClient {
 
   /**
    * Register an MCP server with Wanaku
+   * Lower priority values are preferred by the priority routing policy
    */
   async registerServer(serverConfig) {
-    const { name, endpoint, tools, capabilities } = serverConfig;
+    const { name, endpoint, tools, capabilities, priority = 100, healthPath = '/health' } = serverConfig;
 
     wanakuLogger.info('Registering MCP server with Wanaku', {
       name,
@@ -99,8 +144,18 @@ export class WanakuClient {
         endpoint,
         tools: tools || [],
         capabilities: capabilities || {},
+        priority,
+        healthPath,
         registered_at: new Date().toISOString(),
-        status: 'registered'
+        status: 'registered',
+        latency_ms: null,
+        last_checked_at: null,
+        last_error: null,
+        circuit: {
+          state: circuitStates.CLOSED,
+          failures: 0,
+          opened_at: null
+        }
       });
 
       wanakuLogger.info('MCP server registered successfully', { name });
@@ -190,6 +245,7 @@ export class WanakuClient {
 
   /**
    * Route tool call to appropriate server
+   * Candidates are ordered by the routing policy; failures fail over to the next one
    */
   async routeToolCall(toolName, args, options = {}) {
     const { serverName, timeout } = options;
@@ -200,22 +256,106 @@ export class WanakuClient {
       args
     });
 
-    if (!serverName) {
-      // Find server that has this tool
-      for (const [name, server] of this.registeredServers.entries()) {
-        if (server.tools.includes(toolName)) {
-          return this.callServerTool(name, toolName, args, { timeout });
-        }
+    if (serverName) {
+      return this.callServerTool(serverName, toolName, args, { timeout });
+    }
+
+    const candidates = this.selectServers(toolName, options.policy);
+
+    if (candidates.length === 0) {
+      const advertised = this.getServersForTool(toolName);
+      if (advertised.length === 0) {
+        throw new Error(`Tool ${toolName} not found in any registered server`);
       }
+      throw new Error(`No available server for tool ${toolName} (all circuits open)`);
+    }
+
+    // With alternatives available, fail over instead of retrying the same server
+    const retries = candidates.length > 1 ? 0 : this.config.maxRetries;
+    const failures = [];
+
+    for (const name of candidates) {
+      try {
+        const result = await this.callServerTool(name, toolName, args, { timeout, retries });
+
+        if (failures.length > 0) {
+          wanakuLogger.info('Tool call succeeded after failover', {
+            tool: toolName,
+            server: name,
+            failedServers: failures.map(f => f.server)
+          });
+        }
 
-      throw new Error(`Tool ${toolName} not found in any registered server`);
+        return result;
+      } catch (error) {
+        failures.push({ server: name, error: error.message });
+
+        if (error.retryable === false) {
+          throw error;
+        }
+
+        wanakuLogger.warn('Failing over to next server', {
+          tool: toolName,
+          failedServer: name,
+          error: error.message
+        });
+      }
     }
 
-    return this.callServerTool(serverName, toolName, args, { timeout });
+    throw new Error(
+      `All servers failed for tool ${toolName}: ` +
+      failures.map(f => `${f.server} (${f.error})`).join('; ')
+    );
+  }
+
+  /**
+   * Names of all servers advertising a tool
+   */
+  getServersForTool(toolName) {
+    return Array.from(this.registeredServers.entries())
+      .filter(([, server]) => server.tools.includes(toolName))
+      .map(([name]) => name);
   }
 
   /**
-   * Call tool on specific server
+   * Servers that can take a call for a tool, ordered by routing policy
+   */
+  selectServers(toolName, policy = this.config.routingPolicy) {
+    const available = this.getServersForTool(toolName)
+      .filter(name => this.isCircuitAvailable(name))
+      .map(name => ({ name, server: this.registeredServers.get(name) }));
+
+    // Prefer servers whose last probe succeeded
+    const rank = ({ server }) => (server.status === 'unhealthy' ? 1 : 0);
+
+    switch (policy) {
+      case routingPolicies.ROUND_ROBIN: {
+        const cursor = this.roundRobinCursors.get(toolName) || 0;
+        this.roundRobinCursors.set(toolName, cursor + 1);
+
+        const rotated = available.map((_, i) => available[(cursor + i) % available.length]);
+        return rotated.sort((a, b) => rank(a) - rank(b)).map(c => c.name);
+      }
+
+      case routingPolicies.LEAST_LATENCY:
+        return available
+          .sort((a, b) =>
+            rank(a) - rank(b) ||
+            (a.server.latency_ms ?? Infinity) - (b.server.latency_ms ?? Infinity) ||
+            a.server.priority - b.server.priority
+          )
+          .map(c => c.name);
+
+      case routingPolicies.PRIORITY:
+      default:
+        return available
+          .sort((a, b) => rank(a) - rank(b) || a.server.priority - b.server.priority)
+          .map(c => c.name);
+    }
+  }
+
+  /**
+   * Call tool on specific server, retrying transient failures
    */
   async callServerTool(serverName, toolName, args, options = {}) {
     const server = this.registeredServers.get(serverName);
@@ -228,40 +368,287 @@ export class WanakuClient {
       throw new Error(`Tool ${toolName} not available on server ${serverName}`);
     }
 
+    const retries = options.retries ?? this.config.maxRetries;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.executeServerCall(serverName, server, toolName, args, options);
+      } catch (error) {
+        const circuitOpen = server.circuit.state === circuitStates.OPEN;
+
+        if (!error.retryable || circuitOpen || attempt >= retries) {
+          throw error;
+        }
+
+        wanakuLogger.warn('Retrying server tool call', {
+          server: serverName,
+          tool: toolName,
+          attempt: attempt + 1,
+          maxRetries: retries,
+          error: error.message
+        });
+
+        await new Promise(resolve => setTimeout(resolve, this.config.retryDelay * Math.pow(2, attempt)));
+      }
+    }
+  }
+
+  /**
+   * Perform a single HTTP tool call, as the only trial call while the
+   * server's circuit is half-open
+   */
+  async executeServerCall(serverName, server, toolName, args, options = {}) {
+    const { circuit } = server;
+    const trial = circuit.state === circuitStates.HALF_OPEN;
+
+    if (trial) {
+      if (circuit.trial_in_flight) {
+        throw new ServerCallError(`Circuit half-open, trial call to ${serverName} in progress`, { server: serverName });
+      }
+      circuit.trial_in_flight = true;
+    }
+
+    try {
+      return await this.sendServerCall(serverName, server, toolName, args, options);
+    } finally {
+      // A success replaces the circuit and a failure reopens it; a client error leaves it half-open
+      if (trial) {
+        circuit.trial_in_flight = false;
+      }
+    }
+  }
+
+  /**
+   * Send one HTTP tool call and record its outcome
+   */
+  async sendServerCall(serverName, server, toolName, args, options = {}) {
     wanakuLogger.info('Calling server tool', {
       server: serverName,
       tool: toolName,
       args
     });
 
+    const startTime = Date.now();
+    let response;
+
     try {
-      const response = await fetch(`${server.endpoint}/tools/${toolName}`, {
+      response = await fetch(`${server.endpoint}/tools/${toolName}`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(args),
         signal: AbortSignal.timeout(options.timeout || this.config.timeout)
       });
+    } catch (error) {
+      this.recordFailure(serverName, error.message);
+
+      wanakuLogger.error('Server tool call failed', {
+        server: serverName,
+        tool: toolName,
+        error: error.message
+      });
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      throw new ServerCallError(error.message, { server: serverName });
+    }
+
+    if (!response.ok) {
+      // 4xx means the request itself is bad: don't trip the breaker or fail over
+      const retryable = response.status >= 500 || response.status === 429;
+      const message = `HTTP ${response.status}: ${response.statusText}`;
+
+      if (retryable) {
+        this.recordFailure(serverName, message);
       }
 
-      const result = await response.json();
+      wanakuLogger.error('Server tool call failed', {
+        server: serverName,
+        tool: toolName,
+        error: message
+      });
+
+      throw new ServerCallError(message, { server: serverName, status: response.status, retryable });
+    }
+
+    const result = await response.json();
+    this.recordSuccess(serverName, Date.now() - startTime);
+
+    wanakuLogger.info('Server tool call successful', {
+      server: serverName,
+      tool: toolName
+    });
+
+    return result;
+  }
 
-      wanakuLogger.info('Server tool call successful', {
+  // ============================================================
+  // Circuit Breaking
+  // ============================================================
+
+  /**
+   * Whether a server's circuit lets calls through
+   * An open circuit moves to half-open once the reset timeout has elapsed,
+   * and a half-open one lets a single trial call through at a time
+   */
+  isCircuitAvailable(serverName) {
+    const server = this.registeredServers.get(serverName);
+
+    if (!server) {
+      return false;
+    }
+
+    const { circuit } = server;
+
+    if (circuit.state === circuitStates.HALF_OPEN) {
+      return !circuit.trial_in_flight;
+    }
+
+    if (circuit.state !== circuitStates.OPEN) {
+      return true;
+    }
+
+    if (Date.now() - circuit.opened_at >= this.config.circuitResetTimeout) {
+      circuit.state = circuitStates.HALF_OPEN;
+      circuit.trial_in_flight = false;
+      wanakuLogger.info('Circuit half-open, allowing trial call', { server: serverName });
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Record a successful call or probe
+   */
+  recordSuccess(serverName, latency) {
+    const server = this.registeredServers.get(serverName);
+
+    if (!server) {
+      return;
+    }
+
+    server.latency_ms = server.latency_ms === null
+      ? latency
+      : Math.round(LATENCY_SMOOTHING * latency + (1 - LATENCY_SMOOTHING) * server.latency_ms);
+    server.status = 'healthy';
+    server.last_error = null;
+
+    if (server.circuit.state !== circuitStates.CLOSED) {
+      wanakuLogger.info('Circuit closed', { server: serverName });
+    }
+
+    server.circuit = {
+      state: circuitStates.CLOSED,
+      failures: 0,
+      opened_at: null
+    };
+  }
+
+  /**
+   * Record a failed call or probe, opening the circuit past the threshold
+   */
+  recordFailure(serverName, message) {
+    const server = this.registeredServers.get(serverName);
+
+    if (!server) {
+      return;
+    }
+
+    const { circuit } = server;
+    circuit.failures++;
+    server.last_error = message;
+
+    const shouldOpen = circuit.state === circuitStates.HALF_OPEN ||
+      circuit.failures >= this.config.failureThreshold;
+
+    if (shouldOpen && circuit.state !== circuitStates.OPEN) {
+      circuit.state = circuitStates.OPEN;
+      circuit.opened_at = Date.now();
+
+      wanakuLogger.warn('Circuit opened', {
         server: serverName,
-        tool: toolName
+        failures: circuit.failures,
+        error: message
+      });
+    }
+  }
+
+  // ============================================================
+  // Health Probing
+  // ============================================================
+
+  /**
+   * Probe one server's health endpoint and update its status
+   */
+  async probeServer(serverName) {
+    const server = this.registeredServers.get(serverName);
+
+    if (!server) {
+      throw new Error(`Server ${serverName} not registered`);
+    }
+
+    const startTime = Date.now();
+    server.last_checked_at = new Date().toISOString();
+
+    try {
+      const response = await fetch(`${server.endpoint}${server.healthPath}`, {
+        method: 'GET',
+        signal: AbortSignal.timeout(this.config.healthCheckTimeout)
       });
 
-      return result;
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      this.recordSuccess(serverName, Date.now() - startTime);
     } catch (error) {
-      wanakuLogger.error('Server tool call failed', {
+      this.recordFailure(serverName, error.message);
+      server.status = 'unhealthy';
+
+      wanakuLogger.warn('Server health probe failed', {
         server: serverName,
-        tool: toolName,
         error: error.message
       });
+    }
+
+    return {
+      server: serverName,
+      status: server.status,
+      circuit: server.circuit.state,
+      latency_ms: server.latency_ms
+    };
+  }
+
+  /**
+   * Probe all registered servers
+   */
+  async probeServers() {
+    const names = Array.from(this.registeredServers.keys());
+    return Promise.all(names.map(name => this.probeServer(name)));
+  }
+
+  /**
+   * Start periodic health probing
+   */
+  startHealthChecks(interval = this.config.healthCheckInterval) {
+    this.stopHealthChecks();
+
+    this.healthTimer = setInterval(() => {
+      this.probeServers().catch(error => {
+        wanakuLogger.error('Health probing failed', { error: error.message });
+      });
+    }, interval);
+    this.healthTimer.unref();
 
-      throw error;
+    wanakuLogger.info('Health probing started', { interval_ms: interval });
+  }
+
+  /**
+   * Stop periodic health probing
+   */
+  stopHealthChecks() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+      wanakuLogger.info('Health probing stopped');
     }
   }
 
@@ -293,13 +680,16 @@ export class WanakuClient {
     const stats = {
       total_servers: this.registeredServers.size,
       total_tools: 0,
+      routing_policy: this.config.routingPolicy,
       servers_by_status: {},
-      tools_by_server: {}
+      tools_by_server: {},
+      circuits: {}
     };
 
     for (const [name, server] of this.registeredServers.entries()) {
       stats.total_tools += server.tools.length;
       stats.tools_by_server[name] = server.tools.length;
+      stats.circuits[name] = server.circuit.state;
 
       const status = server.status || 'unknown';
       stats.servers_by_status[status] = (stats.servers_by_status[status] || 0) + 1;
@@ -314,8 +704,11 @@ export class WanakuClient {
  */
 let globalClient = null;
 
+// Whether closeWanaku is registered for graceful shutdown; done once per process
+let shutdownRegistered = false;
+
 /**
- * Initialize global Wanaku client
+ * Initialize global Wanaku client and start probing its servers
  */
 export function initializeWanaku(config) {
   if (globalClient) {
@@ -328,9 +721,29 @@ export function initializeWanaku(config) {
     baseUrl: globalClient.getBaseUrl()
   });
 
+  if (globalClient.config.healthCheckInterval > 0) {
+    globalClient.startHealthChecks();
+  }
+  if (!shutdownRegistered) {
+    registerShutdownCallback(async () => {
+      closeWanaku();
+    }, 'wanaku');
+    shutdownRegistered = true;
+  }
+
   return globalClient;
 }
 
+/**
+ * Stop health probing and drop the global Wanaku client
+ */
+export function closeWanaku() {
+  if (globalClient) {
+    globalClient.stopHealthChecks();
+    globalClient = null;
+  }
+}
+
 /**
  * Get global Wanaku client instance
  */
@@ -351,8 +764,12 @@ export function isWanakuInitialized() {
 
 export default {
   WanakuClient,
+  ServerCallError,
   initializeWanaku,
+  closeWanaku,
   getWanakuClient,
   isWanakuInitialized,
+  routingPolicies,
+  circuitStates,
   wanakuConfig
 };
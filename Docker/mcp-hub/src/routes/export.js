@@ -0,0 +1,60 @@
+// ============================================================
+// Graph Export Routes
+// ============================================================
+// Description: Download the knowledge graph as JSON-LD, GraphML or
+// a Cypher script
+
+import express from 'express';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { logger } from '../utils/logger.js';
+import { ApiError, asyncHandler } from '../middleware/error-handler.js';
+import { createGraphExport, GraphExportError } from '../services/graph-export.js';
+import { CypherSafetyError } from '../utils/cypher-safety.js';
+import { namespaceConfig, NamespaceError, resolveNamespace } from '../utils/namespace.js';
+
+const router = express.Router();
+
+/**
+ * GET /export?format=jsonld|graphml|cypher&labels=Memory,Tag&tag=&from=&to=&embeddings=true&namespace=
+ * Streams the export of one namespace (the query parameter, then the
+ * namespace header) as an attachment
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const { format, labels, tag, from, to, embeddings } = req.query;
+
+  let graphExport;
+  try {
+    graphExport = createGraphExport({
+      format,
+      labels,
+      tag,
+      from,
+      to,
+      includeEmbeddings: embeddings === 'true',
+      namespace: resolveNamespace(req.query.namespace, req.get(namespaceConfig.header))
+    });
+  } catch (error) {
+    if (error instanceof GraphExportError || error instanceof CypherSafetyError || error instanceof NamespaceError) {
+      throw new ApiError(400, error.message);
+    }
+    throw error;
+  }
+
+  const filename = `graph-${new Date().toISOString().replace(/[:.]/g, '-')}${graphExport.extension}`;
+  res.setHeader('Content-Type', graphExport.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  try {
+    await pipeline(Readable.from(graphExport.chunks()), res);
+    logger.info('Graph export downloaded', { format: graphExport.format, ...graphExport.counts });
+  } catch (error) {
+    // Headers are sent once streaming starts, so the download is cut short
+    logger.error('Graph export failed', { format: graphExport.format, error: error.message });
+    if (!res.headersSent) {
+      throw error;
+    }
+  }
+}));
+
+export default router;
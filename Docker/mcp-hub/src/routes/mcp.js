@@ -0,0 +1,313 @@
+// ============================================================
+// MCP HTTP Transport Routes
+// ============================================================
+// Description: Serve the MCP hub over Streamable HTTP and legacy SSE
+// so remote agents can share one hub instead of spawning stdio containers
+
+import express from 'express';
+import { randomUUID } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { createMcpServer } from '../mcp/server-factory.js';
+import { createModuleLogger } from '../utils/log-helpers.js';
+import { namespaceConfig, resolveNamespace, NamespaceError } from '../utils/namespace.js';
+import { incrementActiveConnections, decrementActiveConnections } from './metrics.js';
+
+const mcpLogger = createModuleLogger('MCPTransport');
+
+const router = express.Router();
+
+const SESSION_IDLE_TIMEOUT = parseInt(process.env.MCP_SESSION_IDLE_TIMEOUT || '1800000'); // 30 minutes
+
+/**
+ * Active sessions keyed by session ID
+ * Each session owns its own MCP server instance and transport
+ */
+const sessions = new Map();
+
+/**
+ * Track a new session
+ */
+function addSession(sessionId, transport, server, type, namespace) {
+  sessions.set(sessionId, {
+    transport,
+    server,
+    type,
+    namespace,
+    createdAt: new Date().toISOString(),
+    lastActivity: Date.now()
+  });
+  incrementActiveConnections();
+
+  mcpLogger.info('MCP session opened', { sessionId, type, namespace, active: sessions.size });
+}
+
+/**
+ * Forget a session and close its server
+ */
+async function removeSession(sessionId) {
+  const session = sessions.get(sessionId);
+
+  if (!session) {
+    return;
+  }
+
+  sessions.delete(sessionId);
+  decrementActiveConnections();
+
+  try {
+    await session.server.close();
+  } catch (error) {
+    mcpLogger.warn('Error closing MCP session server', { sessionId, error: error.message });
+  }
+
+  mcpLogger.info('MCP session closed', { sessionId, type: session.type, active: sessions.size });
+}
+
+/**
+ * Look up a session and refresh its activity timestamp
+ */
+function touchSession(sessionId, type) {
+  const session = sessionId ? sessions.get(sessionId) : null;
+
+  if (!session || session.type !== type) {
+    return null;
+  }
+
+  session.lastActivity = Date.now();
+  return session;
+}
+
+/**
+ * Session namespace from the namespace header of the connecting request
+ */
+function requestNamespace(req) {
+  return resolveNamespace(req.get(namespaceConfig.header));
+}
+
+/**
+ * Send a JSON-RPC error response
+ */
+function sendJsonRpcError(res, status, code, message) {
+  res.status(status).json({
+    jsonrpc: '2.0',
+    error: { code, message },
+    id: null
+  });
+}
+
+// ============================================================
+// Streamable HTTP Transport
+// ============================================================
+
+/**
+ * POST /mcp
+ * Client-to-server messages; an initialize request opens a new session
+ */
+router.post('/', async (req, res) => {
+  const sessionId = req.get('mcp-session-id');
+
+  try {
+    const session = touchSession(sessionId, 'streamable-http');
+
+    if (session) {
+      await session.transport.handleRequest(req, res, req.body);
+      return;
+    }
+
+    if (sessionId || !isInitializeRequest(req.body)) {
+      sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+      return;
+    }
+
+    const namespace = requestNamespace(req);
+    const server = createMcpServer({ namespace });
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (newSessionId) => {
+        addSession(newSessionId, transport, server, 'streamable-http', namespace);
+      }
+    });
+
+    transport.onclose = () => {
+      if (transport.sessionId) {
+        removeSession(transport.sessionId);
+      }
+    };
+
+    await server.connect(transport);
+    await transport.handleRequest(req, res, req.body);
+  } catch (error) {
+    if (error instanceof NamespaceError) {
+      sendJsonRpcError(res, 400, -32602, error.message);
+      return;
+    }
+
+    mcpLogger.error('MCP request failed', { sessionId, error: error.message });
+
+    if (!res.headersSent) {
+      sendJsonRpcError(res, 500, -32603, 'Internal server error');
+    }
+  }
+});
+
+/**
+ * GET /mcp - server-to-client notification stream
+ * DELETE /mcp - explicit session termination
+ */
+async function handleSessionRequest(req, res) {
+  const sessionId = req.get('mcp-session-id');
+  const session = touchSession(sessionId, 'streamable-http');
+
+  if (!session) {
+    sendJsonRpcError(res, 400, -32000, 'Bad Request: Invalid or missing session ID');
+    return;
+  }
+
+  try {
+    await session.transport.handleRequest(req, res);
+  } catch (error) {
+    mcpLogger.error('MCP session request failed', { sessionId, error: error.message });
+
+    if (!res.headersSent) {
+      sendJsonRpcError(res, 500, -32603, 'Internal server error');
+    }
+  }
+}
+
+router.get('/', handleSessionRequest);
+router.delete('/', handleSessionRequest);
+
+// ============================================================
+// Legacy SSE Transport
+// ============================================================
+
+/**
+ * GET /mcp/sse
+ * Opens an SSE stream; the client posts messages to /mcp/messages
+ */
+router.get('/sse', async (req, res) => {
+  try {
+    const namespace = requestNamespace(req);
+    const server = createMcpServer({ namespace });
+    const transport = new SSEServerTransport(`${req.baseUrl}/messages`, res);
+
+    addSession(transport.sessionId, transport, server, 'sse', namespace);
+
+    res.on('close', () => {
+      removeSession(transport.sessionId);
+    });
+
+    await server.connect(transport);
+  } catch (error) {
+    if (error instanceof NamespaceError) {
+      res.status(400).end(error.message);
+      return;
+    }
+
+    mcpLogger.error('Failed to open SSE session', { error: error.message });
+
+    if (!res.headersSent) {
+      res.status(500).end('Failed to open SSE session');
+    }
+  }
+});
+
+/**
+ * POST /mcp/messages?sessionId=...
+ * Client-to-server messages for an SSE session
+ */
+router.post('/messages', async (req, res) => {
+  const sessionId = req.query.sessionId;
+  const session = touchSession(sessionId, 'sse');
+
+  if (!session) {
+    res.status(404).json({ error: `No SSE session found for ID: ${sessionId}` });
+    return;
+  }
+
+  try {
+    await session.transport.handlePostMessage(req, res, req.body);
+  } catch (error) {
+    mcpLogger.error('SSE message handling failed', { sessionId, error: error.message });
+
+    if (!res.headersSent) {
+      res.status(500).end('Failed to handle message');
+    }
+  }
+});
+
+// ============================================================
+// Session Management
+// ============================================================
+
+/**
+ * GET /mcp/sessions
+ * Summary of active sessions
+ */
+router.get('/sessions', (req, res) => {
+  res.json({
+    count: sessions.size,
+    sessions: Array.from(sessions.entries()).map(([id, session]) => ({
+      id,
+      type: session.type,
+      namespace: session.namespace,
+      createdAt: session.createdAt,
+      lastActivity: new Date(session.lastActivity).toISOString()
+    }))
+  });
+});
+
+/**
+ * Close sessions that have been idle longer than the timeout
+ */
+export async function pruneIdleSessions(maxIdleMs = SESSION_IDLE_TIMEOUT) {
+  const cutoff = Date.now() - maxIdleMs;
+  const idle = Array.from(sessions.entries())
+    .filter(([, session]) => session.lastActivity < cutoff)
+    .map(([id]) => id);
+
+  for (const sessionId of idle) {
+    const session = sessions.get(sessionId);
+    await session.transport.close().catch(() => {});
+    await removeSession(sessionId);
+  }
+
+  if (idle.length > 0) {
+    mcpLogger.info('Pruned idle MCP sessions', { count: idle.length });
+  }
+
+  return idle.length;
+}
+
+/**
+ * Close all sessions (used during shutdown)
+ */
+export async function closeAllSessions() {
+  const ids = Array.from(sessions.keys());
+
+  for (const sessionId of ids) {
+    const session = sessions.get(sessionId);
+    await session.transport.close().catch(() => {});
+    await removeSession(sessionId);
+  }
+
+  mcpLogger.info('All MCP sessions closed', { count: ids.length });
+}
+
+/**
+ * Number of active sessions
+ */
+export function getSessionCount() {
+  return sessions.size;
+}
+
+const pruneInterval = setInterval(() => {
+  pruneIdleSessions().catch(error => {
+    mcpLogger.error('Failed to prune idle MCP sessions', { error: error.message });
+  });
+}, Math.min(SESSION_IDLE_TIMEOUT, 60000));
+pruneInterval.unref();
+
+export default router;
@@ -63,6 +63,37 @@ const ollamaRequestDuration = new promClient.Histogram({
   buckets: [0.5, 1, 2, 5, 10, 30, 60, 120]
 });
 
+const ollamaQueueDepth = new promClient.Gauge({
+  name: 'mcp_hub_ollama_queue_depth',
+  help: 'Ollama requests waiting for a model slot',
+  labelNames: ['model']
+});
+
+const ollamaActiveRequests = new promClient.Gauge({
+  name: 'mcp_hub_ollama_active_requests',
+  help: 'Ollama requests holding a model slot',
+  labelNames: ['model']
+});
+
+const ollamaQueueWait = new promClient.Histogram({
+  name: 'mcp_hub_ollama_queue_wait_seconds',
+  help: 'Time Ollama requests waited for a model slot in seconds',
+  labelNames: ['model'],
+  buckets: [0.01, 0.1, 0.5, 1, 5, 10, 30, 60, 120]
+});
+
+const ollamaCacheLookups = new promClient.Counter({
+  name: 'mcp_hub_ollama_cache_lookups_total',
+  help: 'Ollama response cache lookups',
+  labelNames: ['kind', 'result']
+});
+
+const ollamaTaskSelections = new promClient.Counter({
+  name: 'mcp_hub_ollama_task_selections_total',
+  help: 'Task types chosen for auto-routed Ollama requests',
+  labelNames: ['task_type', 'method']
+});
+
 // Obsidian write operations
 const obsidianWrites = new promClient.Counter({
   name: 'mcp_hub_obsidian_writes_total',
@@ -77,6 +108,11 @@ register.registerMetric(activeConnections);
 register.registerMetric(neo4jOperations);
 register.registerMetric(ollamaRequests);
 register.registerMetric(ollamaRequestDuration);
+register.registerMetric(ollamaTaskSelections);
+register.registerMetric(ollamaQueueDepth);
+register.registerMetric(ollamaActiveRequests);
+register.registerMetric(ollamaQueueWait);
+register.registerMetric(ollamaCacheLookups);
 register.registerMetric(obsidianWrites);
 
 /**
@@ -145,6 +181,23 @@ export function recordOllamaRequest(model, status, duration) {
   }
 }
 
+export function setOllamaQueueState(model, active, queued) {
+  ollamaActiveRequests.labels(model).set(active);
+  ollamaQueueDepth.labels(model).set(queued);
+}
+
+export function recordOllamaQueueWait(model, duration) {
+  ollamaQueueWait.labels(model).observe(duration);
+}
+
+export function recordOllamaCacheLookup(kind, result) {
+  ollamaCacheLookups.labels(kind, result).inc();
+}
+
+export function recordTaskSelection(taskType, method) {
+  ollamaTaskSelections.labels(taskType, method).inc();
+}
+
 export function recordObsidianWrite(status) {
   obsidianWrites.labels(status).inc();
 }
@@ -0,0 +1,107 @@
+// ============================================================
+// Ollama Streaming Routes
+// ============================================================
+// Description: Stream chat tokens over Server-Sent Events; closing
+// the connection aborts the Ollama request. Auto routing stats.
+
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import { ApiError, asyncHandler } from '../middleware/error-handler.js';
+import { chat, defaultTaskType, StreamAbortedError } from '../services/ollama-router.js';
+import { getRoutingStats } from '../services/task-classifier.js';
+
+const router = express.Router();
+
+/**
+ * Write one SSE event
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Chat messages from a request body: messages as given, or system + prompt
+ */
+export function chatMessages({ messages, prompt, system } = {}) {
+  if (Array.isArray(messages) && messages.length > 0) {
+    return messages;
+  }
+
+  if (typeof prompt === 'string' && prompt.length > 0) {
+    return [
+      ...(system ? [{ role: 'system', content: system }] : []),
+      { role: 'user', content: prompt }
+    ];
+  }
+
+  return null;
+}
+
+/**
+ * POST /ollama/chat
+ * Body: { messages | prompt, system?, model?, task_type?, options? }
+ * Streams "token" events ({content}), then one "done" or "error" event
+ */
+router.post('/chat', asyncHandler(async (req, res) => {
+  const { model, task_type: taskType = defaultTaskType, options } = req.body || {};
+  const messages = chatMessages(req.body);
+
+  if (!messages) {
+    throw new ApiError(400, 'messages or prompt is required');
+  }
+
+  // A client disconnect before the response ends cancels generation
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  try {
+    const result = await chat(messages, model, {
+      taskType,
+      stream: true,
+      signal: controller.signal,
+      onToken: token => sendEvent(res, 'token', { content: token }),
+      ...(options && { options })
+    });
+
+    sendEvent(res, 'done', {
+      model: result.model,
+      task_type: result.taskType,
+      classification: result.classification,
+      message: result.message,
+      duration_ms: result.duration_ms
+    });
+  } catch (error) {
+    if (error instanceof StreamAbortedError) {
+      logger.info('Ollama chat stream cancelled by client', { model });
+      return;
+    }
+
+    logger.error('Ollama chat stream failed', { model, error: error.message });
+    sendEvent(res, 'error', { error: error.message });
+  }
+
+  res.end();
+}));
+
+/**
+ * GET /ollama/routing-stats
+ * Query: recent? (default 20)
+ * How "auto" requests were classified and, from feedback, how accurately
+ */
+router.get('/routing-stats', (req, res) => {
+  const recent = parseInt(req.query.recent || '20');
+  res.json(getRoutingStats({ recent: Number.isNaN(recent) ? 20 : recent }));
+});
+
+export default router;
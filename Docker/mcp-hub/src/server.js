@@ -13,8 +13,14 @@ import { protocolOmegaMiddleware } from './middleware/protocol-omega.js';
 import { httpMetricsMiddleware } from './routes/metrics.js';
 import { initializeNeo4j, closeNeo4j } from './services/neo4j-client.js';
 import { initializeOllama } from './services/ollama-router.js';
+import { initializeVaultIndex, closeVaultIndex } from './services/obsidian-index.js';
+import { initializeSchemaRegistry } from './services/entity-schemas.js';
 import healthRoutes from './routes/health.js';
 import metricsRoutes from './routes/metrics.js';
+import mcpRoutes, { closeAllSessions } from './routes/mcp.js';
+import exportRoutes from './routes/export.js';
+import ollamaRoutes from './routes/ollama.js';
+import { startConsolidationSchedule, stopConsolidationSchedule } from './mcp/tools/memory-tools.js';
 
 // Load environment variables
 import dotenv from 'dotenv';
@@ -57,6 +63,15 @@ app.use('/health', healthRoutes);
 // Metrics route (Prometheus)
 app.use('/metrics', metricsRoutes);
 
+// MCP over Streamable HTTP (/mcp) and legacy SSE (/mcp/sse)
+app.use('/mcp', mcpRoutes);
+
+// Knowledge graph export
+app.use('/export', exportRoutes);
+
+// Ollama token streaming (SSE)
+app.use('/ollama', ollamaRoutes);
+
 // API info endpoint
 app.get('/', (req, res) => {
   res.json({
@@ -66,7 +81,11 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/health',
       metrics: '/metrics',
-      mcp: '/mcp/*'
+      mcp: '/mcp',
+      mcp_sse: '/mcp/sse',
+      export: '/export',
+      ollama_chat: '/ollama/chat',
+      ollama_routing_stats: '/ollama/routing-stats'
     },
     documentation: 'https://github.com/Ruben-Alvarez-Dev/MCP-superserver'
   });
@@ -103,6 +122,15 @@ function startServer() {
     });
   }
 
+  // Load the entity schemas that graph writes are validated against
+  try {
+    initializeSchemaRegistry();
+  } catch (error) {
+    logger.warn('Failed to load entity schemas, graph writes will be rejected until fixed', {
+      error: error.message
+    });
+  }
+
   // Initialize Ollama router
   try {
     if (process.env.OLLAMA_ENABLED !== 'false') {
@@ -120,6 +148,18 @@ function startServer() {
     });
   }
 
+  // Build the Obsidian search index and watch the vault
+  if (process.env.OBSIDIAN_INDEX_ENABLED !== 'false') {
+    initializeVaultIndex().catch(err => {
+      logger.warn('Failed to build Obsidian index, searches will build it on demand', {
+        error: err.message
+      });
+    });
+  }
+
+  // Merge duplicate memories on a schedule (MEMORY_CONSOLIDATION_INTERVAL)
+  startConsolidationSchedule();
+
   server = app.listen(PORT, HOST, () => {
     logger.info(`MCP Hub server started`, {
       host: HOST,
@@ -153,6 +193,21 @@ function startServer() {
     });
   }, 'http-server');
 
+  // Register MCP session shutdown callback
+  registerShutdownCallback(async () => {
+    await closeAllSessions();
+  }, 'mcp-sessions');
+
+  // Register memory consolidation shutdown callback
+  registerShutdownCallback(async () => {
+    stopConsolidationSchedule();
+  }, 'memory-consolidation');
+
+  // Register Obsidian index shutdown callback
+  registerShutdownCallback(async () => {
+    await closeVaultIndex();
+  }, 'obsidian-index');
+
   // Register Neo4j shutdown callback
   registerShutdownCallback(async () => {
     try {
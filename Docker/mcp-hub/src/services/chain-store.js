@@ -0,0 +1,484 @@
+// ============================================================
+// Reasoning Chain Store
+// ============================================================
+// Description: Persistence backends for sequential-thinking chains
+// (memory, file, neo4j) behind one interface
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import neo4j from 'neo4j-driver';
+import { executeQuery, executeWriteTransaction } from './neo4j-client.js';
+import { createModuleLogger } from '../utils/log-helpers.js';
+import { currentNamespace, namespacePredicate, resolveNamespace } from '../utils/namespace.js';
+
+const storeLogger = createModuleLogger('ChainStore');
+
+export const chainStoreTypes = {
+  MEMORY: 'memory',
+  FILE: 'file',
+  NEO4J: 'neo4j'
+};
+
+const DEFAULT_CHAIN_DIR = process.env.CHAIN_STORE_DIR || path.resolve(process.cwd(), 'data/chains');
+
+/**
+ * Chain metadata without its steps
+ */
+function chainMetadata(chain) {
+  const { steps, ...metadata } = chain;
+  return metadata;
+}
+
+/**
+ * Whether a chain belongs to the current namespace
+ * Chains saved before namespaces existed belong to the default one
+ */
+function inCurrentNamespace(chain) {
+  return (chain.namespace ?? resolveNamespace()) === currentNamespace();
+}
+
+/**
+ * Summary used by listChains
+ */
+function summarize(chain) {
+  return {
+    ...chainMetadata(chain),
+    stepCount: chain.steps?.length || 0
+  };
+}
+
+// ============================================================
+// Memory Store
+// ============================================================
+
+/**
+ * In-process store; chains are lost on restart
+ * Subclasses only need to override read/write/readAll
+ * Chains are only visible in the namespace they were created in, and
+ * updates of one chain run one at a time so none is lost
+ */
+export class MemoryChainStore {
+  constructor() {
+    this.type = chainStoreTypes.MEMORY;
+    this.chains = new Map();
+    // Running read-modify-write per chain id
+    this.updates = new Map();
+  }
+
+  /**
+   * Run an update of a chain once any running update of it has finished
+   */
+  inOrder(chainId, update) {
+    const previous = this.updates.get(chainId) || Promise.resolve();
+    const run = previous.catch(() => {}).then(update);
+
+    this.updates.set(chainId, run);
+    run.catch(() => {}).finally(() => {
+      if (this.updates.get(chainId) === run) {
+        this.updates.delete(chainId);
+      }
+    });
+
+    return run;
+  }
+
+  async read(chainId) {
+    const chain = this.chains.get(chainId);
+    return chain ? structuredClone(chain) : null;
+  }
+
+  async write(chain) {
+    this.chains.set(chain.id, structuredClone(chain));
+  }
+
+  async readAll() {
+    return Array.from(this.chains.values()).map(chain => structuredClone(chain));
+  }
+
+  /**
+   * Stored chain of the current namespace, or null
+   */
+  async readOwned(chainId) {
+    const chain = await this.read(chainId);
+    return chain && inCurrentNamespace(chain) ? chain : null;
+  }
+
+  /**
+   * Create or update chain metadata, keeping stored steps
+   */
+  saveChain(chain) {
+    return this.inOrder(chain.id, async () => {
+      const existing = await this.read(chain.id);
+
+      if (existing && !inCurrentNamespace(existing)) {
+        throw new Error(`Chain ${chain.id} not found in store`);
+      }
+
+      await this.write({
+        ...chainMetadata(chain),
+        namespace: existing?.namespace ?? currentNamespace(),
+        steps: existing?.steps || chain.steps || []
+      });
+    });
+  }
+
+  /**
+   * Append a step to a stored chain, numbered after its last stored step
+   * Returns the step number
+   */
+  saveStep(chainId, step) {
+    return this.inOrder(chainId, async () => {
+      const chain = await this.readOwned(chainId);
+
+      if (!chain) {
+        throw new Error(`Chain ${chainId} not found in store`);
+      }
+
+      const stepNumber = chain.steps.reduce((max, s) => Math.max(max, s.step_number || 0), 0) + 1;
+      chain.steps.push({ ...step, step_number: stepNumber });
+      chain.updated_at = step.created_at;
+      await this.write(chain);
+
+      return stepNumber;
+    });
+  }
+
+  /**
+   * Merge property updates into a stored chain
+   */
+  updateChain(chainId, updates) {
+    return this.inOrder(chainId, async () => {
+      const chain = await this.readOwned(chainId);
+
+      if (!chain) {
+        throw new Error(`Chain ${chainId} not found in store`);
+      }
+
+      await this.write({ ...chain, ...updates, namespace: chain.namespace });
+    });
+  }
+
+  /**
+   * Load a chain with its steps ordered by step number
+   */
+  async loadChain(chainId) {
+    const chain = await this.readOwned(chainId);
+
+    if (chain) {
+      chain.steps.sort((a, b) => a.step_number - b.step_number);
+    }
+
+    return chain;
+  }
+
+  /**
+   * List chain summaries, newest first
+   * branchFrom restricts the list to branches of one chain
+   */
+  async listChains({ status = 'all', limit = 50, branchFrom = null } = {}) {
+    return (await this.readAll())
+      .filter(inCurrentNamespace)
+      .filter(chain => status === 'all' || chain.status === status)
+      .filter(chain => !branchFrom || chain.branch_from === branchFrom)
+      .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)))
+      .slice(0, limit)
+      .map(summarize);
+  }
+}
+
+// ============================================================
+// File Store
+// ============================================================
+
+/**
+ * One JSON file per chain
+ */
+export class FileChainStore extends MemoryChainStore {
+  constructor({ chainDir = DEFAULT_CHAIN_DIR } = {}) {
+    super();
+    this.type = chainStoreTypes.FILE;
+    this.chainDir = chainDir;
+  }
+
+  filePath(chainId) {
+    // Chain IDs are UUIDs; strip anything that could escape the directory
+    return path.join(this.chainDir, `${path.basename(String(chainId))}.json`);
+  }
+
+  async read(chainId) {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(chainId), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async write(chain) {
+    await fs.mkdir(this.chainDir, { recursive: true });
+
+    // Write then rename so a crash never leaves a truncated chain
+    const target = this.filePath(chain.id);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(chain, null, 2), 'utf-8');
+    await fs.rename(temp, target);
+  }
+
+  async readAll() {
+    let files;
+    try {
+      files = await fs.readdir(this.chainDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const chains = [];
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      try {
+        chains.push(JSON.parse(await fs.readFile(path.join(this.chainDir, file), 'utf-8')));
+      } catch (error) {
+        storeLogger.warn('Skipping unreadable chain file', { file, error: error.message });
+      }
+    }
+
+    return chains;
+  }
+}
+
+// ============================================================
+// Neo4j Store
+// ============================================================
+
+/**
+ * ReasoningChain nodes with HAS_STEP-linked ReasoningStep nodes
+ * Steps are chained with NEXT; revisions point at the revised step with REVISES
+ * and merged conclusions at their branch chain with MERGED_FROM
+ * Nested objects are stored as JSON strings since Neo4j properties can't hold maps
+ * Chains and steps carry the namespace they were created in and every
+ * query is restricted to the current one
+ */
+export class Neo4jChainStore {
+  constructor() {
+    this.type = chainStoreTypes.NEO4J;
+  }
+
+  toChainProperties(chain) {
+    const { context, steps, ...rest } = chain;
+    const props = { ...rest };
+
+    if (context !== undefined) {
+      props.context_json = JSON.stringify(context);
+    }
+
+    // Neo4j rejects undefined parameter values
+    return Object.fromEntries(Object.entries(props).map(([k, v]) => [k, v === undefined ? null : v]));
+  }
+
+  fromChainProperties(props) {
+    const { context_json, ...rest } = props;
+    return {
+      ...rest,
+      context: context_json ? JSON.parse(context_json) : {},
+      tags: rest.tags || []
+    };
+  }
+
+  toStepProperties(step) {
+    const { data, ...rest } = step;
+    const props = { ...rest, data_json: JSON.stringify(data || {}) };
+    return Object.fromEntries(Object.entries(props).map(([k, v]) => [k, v === undefined ? null : v]));
+  }
+
+  fromStepProperties(props) {
+    const { data_json, ...rest } = props;
+    return {
+      ...rest,
+      data: data_json ? JSON.parse(data_json) : {}
+    };
+  }
+
+  async saveChain(chain) {
+    const props = this.toChainProperties(chain);
+
+    const namespace = currentNamespace();
+
+    await executeWriteTransaction(async (tx) => {
+      const result = await tx.run(
+        `
+          MERGE (c:ReasoningChain {id: $id})
+          ON CREATE SET c.namespace = $namespace
+          WITH c
+          WHERE ${namespacePredicate('c')}
+          SET c += $props
+          RETURN c.id AS id
+        `,
+        { id: chain.id, props, namespace }
+      );
+
+      if (result.records.length === 0) {
+        throw new Error(`Chain ${chain.id} not found in store`);
+      }
+
+      if (chain.branch_from) {
+        await tx.run(
+          `
+            MATCH (p:ReasoningChain {id: $parentId}), (c:ReasoningChain {id: $id})
+            WHERE ${namespacePredicate('p')} AND ${namespacePredicate('c')}
+            MERGE (p)-[:BRANCHED_TO]->(c)
+          `,
+          { parentId: chain.branch_from, id: chain.id, namespace }
+        );
+      }
+    });
+  }
+
+  /**
+   * Append a step, numbered after the chain's last stored step
+   * Setting the chain first takes its write lock, so concurrent steps of one
+   * chain are numbered one after another; returns the step number
+   */
+  async saveStep(chainId, step) {
+    const props = this.toStepProperties(step);
+    const namespace = currentNamespace();
+
+    return executeWriteTransaction(async (tx) => {
+      const result = await tx.run(
+        `
+          MATCH (c:ReasoningChain {id: $chainId})
+          WHERE ${namespacePredicate('c')}
+          SET c.updated_at = $props.created_at
+          WITH c
+          OPTIONAL MATCH (c)-[:HAS_STEP]->(existing:ReasoningStep)
+          WITH c, coalesce(max(existing.step_number), 0) + 1 AS stepNumber
+          CREATE (s:ReasoningStep)
+          SET s = $props, s.namespace = $namespace, s.step_number = stepNumber
+          CREATE (c)-[:HAS_STEP {order: stepNumber}]->(s)
+          WITH c, s
+          OPTIONAL MATCH (c)-[:HAS_STEP]->(prev:ReasoningStep)
+          WHERE prev.step_number = s.step_number - 1
+          FOREACH (_ IN CASE WHEN prev IS NULL THEN [] ELSE [1] END |
+            CREATE (prev)-[:NEXT]->(s)
+          )
+          RETURN s.step_number AS stepNumber
+        `,
+        { chainId, props, namespace }
+      );
+
+      if (result.records.length === 0) {
+        throw new Error(`Chain ${chainId} not found in store`);
+      }
+
+      if (step.revises) {
+        await tx.run(
+          `
+            MATCH (s:ReasoningStep {id: $id}), (r:ReasoningStep {id: $revises})
+            WHERE ${namespacePredicate('s')} AND ${namespacePredicate('r')}
+            CREATE (s)-[:REVISES]->(r)
+          `,
+          { id: step.id, revises: step.revises, namespace }
+        );
+      }
+
+      if (step.merged_from) {
+        await tx.run(
+          `
+            MATCH (s:ReasoningStep {id: $id}), (b:ReasoningChain {id: $branchId})
+            WHERE ${namespacePredicate('s')} AND ${namespacePredicate('b')}
+            CREATE (s)-[:MERGED_FROM]->(b)
+          `,
+          { id: step.id, branchId: step.merged_from, namespace }
+        );
+      }
+
+      return toNumber(result.records[0].get('stepNumber'));
+    });
+  }
+
+  async updateChain(chainId, updates) {
+    await executeQuery(
+      `
+        MATCH (c:ReasoningChain {id: $chainId})
+        WHERE ${namespacePredicate('c')}
+        SET c += $props
+      `,
+      { chainId, props: this.toChainProperties(updates), namespace: currentNamespace() }
+    );
+  }
+
+  async loadChain(chainId) {
+    const result = await executeQuery(
+      `
+        MATCH (c:ReasoningChain {id: $chainId})
+        WHERE ${namespacePredicate('c')}
+        OPTIONAL MATCH (c)-[:HAS_STEP]->(s:ReasoningStep)
+        WITH c, s ORDER BY s.step_number
+        RETURN c, collect(s) AS steps
+      `,
+      { chainId, namespace: currentNamespace() }
+    );
+
+    if (result.records.length === 0) {
+      return null;
+    }
+
+    const record = result.records[0];
+    return {
+      ...this.fromChainProperties(record.get('c').properties),
+      steps: record.get('steps').map(s => this.fromStepProperties(s.properties))
+    };
+  }
+
+  async listChains({ status = 'all', limit = 50, branchFrom = null } = {}) {
+    const result = await executeQuery(
+      `
+        MATCH (c:ReasoningChain)
+        WHERE ($status = 'all' OR c.status = $status)
+          AND ($branchFrom IS NULL OR c.branch_from = $branchFrom)
+          AND ${namespacePredicate('c')}
+        WITH c ORDER BY c.created_at DESC LIMIT $limit
+        OPTIONAL MATCH (c)-[:HAS_STEP]->(s:ReasoningStep)
+        RETURN c, count(s) AS stepCount
+        ORDER BY c.created_at DESC
+      `,
+      { status, branchFrom, limit: neo4j.int(Math.max(0, Math.floor(limit))), namespace: currentNamespace() }
+    );
+
+    return result.records.map(record => ({
+      ...this.fromChainProperties(record.get('c').properties),
+      stepCount: toNumber(record.get('stepCount'))
+    }));
+  }
+}
+
+function toNumber(value) {
+  return typeof value?.toNumber === 'function' ? value.toNumber() : Number(value);
+}
+
+/**
+ * Create the chain store for a configured type
+ */
+export function createChainStore(type = chainStoreTypes.NEO4J, options = {}) {
+  switch (type) {
+    case chainStoreTypes.MEMORY:
+      return new MemoryChainStore();
+    case chainStoreTypes.FILE:
+      return new FileChainStore(options);
+    case chainStoreTypes.NEO4J:
+      return new Neo4jChainStore();
+    default:
+      throw new Error(`Unknown chain store: ${type}`);
+  }
+}
+
+export default {
+  chainStoreTypes,
+  MemoryChainStore,
+  FileChainStore,
+  Neo4jChainStore,
+  createChainStore
+};
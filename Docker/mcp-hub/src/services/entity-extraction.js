@@ -0,0 +1,439 @@
+// ============================================================
+// Entity Extraction
+// ============================================================
+// Description: Extract named entities and typed relations from memory
+// content with the reasoning model, resolve them against existing
+// nodes by name and alias, and link them to the memory
+
+import { executeReadTransaction, executeWriteTransaction } from './neo4j-client.js';
+import { CypherQueryBuilder } from './neo4j-query-builder.js';
+import { getSchemaRegistry } from './entity-schemas.js';
+import { routeRequest, taskTypes } from './ollama-router.js';
+import { createModuleLogger } from '../utils/log-helpers.js';
+import { isDefaultNamespace, namespaceParam, whereNamespace } from '../utils/namespace.js';
+
+const extractionLogger = createModuleLogger('EntityExtraction');
+
+/**
+ * Extraction configuration
+ */
+export const extractionConfig = {
+  // Run extraction on store_memory unless the caller sets `extract`
+  enabled: process.env.MEMORY_EXTRACTION_ENABLED === 'true',
+  // Labels the model may assign; anything else becomes the fallback label
+  labels: (process.env.MEMORY_EXTRACTION_LABELS || 'Person,Project,Service,Concept,Event')
+    .split(',').map(label => label.trim()).filter(Boolean),
+  fallbackLabel: 'Concept',
+  // Extractions below this confidence are written as pending for review
+  minConfidence: parseFloat(process.env.MEMORY_EXTRACTION_MIN_CONFIDENCE || '0.7'),
+  maxContentLength: 8000
+};
+
+export const extractionStatus = {
+  ACCEPTED: 'accepted',
+  PENDING: 'pending'
+};
+
+// ============================================================
+// Prompt and Parsing
+// ============================================================
+
+export function buildExtractionPrompt(content, labels = extractionConfig.labels) {
+  return [
+    'Extract the named entities and the relations between them from the text below.',
+    `Give every entity one label from: ${labels.join(', ')}.`,
+    'List other names used for the same entity in the text as aliases.',
+    'Describe each relation with a short snake_case type such as works_on, depends_on or part_of.',
+    'Rate each entity and relation with a confidence from 0 to 1.',
+    'Answer with JSON only, in this shape:',
+    '{"entities": [{"name": "", "label": "", "aliases": [], "confidence": 0.9}],',
+    ' "relations": [{"from": "", "to": "", "type": "", "confidence": 0.8}]}',
+    '',
+    'Text:',
+    content.substring(0, extractionConfig.maxContentLength)
+  ].join('\n');
+}
+
+function clampConfidence(value) {
+  const confidence = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 0.5;
+}
+
+function nameKey(name) {
+  return name.trim().toLowerCase();
+}
+
+/**
+ * Parse the model's answer into entities and relations
+ *
+ * Reasoning output (<think> blocks) and code fences around the JSON are
+ * ignored. Entities are deduplicated by name and alias, unknown labels
+ * become the fallback label, and relations must join two extracted entities.
+ */
+export function parseExtraction(text, { labels = extractionConfig.labels, fallbackLabel = extractionConfig.fallbackLabel } = {}) {
+  const answer = String(text || '').replace(/<think>[\s\S]*?<\/think>/g, '');
+  const start = answer.indexOf('{');
+  const end = answer.lastIndexOf('}');
+
+  if (start === -1 || end <= start) {
+    throw new Error('Extraction answer contains no JSON object');
+  }
+
+  const parsed = JSON.parse(answer.slice(start, end + 1));
+  const byKey = new Map();
+  const entities = [];
+
+  for (const raw of Array.isArray(parsed.entities) ? parsed.entities : []) {
+    const name = typeof raw?.name === 'string' ? raw.name.trim() : '';
+    if (!name) {
+      continue;
+    }
+
+    const aliases = (Array.isArray(raw.aliases) ? raw.aliases : [])
+      .filter(alias => typeof alias === 'string' && alias.trim() && nameKey(alias) !== nameKey(name))
+      .map(alias => alias.trim());
+    const existing = [name, ...aliases].map(nameKey).map(key => byKey.get(key)).find(Boolean);
+
+    if (existing) {
+      existing.aliases = [...new Set([...existing.aliases, ...[name, ...aliases].filter(n => nameKey(n) !== nameKey(existing.name))])];
+      existing.confidence = Math.max(existing.confidence, clampConfidence(raw.confidence));
+      [name, ...aliases].forEach(n => byKey.set(nameKey(n), existing));
+      continue;
+    }
+
+    const label = labels.find(l => l.toLowerCase() === String(raw.label || '').trim().toLowerCase()) || fallbackLabel;
+    const entity = { name, label, aliases, confidence: clampConfidence(raw.confidence) };
+    entities.push(entity);
+    [name, ...aliases].forEach(n => byKey.set(nameKey(n), entity));
+  }
+
+  const relations = [];
+  const seen = new Set();
+
+  for (const raw of Array.isArray(parsed.relations) ? parsed.relations : []) {
+    const from = typeof raw?.from === 'string' ? byKey.get(nameKey(raw.from)) : null;
+    const to = typeof raw?.to === 'string' ? byKey.get(nameKey(raw.to)) : null;
+    const type = String(raw?.type || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+    if (!from || !to || from === to || !type) {
+      continue;
+    }
+
+    const key = `${from.name}\u0000${type}\u0000${to.name}`;
+    if (seen.has(key)) {
+      continue;
+    }
+    seen.add(key);
+    relations.push({ from, to, type, confidence: clampConfidence(raw.confidence) });
+  }
+
+  return { entities, relations };
+}
+
+/**
+ * Ask the reasoning model for the entities and relations in a memory
+ */
+async function generateExtraction(prompt) {
+  const result = await routeRequest(taskTypes.REASONING, prompt, {
+    format: 'json',
+    options: { temperature: 0 }
+  });
+  return result.response;
+}
+
+export async function extractEntities(content, { generate = generateExtraction, labels = extractionConfig.labels } = {}) {
+  const answer = await generate(buildExtractionPrompt(content, labels));
+  return parseExtraction(answer, { labels });
+}
+
+// ============================================================
+// Queries
+// ============================================================
+
+function statusFor(confidence, minConfidence) {
+  return confidence >= minConfidence ? extractionStatus.ACCEPTED : extractionStatus.PENDING;
+}
+
+export const extractionQueries = {
+  /**
+   * Existing nodes whose name or aliases match an entity's name or aliases
+   * (case-insensitive), preferring nodes with the extracted label
+   */
+  resolve(entities, labels = extractionConfig.labels) {
+    const qb = new CypherQueryBuilder();
+    const labelsParam = qb.addParam(labels, 'labels');
+    const candidates = entities.map((entity, index) => ({
+      index,
+      label: entity.label,
+      keys: [entity.name, ...entity.aliases].map(nameKey)
+    }));
+
+    return qb
+      .unwind(qb.addParam(candidates, 'candidates'), 'candidate')
+      .match('(n)')
+      .where(`any(label IN labels(n) WHERE label IN ${labelsParam})`)
+      .where('(toLower(n.name) IN candidate.keys OR any(alias IN coalesce(n.aliases, []) WHERE toLower(alias) IN candidate.keys))')
+      .where(whereNamespace(qb, 'n'))
+      .with('candidate, n')
+      .orderBy('candidate.index, CASE WHEN candidate.label IN labels(n) THEN 0 ELSE 1 END, n.name')
+      .with('candidate, collect(n)[0] AS found')
+      .return(`candidate.index AS index, [label IN labels(found) WHERE label IN ${labelsParam}][0] AS label, found.name AS name`);
+  },
+
+  /**
+   * Merge entities by label, name and namespace, link them to the memory
+   * with MENTIONS, and link related entities with RELATES_TO {type}
+   * Entity labels can't be parameters, so each label gets its own subquery.
+   * Groups are validated against the schemas before anything is written.
+   */
+  write(memoryId, { entities, relations }, { minConfidence = extractionConfig.minConfidence, extractedAt = new Date().toISOString() } = {}) {
+    const registry = getSchemaRegistry();
+    const qb = new CypherQueryBuilder();
+    const now = qb.addParam(extractedAt, 'extractedAt');
+    const namespace = namespaceParam(qb);
+    const byLabel = new Map();
+
+    for (const entity of entities) {
+      const status = statusFor(entity.confidence, minConfidence);
+      // Resolved entities are existing nodes and keep their properties
+      if (!entity.resolved) {
+        registry.assertEntity(entity.label, { name: entity.name, aliases: entity.aliases });
+      }
+      registry.assertRelationship('MENTIONS', 'Memory', entity.label, { confidence: entity.confidence, status });
+
+      if (!byLabel.has(entity.label)) {
+        byLabel.set(entity.label, []);
+      }
+      byLabel.get(entity.label).push({
+        name: entity.name,
+        aliases: entity.aliases,
+        confidence: entity.confidence,
+        status
+      });
+    }
+
+    const rels = relations.map(relation => ({
+      from: relation.from.name,
+      fromLabel: relation.from.label,
+      to: relation.to.name,
+      toLabel: relation.to.label,
+      type: relation.type,
+      confidence: relation.confidence,
+      status: statusFor(relation.confidence, minConfidence)
+    }));
+    for (const rel of rels) {
+      registry.assertRelationship('RELATES_TO', rel.fromLabel, rel.toLabel, {
+        type: rel.type,
+        confidence: rel.confidence,
+        status: rel.status
+      });
+    }
+
+    qb.match(qb.node('m', 'Memory', { id: memoryId }))
+      .where(whereNamespace(qb, 'm'));
+
+    for (const [label, group] of byLabel) {
+      qb.call(inner => {
+        inner
+          .with('m')
+          .unwind(inner.addParam(group, 'entities'), 'entity');
+
+        // The default namespace takes over entities written before namespaces
+        if (isDefaultNamespace()) {
+          inner
+            .optionalMatch(`(legacy:${inner.label(label)} {name: entity.name})`)
+            .where('legacy.namespace IS NULL')
+            .set(`legacy.namespace = ${namespace}`)
+            .with('DISTINCT m, entity');
+        }
+
+        inner
+          .merge(`(e:${inner.label(label)} {name: entity.name, namespace: ${namespace}})`)
+          .onCreateSet('e.id = randomUUID()', `e.createdAt = ${now}`, "e.source = 'extraction'")
+          .set('e.aliases = reduce(acc = [], alias IN coalesce(e.aliases, []) + entity.aliases | CASE WHEN alias IN acc OR alias = e.name THEN acc ELSE acc + alias END)')
+          .merge(`(m)-${inner.relationship('r', 'MENTIONS')}->(e)`)
+          .set('r.confidence = entity.confidence', 'r.status = entity.status', `r.extractedAt = ${now}`);
+      });
+    }
+
+    if (rels.length > 0) {
+      qb.call(inner => inner
+        .with('m')
+        .unwind(inner.addParam(rels, 'relations'), 'rel')
+        .match(`(a {name: rel.from, namespace: ${namespace}})`)
+        .where('rel.fromLabel IN labels(a)')
+        .match(`(b {name: rel.to, namespace: ${namespace}})`)
+        .where('rel.toLabel IN labels(b)')
+        .merge(`(a)-[r:${inner.type('RELATES_TO')} {type: rel.type}]->(b)`)
+        .set('r.confidence = rel.confidence', 'r.status = rel.status', 'r.memoryId = m.id', `r.extractedAt = ${now}`));
+    }
+
+    return qb.return('m.id AS memoryId');
+  },
+
+  pending({ memoryId = null, limit = 50 } = {}) {
+    const qb = new CypherQueryBuilder();
+    qb.match('(a)-[r:MENTIONS|RELATES_TO]->(b)')
+      .where(`r.status = ${qb.addParam(extractionStatus.PENDING, 'status')}`)
+      .where(whereNamespace(qb, 'a'));
+
+    if (memoryId) {
+      const id = qb.addParam(memoryId, 'memoryId');
+      qb.where(`(a.id = ${id} OR r.memoryId = ${id})`);
+    }
+
+    return qb
+      .return('elementId(r) AS id, type(r) AS relationship, r.type AS type, r.confidence AS confidence, coalesce(r.memoryId, a.id) AS memoryId, a.name AS from, labels(a)[0] AS fromLabel, b.name AS to, labels(b)[0] AS toLabel, b.source = \'extraction\' AS created')
+      .orderBy('confidence ASC')
+      .limit(limit);
+  },
+
+  accept(ids, reviewedAt = new Date().toISOString()) {
+    const qb = new CypherQueryBuilder();
+    return qb
+      .match('(a)-[r:MENTIONS|RELATES_TO]->()')
+      .where(`elementId(r) IN ${qb.addParam(ids, 'ids')}`)
+      .where(`r.status = ${qb.addParam(extractionStatus.PENDING, 'status')}`)
+      .where(whereNamespace(qb, 'a'))
+      .set(`r.status = '${extractionStatus.ACCEPTED}'`, `r.reviewedAt = ${qb.addParam(reviewedAt, 'reviewedAt')}`)
+      .return('count(r) AS count');
+  },
+
+  /**
+   * Delete rejected edges, and entities created by extraction that are
+   * left without any relationship
+   */
+  reject(ids) {
+    const qb = new CypherQueryBuilder();
+    return qb
+      .match('(a)-[r:MENTIONS|RELATES_TO]->(b)')
+      .where(`elementId(r) IN ${qb.addParam(ids, 'ids')}`)
+      .where(`r.status = ${qb.addParam(extractionStatus.PENDING, 'status')}`)
+      .where(whereNamespace(qb, 'a'))
+      .delete('r')
+      .with('collect(a) + collect(b) AS ends, count(*) AS count')
+      .call(inner => inner
+        .with('ends')
+        .unwind('ends', 'n')
+        .with('DISTINCT n')
+        .where("n.source = 'extraction' AND NOT EXISTS { MATCH (n)--() }")
+        .delete('n'))
+      .return('count');
+  }
+};
+
+// ============================================================
+// Operations
+// ============================================================
+
+/**
+ * Replace extracted entities with the existing nodes they match
+ * Relations keep pointing at the same (now resolved) entity objects
+ */
+export async function resolveEntities(entities) {
+  if (entities.length === 0) {
+    return entities;
+  }
+
+  const query = extractionQueries.resolve(entities);
+  const matches = await executeReadTransaction(async (tx) => {
+    const result = await query.run(tx);
+    return result.records.map(record => ({
+      index: record.get('index').toNumber?.() ?? record.get('index'),
+      label: record.get('label'),
+      name: record.get('name')
+    }));
+  });
+
+  for (const match of matches) {
+    const entity = entities[match.index];
+    if (!entity || !match.name) {
+      continue;
+    }
+
+    if (match.name !== entity.name) {
+      entity.aliases = [...new Set([...entity.aliases, entity.name])].filter(alias => alias !== match.name);
+    }
+    entity.resolved = true;
+    entity.name = match.name;
+    entity.label = match.label || entity.label;
+  }
+
+  return entities;
+}
+
+/**
+ * Extract, resolve and link the entities of a stored memory
+ * Returns a summary of what was written and what awaits review
+ */
+export async function extractAndLinkEntities(memoryId, content, { generate, minConfidence = extractionConfig.minConfidence } = {}) {
+  const extraction = await extractEntities(content, { generate });
+  await resolveEntities(extraction.entities);
+
+  if (extraction.entities.length > 0) {
+    const query = extractionQueries.write(memoryId, extraction, { minConfidence });
+    await executeWriteTransaction(tx => query.run(tx));
+  }
+
+  const summary = {
+    entities: extraction.entities.map(entity => ({
+      name: entity.name,
+      label: entity.label,
+      confidence: entity.confidence,
+      resolved: Boolean(entity.resolved),
+      status: statusFor(entity.confidence, minConfidence)
+    })),
+    relations: extraction.relations.map(relation => ({
+      from: relation.from.name,
+      to: relation.to.name,
+      type: relation.type,
+      confidence: relation.confidence,
+      status: statusFor(relation.confidence, minConfidence)
+    }))
+  };
+  summary.pending = [...summary.entities, ...summary.relations].filter(item => item.status === extractionStatus.PENDING).length;
+
+  extractionLogger.info('Entities extracted', {
+    memoryId,
+    entities: summary.entities.length,
+    relations: summary.relations.length,
+    pending: summary.pending
+  });
+
+  return summary;
+}
+
+export async function listPendingExtractions(options = {}) {
+  const query = extractionQueries.pending(options);
+  return executeReadTransaction(async (tx) => {
+    const result = await query.run(tx);
+    return result.records.map(record => Object.fromEntries(record.keys.map(key => [key, record.get(key)])));
+  });
+}
+
+/**
+ * Accept or reject pending extractions by relationship element id
+ */
+export async function reviewExtractions(action, ids) {
+  const query = action === 'accept' ? extractionQueries.accept(ids) : extractionQueries.reject(ids);
+  const count = await executeWriteTransaction(async (tx) => {
+    const result = await query.run(tx);
+    return result.records[0]?.get('count').toNumber() ?? 0;
+  });
+
+  extractionLogger.info('Extractions reviewed', { action, requested: ids.length, count });
+  return count;
+}
+
+export default {
+  extractionConfig,
+  extractionStatus,
+  extractionQueries,
+  buildExtractionPrompt,
+  parseExtraction,
+  extractEntities,
+  resolveEntities,
+  extractAndLinkEntities,
+  listPendingExtractions,
+  reviewExtractions
+};
@@ -0,0 +1,346 @@
+// ============================================================
+// Entity Schema Registry
+// ============================================================
+// Description: Load the Neo4j entity JSON Schemas plus per-label and
+// per-relationship schemas, and validate graph writes against them
+
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { createModuleLogger } from '../utils/log-helpers.js';
+
+const schemaLogger = createModuleLogger('EntitySchemas');
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const schemaModes = {
+  STRICT: 'strict',
+  LENIENT: 'lenient',
+  OFF: 'off'
+};
+
+/**
+ * Candidate schema directories, in order: explicit env, container mount, repo checkout
+ */
+const schemaDirCandidates = [
+  process.env.ENTITY_SCHEMA_DIR,
+  path.resolve(process.cwd(), 'config/schemas'),
+  path.resolve(__dirname, '../../../../config/schemas')
+].filter(Boolean);
+
+const BASE_SCHEMA_FILE = 'neo4j-entity.schema.json';
+const LABEL_SCHEMA_DIR = 'entities';
+const RELATIONSHIP_SCHEMA_DIR = 'relationships';
+
+/**
+ * A write that doesn't match its schema
+ * validationErrors: [{ field, keyword, message, params }]
+ */
+export class EntityValidationError extends Error {
+  constructor(subject, validationErrors) {
+    super(`Invalid ${subject}: ${validationErrors.map(e => e.field ? `${e.field} ${e.message}` : e.message).join('; ')}`);
+    this.name = 'EntityValidationError';
+    this.subject = subject;
+    this.validationErrors = validationErrors;
+  }
+}
+
+/**
+ * Convert Ajv errors to the structured form returned by tools
+ */
+function formatErrors(errors = []) {
+  return errors.map(error => {
+    const field = error.keyword === 'required'
+      ? [error.instancePath.slice(1), error.params.missingProperty].filter(Boolean).join('/')
+      : error.instancePath.slice(1);
+
+    return {
+      field,
+      keyword: error.keyword,
+      message: error.keyword === 'enum'
+        ? `must be one of: ${error.params.allowedValues.join(', ')}`
+        : error.message,
+      params: error.params
+    };
+  });
+}
+
+/**
+ * Schema body without registry annotations or identifiers, so it can be
+ * compiled more than once; partial drops required properties for updates
+ */
+function toValidatorSchema(schema, { partial = false } = {}) {
+  const {
+    $id, $schema, required,
+    'x-label': label, 'x-relationship': type, 'x-from': from, 'x-to': to,
+    ...rest
+  } = schema;
+  return partial || !required ? rest : { ...rest, required };
+}
+
+/**
+ * Reject a schema file that isn't valid JSON Schema
+ */
+function checkSchema(ajv, schema) {
+  if (!ajv.validateSchema(schema)) {
+    throw new Error(ajv.errorsText(ajv.errors));
+  }
+}
+
+/**
+ * Schema Registry
+ * The base schema lists the core labels and the property rules shared by
+ * every label; label schemas add to and override those property rules
+ */
+export class SchemaRegistry {
+  constructor({ mode = process.env.ENTITY_SCHEMA_MODE || schemaModes.STRICT } = {}) {
+    this.mode = mode;
+    this.ajv = new Ajv({ allErrors: true });
+    addFormats(this.ajv);
+    this.ajv.addVocabulary(['x-label', 'x-relationship', 'x-from', 'x-to']);
+
+    this.coreLabels = new Set();
+    this.sharedProperties = {};
+    this.labels = new Map();
+    this.relationships = new Map();
+    this.validators = new Map();
+    this.source = null;
+  }
+
+  // ============================================================
+  // Loading
+  // ============================================================
+
+  /**
+   * Load the base schema and every label and relationship schema in a directory
+   */
+  load(schemaDir = schemaDirCandidates.find(dir => existsSync(path.join(dir, BASE_SCHEMA_FILE)))) {
+    if (!schemaDir) {
+      schemaLogger.warn('No entity schemas found, labels are not restricted', {
+        searched: schemaDirCandidates
+      });
+      return this;
+    }
+
+    this.setBaseSchema(JSON.parse(readFileSync(path.join(schemaDir, BASE_SCHEMA_FILE), 'utf-8')));
+
+    for (const file of this.listSchemaFiles(path.join(schemaDir, LABEL_SCHEMA_DIR))) {
+      this.tryRegister(file, schema => this.registerLabel(schema['x-label'] || path.basename(file, '.schema.json'), schema));
+    }
+
+    for (const file of this.listSchemaFiles(path.join(schemaDir, RELATIONSHIP_SCHEMA_DIR))) {
+      this.tryRegister(file, schema => this.registerRelationship(schema['x-relationship'] || path.basename(file, '.schema.json'), schema));
+    }
+
+    this.source = schemaDir;
+    schemaLogger.info('Entity schemas loaded', {
+      dir: schemaDir,
+      mode: this.mode,
+      labels: this.getLabels().length,
+      relationships: this.relationships.size
+    });
+
+    return this;
+  }
+
+  listSchemaFiles(dir) {
+    if (!existsSync(dir)) {
+      return [];
+    }
+    return readdirSync(dir)
+      .filter(file => file.endsWith('.schema.json'))
+      .sort()
+      .map(file => path.join(dir, file));
+  }
+
+  /**
+   * Register one schema file; a broken file is skipped rather than failing startup
+   */
+  tryRegister(file, register) {
+    try {
+      register(JSON.parse(readFileSync(file, 'utf-8')));
+    } catch (error) {
+      schemaLogger.warn('Skipping invalid schema file', { file, error: error.message });
+    }
+  }
+
+  /**
+   * Take the core label list and shared property rules from the base entity schema
+   */
+  setBaseSchema(schema) {
+    this.coreLabels = new Set(schema.properties?.label?.enum || []);
+    this.sharedProperties = schema.properties?.properties?.properties || {};
+    this.validators.clear();
+  }
+
+  /**
+   * Add or replace the property schema for a label
+   */
+  registerLabel(label, schema) {
+    checkSchema(this.ajv, schema);
+    this.labels.set(label, schema);
+    this.validators.clear();
+  }
+
+  /**
+   * Add or replace the schema for a relationship type
+   * x-from / x-to optionally restrict the endpoint labels
+   */
+  registerRelationship(type, schema) {
+    checkSchema(this.ajv, schema);
+    this.relationships.set(type.toUpperCase(), schema);
+    this.validators.clear();
+  }
+
+  getLabels() {
+    return Array.from(new Set([...this.coreLabels, ...this.labels.keys()])).sort();
+  }
+
+  hasLabel(label) {
+    return this.coreLabels.has(label) || this.labels.has(label);
+  }
+
+  // ============================================================
+  // Validation
+  // ============================================================
+
+  /**
+   * Compiled property validator for a label, merged with the shared rules
+   */
+  getEntityValidator(label, partial) {
+    const key = `entity:${label}:${partial}`;
+
+    if (!this.validators.has(key)) {
+      const labelSchema = this.labels.get(label) || {};
+      const schema = toValidatorSchema({
+        type: 'object',
+        ...labelSchema,
+        properties: { ...this.sharedProperties, ...(labelSchema.properties || {}) }
+      }, { partial });
+      this.validators.set(key, this.ajv.compile(schema));
+    }
+
+    return this.validators.get(key);
+  }
+
+  /**
+   * Validate the properties of an entity being created (or updated when partial)
+   * Returns the structured errors; empty when valid
+   */
+  validateEntity(label, properties = {}, { partial = false } = {}) {
+    if (this.mode === schemaModes.OFF) {
+      return [];
+    }
+
+    // Without any schemas loaded there is nothing to restrict labels to
+    const restricted = this.coreLabels.size > 0 || this.labels.size > 0;
+
+    if (restricted && !this.hasLabel(label) && this.mode === schemaModes.STRICT) {
+      return [{
+        field: 'label',
+        keyword: 'enum',
+        message: `"${label}" has no schema; known labels: ${this.getLabels().join(', ')}`,
+        params: { allowedValues: this.getLabels() }
+      }];
+    }
+
+    const validate = this.getEntityValidator(label, partial);
+    return validate(properties) ? [] : formatErrors(validate.errors);
+  }
+
+  /**
+   * Validate a relationship; types without a schema are accepted as is
+   */
+  validateRelationship(type, fromLabel, toLabel, properties = {}, { partial = false } = {}) {
+    const schema = this.relationships.get(String(type).toUpperCase());
+
+    if (this.mode === schemaModes.OFF || !schema) {
+      return [];
+    }
+
+    const errors = [];
+    for (const [field, label, allowed] of [['from', fromLabel, schema['x-from']], ['to', toLabel, schema['x-to']]]) {
+      if (allowed && label && !allowed.includes(label)) {
+        errors.push({
+          field,
+          keyword: 'enum',
+          message: `must be one of: ${allowed.join(', ')}`,
+          params: { allowedValues: allowed }
+        });
+      }
+    }
+
+    const key = `relationship:${String(type).toUpperCase()}:${partial}`;
+    if (!this.validators.has(key)) {
+      this.validators.set(key, this.ajv.compile(toValidatorSchema(schema, { partial })));
+    }
+
+    const validate = this.validators.get(key);
+    if (!validate(properties)) {
+      errors.push(...formatErrors(validate.errors));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Throw an EntityValidationError if the entity is invalid
+   */
+  assertEntity(label, properties, options) {
+    const errors = this.validateEntity(label, properties, options);
+    if (errors.length > 0) {
+      throw new EntityValidationError(`${label} entity`, errors);
+    }
+  }
+
+  /**
+   * Throw an EntityValidationError if the relationship is invalid
+   */
+  assertRelationship(type, fromLabel, toLabel, properties, options) {
+    const errors = this.validateRelationship(type, fromLabel, toLabel, properties, options);
+    if (errors.length > 0) {
+      throw new EntityValidationError(`${type} relationship`, errors);
+    }
+  }
+}
+
+// ============================================================
+// Shared Registry
+// ============================================================
+
+let registry = null;
+
+/**
+ * Get the shared registry, loading the schemas on first use
+ */
+export function getSchemaRegistry() {
+  if (!registry) {
+    registry = new SchemaRegistry().load();
+  }
+  return registry;
+}
+
+/**
+ * Load the schemas at startup so schema errors show up immediately
+ */
+export function initializeSchemaRegistry() {
+  return getSchemaRegistry();
+}
+
+/**
+ * Replace the shared registry (tests, custom setups)
+ */
+export function setSchemaRegistry(value) {
+  registry = value;
+}
+
+export default {
+  schemaModes,
+  EntityValidationError,
+  SchemaRegistry,
+  getSchemaRegistry,
+  initializeSchemaRegistry,
+  setSchemaRegistry
+};
@@ -0,0 +1,512 @@
+// ============================================================
+// Graph Export
+// ============================================================
+// Description: Stream knowledge graph nodes and relationships as
+// JSON-LD, GraphML or a replayable Cypher script
+
+import { createWriteStream, promises as fs } from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import neo4j from 'neo4j-driver';
+import { executeReadTransaction } from './neo4j-client.js';
+import { CypherQueryBuilder } from './neo4j-query-builder.js';
+import { safeLabel } from '../utils/cypher-safety.js';
+import { createModuleLogger } from '../utils/log-helpers.js';
+import { currentNamespace, namespaceParam, namespacePredicate, resolveNamespace } from '../utils/namespace.js';
+
+const exportLogger = createModuleLogger('GraphExport');
+
+/**
+ * Export configuration
+ */
+export const exportConfig = {
+  exportDir: process.env.GRAPH_EXPORT_DIR || path.resolve(process.cwd(), 'exports'),
+  pageSize: parseInt(process.env.GRAPH_EXPORT_PAGE_SIZE || '500'),
+  // ReasoningStep holds the steps of each ReasoningChain
+  defaultLabels: ['Memory', 'MergedMemory', 'ArchivedMemory', 'Concept', 'Tag', 'Task', 'ReasoningChain', 'ReasoningStep']
+};
+
+export const exportFormats = {
+  JSONLD: 'jsonld',
+  GRAPHML: 'graphml',
+  CYPHER: 'cypher'
+};
+
+const FORMAT_DETAILS = {
+  [exportFormats.JSONLD]: { extension: '.jsonld', contentType: 'application/ld+json' },
+  [exportFormats.GRAPHML]: { extension: '.graphml', contentType: 'application/graphml+xml' },
+  [exportFormats.CYPHER]: { extension: '.cypher', contentType: 'text/plain; charset=utf-8' }
+};
+
+// Temporary label and key that let the Cypher script match nodes it created
+const IMPORT_LABEL = '_ExportNode';
+const IMPORT_KEY = '_exportId';
+
+/**
+ * Invalid export options
+ */
+export class GraphExportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GraphExportError';
+  }
+}
+
+// ============================================================
+// Options
+// ============================================================
+
+function toIsoBound(value, name, { endOfDay = false } = {}) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  // A bare date as the upper bound covers the whole day
+  const text = endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value;
+  const date = new Date(text);
+  if (Number.isNaN(date.getTime())) {
+    throw new GraphExportError(`Invalid ${name} date: ${JSON.stringify(value)}`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Validate and fill in export options
+ * Exports cover one namespace, the current one unless given
+ */
+export function normalizeExportOptions({
+  format = exportFormats.JSONLD,
+  labels = null,
+  tag = null,
+  from = null,
+  to = null,
+  includeEmbeddings = false,
+  pageSize = exportConfig.pageSize,
+  namespace = null
+} = {}) {
+  if (!FORMAT_DETAILS[format]) {
+    throw new GraphExportError(`Unknown export format: ${format} (expected ${Object.values(exportFormats).join(', ')})`);
+  }
+
+  const labelList = typeof labels === 'string' ? labels.split(',').map(l => l.trim()).filter(Boolean) : labels;
+
+  return {
+    format,
+    labels: (labelList && labelList.length > 0 ? labelList : exportConfig.defaultLabels).map(safeLabel),
+    tag: tag || null,
+    from: toIsoBound(from, 'from'),
+    to: toIsoBound(to, 'to', { endOfDay: true }),
+    includeEmbeddings,
+    pageSize,
+    namespace: resolveNamespace(namespace, currentNamespace())
+  };
+}
+
+// ============================================================
+// Queries
+// ============================================================
+
+/**
+ * Filter parameters, added once so both ends of a relationship share them
+ */
+function addFilterParams(qb, filters) {
+  return {
+    labels: qb.addParam(filters.labels, 'labels'),
+    tag: filters.tag ? qb.addParam(filters.tag, 'tag') : null,
+    from: filters.from ? qb.addParam(filters.from, 'from') : null,
+    to: filters.to ? qb.addParam(filters.to, 'to') : null,
+    namespace: namespaceParam(qb, filters.namespace),
+    namespaceName: filters.namespace
+  };
+}
+
+/**
+ * WHERE condition selecting exported nodes
+ * Tagged means linked to the Tag, listing it in a tags property, or being it.
+ * Nodes without a creation date pass the date range.
+ */
+function nodeCondition(variable, params) {
+  const conditions = [
+    `any(label IN labels(${variable}) WHERE label IN ${params.labels})`,
+    namespacePredicate(variable, params.namespace, params.namespaceName)
+  ];
+  const created = `toString(coalesce(${variable}.createdAt, ${variable}.created_at))`;
+
+  if (params.tag) {
+    conditions.push(
+      `(EXISTS { MATCH (${variable})-[:TAGGED_WITH]->(:Tag {name: ${params.tag}}) }` +
+      ` OR ${params.tag} IN coalesce(${variable}.tags, [])` +
+      ` OR (${variable}:Tag AND ${variable}.name = ${params.tag}))`
+    );
+  }
+  if (params.from) {
+    conditions.push(`(${created} IS NULL OR ${created} >= ${params.from})`);
+  }
+  if (params.to) {
+    conditions.push(`(${created} IS NULL OR ${created} <= ${params.to})`);
+  }
+
+  return conditions.join(' AND ');
+}
+
+/**
+ * Query construction; pages are keyed on element id
+ */
+export const exportQueries = {
+  nodes(filters, after = '', pageSize = exportConfig.pageSize) {
+    const qb = new CypherQueryBuilder();
+    const params = addFilterParams(qb, filters);
+
+    return qb
+      .match('(n)')
+      .where(nodeCondition('n', params))
+      .where(`elementId(n) > ${qb.addParam(after, 'after')}`)
+      .return('n, elementId(n) AS elementId')
+      .orderBy('elementId')
+      .limit(pageSize);
+  },
+
+  relationships(filters, after = '', pageSize = exportConfig.pageSize) {
+    const qb = new CypherQueryBuilder();
+    const params = addFilterParams(qb, filters);
+
+    return qb
+      .match('(a)-[r]->(b)')
+      .where(nodeCondition('a', params))
+      .where(nodeCondition('b', params))
+      .where(`elementId(r) > ${qb.addParam(after, 'after')}`)
+      .return('r, elementId(r) AS elementId, elementId(a) AS source, elementId(b) AS target')
+      .orderBy('elementId')
+      .limit(pageSize);
+  },
+
+  /**
+   * Property keys in use, which GraphML must declare up front
+   */
+  propertyKeys(filters) {
+    const qb = new CypherQueryBuilder();
+    const params = addFilterParams(qb, filters);
+
+    return qb
+      .call(inner => inner
+        .match('(n)')
+        .where(nodeCondition('n', params))
+        .unwind('keys(n)', 'key')
+        .return('collect(DISTINCT key) AS nodeKeys'))
+      .call(inner => inner
+        .match('(a)-[r]->(b)')
+        .where(nodeCondition('a', params))
+        .where(nodeCondition('b', params))
+        .unwind('keys(r)', 'key')
+        .return('collect(DISTINCT key) AS relationshipKeys'))
+      .return('nodeKeys, relationshipKeys');
+  }
+};
+
+async function readNeo4jPage(query) {
+  return executeReadTransaction(async (tx) => {
+    const result = await query.run(tx);
+    return result.records;
+  });
+}
+
+// ============================================================
+// Values
+// ============================================================
+
+/**
+ * Convert driver values (integers, temporal types, points) to plain JSON values
+ */
+export function toPlainValue(value) {
+  if (neo4j.isInt(value)) {
+    return value.inSafeRange() ? value.toNumber() : value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlainValue);
+  }
+  if (value !== null && typeof value === 'object' && value.constructor !== Object) {
+    return value.toString();
+  }
+  return value;
+}
+
+function toPlainProperties(properties, { includeEmbeddings }) {
+  return Object.fromEntries(
+    Object.entries(properties)
+      .filter(([key]) => includeEmbeddings || key !== 'embedding')
+      .map(([key, value]) => [key, toPlainValue(value)])
+  );
+}
+
+function escapeXml(value) {
+  return String(value)
+    // Characters XML 1.0 can't represent
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Cypher literal for a plain value; JSON string escapes are valid Cypher
+ */
+function toCypherLiteral(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(toCypherLiteral).join(', ')}]`;
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? String(value) : 'null';
+  }
+  if (typeof value === 'boolean') {
+    return String(value);
+  }
+  return JSON.stringify(String(value));
+}
+
+function toCypherMap(properties) {
+  const entries = Object.entries(properties)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `\`${key.replace(/`/g, '``')}\`: ${toCypherLiteral(value)}`);
+  return `{${entries.join(', ')}}`;
+}
+
+function escapeCypherName(name) {
+  return `\`${name.replace(/`/g, '``')}\``;
+}
+
+// ============================================================
+// Serializers
+// ============================================================
+
+/**
+ * Serializers turn exported nodes ({id, labels, properties}) and
+ * relationships ({id, type, source, target, properties}) into text chunks
+ */
+export const serializers = {
+  [exportFormats.JSONLD]: () => {
+    let first = true;
+    const item = (value) => {
+      const text = `${first ? '' : ',\n'}    ${JSON.stringify(value)}`;
+      first = false;
+      return text;
+    };
+
+    return {
+      start: (meta) => [
+        '{\n',
+        '  "@context": {\n',
+        '    "@vocab": "https://mcp-superserver.dev/graph#",\n',
+        '    "source": { "@type": "@id" },\n',
+        '    "target": { "@type": "@id" }\n',
+        '  },\n',
+        `  "exportedAt": ${JSON.stringify(meta.exportedAt)},\n`,
+        `  "filters": ${JSON.stringify(meta.filters)},\n`,
+        '  "@graph": [\n'
+      ].join(''),
+      node: (node) => item({ '@id': `_:n${node.id}`, '@type': node.labels, ...node.properties }),
+      relationship: (rel) => item({
+        '@id': `_:r${rel.id}`,
+        '@type': rel.type,
+        source: `_:n${rel.source}`,
+        target: `_:n${rel.target}`,
+        ...rel.properties
+      }),
+      end: () => '\n  ]\n}\n'
+    };
+  },
+
+  [exportFormats.GRAPHML]: () => {
+    const data = (prefix, properties) => Object.entries(properties)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => `      <data key="${prefix}_${escapeXml(key)}">${escapeXml(Array.isArray(value) ? JSON.stringify(value) : value)}</data>\n`)
+      .join('');
+    const key = (prefix, domain, name) =>
+      `  <key id="${prefix}_${escapeXml(name)}" for="${domain}" attr.name="${escapeXml(name)}" attr.type="string"/>\n`;
+
+    return {
+      start: (meta) => [
+        '<?xml version="1.0" encoding="UTF-8"?>\n',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">\n',
+        `  <!-- Exported ${escapeXml(meta.exportedAt)} -->\n`,
+        '  <key id="labels" for="node" attr.name="labels" attr.type="string"/>\n',
+        '  <key id="type" for="edge" attr.name="type" attr.type="string"/>\n',
+        ...meta.nodeKeys.map(name => key('n', 'node', name)),
+        ...meta.relationshipKeys.map(name => key('e', 'edge', name)),
+        '  <graph id="G" edgedefault="directed">\n'
+      ].join(''),
+      node: (node) => [
+        `    <node id="n${node.id}">\n`,
+        `      <data key="labels">${escapeXml(node.labels.map(l => `:${l}`).join(''))}</data>\n`,
+        data('n', node.properties),
+        '    </node>\n'
+      ].join(''),
+      relationship: (rel) => [
+        `    <edge id="e${rel.id}" source="n${rel.source}" target="n${rel.target}">\n`,
+        `      <data key="type">${escapeXml(rel.type)}</data>\n`,
+        data('e', rel.properties),
+        '    </edge>\n'
+      ].join(''),
+      end: () => '  </graph>\n</graphml>\n'
+    };
+  },
+
+  [exportFormats.CYPHER]: () => ({
+    start: (meta) => [
+      `// Knowledge graph export, ${meta.exportedAt}\n`,
+      `// Filters: ${JSON.stringify(meta.filters)}\n`,
+      `CREATE INDEX export_node_id IF NOT EXISTS FOR (n:${IMPORT_LABEL}) ON (n.${IMPORT_KEY});\n`
+    ].join(''),
+    node: (node) => {
+      const labels = [...node.labels, IMPORT_LABEL].map(escapeCypherName).join(':');
+      return `CREATE (:${labels} ${toCypherMap({ ...node.properties, [IMPORT_KEY]: node.id })});\n`;
+    },
+    relationship: (rel) =>
+      `MATCH (a:${IMPORT_LABEL} {${IMPORT_KEY}: ${rel.source}}), (b:${IMPORT_LABEL} {${IMPORT_KEY}: ${rel.target}}) ` +
+      `CREATE (a)-[:${escapeCypherName(rel.type)} ${toCypherMap(rel.properties)}]->(b);\n`,
+    end: () => [
+      `MATCH (n:${IMPORT_LABEL}) REMOVE n:${IMPORT_LABEL}, n.${IMPORT_KEY};\n`,
+      'DROP INDEX export_node_id IF EXISTS;\n'
+    ].join('')
+  })
+};
+
+// ============================================================
+// Export
+// ============================================================
+
+/**
+ * Prepare an export; chunks() streams it page by page and fills in counts
+ * Nodes are written before relationships so a Cypher script can replay them
+ */
+export function createGraphExport(options = {}, { readPage = readNeo4jPage } = {}) {
+  const filters = normalizeExportOptions(options);
+  const details = FORMAT_DETAILS[filters.format];
+  const counts = { nodes: 0, relationships: 0 };
+
+  async function* chunks() {
+    const serializer = serializers[filters.format]();
+    const exportIds = new Map();
+    const meta = {
+      exportedAt: new Date().toISOString(),
+      filters: { labels: filters.labels, tag: filters.tag, from: filters.from, to: filters.to },
+      nodeKeys: [],
+      relationshipKeys: []
+    };
+
+    if (filters.format === exportFormats.GRAPHML) {
+      const [record] = await readPage(exportQueries.propertyKeys(filters));
+      meta.nodeKeys = (record?.get('nodeKeys') || []).filter(key => filters.includeEmbeddings || key !== 'embedding').sort();
+      meta.relationshipKeys = (record?.get('relationshipKeys') || []).sort();
+    }
+
+    yield serializer.start(meta);
+
+    let after = '';
+    for (;;) {
+      const records = await readPage(exportQueries.nodes(filters, after, filters.pageSize));
+      for (const record of records) {
+        const node = record.get('n');
+        exportIds.set(record.get('elementId'), counts.nodes);
+        yield serializer.node({
+          id: counts.nodes++,
+          labels: node.labels,
+          properties: toPlainProperties(node.properties, filters)
+        });
+      }
+      if (records.length < filters.pageSize) {
+        break;
+      }
+      after = records[records.length - 1].get('elementId');
+    }
+
+    after = '';
+    for (;;) {
+      const records = await readPage(exportQueries.relationships(filters, after, filters.pageSize));
+      for (const record of records) {
+        const source = exportIds.get(record.get('source'));
+        const target = exportIds.get(record.get('target'));
+
+        // Endpoint created after the node pass
+        if (source === undefined || target === undefined) {
+          continue;
+        }
+
+        const rel = record.get('r');
+        yield serializer.relationship({
+          id: counts.relationships++,
+          type: rel.type,
+          source,
+          target,
+          properties: toPlainProperties(rel.properties, filters)
+        });
+      }
+      if (records.length < filters.pageSize) {
+        break;
+      }
+      after = records[records.length - 1].get('elementId');
+    }
+
+    yield serializer.end(meta);
+    exportLogger.info('Graph exported', { format: filters.format, ...counts });
+  }
+
+  return {
+    format: filters.format,
+    filters,
+    extension: details.extension,
+    contentType: details.contentType,
+    counts,
+    chunks
+  };
+}
+
+/**
+ * Resolve a file name inside the export directory
+ */
+export function resolveExportPath(filename, exportDir = exportConfig.exportDir) {
+  const root = path.resolve(exportDir);
+  const resolved = path.resolve(root, filename);
+
+  if (!resolved.startsWith(root + path.sep)) {
+    throw new GraphExportError(`Export file must be inside ${root}`);
+  }
+
+  return resolved;
+}
+
+/**
+ * Write an export into the export directory
+ */
+export async function writeGraphExport(options = {}, { filename = null, exportDir = exportConfig.exportDir, readPage } = {}) {
+  const graphExport = createGraphExport(options, { readPage });
+  const name = filename || `graph-${new Date().toISOString().replace(/[:.]/g, '-')}${graphExport.extension}`;
+  const filePath = resolveExportPath(name, exportDir);
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await pipeline(Readable.from(graphExport.chunks()), createWriteStream(filePath));
+
+  const { size } = await fs.stat(filePath);
+  return {
+    path: filePath,
+    format: graphExport.format,
+    filters: graphExport.filters,
+    counts: graphExport.counts,
+    bytes: size
+  };
+}
+
+export default {
+  exportConfig,
+  exportFormats,
+  exportQueries,
+  serializers,
+  GraphExportError,
+  normalizeExportOptions,
+  toPlainValue,
+  createGraphExport,
+  resolveExportPath,
+  writeGraphExport
+};
@@ -0,0 +1,339 @@
+// ============================================================
+// Memory Consolidation
+// ============================================================
+// Description: Find exact and near-duplicate memories and merge each
+// group into one Memory node with a MERGED_FROM provenance trail
+
+import { executeReadTransaction, executeWriteTransaction } from './neo4j-client.js';
+import { CypherQueryBuilder } from './neo4j-query-builder.js';
+import { contentHash } from './memory-import.js';
+import { cosineSimilarity, shingles, jaccardSimilarity } from '../utils/similarity.js';
+import { createModuleLogger } from '../utils/log-helpers.js';
+import { resolveNamespace, whereNamespace } from '../utils/namespace.js';
+
+const consolidationLogger = createModuleLogger('MemoryConsolidation');
+
+/**
+ * Consolidation configuration
+ */
+export const consolidationConfig = {
+  // Jaccard similarity of word shingles
+  threshold: parseFloat(process.env.MEMORY_DEDUP_THRESHOLD || '0.85'),
+  // Cosine similarity of embeddings, checked for pairs that share a shingle
+  embeddingThreshold: parseFloat(process.env.MEMORY_DEDUP_EMBEDDING_THRESHOLD || '0.95'),
+  shingleSize: 3,
+  // Most recent memories scanned per run
+  limit: parseInt(process.env.MEMORY_CONSOLIDATION_LIMIT || '5000'),
+  // Scheduled run interval in ms; 0 disables the schedule
+  interval: parseInt(process.env.MEMORY_CONSOLIDATION_INTERVAL || '0'),
+  maxReportedGroups: 50
+};
+
+// Memory relationships moved to the surviving node
+const MOVED_RELATIONSHIPS = ['TAGGED_WITH', 'MENTIONS'];
+
+// ============================================================
+// Grouping
+// ============================================================
+
+/**
+ * Group memories whose content is identical (after whitespace
+ * normalisation) or similar enough by shingles or embeddings
+ *
+ * Each group is led by its first memory, and every member must be similar
+ * enough to that representative: A close to B and B close to C does not
+ * put A and C together. Only contents sharing at least one shingle with a
+ * representative are compared, so the cost grows with overlap rather than
+ * with every pair. Returns groups of two or more memories with the best
+ * score against the representative.
+ */
+export function findDuplicateGroups(memories, {
+  threshold = consolidationConfig.threshold,
+  embeddingThreshold = consolidationConfig.embeddingThreshold,
+  useEmbeddings = true,
+  shingleSize = consolidationConfig.shingleSize
+} = {}) {
+  // Exact duplicates follow the first memory with the same content
+  const byHash = new Map();
+  const copies = new Map();
+  memories.forEach((memory, i) => {
+    const hash = memory.contentHash || contentHash(memory.content || '');
+    if (byHash.has(hash)) {
+      copies.get(byHash.get(hash)).push(i);
+    } else {
+      byHash.set(hash, i);
+      copies.set(i, []);
+    }
+  });
+
+  const distinct = Array.from(byHash.values());
+  const sets = new Map(distinct.map(i => [i, shingles(memories[i].content || '', shingleSize)]));
+
+  // Similarity of two contents when it meets a threshold, null otherwise
+  const similarity = (i, j) => {
+    const jaccard = jaccardSimilarity(sets.get(i), sets.get(j));
+    if (jaccard >= threshold) {
+      return jaccard;
+    }
+
+    if (useEmbeddings && memories[i].embedding && memories[j].embedding) {
+      const cosine = cosineSimilarity(memories[i].embedding, memories[j].embedding);
+      if (cosine >= embeddingThreshold) {
+        return cosine;
+      }
+    }
+    return null;
+  };
+
+  // Near duplicates join the closest representative, or lead a new group
+  const groups = new Map();
+  const postings = new Map();
+
+  for (const i of distinct) {
+    const candidates = new Set();
+    for (const shingle of sets.get(i)) {
+      postings.get(shingle)?.forEach(j => candidates.add(j));
+    }
+
+    let best = null;
+    for (const j of candidates) {
+      const score = similarity(i, j);
+      if (score !== null && (!best || score > best.score)) {
+        best = { representative: j, score };
+      }
+    }
+
+    if (best) {
+      const group = groups.get(best.representative);
+      group.members.push(i, ...copies.get(i));
+      group.similarity = Math.max(group.similarity, best.score);
+      continue;
+    }
+
+    groups.set(i, { members: [i, ...copies.get(i)], similarity: copies.get(i).length > 0 ? 1 : 0 });
+    for (const shingle of sets.get(i)) {
+      if (postings.has(shingle)) {
+        postings.get(shingle).push(i);
+      } else {
+        postings.set(shingle, [i]);
+      }
+    }
+  }
+
+  return Array.from(groups.values())
+    .filter(({ members }) => members.length > 1)
+    .map(({ members, similarity: score }) => ({
+      memories: members.sort((a, b) => a - b).map(i => memories[i]),
+      similarity: score
+    }));
+}
+
+/**
+ * The memory that survives a merge: highest importance, then oldest, then id
+ */
+export function chooseSurvivor(memories) {
+  return [...memories].sort((a, b) =>
+    (b.importance ?? 0.5) - (a.importance ?? 0.5) ||
+    String(a.createdAt || '').localeCompare(String(b.createdAt || '')) ||
+    String(a.id).localeCompare(String(b.id))
+  )[0];
+}
+
+/**
+ * Merge plans for duplicate groups
+ */
+export function planConsolidation(memories, options = {}) {
+  return findDuplicateGroups(memories, options).map(({ memories: group, similarity }) => {
+    const survivor = chooseSurvivor(group);
+
+    return {
+      survivor,
+      duplicates: group.filter(memory => memory !== survivor),
+      similarity,
+      importance: Math.max(...group.map(memory => memory.importance ?? 0.5)),
+      tags: [...new Set(group.flatMap(memory => memory.tags || []))].sort()
+    };
+  });
+}
+
+// ============================================================
+// Queries
+// ============================================================
+
+export const consolidationQueries = {
+  /**
+   * Namespaces that hold memories; the default one also owns unscoped memories
+   */
+  namespaces() {
+    const qb = new CypherQueryBuilder();
+    return qb
+      .match(qb.node('m', 'Memory'))
+      .return('DISTINCT m.namespace AS namespace');
+  },
+
+  candidates(limit = consolidationConfig.limit) {
+    const qb = new CypherQueryBuilder();
+    return qb
+      .match(qb.node('m', 'Memory'))
+      .where(whereNamespace(qb, 'm'))
+      .with('m')
+      .orderBy('m.createdAt DESC')
+      .limit(limit)
+      .optionalMatch(`(m)-${qb.relationship(null, 'TAGGED_WITH')}->(t:${qb.label('Tag')})`)
+      .return('m, collect(DISTINCT t.name) AS tags');
+  },
+
+  /**
+   * Move tags and mentions to the survivor, raise its importance, and
+   * relabel the duplicates MergedMemory behind a MERGED_FROM relationship
+   * (which also drops them from recall and the vector index)
+   */
+  merge(plan, mergedAt = new Date().toISOString()) {
+    const qb = new CypherQueryBuilder();
+    const now = qb.addParam(mergedAt, 'mergedAt');
+
+    qb.match(qb.node('s', 'Memory', { id: plan.survivor.id }))
+      .where(whereNamespace(qb, 's'))
+      .set(
+        `s.importance = ${qb.addParam(plan.importance, 'importance')}`,
+        `s.consolidatedAt = ${now}`,
+        `s.mergedCount = coalesce(s.mergedCount, 0) + ${plan.duplicates.length}`
+      )
+      .with('s')
+      .unwind(qb.addParam(plan.duplicates.map(memory => memory.id), 'duplicateIds'), 'duplicateId')
+      .match(`(d:${qb.label('Memory')} {id: duplicateId})`)
+      .where(whereNamespace(qb, 'd'));
+
+    for (const type of MOVED_RELATIONSHIPS) {
+      qb.call(inner => inner
+        .with('s, d')
+        .match(`(d)-${inner.relationship('r', type)}->(target)`)
+        .merge(`(s)-${inner.relationship(null, type)}->(target)`)
+        .delete('r'));
+    }
+
+    return qb
+      .merge(`(s)-${qb.relationship('p', 'MERGED_FROM')}->(d)`)
+      .set(`p.mergedAt = ${now}`)
+      .remove('d:Memory', 'd.embedding')
+      .set('d:MergedMemory', 'd.mergedInto = s.id', `d.mergedAt = ${now}`)
+      .return('count(d) AS merged');
+  }
+};
+
+function toCandidate(record) {
+  const { properties } = record.get('m');
+  return {
+    id: properties.id,
+    content: properties.content,
+    type: properties.type,
+    importance: properties.importance,
+    createdAt: properties.createdAt,
+    contentHash: properties.contentHash,
+    embedding: properties.embedding,
+    tags: record.get('tags')
+  };
+}
+
+// ============================================================
+// Job
+// ============================================================
+
+/**
+ * Namespaces with memories, so scheduled runs can consolidate each on its own
+ */
+export async function listMemoryNamespaces() {
+  const query = consolidationQueries.namespaces();
+  const namespaces = await executeReadTransaction(async (tx) => {
+    const result = await query.run(tx);
+    return result.records.map(record => resolveNamespace(record.get('namespace')));
+  });
+  return [...new Set(namespaces)].sort();
+}
+
+/**
+ * Find and merge duplicate memories
+ *
+ * rewriteNotes(plan) is called after each merge so the caller can update
+ * the Obsidian notes; a note failure is reported without undoing the merge.
+ */
+export async function consolidateMemories({
+  dryRun = false,
+  threshold = consolidationConfig.threshold,
+  embeddingThreshold = consolidationConfig.embeddingThreshold,
+  useEmbeddings = true,
+  limit = consolidationConfig.limit,
+  rewriteNotes = null
+} = {}) {
+  const startTime = Date.now();
+
+  const query = consolidationQueries.candidates(limit);
+  const memories = await executeReadTransaction(async (tx) => {
+    const result = await query.run(tx);
+    return result.records.map(toCandidate);
+  });
+
+  const plans = planConsolidation(memories, { threshold, embeddingThreshold, useEmbeddings });
+  const report = {
+    dryRun,
+    scanned: memories.length,
+    groups: plans.length,
+    merged: 0,
+    notes: { rewritten: 0, failed: 0 },
+    errors: [],
+    plans: plans.slice(0, consolidationConfig.maxReportedGroups).map(plan => ({
+      survivor: plan.survivor.id,
+      duplicates: plan.duplicates.map(memory => memory.id),
+      similarity: Math.round(plan.similarity * 1000) / 1000,
+      importance: plan.importance,
+      tags: plan.tags
+    }))
+  };
+
+  if (!dryRun) {
+    for (const plan of plans) {
+      try {
+        const mergeQuery = consolidationQueries.merge(plan);
+        report.merged += await executeWriteTransaction(async (tx) => {
+          const result = await mergeQuery.run(tx);
+          return result.records[0]?.get('merged').toNumber() ?? 0;
+        });
+      } catch (error) {
+        report.errors.push({ survivor: plan.survivor.id, error: error.message });
+        consolidationLogger.error('Merge failed', { survivor: plan.survivor.id, error: error.message });
+        continue;
+      }
+
+      if (rewriteNotes) {
+        try {
+          await rewriteNotes(plan);
+          report.notes.rewritten++;
+        } catch (error) {
+          report.notes.failed++;
+          report.errors.push({ survivor: plan.survivor.id, error: `Notes: ${error.message}` });
+        }
+      }
+    }
+  }
+
+  report.durationMs = Date.now() - startTime;
+  consolidationLogger.info('Consolidation finished', {
+    dryRun,
+    scanned: report.scanned,
+    groups: report.groups,
+    merged: report.merged,
+    durationMs: report.durationMs
+  });
+
+  return report;
+}
+
+export default {
+  consolidationConfig,
+  consolidationQueries,
+  findDuplicateGroups,
+  chooseSurvivor,
+  planConsolidation,
+  listMemoryNamespaces,
+  consolidateMemories
+};
@@ -0,0 +1,356 @@
+// ============================================================
+// Memory Decay
+// ============================================================
+// Description: Time-decayed memory importance, reinforcement on recall
+// and link, and archiving of memories that have faded
+
+import { executeReadTransaction, executeWriteTransaction } from './neo4j-client.js';
+import { CypherQueryBuilder } from './neo4j-query-builder.js';
+import { createModuleLogger } from '../utils/log-helpers.js';
+import { whereNamespace } from '../utils/namespace.js';
+
+const decayLogger = createModuleLogger('MemoryDecay');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_HALF_LIVES = {
+  fact: 180,
+  concept: 365,
+  event: 30,
+  observation: 14,
+  task: 60,
+  default: 90
+};
+
+/**
+ * Parse "type:days,type:days" over the default half-lives
+ */
+export function parseHalfLives(value = '') {
+  const halfLives = { ...DEFAULT_HALF_LIVES };
+
+  for (const entry of value.split(',')) {
+    const [type, days] = entry.split(':').map(part => part.trim());
+    const parsed = parseFloat(days);
+    if (type && parsed > 0) {
+      halfLives[type] = parsed;
+    }
+  }
+
+  return halfLives;
+}
+
+/**
+ * Decay configuration
+ */
+export const decayConfig = {
+  // Days for a memory's importance to halve, per memory type
+  halfLives: parseHalfLives(process.env.MEMORY_HALF_LIFE_DAYS),
+  // Share of the remaining headroom (1 - importance) added on each event
+  recallBoost: parseFloat(process.env.MEMORY_REINFORCE_RECALL || '0.05'),
+  linkBoost: parseFloat(process.env.MEMORY_REINFORCE_LINK || '0.1'),
+  // forget_memories archives memories whose decayed importance is below this
+  forgetThreshold: parseFloat(process.env.MEMORY_FORGET_THRESHOLD || '0.05'),
+  // Obsidian folder that archived memory notes are moved under
+  archiveDir: process.env.MEMORY_ARCHIVE_DIR || 'archive'
+};
+
+// ============================================================
+// Decay Model
+// ============================================================
+// `importance` is the value at `importanceUpdatedAt` (or `createdAt`);
+// it halves every half-life of the memory's type from then on.
+
+export function halfLifeFor(type) {
+  return decayConfig.halfLives[type] || decayConfig.halfLives.default;
+}
+
+/**
+ * Importance after `elapsedMs` with the given half-life in days
+ */
+export function decayImportance(importance, elapsedMs, halfLifeDays) {
+  if (!(elapsedMs > 0)) {
+    return importance;
+  }
+  return importance * Math.pow(0.5, elapsedMs / DAY_MS / halfLifeDays);
+}
+
+/**
+ * Current importance of a memory; memories without timestamps do not decay
+ */
+export function effectiveImportance(memory, now = Date.now()) {
+  const importance = memory.importance ?? 0.5;
+  const since = Date.parse(memory.importanceUpdatedAt || memory.createdAt || '');
+
+  if (Number.isNaN(since)) {
+    return importance;
+  }
+
+  return decayImportance(importance, now - since, halfLifeFor(memory.type));
+}
+
+/**
+ * Raise importance by a share of its headroom, so it approaches 1 but never exceeds it
+ */
+export function reinforceImportance(importance, boost) {
+  return Math.min(1, importance + boost * (1 - importance));
+}
+
+/**
+ * Parameters used by decayedImportanceCypher
+ */
+export function decayParams(now = new Date()) {
+  const { default: defaultHalfLife, ...halfLives } = decayConfig.halfLives;
+  return {
+    now: new Date(now).toISOString(),
+    halfLives,
+    defaultHalfLife
+  };
+}
+
+/**
+ * Cypher expression for the decayed importance of a Memory variable
+ * Parameter placeholders default to the names returned by decayParams
+ */
+export function decayedImportanceCypher(variable = 'm', {
+  now = '$now',
+  halfLives = '$halfLives',
+  defaultHalfLife = '$defaultHalfLife'
+} = {}) {
+  const since = `datetime(coalesce(${variable}.importanceUpdatedAt, ${variable}.createdAt, ${now}))`;
+  const elapsedDays = `duration.inSeconds(${since}, datetime(${now})).seconds / 86400.0`;
+  const halfLife = `coalesce(${halfLives}[${variable}.type], ${defaultHalfLife})`;
+
+  return `coalesce(${variable}.importance, 0.5) * 0.5 ^ (CASE WHEN ${elapsedDays} > 0 THEN ${elapsedDays} ELSE 0 END / ${halfLife})`;
+}
+
+function addDecayParams(qb, now) {
+  const params = decayParams(now);
+  return {
+    now: qb.addParam(params.now, 'now'),
+    halfLives: qb.addParam(params.halfLives, 'halfLives'),
+    defaultHalfLife: qb.addParam(params.defaultHalfLife, 'defaultHalfLife')
+  };
+}
+
+// ============================================================
+// Queries
+// ============================================================
+
+/**
+ * Decay each matched memory to now, then reinforce it
+ * Recall also counts as an access
+ */
+function reinforceMatched(qb, { boost, access, now }) {
+  const params = addDecayParams(qb, now);
+  const boostParam = qb.addParam(boost, 'boost');
+
+  return qb
+    .with(`m, ${decayedImportanceCypher('m', params)} AS current`)
+    .set(
+      `m.importance = current + ${boostParam} * (1 - current)`,
+      `m.importanceUpdatedAt = ${params.now}`,
+      ...(access ? [`m.accessCount = coalesce(m.accessCount, 0) + 1`, `m.lastAccessedAt = ${params.now}`] : [])
+    )
+    .return('m.id AS id, m.importance AS importance');
+}
+
+export const decayQueries = {
+  reinforce(ids, { boost = decayConfig.recallBoost, access = true, now = new Date() } = {}) {
+    const qb = new CypherQueryBuilder();
+    qb.match(qb.node('m', 'Memory'))
+      .where(`m.id IN ${qb.addParam(ids, 'ids')}`)
+      .where(whereNamespace(qb, 'm'));
+    return reinforceMatched(qb, { boost, access, now });
+  },
+
+  /**
+   * Memories that are an endpoint of a link or mention one, by id or name
+   */
+  reinforceLinked(names, { boost = decayConfig.linkBoost, now = new Date() } = {}) {
+    const qb = new CypherQueryBuilder();
+    const namesParam = qb.addParam(names, 'names');
+    qb.match(qb.node('m', 'Memory'))
+      .where(`(m.id IN ${namesParam} OR m.name IN ${namesParam} OR EXISTS { MATCH (m)-${qb.relationship(null, 'MENTIONS')}->(e) WHERE e.name IN ${namesParam} AND ${whereNamespace(qb, 'e')} })`)
+      .where(whereNamespace(qb, 'm'));
+    return reinforceMatched(qb, { boost, access: false, now });
+  },
+
+  /**
+   * Memories whose decayed importance is below the threshold, faintest first
+   */
+  faded({ threshold = decayConfig.forgetThreshold, type = null, limit = 100, now = new Date() } = {}) {
+    const qb = new CypherQueryBuilder();
+    const params = addDecayParams(qb, now);
+
+    qb.match(qb.node('m', 'Memory'));
+    if (type) {
+      qb.where(`m.type = ${qb.addParam(type, 'type')}`);
+    }
+    qb.where(whereNamespace(qb, 'm'));
+
+    return qb
+      .with(`m, ${decayedImportanceCypher('m', params)} AS effective`)
+      .where(`effective < ${qb.addParam(threshold, 'threshold')}`)
+      .with('m, effective')
+      .orderBy('effective ASC')
+      .limit(limit)
+      .optionalMatch(`(m)-${qb.relationship(null, 'TAGGED_WITH')}->(t:${qb.label('Tag')})`)
+      .return('m, effective, collect(DISTINCT t.name) AS tags');
+  },
+
+  /**
+   * Relabel archived memories ArchivedMemory, which drops them from recall
+   * and the vector index but keeps their relationships
+   */
+  archive(archived, archivedAt = new Date().toISOString()) {
+    const qb = new CypherQueryBuilder();
+    return qb
+      .unwind(qb.addParam(archived, 'archived'), 'entry')
+      .match(`(m:${qb.label('Memory')} {id: entry.id})`)
+      .where(whereNamespace(qb, 'm'))
+      .remove('m:Memory', 'm.embedding')
+      .set(
+        'm:ArchivedMemory',
+        `m.archivedAt = ${qb.addParam(archivedAt, 'archivedAt')}`,
+        'm.archivePath = entry.path',
+        'm.archivedImportance = entry.importance'
+      )
+      .return('count(m) AS archived');
+  }
+};
+
+// ============================================================
+// Reinforcement
+// ============================================================
+
+async function runReinforcement(query) {
+  return executeWriteTransaction(async (tx) => {
+    const result = await query.run(tx);
+    return result.records.map(record => ({ id: record.get('id'), importance: record.get('importance') }));
+  });
+}
+
+/**
+ * Reinforce recalled memories and count the access
+ */
+export async function reinforceMemories(ids, options = {}) {
+  if (ids.length === 0) {
+    return [];
+  }
+  return runReinforcement(decayQueries.reinforce(ids, options));
+}
+
+/**
+ * Reinforce memories touched by a new link
+ */
+export async function reinforceLinkedMemories(names, options = {}) {
+  if (names.length === 0) {
+    return [];
+  }
+  return runReinforcement(decayQueries.reinforceLinked(names, options));
+}
+
+// ============================================================
+// Forgetting
+// ============================================================
+
+function toFaded(record) {
+  const { properties } = record.get('m');
+  return {
+    id: properties.id,
+    content: properties.content,
+    type: properties.type,
+    importance: properties.importance,
+    effectiveImportance: record.get('effective'),
+    accessCount: properties.accessCount?.toNumber?.() ?? properties.accessCount ?? 0,
+    lastAccessedAt: properties.lastAccessedAt ?? null,
+    createdAt: properties.createdAt,
+    tags: record.get('tags')
+  };
+}
+
+/**
+ * Archive memories whose decayed importance is below the threshold
+ *
+ * archiveNote(memory) writes the memory to the Obsidian archive and
+ * returns its path; only memories whose note was written are relabelled,
+ * so nothing leaves the graph without an archived copy.
+ */
+export async function forgetMemories({
+  threshold = decayConfig.forgetThreshold,
+  type = null,
+  limit = 100,
+  dryRun = false,
+  archiveNote
+} = {}) {
+  const startTime = Date.now();
+  const query = decayQueries.faded({ threshold, type, limit });
+  const memories = await executeReadTransaction(async (tx) => {
+    const result = await query.run(tx);
+    return result.records.map(toFaded);
+  });
+
+  const report = {
+    dryRun,
+    threshold,
+    candidates: memories.length,
+    archived: 0,
+    errors: [],
+    memories: memories.map(memory => ({
+      id: memory.id,
+      type: memory.type,
+      importance: memory.importance,
+      effectiveImportance: Math.round(memory.effectiveImportance * 1000) / 1000,
+      accessCount: memory.accessCount,
+      lastAccessedAt: memory.lastAccessedAt
+    }))
+  };
+
+  if (!dryRun && memories.length > 0) {
+    const archived = [];
+
+    for (const memory of memories) {
+      try {
+        const path = await archiveNote(memory);
+        archived.push({ id: memory.id, path, importance: memory.effectiveImportance });
+      } catch (error) {
+        report.errors.push({ id: memory.id, error: error.message });
+        decayLogger.error('Archive note failed', { id: memory.id, error: error.message });
+      }
+    }
+
+    if (archived.length > 0) {
+      const archiveQuery = decayQueries.archive(archived);
+      report.archived = await executeWriteTransaction(async (tx) => {
+        const result = await archiveQuery.run(tx);
+        return result.records[0]?.get('archived').toNumber() ?? 0;
+      });
+    }
+  }
+
+  report.durationMs = Date.now() - startTime;
+  decayLogger.info('Forget finished', {
+    dryRun,
+    threshold,
+    candidates: report.candidates,
+    archived: report.archived,
+    durationMs: report.durationMs
+  });
+
+  return report;
+}
+
+export default {
+  decayConfig,
+  decayQueries,
+  parseHalfLives,
+  halfLifeFor,
+  decayImportance,
+  effectiveImportance,
+  reinforceImportance,
+  decayParams,
+  decayedImportanceCypher,
+  reinforceMemories,
+  reinforceLinkedMemories,
+  forgetMemories
+};
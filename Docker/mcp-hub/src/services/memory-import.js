@@ -0,0 +1,531 @@
+// ============================================================
+// Memory Import
+// ============================================================
+// Description: Bulk import of memories from JSONL files, Markdown notes
+// with frontmatter and mem0 exports, deduplicated by content hash
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { executeReadTransaction, executeWriteTransaction } from './neo4j-client.js';
+import { createEntities } from './neo4j-entities.js';
+import { createRelationships } from './neo4j-relationships.js';
+import { CypherQueryBuilder } from './neo4j-query-builder.js';
+import { getSchemaRegistry } from './entity-schemas.js';
+import { parseFrontmatter, getFrontmatterList } from '../utils/frontmatter.js';
+import { createModuleLogger } from '../utils/log-helpers.js';
+import { whereNamespace } from '../utils/namespace.js';
+
+const importLogger = createModuleLogger('MemoryImport');
+
+/**
+ * Import configuration
+ */
+export const importConfig = {
+  importDir: process.env.MEMORY_IMPORT_DIR || path.resolve(process.cwd(), 'exports'),
+  batchSize: parseInt(process.env.MEMORY_IMPORT_BATCH_SIZE || '200'),
+  defaultType: 'fact',
+  maxReportedErrors: 50
+};
+
+export const importFormats = {
+  JSONL: 'jsonl',
+  MARKDOWN: 'markdown',
+  MEM0: 'mem0'
+};
+
+const MEMORY_TYPES = ['fact', 'concept', 'event', 'observation', 'task'];
+
+const FORMAT_EXTENSIONS = {
+  '.jsonl': importFormats.JSONL,
+  '.ndjson': importFormats.JSONL,
+  '.md': importFormats.MARKDOWN,
+  '.markdown': importFormats.MARKDOWN,
+  '.json': importFormats.MEM0
+};
+
+// ============================================================
+// Normalization
+// ============================================================
+
+/**
+ * Hash of the content with whitespace collapsed, used for deduplication
+ */
+export function contentHash(content) {
+  return crypto
+    .createHash('sha256')
+    .update(String(content).trim().replace(/\s+/g, ' '))
+    .digest('hex');
+}
+
+function toList(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return typeof value === 'string' && value !== '' ? value.split(',') : [];
+}
+
+function toIsoDate(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Common record shape produced by every parser
+ */
+function normalizeRecord(raw, { location, source }) {
+  const content = typeof raw.content === 'string' ? raw.content.trim() : '';
+  const importance = Number(raw.importance);
+
+  return {
+    location,
+    content,
+    type: MEMORY_TYPES.includes(raw.type) ? raw.type : null,
+    tags: [...new Set(toList(raw.tags).map(tag => String(tag).trim()).filter(Boolean))],
+    importance: Number.isFinite(importance) && importance >= 0 && importance <= 1 ? importance : null,
+    createdAt: toIsoDate(raw.createdAt),
+    externalId: raw.externalId !== undefined && raw.externalId !== null ? String(raw.externalId) : null,
+    source: raw.source || source
+  };
+}
+
+// ============================================================
+// Parsers
+// ============================================================
+
+/**
+ * One JSON object per line: content/text/memory, or title + body
+ */
+export function parseJsonl(text, { location = 'input', source = 'jsonl' } = {}) {
+  const records = [];
+  const errors = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (line.trim() === '') {
+      return;
+    }
+
+    const lineLocation = `${location}:${index + 1}`;
+    let item;
+    try {
+      item = JSON.parse(line);
+    } catch (error) {
+      errors.push({ location: lineLocation, error: `Invalid JSON: ${error.message}` });
+      return;
+    }
+
+    const text = item.content ?? item.text ?? item.memory;
+    records.push(normalizeRecord({
+      content: text ?? (item.title && item.body ? `${item.title}\n\n${item.body}` : item.body),
+      type: item.type,
+      tags: item.tags ?? item.categories,
+      importance: item.importance,
+      createdAt: item.createdAt ?? item.created_at ?? item.timestamp,
+      externalId: item.id ?? item.request_id,
+      source: item.source
+    }, { location: lineLocation, source }));
+  });
+
+  return { records, errors };
+}
+
+/**
+ * A Markdown note; frontmatter supplies type, tags, importance and date
+ */
+export function parseMarkdownNote(text, { location = 'note.md', source = 'markdown' } = {}) {
+  const { frontmatter, body } = parseFrontmatter(text);
+  const meta = frontmatter || {};
+
+  return normalizeRecord({
+    content: body,
+    type: meta.type,
+    tags: getFrontmatterList(meta, 'tags'),
+    importance: meta.importance,
+    createdAt: meta.created ?? meta.createdAt ?? meta.date,
+    externalId: meta.id ?? location,
+    source: meta.source
+  }, { location, source });
+}
+
+/**
+ * mem0 export: an array of memories or {results: [...]} / {memories: [...]}
+ */
+export function parseMem0Export(text, { location = 'input', source = 'mem0' } = {}) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { records: [], errors: [{ location, error: `Invalid JSON: ${error.message}` }] };
+  }
+
+  const items = Array.isArray(data) ? data : data.results ?? data.memories;
+  if (!Array.isArray(items)) {
+    return { records: [], errors: [{ location, error: 'Expected an array of memories, or results/memories' }] };
+  }
+
+  const records = items.map((item, index) => normalizeRecord({
+    content: item.memory ?? item.text ?? item.content,
+    type: item.metadata?.type,
+    tags: [...toList(item.categories), ...toList(item.metadata?.tags)],
+    importance: item.metadata?.importance,
+    createdAt: item.created_at ?? item.createdAt,
+    externalId: item.id
+  }, { location: `${location}[${index}]`, source }));
+
+  return { records, errors: [] };
+}
+
+/**
+ * Markdown files under a directory, skipping hidden folders such as .obsidian
+ */
+async function listMarkdownFiles(dir, relDir = '') {
+  const entries = await fs.readdir(path.join(dir, relDir), { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) {
+      continue;
+    }
+
+    const relPath = path.join(relDir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listMarkdownFiles(dir, relPath));
+    } else if (FORMAT_EXTENSIONS[path.extname(entry.name).toLowerCase()] === importFormats.MARKDOWN) {
+      files.push(relPath);
+    }
+  }
+
+  return files.sort();
+}
+
+/**
+ * Read and parse a file or directory; the format is detected from the
+ * extension (a directory is read as Markdown notes) unless given
+ */
+export async function readImportSource(sourcePath, { format = null, source = null } = {}) {
+  const stats = await fs.stat(sourcePath);
+
+  if (stats.isDirectory()) {
+    if (format && format !== importFormats.MARKDOWN) {
+      throw new Error(`Directories can only be imported as ${importFormats.MARKDOWN}`);
+    }
+
+    const files = await listMarkdownFiles(sourcePath);
+    const records = await Promise.all(files.map(async (file) => parseMarkdownNote(
+      await fs.readFile(path.join(sourcePath, file), 'utf-8'),
+      { location: file, source: source || importFormats.MARKDOWN }
+    )));
+
+    return { format: importFormats.MARKDOWN, records, errors: [] };
+  }
+
+  const detected = format || FORMAT_EXTENSIONS[path.extname(sourcePath).toLowerCase()];
+  if (!Object.values(importFormats).includes(detected)) {
+    throw new Error(`Cannot detect import format for ${sourcePath}; pass one of ${Object.values(importFormats).join(', ')}`);
+  }
+
+  const text = await fs.readFile(sourcePath, 'utf-8');
+  const location = path.basename(sourcePath);
+  const options = { location, source: source || detected };
+
+  if (detected === importFormats.MARKDOWN) {
+    return { format: detected, records: [parseMarkdownNote(text, options)], errors: [] };
+  }
+
+  const parsed = detected === importFormats.JSONL ? parseJsonl(text, options) : parseMem0Export(text, options);
+  return { format: detected, ...parsed };
+}
+
+/**
+ * Resolve a path against the import directory, rejecting paths outside it
+ */
+export function resolveImportPath(sourcePath, importDir = importConfig.importDir) {
+  const root = path.resolve(importDir);
+  const resolved = path.resolve(root, sourcePath);
+
+  if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+    throw new Error(`Import path must be inside ${root}`);
+  }
+
+  return resolved;
+}
+
+// ============================================================
+// Queries
+// ============================================================
+
+export const importQueries = {
+  existingHashes(hashes) {
+    const qb = new CypherQueryBuilder();
+    return qb
+      .match(qb.node('m', 'Memory'))
+      .where(`m.contentHash IN ${qb.addParam(hashes, 'hashes')}`)
+      .where(whereNamespace(qb, 'm'))
+      .return('DISTINCT m.contentHash as hash');
+  },
+
+  /**
+   * Existing tags of the namespace by name; tags created without an id get
+   * their name as id so batch relationships can match them
+   */
+  claimTags(names) {
+    const qb = new CypherQueryBuilder();
+    return qb
+      .match(qb.node('t', 'Tag'))
+      .where(`t.name IN ${qb.addParam(names, 'names')}`)
+      .where(whereNamespace(qb, 't'))
+      .set('t.id = coalesce(t.id, t.name)')
+      .return('DISTINCT t.name as name');
+  }
+};
+
+async function findExistingHashes(hashes) {
+  const query = importQueries.existingHashes(hashes);
+  return executeReadTransaction(async (tx) => {
+    const result = await query.run(tx);
+    return new Set(result.records.map(record => record.get('hash')));
+  });
+}
+
+/**
+ * Create the tags that don't exist yet, returning how many were created
+ */
+async function ensureTags(names) {
+  const query = importQueries.claimTags(names);
+  const existing = await executeWriteTransaction(async (tx) => {
+    const result = await query.run(tx);
+    return new Set(result.records.map(record => record.get('name')));
+  });
+
+  const missing = names.filter(name => !existing.has(name));
+  if (missing.length > 0) {
+    await createEntities('Tag', missing.map(name => ({ id: name, name })));
+  }
+  return missing.length;
+}
+
+/**
+ * Link a written batch to its tags
+ */
+async function tagBatch(batch) {
+  const tagNames = [...new Set(batch.flatMap(item => item.tags))];
+  if (tagNames.length === 0) {
+    return { tagsCreated: 0, tagLinks: 0 };
+  }
+
+  const tagsCreated = await ensureTags(tagNames);
+  const links = await createRelationships(batch.flatMap(item => item.tags.map(tag => ({
+    fromLabel: 'Memory',
+    fromId: item.properties.id,
+    type: 'TAGGED_WITH',
+    toLabel: 'Tag',
+    toId: tag
+  }))));
+
+  return { tagsCreated, tagLinks: links.length };
+}
+
+// ============================================================
+// Import
+// ============================================================
+
+/**
+ * Memory entity properties for a parsed record
+ */
+function toMemoryProperties(record, { defaultType, importedAt }) {
+  const id = `mem_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  return {
+    id,
+    name: `Memory_${id}`,
+    content: record.content,
+    type: record.type || defaultType,
+    importance: record.importance ?? 0.5,
+    source: record.source,
+    createdAt: record.createdAt || importedAt,
+    importedAt,
+    contentHash: contentHash(record.content),
+    ...(record.externalId && { externalId: record.externalId })
+  };
+}
+
+/**
+ * Import parsed records in batches
+ *
+ * Records are validated against the Memory schema and deduplicated by
+ * content hash, within the input and (unless checkExisting is false)
+ * against stored memories. A dry run stops before writing. A failed batch
+ * is reported and the import continues with the next one.
+ */
+export async function importMemories(records, {
+  dryRun = false,
+  batchSize = importConfig.batchSize,
+  defaultType = importConfig.defaultType,
+  tags = [],
+  checkExisting = true,
+  embedFunction = null,
+  embeddingModel = null,
+  onProgress = null
+} = {}) {
+  const startTime = Date.now();
+  const importedAt = new Date().toISOString();
+  const registry = getSchemaRegistry();
+  const report = {
+    dryRun,
+    counts: {
+      total: records.length,
+      invalid: 0,
+      duplicateInSource: 0,
+      duplicateExisting: 0,
+      toImport: 0,
+      created: 0,
+      failed: 0,
+      tagsCreated: 0,
+      tagLinks: 0,
+      embedded: 0
+    },
+    batches: 0,
+    errors: []
+  };
+
+  const addError = (location, error) => {
+    if (report.errors.length < importConfig.maxReportedErrors) {
+      report.errors.push({ location, error });
+    }
+  };
+
+  // Validate and dedupe within the input
+  const seen = new Set();
+  let pending = [];
+
+  for (const record of records) {
+    if (!record.content) {
+      report.counts.invalid++;
+      addError(record.location, 'Missing content');
+      continue;
+    }
+
+    const properties = toMemoryProperties(record, { defaultType, importedAt });
+    const validationErrors = registry.validateEntity('Memory', properties);
+    if (validationErrors.length > 0) {
+      report.counts.invalid++;
+      addError(record.location, validationErrors.map(e => e.message).join('; '));
+      continue;
+    }
+
+    if (seen.has(properties.contentHash)) {
+      report.counts.duplicateInSource++;
+      continue;
+    }
+
+    seen.add(properties.contentHash);
+    pending.push({ properties, tags: [...new Set([...record.tags, ...tags])] });
+  }
+
+  // Dedupe against stored memories
+  if (checkExisting && pending.length > 0) {
+    const existing = await findExistingHashes([...seen]);
+    report.counts.duplicateExisting = pending.filter(item => existing.has(item.properties.contentHash)).length;
+    pending = pending.filter(item => !existing.has(item.properties.contentHash));
+  }
+
+  report.counts.toImport = pending.length;
+  const totalBatches = Math.ceil(pending.length / batchSize);
+
+  if (dryRun) {
+    report.preview = pending.slice(0, 5).map(({ properties, tags: itemTags }) => ({
+      content: properties.content.substring(0, 100),
+      type: properties.type,
+      importance: properties.importance,
+      tags: itemTags
+    }));
+    report.durationMs = Date.now() - startTime;
+    return report;
+  }
+
+  for (let batchIndex = 0; batchIndex < totalBatches; batchIndex++) {
+    const batch = pending.slice(batchIndex * batchSize, (batchIndex + 1) * batchSize);
+
+    let written = false;
+    try {
+      if (embedFunction) {
+        for (const item of batch) {
+          const embedding = await embedFunction(item.properties.content);
+          if (embedding) {
+            item.properties.embedding = embedding;
+            item.properties.embeddingModel = embeddingModel;
+            report.embeddingDimension = embedding.length;
+            report.counts.embedded++;
+          }
+        }
+      }
+
+      report.counts.created += (await createEntities('Memory', batch.map(item => item.properties))).length;
+      written = true;
+    } catch (error) {
+      report.counts.failed += batch.length;
+      addError(`batch ${batchIndex + 1}`, error.message);
+      importLogger.error('Import batch failed', { batch: batchIndex + 1, error: error.message });
+    }
+
+    // A tagging failure keeps the batch's memories
+    if (written) {
+      try {
+        const tagged = await tagBatch(batch);
+        report.counts.tagsCreated += tagged.tagsCreated;
+        report.counts.tagLinks += tagged.tagLinks;
+      } catch (error) {
+        addError(`batch ${batchIndex + 1} tags`, error.message);
+        importLogger.error('Import tagging failed', { batch: batchIndex + 1, error: error.message });
+      }
+    }
+
+    report.batches++;
+    const progress = {
+      batch: batchIndex + 1,
+      batches: totalBatches,
+      processed: Math.min((batchIndex + 1) * batchSize, pending.length),
+      total: pending.length,
+      created: report.counts.created,
+      failed: report.counts.failed
+    };
+    importLogger.info('Import progress', progress);
+    onProgress?.(progress);
+  }
+
+  report.durationMs = Date.now() - startTime;
+  importLogger.info('Import finished', { ...report.counts, durationMs: report.durationMs });
+  return report;
+}
+
+/**
+ * Read a file or directory and import it
+ * Parse errors are merged into the report as invalid records
+ */
+export async function importMemoriesFromPath(sourcePath, { format = null, source = null, ...options } = {}) {
+  const parsed = await readImportSource(sourcePath, { format, source });
+  const report = await importMemories(parsed.records, options);
+
+  report.counts.total += parsed.errors.length;
+  report.counts.invalid += parsed.errors.length;
+  report.errors = [...parsed.errors, ...report.errors].slice(0, importConfig.maxReportedErrors);
+
+  return { format: parsed.format, path: sourcePath, ...report };
+}
+
+export default {
+  importConfig,
+  importFormats,
+  importQueries,
+  contentHash,
+  parseJsonl,
+  parseMarkdownNote,
+  parseMem0Export,
+  readImportSource,
+  resolveImportPath,
+  importMemories,
+  importMemoriesFromPath
+};
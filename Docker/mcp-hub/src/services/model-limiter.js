@@ -0,0 +1,158 @@
+// ============================================================
+// Ollama Model Concurrency Limiter
+// ============================================================
+// Description: Cap concurrent requests per model; requests over the limit
+// wait in a priority queue (FIFO within a priority) with a queue timeout
+
+/**
+ * A request waited longer than its queue timeout for a model slot
+ */
+export class QueueTimeoutError extends Error {
+  constructor(model, waitedMs) {
+    super(`Timed out after ${waitedMs}ms waiting for a free ${model} slot`);
+    this.name = 'QueueTimeoutError';
+    this.model = model;
+    this.waitedMs = waitedMs;
+  }
+}
+
+/**
+ * Per-model concurrency limiter
+ * limitFor(model) gives the number of concurrent requests allowed;
+ * onChange(model, { active, queued }) is called whenever either changes
+ */
+export class ModelLimiter {
+  constructor({ limitFor = () => 1, onChange = () => {} } = {}) {
+    this.limitFor = limitFor;
+    this.onChange = onChange;
+    this.models = new Map();
+    this.sequence = 0;
+  }
+
+  /**
+   * State of one model, created on first use
+   */
+  state(model) {
+    if (!this.models.has(model)) {
+      this.models.set(model, { active: 0, queue: [] });
+    }
+    return this.models.get(model);
+  }
+
+  notify(model) {
+    const { active, queue } = this.state(model);
+    this.onChange(model, { active, queued: queue.length });
+  }
+
+  /**
+   * Wait for a slot on model
+   * Higher priority waiters go first; timeout (ms, 0 waits forever) and
+   * signal reject the wait and leave the queue. Resolves with a release function.
+   */
+  acquire(model, { priority = 0, timeout = 0, signal } = {}) {
+    const state = this.state(model);
+
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    if (state.active < this.limitFor(model) && state.queue.length === 0) {
+      state.active++;
+      this.notify(model);
+      return Promise.resolve(this.releaser(model));
+    }
+
+    return new Promise((resolve, reject) => {
+      const startTime = Date.now();
+      const waiter = { priority, seq: this.sequence++, resolve, signal, timer: null, onAbort: null };
+
+      const leave = (error) => {
+        const index = state.queue.indexOf(waiter);
+        if (index !== -1) {
+          state.queue.splice(index, 1);
+          this.cleanup(waiter);
+          this.notify(model);
+          reject(error);
+        }
+      };
+
+      if (timeout > 0) {
+        waiter.timer = setTimeout(() => leave(new QueueTimeoutError(model, Date.now() - startTime)), timeout);
+      }
+      if (signal) {
+        waiter.onAbort = () => leave(signal.reason);
+        signal.addEventListener('abort', waiter.onAbort, { once: true });
+      }
+
+      // Keep the queue ordered by priority, then arrival
+      const index = state.queue.findIndex(other =>
+        other.priority < priority || (other.priority === priority && other.seq > waiter.seq));
+      state.queue.splice(index === -1 ? state.queue.length : index, 0, waiter);
+      this.notify(model);
+    });
+  }
+
+  cleanup(waiter) {
+    clearTimeout(waiter.timer);
+    if (waiter.onAbort) {
+      waiter.signal.removeEventListener('abort', waiter.onAbort);
+    }
+  }
+
+  /**
+   * Release function handing the slot to the next waiter; safe to call twice
+   */
+  releaser(model) {
+    let released = false;
+
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+
+      const state = this.state(model);
+      state.active--;
+
+      while (state.queue.length > 0 && state.active < this.limitFor(model)) {
+        const waiter = state.queue.shift();
+        this.cleanup(waiter);
+        state.active++;
+        waiter.resolve(this.releaser(model));
+      }
+
+      this.notify(model);
+    };
+  }
+
+  /**
+   * Run fn once a slot is free
+   * Resolves with fn's result and the time spent queued
+   */
+  async run(model, fn, options = {}) {
+    const queuedAt = Date.now();
+    const release = await this.acquire(model, options);
+    const waitMs = Date.now() - queuedAt;
+
+    try {
+      return { result: await fn(), waitMs };
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Active and queued requests per model
+   */
+  getStats() {
+    return Object.fromEntries(Array.from(this.models, ([model, { active, queue }]) => [
+      model,
+      { active, queued: queue.length, limit: this.limitFor(model) }
+    ]));
+  }
+}
+
+export default {
+  ModelLimiter,
+  QueueTimeoutError
+};
@@ -76,10 +76,14 @@ export function getDriver() {
 
 /**
  * Get Neo4j session
+ * readOnly sessions are rejected by the server if they attempt a write
  */
-export function getSession(database = neo4jConfig.database) {
+export function getSession(database = neo4jConfig.database, { readOnly = false } = {}) {
   const drv = getDriver();
-  return drv.session({ database });
+  return drv.session({
+    database,
+    defaultAccessMode: readOnly ? neo4j.session.READ : neo4j.session.WRITE
+  });
 }
 
 /**
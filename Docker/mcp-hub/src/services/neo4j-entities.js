@@ -5,25 +5,128 @@
 // Description: Create, read, update, delete entities in Neo4j
 
 import { executeWriteTransaction, executeReadTransaction } from './neo4j-client.js';
+import { CypherQueryBuilder } from './neo4j-query-builder.js';
+import { getSchemaRegistry } from './entity-schemas.js';
+import { currentNamespace, namespaceParam, whereNamespace } from '../utils/namespace.js';
 import { logger } from '../utils/logger.js';
 
+// ============================================================
+// Queries
+// ============================================================
+
+/**
+ * Query construction, separate from execution so it can be tested without a database
+ * Each function returns a CypherQueryBuilder scoped to the current namespace
+ */
+export const entityQueries = {
+  create(label, properties) {
+    const qb = new CypherQueryBuilder();
+    return qb.create(qb.node('e', label, { ...properties, namespace: currentNamespace() })).return('e');
+  },
+
+  createMany(label, entities) {
+    const qb = new CypherQueryBuilder();
+    return qb
+      .unwind(qb.addParam(entities, 'entities'), 'entity')
+      .create(qb.node('e', label))
+      .set('e = entity', `e.namespace = ${namespaceParam(qb)}`)
+      .return('e');
+  },
+
+  getById(label, id) {
+    const qb = new CypherQueryBuilder();
+    return qb.match(qb.node('e', label, { id })).where(whereNamespace(qb, 'e')).return('e');
+  },
+
+  getByInternalId(label, internalId) {
+    const qb = new CypherQueryBuilder();
+    return qb
+      .match(qb.node('e', label))
+      .where(`id(e) = ${qb.addParam(internalId, 'internalId')}`)
+      .where(whereNamespace(qb, 'e'))
+      .return('e');
+  },
+
+  find(label, properties = {}, limit = 100) {
+    const qb = new CypherQueryBuilder();
+    qb.match(qb.node('e', label)).where(whereNamespace(qb, 'e'));
+
+    for (const [key, value] of Object.entries(properties)) {
+      qb.where(`${qb.property('e', key)} = ${qb.addParam(value, `e_${key}`)}`);
+    }
+
+    return qb.return('e').limit(limit);
+  },
+
+  findByProperty(label, property, value) {
+    const qb = new CypherQueryBuilder();
+    return qb
+      .match(qb.node('e', label, { [property]: value }))
+      .where(whereNamespace(qb, 'e'))
+      .return('e')
+      .limit(1);
+  },
+
+  // A namespace in the properties is dropped: updates never move an entity
+  update(label, id, { namespace: _ignored, ...properties }) {
+    const qb = new CypherQueryBuilder();
+    return qb
+      .match(qb.node('e', label, { id }))
+      .where(whereNamespace(qb, 'e'))
+      .set(qb.assignments('e', properties), 'e.updated_at = datetime()')
+      .return('e');
+  },
+
+  delete(label, id) {
+    const qb = new CypherQueryBuilder();
+    return qb
+      .match(qb.node('e', label, { id }))
+      .where(whereNamespace(qb, 'e'))
+      .detachDelete('e')
+      .return('count(e) as deleted');
+  },
+
+  deleteMany(label, ids) {
+    const qb = new CypherQueryBuilder();
+    return qb
+      .unwind(qb.addParam(ids, 'ids'), 'id')
+      .match(`(e:${qb.label(label)} {id: id})`)
+      .where(whereNamespace(qb, 'e'))
+      .detachDelete('e')
+      .return('count(*) as deleted');
+  },
+
+  count(label) {
+    const qb = new CypherQueryBuilder();
+    return qb.match(qb.node('e', label)).where(whereNamespace(qb, 'e')).return('count(e) as count');
+  },
+
+  getAll(label, skip = 0, limit = 100) {
+    const qb = new CypherQueryBuilder();
+    return qb
+      .match(qb.node('e', label))
+      .where(whereNamespace(qb, 'e'))
+      .return('e')
+      .orderBy('e.created_at DESC')
+      .skip(skip)
+      .limit(limit);
+  }
+};
+
+// ============================================================
+// Operations
+// ============================================================
+
 /**
  * Create a new entity (node)
  */
 export async function createEntity(label, properties) {
   logger.debug('Creating entity', { label, properties });
+  getSchemaRegistry().assertEntity(label, properties);
 
+  const query = entityQueries.create(label, properties);
   const result = await executeWriteTransaction(async (tx) => {
-    const propsString = Object.keys(properties)
-      .map(key => `${key}: $${key}`)
-      .join(', ');
-
-    const cypher = `
-      CREATE (e:${label} {${propsString}})
-      RETURN e
-    `;
-
-    const result = await tx.run(cypher, properties);
+    const result = await query.run(tx);
     return result.records[0].get('e');
   });
 
@@ -33,21 +136,18 @@ export async function createEntity(label, properties) {
 
 /**
  * Create multiple entities in batch
+ * options.tx writes inside the caller's open transaction
  */
-export async function createEntities(label, entitiesArray) {
+export async function createEntities(label, entitiesArray, { tx: openTx } = {}) {
   logger.debug('Creating entities in batch', { label, count: entitiesArray.length });
+  entitiesArray.forEach(entity => getSchemaRegistry().assertEntity(label, entity));
 
-  const results = await executeWriteTransaction(async (tx) => {
-    const cypher = `
-      UNWIND $entities AS entity
-      CREATE (e:${label})
-      SET e = entity
-      RETURN e
-    `;
-
-    const result = await tx.run(cypher, { entities: entitiesArray });
+  const query = entityQueries.createMany(label, entitiesArray);
+  const write = async (tx) => {
+    const result = await query.run(tx);
     return result.records.map(record => record.get('e'));
-  });
+  };
+  const results = openTx ? await write(openTx) : await executeWriteTransaction(write);
 
   logger.info('Entities created in batch', { label, count: results.length });
   return results;
@@ -59,13 +159,9 @@ export async function createEntities(label, entitiesArray) {
 export async function getEntityById(label, id) {
   logger.debug('Getting entity by ID', { label, id });
 
+  const query = entityQueries.getById(label, id);
   const result = await executeReadTransaction(async (tx) => {
-    const cypher = `
-      MATCH (e:${label} {id: $id})
-      RETURN e
-    `;
-
-    const result = await tx.run(cypher, { id });
+    const result = await query.run(tx);
     return result.records.length > 0 ? result.records[0].get('e') : null;
   });
 
@@ -82,14 +178,9 @@ export async function getEntityById(label, id) {
 export async function getEntityByInternalId(label, internalId) {
   logger.debug('Getting entity by internal ID', { label, internalId });
 
+  const query = entityQueries.getByInternalId(label, internalId);
   const result = await executeReadTransaction(async (tx) => {
-    const cypher = `
-      MATCH (e:${label})
-      WHERE id(e) = $internalId
-      RETURN e
-    `;
-
-    const result = await tx.run(cypher, { internalId });
+    const result = await query.run(tx);
     return result.records.length > 0 ? result.records[0].get('e') : null;
   });
 
@@ -102,19 +193,9 @@ export async function getEntityByInternalId(label, internalId) {
 export async function findEntities(label, properties = {}, limit = 100) {
   logger.debug('Finding entities', { label, properties, limit });
 
+  const query = entityQueries.find(label, properties, limit);
   const result = await executeReadTransaction(async (tx) => {
-    const whereClause = Object.keys(properties).length > 0
-      ? 'WHERE ' + Object.keys(properties).map(key => `e.${key} = $${key}`).join(' AND ')
-      : '';
-
-    const cypher = `
-      MATCH (e:${label})
-      ${whereClause}
-      RETURN e
-      LIMIT $limit
-    `;
-
-    const result = await tx.run(cypher, { ...properties, limit });
+    const result = await query.run(tx);
     return result.records.map(record => record.get('e'));
   });
 
@@ -128,14 +209,9 @@ export async function findEntities(label, properties = {}, limit = 100) {
 export async function findEntityByProperty(label, property, value) {
   logger.debug('Finding entity by property', { label, property, value });
 
+  const query = entityQueries.findByProperty(label, property, value);
   const result = await executeReadTransaction(async (tx) => {
-    const cypher = `
-      MATCH (e:${label} {${property}: $value})
-      RETURN e
-      LIMIT 1
-    `;
-
-    const result = await tx.run(cypher, { value });
+    const result = await query.run(tx);
     return result.records.length > 0 ? result.records[0].get('e') : null;
   });
 
@@ -147,19 +223,11 @@ export async function findEntityByProperty(label, property, value) {
  */
 export async function updateEntity(label, id, properties) {
   logger.debug('Updating entity', { label, id, properties });
+  getSchemaRegistry().assertEntity(label, properties, { partial: true });
 
+  const query = entityQueries.update(label, id, properties);
   const result = await executeWriteTransaction(async (tx) => {
-    const setString = Object.keys(properties)
-      .map(key => `e.${key} = $${key}`)
-      .join(', ');
-
-    const cypher = `
-      MATCH (e:${label} {id: $id})
-      SET ${setString}, e.updated_at = datetime()
-      RETURN e
-    `;
-
-    const result = await tx.run(cypher, { id, ...properties });
+    const result = await query.run(tx);
     return result.records.length > 0 ? result.records[0].get('e') : null;
   });
 
@@ -178,14 +246,9 @@ export async function updateEntity(label, id, properties) {
 export async function deleteEntity(label, id) {
   logger.debug('Deleting entity', { label, id });
 
+  const query = entityQueries.delete(label, id);
   const result = await executeWriteTransaction(async (tx) => {
-    const cypher = `
-      MATCH (e:${label} {id: $id})
-      DETACH DELETE e
-      RETURN count(e) as deleted
-    `;
-
-    const result = await tx.run(cypher, { id });
+    const result = await query.run(tx);
     return result.records[0].get('deleted').toNumber();
   });
 
@@ -204,15 +267,9 @@ export async function deleteEntity(label, id) {
 export async function deleteEntities(label, ids) {
   logger.debug('Deleting entities in batch', { label, count: ids.length });
 
+  const query = entityQueries.deleteMany(label, ids);
   const result = await executeWriteTransaction(async (tx) => {
-    const cypher = `
-      UNWIND $ids AS id
-      MATCH (e:${label} {id: id})
-      DETACH DELETE e
-      RETURN count(*) as deleted
-    `;
-
-    const result = await tx.run(cypher, { ids });
+    const result = await query.run(tx);
     return result.records[0].get('deleted').toNumber();
   });
 
@@ -226,13 +283,9 @@ export async function deleteEntities(label, ids) {
 export async function countEntities(label) {
   logger.debug('Counting entities', { label });
 
+  const query = entityQueries.count(label);
   const result = await executeReadTransaction(async (tx) => {
-    const cypher = `
-      MATCH (e:${label})
-      RETURN count(e) as count
-    `;
-
-    const result = await tx.run(cypher);
+    const result = await query.run(tx);
     return result.records[0].get('count').toNumber();
   });
 
@@ -245,16 +298,9 @@ export async function countEntities(label) {
 export async function getAllEntities(label, skip = 0, limit = 100) {
   logger.debug('Getting all entities', { label, skip, limit });
 
+  const query = entityQueries.getAll(label, skip, limit);
   const result = await executeReadTransaction(async (tx) => {
-    const cypher = `
-      MATCH (e:${label})
-      RETURN e
-      ORDER BY e.created_at DESC
-      SKIP $skip
-      LIMIT $limit
-    `;
-
-    const result = await tx.run(cypher, { skip, limit });
+    const result = await query.run(tx);
     return result.records.map(record => record.get('e'));
   });
 
@@ -262,6 +308,7 @@ export async function getAllEntities(label, skip = 0, limit = 100) {
 }
 
 export default {
+  entityQueries,
   createEntity,
   createEntities,
   getEntityById,
@@ -2,49 +2,73 @@
 // Neo4j Query Builder
 // ============================================================
 // Task: US-003-5 - Implement query builder for graph patterns
-// Description: Build complex Cypher queries for patterns
+// Description: Build complex Cypher queries for patterns and writes
 
 import { executeQuery } from './neo4j-client.js';
 import { logger } from '../utils/logger.js';
+import {
+  safeIdentifier,
+  safeLabel,
+  safeRelationshipType,
+  safePropertyKey,
+  safePropertyPath,
+  safeInteger,
+  safeDepth
+} from '../utils/cypher-safety.js';
+import { whereNamespace } from '../utils/namespace.js';
+
+// Clauses a WHERE can attach to
+const FILTERABLE_CLAUSES = ['MATCH', 'OPTIONAL MATCH', 'WITH'];
 
 /**
  * Query Builder class for constructing Cypher queries
+ * Clauses are emitted in the order they are added. Clause strings are used
+ * verbatim; put user values in params (node(), assignments(), addParam())
+ * and pass user-supplied names through label(), type() and property()
  */
 export class CypherQueryBuilder {
-  constructor() {
-    this.matchClauses = [];
-    this.whereClauses = [];
-    this.returnClause = null;
-    this.withClauses = [];
-    this.optionalMatchClauses = [];
-    this.orderByClause = null;
-    this.limitValue = null;
-    this.skipValue = null;
-    this.params = {};
-    this.paramCounter = 0;
+  constructor(shared = { params: {}, paramCounter: 0 }) {
+    this.shared = shared;
+    this.params = shared.params;
+    this.clauses = [];
+    this.unions = [];
   }
 
+  addClause(keyword, body = '') {
+    this.clauses.push({ keyword, body, where: [] });
+    return this;
+  }
+
+  // ============================================================
+  // Reading
+  // ============================================================
+
   /**
    * Add a MATCH clause
    */
   match(pattern) {
-    this.matchClauses.push(pattern);
-    return this;
+    return this.addClause('MATCH', pattern);
   }
 
   /**
    * Add an OPTIONAL MATCH clause
    */
   optionalMatch(pattern) {
-    this.optionalMatchClauses.push(pattern);
-    return this;
+    return this.addClause('OPTIONAL MATCH', pattern);
   }
 
   /**
-   * Add a WHERE clause
+   * Add a WHERE condition to the latest MATCH, OPTIONAL MATCH or WITH
+   * Repeated conditions are joined with AND
    */
   where(condition) {
-    this.whereClauses.push(condition);
+    const clause = [...this.clauses].reverse().find(c => FILTERABLE_CLAUSES.includes(c.keyword));
+
+    if (!clause) {
+      throw new Error('WHERE must follow MATCH, OPTIONAL MATCH or WITH');
+    }
+
+    clause.where.push(condition);
     return this;
   }
 
@@ -52,103 +76,232 @@ export class CypherQueryBuilder {
    * Add a WITH clause
    */
   with(clause) {
-    this.withClauses.push(clause);
-    return this;
+    return this.addClause('WITH', clause);
+  }
+
+  /**
+   * Add an UNWIND clause
+   */
+  unwind(expression, alias) {
+    return this.addClause('UNWIND', `${expression} AS ${safeIdentifier(alias, 'variable')}`);
+  }
+
+  /**
+   * Add a CALL clause: a procedure call string, or a subquery built by a callback
+   * Subquery parameters share this builder's parameter map
+   */
+  call(subquery) {
+    if (typeof subquery !== 'function') {
+      return this.addClause('CALL', subquery);
+    }
+
+    const inner = new CypherQueryBuilder(this.shared);
+    subquery(inner);
+    return this.addClause('CALL', `{\n${indent(inner.buildCypher())}\n}`);
   }
 
   /**
-   * Set RETURN clause
+   * Add a RETURN clause
    */
   return(clause) {
-    this.returnClause = clause;
-    return this;
+    return this.addClause('RETURN', clause);
   }
 
   /**
-   * Set ORDER BY clause
+   * Add an ORDER BY clause
    */
   orderBy(clause) {
-    this.orderByClause = clause;
-    return this;
+    return this.addClause('ORDER BY', clause);
   }
 
   /**
-   * Set LIMIT
+   * Add a LIMIT clause
    */
   limit(value) {
-    this.limitValue = value;
-    return this;
+    return this.addClause('LIMIT', String(safeInteger(value, { name: 'limit' })));
   }
 
   /**
-   * Set SKIP
+   * Add a SKIP clause
    */
   skip(value) {
-    this.skipValue = value;
+    return this.addClause('SKIP', String(safeInteger(value, { name: 'skip' })));
+  }
+
+  /**
+   * Combine with another query built by a callback
+   */
+  union(branch, { all = false } = {}) {
+    const other = new CypherQueryBuilder(this.shared);
+    branch(other);
+    this.unions.push({ all, builder: other });
     return this;
   }
 
+  // ============================================================
+  // Writing
+  // ============================================================
+
   /**
-   * Add a parameter with auto-generated name
+   * Add a CREATE clause
    */
-  addParam(value) {
-    const paramName = `param${this.paramCounter++}`;
-    this.params[paramName] = value;
-    return `$${paramName}`;
+  create(pattern) {
+    return this.addClause('CREATE', pattern);
   }
 
   /**
-   * Build the final Cypher query
+   * Add a MERGE clause; follow with onCreateSet/onMatchSet as needed
    */
-  build() {
-    const parts = [];
+  merge(pattern) {
+    return this.addClause('MERGE', pattern);
+  }
 
-    // MATCH clauses
-    for (const match of this.matchClauses) {
-      parts.push(`MATCH ${match}`);
-    }
+  onCreateSet(...assignments) {
+    return this.addClause('ON CREATE SET', assignments.flat().join(', '));
+  }
 
-    // OPTIONAL MATCH clauses
-    for (const optionalMatch of this.optionalMatchClauses) {
-      parts.push(`OPTIONAL MATCH ${optionalMatch}`);
-    }
+  onMatchSet(...assignments) {
+    return this.addClause('ON MATCH SET', assignments.flat().join(', '));
+  }
 
-    // WHERE clauses
-    if (this.whereClauses.length > 0) {
-      parts.push(`WHERE ${this.whereClauses.join(' AND ')}`);
-    }
+  /**
+   * Add a SET clause from assignment strings (see assignments())
+   */
+  set(...assignments) {
+    return this.addClause('SET', assignments.flat().join(', '));
+  }
 
-    // WITH clauses
-    for (const withClause of this.withClauses) {
-      parts.push(`WITH ${withClause}`);
-    }
+  /**
+   * Add a REMOVE clause for properties (see property()) or labels
+   */
+  remove(...items) {
+    return this.addClause('REMOVE', items.flat().join(', '));
+  }
 
-    // RETURN clause
-    if (this.returnClause) {
-      parts.push(`RETURN ${this.returnClause}`);
-    }
+  delete(...variables) {
+    return this.addClause('DELETE', variables.flat().join(', '));
+  }
 
-    // ORDER BY clause
-    if (this.orderByClause) {
-      parts.push(`ORDER BY ${this.orderByClause}`);
-    }
+  detachDelete(...variables) {
+    return this.addClause('DETACH DELETE', variables.flat().join(', '));
+  }
 
-    // SKIP clause
-    if (this.skipValue !== null) {
-      parts.push(`SKIP ${this.skipValue}`);
-    }
+  // ============================================================
+  // Safe Fragments
+  // ============================================================
+
+  /**
+   * Validated label for interpolation into a pattern
+   */
+  label(value) {
+    return safeLabel(value);
+  }
 
-    // LIMIT clause
-    if (this.limitValue !== null) {
-      parts.push(`LIMIT ${this.limitValue}`);
+  /**
+   * Validated relationship type for interpolation into a pattern
+   */
+  type(value) {
+    return safeRelationshipType(value);
+  }
+
+  /**
+   * Property reference: variable.key
+   */
+  property(variable, key) {
+    return `${safeIdentifier(variable, 'variable')}.${safePropertyKey(key)}`;
+  }
+
+  /**
+   * Add a parameter and return its placeholder
+   * The name defaults to param0, param1, ...; taken names get a numeric suffix
+   */
+  addParam(value, name = null) {
+    let paramName = name ? safeIdentifier(name, 'parameter name') : `param${this.shared.paramCounter++}`;
+
+    if (name && paramName in this.params) {
+      paramName = `${name}_${this.shared.paramCounter++}`;
     }
 
+    this.params[paramName] = value;
+    return `$${paramName}`;
+  }
+
+  /**
+   * Parameterized property map: {key: $variable_key, ...}
+   * Undefined values are left out
+   */
+  properties(variable, properties = {}) {
+    const entries = Object.entries(properties)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => `${safePropertyKey(key)}: ${this.addParam(value, `${variable}_${key}`)}`);
+
+    return entries.length > 0 ? ` {${entries.join(', ')}}` : '';
+  }
+
+  /**
+   * Node pattern: (variable:Label {key: $param})
+   */
+  node(variable, label = null, properties = {}) {
+    const labelPart = label ? `:${safeLabel(label)}` : '';
+    return `(${safeIdentifier(variable, 'variable')}${labelPart}${this.properties(variable, properties)})`;
+  }
+
+  /**
+   * Relationship pattern: [variable:TYPE {key: $param}]
+   */
+  relationship(variable, type = null, properties = {}) {
+    const typePart = type ? `:${safeRelationshipType(type)}` : '';
+    return `[${variable ? safeIdentifier(variable, 'variable') : ''}${typePart}${this.properties(variable || 'rel', properties)}]`;
+  }
+
+  /**
+   * Parameterized assignments for SET: variable.key = $variable_key
+   */
+  assignments(variable, properties = {}) {
+    return Object.entries(properties)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => `${this.property(variable, key)} = ${this.addParam(value, `${variable}_${key}`)}`);
+  }
+
+  // ============================================================
+  // Output
+  // ============================================================
+
+  /**
+   * Cypher text of this builder and its UNION branches
+   */
+  buildCypher() {
+    const text = this.clauses
+      .map(({ keyword, body, where }) => {
+        const line = body ? `${keyword} ${body}` : keyword;
+        return where.length > 0 ? `${line}\nWHERE ${where.join(' AND ')}` : line;
+      })
+      .join('\n');
+
+    return this.unions.reduce(
+      (cypher, { all, builder }) => `${cypher}\nUNION${all ? ' ALL' : ''}\n${builder.buildCypher()}`,
+      text
+    );
+  }
+
+  /**
+   * Build the final Cypher query
+   */
+  build() {
     return {
-      cypher: parts.join('\n'),
+      cypher: this.buildCypher(),
       params: this.params
     };
   }
 
+  /**
+   * Run the built query in a transaction
+   */
+  run(tx) {
+    const { cypher, params } = this.build();
+    return tx.run(cypher, params);
+  }
+
   /**
    * Execute the built query
    */
@@ -159,6 +312,105 @@ export class CypherQueryBuilder {
   }
 }
 
+function indent(text) {
+  return text.split('\n').map(line => `  ${line}`).join('\n');
+}
+
+// Columns returned for a matched path
+const PATH_COLUMNS = `path,
+       [n in nodes(path) | {id: n.id, labels: labels(n)}] as nodes,
+       [r in relationships(path) | type(r)] as relTypes,
+       length(path) as length`;
+
+/**
+ * Pattern matching queries
+ * Every node they match, including the nodes along a path, belongs to the
+ * current namespace
+ */
+export const patternQueries = {
+  connected(label, id, maxDepth = 1) {
+    const qb = new CypherQueryBuilder();
+    const depth = maxDepth === 1 ? '' : `*1..${safeDepth(maxDepth)}`;
+
+    return qb
+      .match(`path = ${qb.node('start', label, { id })}-[${depth}]-(connected)`)
+      .where(`all(n IN nodes(path) WHERE ${whereNamespace(qb, 'n')})`)
+      .return('DISTINCT connected, labels(connected) as labels')
+      .limit(100);
+  },
+
+  commonNeighbors(label1, id1, label2, id2, neighborLabel) {
+    const qb = new CypherQueryBuilder();
+
+    return qb
+      .match(`${qb.node('e1', label1, { id: id1 })}-[]-${qb.node('neighbor', neighborLabel)}-[]-${qb.node('e2', label2, { id: id2 })}`)
+      .where(whereNamespace(qb, 'e1'))
+      .where(whereNamespace(qb, 'neighbor'))
+      .where(whereNamespace(qb, 'e2'))
+      .return('DISTINCT neighbor')
+      .limit(50);
+  },
+
+  shortestPath(label1, id1, label2, id2, maxDepth = 5) {
+    const qb = new CypherQueryBuilder();
+    const start = qb.node('start', label1, { id: id1 });
+    const end = qb.node('end', label2, { id: id2 });
+
+    return qb
+      .match(`path = shortestPath(${start}-[*1..${safeDepth(maxDepth)}]-${end})`)
+      .where(`all(n IN nodes(path) WHERE ${whereNamespace(qb, 'n')})`)
+      .return(PATH_COLUMNS);
+  },
+
+  allPaths(label1, id1, label2, id2, maxDepth = 3, limit = 50) {
+    const qb = new CypherQueryBuilder();
+    const start = qb.node('start', label1, { id: id1 });
+    const end = qb.node('end', label2, { id: id2 });
+
+    return qb
+      .match(`path = ${start}-[*1..${safeDepth(maxDepth)}]-${end}`)
+      .where(`all(n IN nodes(path) WHERE ${whereNamespace(qb, 'n')})`)
+      .return(PATH_COLUMNS)
+      .orderBy('length')
+      .limit(limit);
+  },
+
+  subgraph(label, id, radius = 2, maxNodes = 100) {
+    const qb = new CypherQueryBuilder();
+
+    return qb
+      .match(`path = ${qb.node('start', label, { id })}-[r*1..${safeDepth(radius)}]-(end)`)
+      .where(`all(n IN nodes(path) WHERE ${whereNamespace(qb, 'n')})`)
+      .return('start, r, end, labels(end) as labels')
+      .limit(maxNodes);
+  },
+
+  relationshipStats(label, id) {
+    const qb = new CypherQueryBuilder();
+
+    return qb
+      .match(`${qb.node('e', label, { id })}-[r]-(other)`)
+      .where(whereNamespace(qb, 'e'))
+      .where(whereNamespace(qb, 'other'))
+      .return('type(r) as relationshipType, labels(other)[0] as targetLabel, count(r) as count')
+      .orderBy('count DESC');
+  },
+
+  searchByText(label, searchText, properties = ['name', 'description'], limit = 50) {
+    const qb = new CypherQueryBuilder();
+    qb.match(qb.node('e', label));
+
+    const search = qb.addParam(searchText, 'search');
+    const conditions = properties.map(prop => `toLower(${qb.property('e', prop)}) CONTAINS toLower(${search})`);
+
+    return qb
+      .where(`(${conditions.join(' OR ')})`)
+      .where(whereNamespace(qb, 'e'))
+      .return('e')
+      .limit(limit);
+  }
+};
+
 /**
  * Pattern matching functions
  */
@@ -167,15 +419,7 @@ export class CypherQueryBuilder {
  * Find entities connected to a given entity
  */
 export async function findConnectedEntities(label, id, relationshipPattern, maxDepth = 1) {
-  const depth = maxDepth === 1 ? '' : `*1..${maxDepth}`;
-
-  const cypher = `
-    MATCH (start:${label} {id: $id})-[${depth}]-(connected)
-    RETURN DISTINCT connected, labels(connected) as labels
-    LIMIT 100
-  `;
-
-  const result = await executeQuery(cypher, { id });
+  const result = await patternQueries.connected(label, id, maxDepth).execute();
   return result.records.map(record => ({
     entity: record.get('connected'),
     labels: record.get('labels')
@@ -184,6 +428,7 @@ export async function findConnectedEntities(label, id, relationshipPattern, maxD
 
 /**
  * Find entities by pattern matching
+ * The returned node n is restricted to the current namespace
  */
 export async function findByPattern(pattern, where = {}, limit = 100) {
   const qb = new CypherQueryBuilder();
@@ -191,21 +436,20 @@ export async function findByPattern(pattern, where = {}, limit = 100) {
   qb.match(pattern);
 
   // Add WHERE conditions
-  const conditions = Object.entries(where).map(([key, value]) => {
-    const paramName = `where_${key}`;
+  const conditions = Object.entries(where).map(([key, value], i) => {
+    const paramName = `where_${i}`;
     qb.params[paramName] = value;
-    return `${key} = $${paramName}`;
+    return `${safePropertyPath(key)} = $${paramName}`;
   });
 
   if (conditions.length > 0) {
     qb.where(conditions.join(' AND '));
   }
 
-  qb.return('patternNode').limit(limit);
+  qb.where(whereNamespace(qb, 'n'));
+  qb.return('n').limit(limit);
 
   const query = qb.build();
-  query.cypher = query.cypher.replace('RETURN patternNode', 'RETURN n');
-
   const result = await executeQuery(query.cypher, query.params);
   return result.records.map(record => record.get('n'));
 }
@@ -214,13 +458,7 @@ export async function findByPattern(pattern, where = {}, limit = 100) {
  * Find common neighbors between two entities
  */
 export async function findCommonNeighbors(label1, id1, label2, id2, neighborLabel) {
-  const cypher = `
-    MATCH (e1:${label1} {id: $id1})-[]-(neighbor:${neighborLabel})-[]-(e2:${label2} {id: $id2})
-    RETURN DISTINCT neighbor
-    LIMIT 50
-  `;
-
-  const result = await executeQuery(cypher, { id1, id2 });
+  const result = await patternQueries.commonNeighbors(label1, id1, label2, id2, neighborLabel).execute();
   return result.records.map(record => record.get('neighbor'));
 }
 
@@ -228,17 +466,7 @@ export async function findCommonNeighbors(label1, id1, label2, id2, neighborLabe
  * Find shortest path between entities
  */
 export async function findShortestPath(label1, id1, label2, id2, maxDepth = 5) {
-  const cypher = `
-    MATCH path = shortestPath(
-      (start:${label1} {id: $id1})-[*1..${maxDepth}]-(end:${label2} {id: $id2})
-    )
-    RETURN path,
-           [n in nodes(path) | {id: n.id, labels: labels(n)}] as nodes,
-           [r in relationships(path) | type(r)] as relTypes,
-           length(path) as length
-  `;
-
-  const result = await executeQuery(cypher, { id1, id2 });
+  const result = await patternQueries.shortestPath(label1, id1, label2, id2, maxDepth).execute();
 
   if (result.records.length === 0) {
     return null;
@@ -257,17 +485,7 @@ export async function findShortestPath(label1, id1, label2, id2, maxDepth = 5) {
  * Find all paths between entities
  */
 export async function findAllPaths(label1, id1, label2, id2, maxDepth = 3, limit = 50) {
-  const cypher = `
-    MATCH path = (start:${label1} {id: $id1})-[*1..${maxDepth}]-(end:${label2} {id: $id2})
-    RETURN path,
-           [n in nodes(path) | {id: n.id, labels: labels(n)}] as nodes,
-           [r in relationships(path) | type(r)] as relTypes,
-           length(path) as length
-    ORDER BY length
-    LIMIT $limit
-  `;
-
-  const result = await executeQuery(cypher, { id1, id2, limit });
+  const result = await patternQueries.allPaths(label1, id1, label2, id2, maxDepth, limit).execute();
 
   return result.records.map(record => ({
     path: record.get('path'),
@@ -281,13 +499,7 @@ export async function findAllPaths(label1, id1, label2, id2, maxDepth = 3, limit
  * Find subgraph around an entity
  */
 export async function findSubgraph(label, id, radius = 2, maxNodes = 100) {
-  const cypher = `
-    MATCH (start:${label} {id: $id})-[r*1..${radius}]-(end)
-    RETURN start, r, end, labels(end) as labels
-    LIMIT $maxNodes
-  `;
-
-  const result = await executeQuery(cypher, { id, maxNodes });
+  const result = await patternQueries.subgraph(label, id, radius, maxNodes).execute();
 
   return {
     startNode: result.records[0]?.get('start'),
@@ -303,15 +515,7 @@ export async function findSubgraph(label, id, radius = 2, maxNodes = 100) {
  * Aggregate relationship statistics
  */
 export async function getRelationshipStats(label, id) {
-  const cypher = `
-    MATCH (e:${label} {id: $id})-[r]-(other)
-    RETURN type(r) as relationshipType,
-           labels(other)[0] as targetLabel,
-           count(r) as count
-    ORDER BY count DESC
-  `;
-
-  const result = await executeQuery(cypher, { id });
+  const result = await patternQueries.relationshipStats(label, id).execute();
 
   return result.records.map(record => ({
     relationshipType: record.get('relationshipType'),
@@ -324,29 +528,13 @@ export async function getRelationshipStats(label, id) {
  * Search entities by text properties
  */
 export async function searchByText(label, searchText, properties = ['name', 'description'], limit = 50) {
-  const searchParams = properties.map((prop, i) => {
-    const paramName = `search_${i}`;
-    return `toLower(e.${prop}) CONTAINS toLower($${paramName})`;
-  }).join(' OR ');
-
-  const params = {};
-  properties.forEach((prop, i) => {
-    params[`search_${i}`] = searchText;
-  });
-
-  const cypher = `
-    MATCH (e:${label})
-    WHERE ${searchParams}
-    RETURN e
-    LIMIT $limit
-  `;
-
-  const result = await executeQuery(cypher, { ...params, limit });
+  const result = await patternQueries.searchByText(label, searchText, properties, limit).execute();
   return result.records.map(record => record.get('e'));
 }
 
 export default {
   CypherQueryBuilder,
+  patternQueries,
   findConnectedEntities,
   findByPattern,
   findCommonNeighbors,
@@ -5,8 +5,167 @@
 // Description: Create, read, update, delete relationships in Neo4j
 
 import { executeWriteTransaction, executeReadTransaction } from './neo4j-client.js';
+import { CypherQueryBuilder } from './neo4j-query-builder.js';
+import { getSchemaRegistry } from './entity-schemas.js';
+import { safeDepth } from '../utils/cypher-safety.js';
+import { namespaceParam, whereNamespace } from '../utils/namespace.js';
 import { logger } from '../utils/logger.js';
 
+// ============================================================
+// Queries
+// ============================================================
+
+/**
+ * (from:FromLabel {id})-[r:TYPE]->(to:ToLabel {id})
+ */
+function directedPattern(qb, fromLabel, fromId, relationshipType, toLabel, toId) {
+  return `${qb.node('from', fromLabel, { id: fromId })}-${qb.relationship('r', relationshipType)}->${qb.node('to', toLabel, { id: toId })}`;
+}
+
+/**
+ * Both ends of a relationship must belong to the current namespace
+ */
+function bothInNamespace(qb, fromVariable = 'from', toVariable = 'to') {
+  return `${whereNamespace(qb, fromVariable)} AND ${whereNamespace(qb, toVariable)}`;
+}
+
+/**
+ * Query construction, separate from execution so it can be tested without a database
+ * Each function returns a CypherQueryBuilder scoped to the current namespace
+ */
+export const relationshipQueries = {
+  create(fromLabel, fromId, relationshipType, toLabel, toId, properties = {}) {
+    const qb = new CypherQueryBuilder();
+    return qb
+      .match(qb.node('from', fromLabel, { id: fromId }))
+      .where(whereNamespace(qb, 'from'))
+      .match(qb.node('to', toLabel, { id: toId }))
+      .where(whereNamespace(qb, 'to'))
+      .create(`(from)-${qb.relationship('r', relationshipType)}->(to)`)
+      .set('r.created_at = datetime()', qb.assignments('r', properties), `r.namespace = ${namespaceParam(qb)}`)
+      .return('r');
+  },
+
+  /**
+   * Relationship types can't be parameters, so each type gets its own
+   * UNWIND branch and the branches are combined with UNION ALL
+   */
+  createMany(relationships) {
+    const byType = new Map();
+    for (const rel of relationships) {
+      if (!byType.has(rel.type)) {
+        byType.set(rel.type, []);
+      }
+      byType.get(rel.type).push({
+        fromLabel: rel.fromLabel,
+        fromId: rel.fromId,
+        toLabel: rel.toLabel,
+        toId: rel.toId,
+        properties: rel.properties || {}
+      });
+    }
+
+    const qb = new CypherQueryBuilder();
+    const branch = (builder, type, rels) => builder
+      .unwind(builder.addParam(rels, 'relationships'), 'rel')
+      .match('(from)')
+      .where('from.id = rel.fromId AND labels(from)[0] = rel.fromLabel')
+      .where(whereNamespace(builder, 'from'))
+      .match('(to)')
+      .where('to.id = rel.toId AND labels(to)[0] = rel.toLabel')
+      .where(whereNamespace(builder, 'to'))
+      .create(`(from)-${builder.relationship('r', type)}->(to)`)
+      .set('r = rel.properties', 'r.created_at = datetime()', `r.namespace = ${namespaceParam(builder)}`)
+      .return('r');
+
+    Array.from(byType.entries()).forEach(([type, rels], index) => {
+      if (index === 0) {
+        branch(qb, type, rels);
+      } else {
+        qb.union(other => branch(other, type, rels), { all: true });
+      }
+    });
+
+    return qb;
+  },
+
+  getForEntity(label, id, direction = 'both', type = null) {
+    const qb = new CypherQueryBuilder();
+    const rel = qb.relationship('r', type);
+    const node = qb.node('e', label, { id });
+
+    const pattern = direction === 'outgoing'
+      ? `${node}-${rel}->(other)`
+      : direction === 'incoming'
+        ? `${node}<-${rel}-(other)`
+        : `${node}-${rel}-(other)`;
+
+    return qb
+      .match(pattern)
+      .where(bothInNamespace(qb, 'e', 'other'))
+      .return('r, other, labels(other) as otherLabels');
+  },
+
+  find(fromLabel, fromId, relationshipType, toLabel, toId) {
+    const qb = new CypherQueryBuilder();
+    return qb
+      .match(directedPattern(qb, fromLabel, fromId, relationshipType, toLabel, toId))
+      .where(bothInNamespace(qb))
+      .return('r');
+  },
+
+  // A namespace in the properties is dropped: updates never move a relationship
+  update(fromLabel, fromId, relationshipType, toLabel, toId, { namespace: _ignored, ...properties }) {
+    const qb = new CypherQueryBuilder();
+    return qb
+      .match(directedPattern(qb, fromLabel, fromId, relationshipType, toLabel, toId))
+      .where(bothInNamespace(qb))
+      .set(qb.assignments('r', properties), 'r.updated_at = datetime()')
+      .return('r');
+  },
+
+  delete(fromLabel, fromId, relationshipType, toLabel, toId) {
+    const qb = new CypherQueryBuilder();
+    return qb
+      .match(directedPattern(qb, fromLabel, fromId, relationshipType, toLabel, toId))
+      .where(bothInNamespace(qb))
+      .delete('r')
+      .return('count(r) as deleted');
+  },
+
+  deleteForEntity(label, id) {
+    const qb = new CypherQueryBuilder();
+    return qb
+      .match(`${qb.node('e', label, { id })}-[r]-()`)
+      .where(whereNamespace(qb, 'e'))
+      .delete('r')
+      .return('count(r) as deleted');
+  },
+
+  count(label, id, type = null) {
+    const qb = new CypherQueryBuilder();
+    return qb
+      .match(`${qb.node('e', label, { id })}-${qb.relationship('r', type)}-(other)`)
+      .where(bothInNamespace(qb, 'e', 'other'))
+      .return('count(r) as count');
+  },
+
+  shortestPath(fromLabel, fromId, toLabel, toId, maxDepth = 5) {
+    const qb = new CypherQueryBuilder();
+    const from = qb.node('from', fromLabel, { id: fromId });
+    const to = qb.node('to', toLabel, { id: toId });
+
+    return qb
+      .match(`path = shortestPath(${from}-[*1..${safeDepth(maxDepth)}]-${to})`)
+      .where(`all(n IN nodes(path) WHERE ${whereNamespace(qb, 'n')})`)
+      .return('path, [r in relationships(path) | type(r)] as relationshipTypes, [n in nodes(path) | {id: n.id, labels: labels(n)}] as nodes');
+  }
+};
+
+// ============================================================
+// Operations
+// ============================================================
+
 /**
  * Create a relationship between two entities
  */
@@ -24,22 +183,11 @@ export async function createRelationship(
     to: { label: toLabel, id: toId },
     properties
   });
+  getSchemaRegistry().assertRelationship(relationshipType, fromLabel, toLabel, properties);
 
+  const query = relationshipQueries.create(fromLabel, fromId, relationshipType, toLabel, toId, properties);
   const result = await executeWriteTransaction(async (tx) => {
-    const propsString = Object.keys(properties).length > 0
-      ? ' { ' + Object.keys(properties).map(key => `r.${key} = $${key}`).join(', ') + ' }'
-      : '';
-
-    const cypher = `
-      MATCH (from:${fromLabel} {id: $fromId})
-      MATCH (to:${toLabel} {id: $toId})
-      CREATE (from)-[r:${relationshipType}]->(to)
-      SET r.created_at = datetime()
-      ${propsString}
-      RETURN r
-    `;
-
-    const result = await tx.run(cypher, { fromId, toId, ...properties });
+    const result = await query.run(tx);
     return result.records.length > 0 ? result.records[0].get('r') : null;
   });
 
@@ -56,36 +204,26 @@ export async function createRelationship(
 
 /**
  * Create multiple relationships in batch
+ * options.tx writes inside the caller's open transaction
  */
-export async function createRelationships(relationshipsArray) {
+export async function createRelationships(relationshipsArray, { tx: openTx } = {}) {
   logger.debug('Creating relationships in batch', {
     count: relationshipsArray.length
   });
+  relationshipsArray.forEach(rel => getSchemaRegistry().assertRelationship(
+    rel.type, rel.fromLabel, rel.toLabel, rel.properties || {}
+  ));
 
-  const results = await executeWriteTransaction(async (tx) => {
-    const cypher = `
-      UNWIND $relationships as rel
-      MATCH (from)
-      WHERE from.id = rel.fromId AND labels(from)[0] = rel.fromLabel
-      MATCH (to)
-      WHERE to.id = rel.toId AND labels(to)[0] = rel.toLabel
-      CREATE (from)-[r:rel.type]->(to)
-      SET r = rel.properties, r.created_at = datetime()
-      RETURN r
-    `;
-
-    const normalized = relationshipsArray.map(rel => ({
-      fromLabel: rel.fromLabel,
-      fromId: rel.fromId,
-      toLabel: rel.toLabel,
-      toId: rel.toId,
-      type: rel.type,
-      properties: rel.properties || {}
-    }));
+  if (relationshipsArray.length === 0) {
+    return [];
+  }
 
-    const result = await tx.run(cypher, { relationships: normalized });
+  const query = relationshipQueries.createMany(relationshipsArray);
+  const write = async (tx) => {
+    const result = await query.run(tx);
     return result.records.map(record => record.get('r'));
-  });
+  };
+  const results = openTx ? await write(openTx) : await executeWriteTransaction(write);
 
   logger.info('Relationships created in batch', { count: results.length });
   return results;
@@ -97,23 +235,9 @@ export async function createRelationships(relationshipsArray) {
 export async function getEntityRelationships(label, id, direction = 'both', type = null) {
   logger.debug('Getting entity relationships', { label, id, direction, type });
 
+  const query = relationshipQueries.getForEntity(label, id, direction, type);
   const result = await executeReadTransaction(async (tx) => {
-    let matchPattern = '';
-
-    if (direction === 'outgoing') {
-      matchPattern = `MATCH (e:${label} {id: $id})-[r${type ? `:${type}` : ''}]->(other)`;
-    } else if (direction === 'incoming') {
-      matchPattern = `MATCH (e:${label} {id: $id})<-[r${type ? `:${type}` : ''}]-(other)`;
-    } else {
-      matchPattern = `MATCH (e:${label} {id: $id})-[r${type ? `:${type}` : ''}]-(other)`;
-    }
-
-    const cypher = `
-      ${matchPattern}
-      RETURN r, other, labels(other) as otherLabels
-    `;
-
-    const result = await tx.run(cypher, { id });
+    const result = await query.run(tx);
     return result.records.map(record => ({
       relationship: record.get('r'),
       otherEntity: record.get('other'),
@@ -140,13 +264,9 @@ export async function findRelationship(
     to: { label: toLabel, id: toId }
   });
 
+  const query = relationshipQueries.find(fromLabel, fromId, relationshipType, toLabel, toId);
   const result = await executeReadTransaction(async (tx) => {
-    const cypher = `
-      MATCH (from:${fromLabel} {id: $fromId})-[r:${relationshipType}]->(to:${toLabel} {id: $toId})
-      RETURN r
-    `;
-
-    const result = await tx.run(cypher, { fromId, toId });
+    const result = await query.run(tx);
     return result.records.length > 0 ? result.records[0].get('r') : null;
   });
 
@@ -170,19 +290,11 @@ export async function updateRelationship(
     to: { label: toLabel, id: toId },
     properties
   });
+  getSchemaRegistry().assertRelationship(relationshipType, fromLabel, toLabel, properties, { partial: true });
 
+  const query = relationshipQueries.update(fromLabel, fromId, relationshipType, toLabel, toId, properties);
   const result = await executeWriteTransaction(async (tx) => {
-    const setString = Object.keys(properties)
-      .map(key => `r.${key} = $${key}`)
-      .join(', ');
-
-    const cypher = `
-      MATCH (from:${fromLabel} {id: $fromId})-[r:${relationshipType}]->(to:${toLabel} {id: $toId})
-      SET ${setString}, r.updated_at = datetime()
-      RETURN r
-    `;
-
-    const result = await tx.run(cypher, { fromId, toId, ...properties });
+    const result = await query.run(tx);
     return result.records.length > 0 ? result.records[0].get('r') : null;
   });
 
@@ -213,14 +325,9 @@ export async function deleteRelationship(
     to: { label: toLabel, id: toId }
   });
 
+  const query = relationshipQueries.delete(fromLabel, fromId, relationshipType, toLabel, toId);
   const result = await executeWriteTransaction(async (tx) => {
-    const cypher = `
-      MATCH (from:${fromLabel} {id: $fromId})-[r:${relationshipType}]->(to:${toLabel} {id: $toId})
-      DELETE r
-      RETURN count(r) as deleted
-    `;
-
-    const result = await tx.run(cypher, { fromId, toId });
+    const result = await query.run(tx);
     return result.records[0].get('deleted').toNumber();
   });
 
@@ -241,14 +348,9 @@ export async function deleteRelationship(
 export async function deleteEntityRelationships(label, id) {
   logger.debug('Deleting all relationships for entity', { label, id });
 
+  const query = relationshipQueries.deleteForEntity(label, id);
   const result = await executeWriteTransaction(async (tx) => {
-    const cypher = `
-      MATCH (e:${label} {id: $id})-[r]-()
-      DELETE r
-      RETURN count(r) as deleted
-    `;
-
-    const result = await tx.run(cypher, { id });
+    const result = await query.run(tx);
     return result.records[0].get('deleted').toNumber();
   });
 
@@ -262,13 +364,9 @@ export async function deleteEntityRelationships(label, id) {
 export async function countRelationships(label, id, type = null) {
   logger.debug('Counting relationships', { label, id, type });
 
+  const query = relationshipQueries.count(label, id, type);
   const result = await executeReadTransaction(async (tx) => {
-    const cypher = `
-      MATCH (e:${label} {id: $id})-[r${type ? `:${type}` : ''}]-()
-      RETURN count(r) as count
-    `;
-
-    const result = await tx.run(cypher, { id });
+    const result = await query.run(tx);
     return result.records[0].get('count').toNumber();
   });
 
@@ -291,16 +389,9 @@ export async function getShortestPath(
     maxDepth
   });
 
+  const query = relationshipQueries.shortestPath(fromLabel, fromId, toLabel, toId, maxDepth);
   const result = await executeReadTransaction(async (tx) => {
-    const cypher = `
-      MATCH path = shortestPath(
-        (from:${fromLabel} {id: $fromId})-[*1..${maxDepth}]-(to:${toLabel} {id: $toId})
-      )
-      RETURN path, [r in relationships(path) | type(r)] as relationshipTypes,
-             [n in nodes(path) | {id: n.id, labels: labels(n)}] as nodes
-    `;
-
-    const result = await tx.run(cypher, { fromId, toId });
+    const result = await query.run(tx);
     return result.records.length > 0 ? result.records[0] : null;
   });
 
@@ -308,6 +399,7 @@ export async function getShortestPath(
 }
 
 export default {
+  relationshipQueries,
   createRelationship,
   createRelationships,
   getEntityRelationships,
@@ -0,0 +1,763 @@
+// ============================================================
+// Obsidian Vault Index
+// ============================================================
+// Description: Incrementally maintained inverted index over the vault
+// with BM25 ranking, phrase and tag filters, a wikilink graph, and persisted state
+
+import { promises as fs, watch as watchFs } from 'fs';
+import path from 'path';
+import { parseFrontmatter, getFrontmatterList } from '../utils/frontmatter.js';
+import { parseLinks, isAttachmentTarget, createLinkResolver } from './obsidian-links.js';
+import { createModuleLogger } from '../utils/log-helpers.js';
+
+const indexLogger = createModuleLogger('VaultIndex');
+
+const INDEX_VERSION = 2;
+
+/**
+ * Index configuration
+ */
+const indexConfig = {
+  vaultPath: process.env.OBSIDIAN_VAULT || '/vault',
+  indexPath: process.env.OBSIDIAN_INDEX_PATH || path.resolve(process.cwd(), 'data/obsidian-index.json'),
+  saveDelay: parseInt(process.env.OBSIDIAN_INDEX_SAVE_DELAY || '2000'),
+  watchDebounce: 100,
+  k1: 1.2,
+  b: 0.75
+};
+
+const TOKEN_PATTERN = /[\p{L}\p{N}_]+/gu;
+const INLINE_TAG_PATTERN = /(?:^|\s)#([\p{L}\p{N}_][\p{L}\p{N}_/-]*)/gu;
+
+/**
+ * Lowercased word tokens
+ */
+export function tokenize(text) {
+  return (text || '').toLowerCase().match(TOKEN_PATTERN) || [];
+}
+
+/**
+ * Normalize a tag: lowercase, no leading #
+ */
+export function normalizeTag(tag) {
+  return String(tag).trim().replace(/^#/, '').toLowerCase();
+}
+
+/**
+ * Split a query into free terms, quoted phrases and tag filters
+ * Tags are written as tag:name or #name
+ */
+export function parseQuery(query = '') {
+  const phrases = [];
+  const tags = [];
+
+  const rest = query
+    .replace(/"([^"]+)"/g, (_, phrase) => {
+      const tokens = tokenize(phrase);
+      if (tokens.length > 0) {
+        phrases.push(tokens);
+      }
+      return ' ';
+    })
+    .replace(/(?:^|\s)(?:tag:|#)([^\s"]+)/g, (_, tag) => {
+      tags.push(normalizeTag(tag));
+      return ' ';
+    });
+
+  return { terms: tokenize(rest), phrases, tags };
+}
+
+/**
+ * Whether a note's tags satisfy a filter tag (nested tags match their parents)
+ */
+function hasTag(noteTags, tag) {
+  return noteTags.some(t => t === tag || t.startsWith(`${tag}/`));
+}
+
+/**
+ * Excluded directories as "dir/" path prefixes
+ */
+function excludedPrefixes(directories) {
+  return directories
+    .map(dir => dir.replace(/^\/+|\/+$/g, ''))
+    .filter(Boolean)
+    .map(dir => `${dir}/`);
+}
+
+/**
+ * Whether a vault-relative path lies under a scope's root and outside its
+ * excluded directories
+ */
+function inScope(relPath, { root = '', exclude = [] } = {}) {
+  const prefix = root ? `${root.replace(/^\/+|\/+$/g, '')}/` : '';
+  return (!prefix || relPath.startsWith(prefix))
+    && !excludedPrefixes(exclude).some(dir => relPath.startsWith(dir));
+}
+
+/**
+ * Vault Index
+ * Documents are keyed by vault-relative path with forward slashes
+ */
+export class VaultIndex {
+  constructor(config = {}) {
+    this.config = { ...indexConfig, ...config };
+    this.vaultPath = this.config.vaultPath;
+    this.docs = new Map();
+    this.postings = new Map();
+    this.totalLength = 0;
+    this.attachments = new Set();
+    // Resolved link graphs by scope
+    this.graphs = new Map();
+    this.built = null;
+    this.watcher = null;
+    this.pending = new Map();
+    this.saveTimer = null;
+  }
+
+  // ============================================================
+  // Building and Maintenance
+  // ============================================================
+
+  /**
+   * Build the index once; concurrent callers share the same build
+   */
+  ensureBuilt() {
+    if (!this.built) {
+      this.built = this.build().catch(error => {
+        this.built = null;
+        throw error;
+      });
+    }
+    return this.built;
+  }
+
+  /**
+   * Load persisted state, then reindex only files whose mtime or size changed
+   */
+  async build() {
+    const startTime = Date.now();
+    await this.load();
+
+    this.attachments.clear();
+    const files = await this.scan('');
+    const seen = new Set();
+    let reindexed = 0;
+
+    for (const { relPath, stats } of files) {
+      seen.add(relPath);
+      const doc = this.docs.get(relPath);
+
+      if (!doc || doc.mtimeMs !== stats.mtimeMs || doc.size !== stats.size) {
+        await this.indexFile(relPath, stats);
+        reindexed++;
+      }
+    }
+
+    let removed = 0;
+    for (const relPath of Array.from(this.docs.keys())) {
+      if (!seen.has(relPath)) {
+        this.removeDoc(relPath);
+        removed++;
+      }
+    }
+
+    if (reindexed > 0 || removed > 0) {
+      this.scheduleSave();
+    }
+
+    indexLogger.info('Vault index built', {
+      notes: this.docs.size,
+      terms: this.postings.size,
+      reindexed,
+      removed,
+      duration_ms: Date.now() - startTime
+    });
+
+    return this;
+  }
+
+  /**
+   * Recursively list markdown files under a vault-relative directory
+   * Other files are recorded as attachments so embeds of them resolve
+   */
+  async scan(relDir) {
+    const results = [];
+    let entries;
+
+    try {
+      entries = await fs.readdir(path.join(this.vaultPath, relDir), { withFileTypes: true });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        indexLogger.warn('Error reading directory', { dir: relDir, error: error.message });
+      }
+      return results;
+    }
+
+    for (const entry of entries) {
+      // Skip .obsidian, .trash and other hidden folders
+      if (entry.name.startsWith('.')) {
+        continue;
+      }
+
+      const relPath = relDir ? `${relDir}/${entry.name}` : entry.name;
+
+      if (entry.isDirectory()) {
+        results.push(...await this.scan(relPath));
+      } else if (entry.isFile() && entry.name.endsWith('.md')) {
+        try {
+          results.push({ relPath, stats: await fs.stat(path.join(this.vaultPath, relPath)) });
+        } catch {
+          // Removed between readdir and stat
+        }
+      } else if (entry.isFile()) {
+        this.attachments.add(relPath);
+        this.graphs.clear();
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * (Re)index one note
+   */
+  async indexFile(relPath, stats = null) {
+    const filePath = path.join(this.vaultPath, relPath);
+    const fileStats = stats || await fs.stat(filePath);
+    const content = await fs.readFile(filePath, 'utf-8');
+
+    const { frontmatter, body } = parseFrontmatter(content);
+    const inlineTags = Array.from(body.matchAll(INLINE_TAG_PATTERN), m => m[1]);
+    const tags = Array.from(new Set([
+      ...getFrontmatterList(frontmatter, 'tags'),
+      ...inlineTags
+    ].map(normalizeTag).filter(Boolean)));
+
+    // Title and frontmatter values are searchable along with the body
+    const title = frontmatter?.title || path.basename(relPath, '.md');
+    const tokens = tokenize(`${title}\n${body}`);
+
+    const positions = {};
+    tokens.forEach((token, position) => {
+      (positions[token] ||= []).push(position);
+    });
+
+    this.removeDoc(relPath);
+    this.addDoc({
+      path: relPath,
+      title,
+      tags,
+      aliases: [
+        ...getFrontmatterList(frontmatter, 'aliases'),
+        ...getFrontmatterList(frontmatter, 'alias')
+      ],
+      links: parseLinks(content),
+      mtimeMs: fileStats.mtimeMs,
+      size: fileStats.size,
+      length: tokens.length,
+      positions
+    });
+    this.scheduleSave();
+
+    return this.docs.get(relPath);
+  }
+
+  /**
+   * Re-check a path reported by the watcher or a tool
+   */
+  async refreshPath(relPath) {
+    const normalized = relPath.split(path.sep).join('/');
+
+    if (normalized.split('/').some(part => part.startsWith('.'))) {
+      return;
+    }
+
+    let stats = null;
+    try {
+      stats = await fs.stat(path.join(this.vaultPath, normalized));
+    } catch {
+      // Deleted or renamed away
+    }
+
+    if (!stats) {
+      this.removePath(normalized);
+      return;
+    }
+
+    if (stats.isDirectory()) {
+      for (const file of await this.scan(normalized)) {
+        await this.indexFile(file.relPath, file.stats);
+      }
+    } else if (!normalized.endsWith('.md')) {
+      this.attachments.add(normalized);
+      this.graphs.clear();
+    } else {
+      const doc = this.docs.get(normalized);
+      if (!doc || doc.mtimeMs !== stats.mtimeMs || doc.size !== stats.size) {
+        await this.indexFile(normalized, stats);
+      }
+    }
+  }
+
+  /**
+   * Drop a note, or every note under a deleted directory
+   */
+  removePath(relPath) {
+    const prefix = `${relPath}/`;
+    let removed = 0;
+
+    for (const attachment of Array.from(this.attachments)) {
+      if (attachment === relPath || attachment.startsWith(prefix)) {
+        this.attachments.delete(attachment);
+        this.graphs.clear();
+      }
+    }
+
+    for (const docPath of Array.from(this.docs.keys())) {
+      if (docPath === relPath || docPath.startsWith(prefix)) {
+        this.removeDoc(docPath);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      this.scheduleSave();
+    }
+  }
+
+  addDoc(doc) {
+    this.graphs.clear();
+    this.docs.set(doc.path, doc);
+    this.totalLength += doc.length;
+
+    for (const [term, positions] of Object.entries(doc.positions)) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(doc.path, positions);
+    }
+  }
+
+  removeDoc(relPath) {
+    const doc = this.docs.get(relPath);
+
+    if (!doc) {
+      return;
+    }
+
+    this.graphs.clear();
+    for (const term of Object.keys(doc.positions)) {
+      const posting = this.postings.get(term);
+      posting?.delete(relPath);
+      if (posting?.size === 0) {
+        this.postings.delete(term);
+      }
+    }
+
+    this.totalLength -= doc.length;
+    this.docs.delete(relPath);
+  }
+
+  // ============================================================
+  // File Watching
+  // ============================================================
+
+  /**
+   * Watch the vault and refresh changed paths (debounced per path)
+   */
+  watch() {
+    if (this.watcher) {
+      return;
+    }
+
+    try {
+      this.watcher = watchFs(this.vaultPath, { recursive: true }, (eventType, filename) => {
+        if (!filename) {
+          return;
+        }
+
+        const relPath = filename.toString();
+        clearTimeout(this.pending.get(relPath));
+        this.pending.set(relPath, setTimeout(() => {
+          this.pending.delete(relPath);
+          this.refreshPath(relPath).catch(error => {
+            indexLogger.warn('Failed to refresh indexed path', { path: relPath, error: error.message });
+          });
+        }, this.config.watchDebounce));
+      });
+
+      this.watcher.on('error', (error) => {
+        indexLogger.warn('Vault watcher failed, index now updates only on tool writes', {
+          error: error.message
+        });
+        this.unwatch();
+      });
+
+      indexLogger.info('Watching vault for changes', { vault: this.vaultPath });
+    } catch (error) {
+      indexLogger.warn('File watching unavailable, index updates only on tool writes', {
+        error: error.message
+      });
+    }
+  }
+
+  unwatch() {
+    this.watcher?.close();
+    this.watcher = null;
+
+    for (const timer of this.pending.values()) {
+      clearTimeout(timer);
+    }
+    this.pending.clear();
+  }
+
+  // ============================================================
+  // Persistence
+  // ============================================================
+
+  /**
+   * Load persisted state if it belongs to this vault and version
+   */
+  async load() {
+    if (!this.config.indexPath) {
+      return false;
+    }
+
+    try {
+      const state = JSON.parse(await fs.readFile(this.config.indexPath, 'utf-8'));
+
+      if (state.version !== INDEX_VERSION || state.vaultPath !== this.vaultPath) {
+        indexLogger.info('Ignoring persisted index for a different vault or version');
+        return false;
+      }
+
+      this.docs.clear();
+      this.postings.clear();
+      this.totalLength = 0;
+      state.docs.forEach(doc => this.addDoc(doc));
+
+      indexLogger.debug('Persisted vault index loaded', { notes: this.docs.size });
+      return true;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        indexLogger.warn('Failed to load persisted vault index', { error: error.message });
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Write index state to disk (atomically)
+   */
+  async save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    if (!this.config.indexPath) {
+      return;
+    }
+
+    const state = {
+      version: INDEX_VERSION,
+      vaultPath: this.vaultPath,
+      savedAt: new Date().toISOString(),
+      docs: Array.from(this.docs.values())
+    };
+
+    await fs.mkdir(path.dirname(this.config.indexPath), { recursive: true });
+    const temp = `${this.config.indexPath}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(state), 'utf-8');
+    await fs.rename(temp, this.config.indexPath);
+  }
+
+  scheduleSave() {
+    if (this.saveTimer || !this.config.indexPath) {
+      return;
+    }
+
+    this.saveTimer = setTimeout(() => {
+      this.save().catch(error => {
+        indexLogger.warn('Failed to persist vault index', { error: error.message });
+      });
+    }, this.config.saveDelay);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Stop watching and flush pending state
+   */
+  async close() {
+    this.unwatch();
+
+    if (this.saveTimer) {
+      await this.save();
+    }
+  }
+
+  // ============================================================
+  // Queries
+  // ============================================================
+
+  /**
+   * Whether a document contains a phrase as consecutive tokens
+   */
+  containsPhrase(docPath, phrase) {
+    const first = this.postings.get(phrase[0])?.get(docPath);
+
+    if (!first) {
+      return false;
+    }
+
+    return first.some(start => phrase.every((token, offset) =>
+      offset === 0 || this.postings.get(token)?.get(docPath)?.includes(start + offset)
+    ));
+  }
+
+  /**
+   * Search notes with BM25 ranking
+   * match "all" requires every term; "any" ranks notes containing at least one
+   * exclude lists directories whose notes are left out
+   */
+  search(query, { tags = [], directory = '', exclude = [], match = 'all', limit = 50 } = {}) {
+    const parsed = parseQuery(query);
+    const tagFilters = [...parsed.tags, ...tags.map(normalizeTag)];
+    const scoringTerms = Array.from(new Set([...parsed.terms, ...parsed.phrases.flat()]));
+    const prefix = directory ? `${directory.replace(/^\/+|\/+$/g, '')}/` : '';
+    const excluded = excludedPrefixes(exclude);
+
+    let candidates;
+    if (scoringTerms.length === 0) {
+      candidates = new Set(this.docs.keys());
+    } else if (match === 'any' && parsed.phrases.length === 0) {
+      candidates = new Set(scoringTerms.flatMap(term => Array.from(this.postings.get(term)?.keys() || [])));
+    } else {
+      // Every phrase token must be present; free terms too unless match is "any"
+      const required = match === 'any' ? parsed.phrases.flat() : scoringTerms;
+      const sets = required.map(term => this.postings.get(term) || new Map());
+      sets.sort((a, b) => a.size - b.size);
+      candidates = new Set(Array.from(sets[0]?.keys() || []).filter(p => sets.every(s => s.has(p))));
+    }
+
+    const docCount = this.docs.size;
+    const avgLength = docCount > 0 ? this.totalLength / docCount : 0;
+    const { k1, b } = this.config;
+
+    const results = [];
+    for (const docPath of candidates) {
+      const doc = this.docs.get(docPath);
+
+      if (prefix && !docPath.startsWith(prefix)) continue;
+      if (excluded.some(dir => docPath.startsWith(dir))) continue;
+      if (!tagFilters.every(tag => hasTag(doc.tags, tag))) continue;
+      if (!parsed.phrases.every(phrase => this.containsPhrase(docPath, phrase))) continue;
+
+      let score = 0;
+      let matchCount = 0;
+      for (const term of scoringTerms) {
+        const posting = this.postings.get(term);
+        const tf = posting?.get(docPath)?.length || 0;
+        if (tf === 0) continue;
+
+        const idf = Math.log(1 + (docCount - posting.size + 0.5) / (posting.size + 0.5));
+        score += idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * doc.length / (avgLength || 1)));
+        matchCount += tf;
+      }
+
+      results.push({ path: docPath, title: doc.title, tags: doc.tags, score, matchCount });
+    }
+
+    results.sort((a, b) => b.score - a.score || a.path.localeCompare(b.path));
+
+    return {
+      total: results.length,
+      results: results.slice(0, limit),
+      parsed
+    };
+  }
+
+  /**
+   * List notes under a directory, optionally filtered by tag
+   */
+  list({ directory = '', exclude = [], tag, recursive = true, limit = 100 } = {}) {
+    const dir = directory.replace(/^\/+|\/+$/g, '');
+    const tagFilter = tag ? normalizeTag(tag) : null;
+    const excluded = excludedPrefixes(exclude);
+
+    const notes = Array.from(this.docs.values())
+      .filter(doc => {
+        const docDir = path.posix.dirname(doc.path);
+        const inDir = recursive
+          ? !dir || doc.path.startsWith(`${dir}/`)
+          : docDir === (dir || '.');
+        return inDir
+          && !excluded.some(prefix => doc.path.startsWith(prefix))
+          && (!tagFilter || hasTag(doc.tags, tagFilter));
+      })
+      .sort((a, b) => a.path.localeCompare(b.path));
+
+    return {
+      total: notes.length,
+      notes: notes.slice(0, limit)
+    };
+  }
+
+  // ============================================================
+  // Link Graph
+  // ============================================================
+
+  /**
+   * Resolved link graph, rebuilt lazily after any change
+   * A scope ({ root, exclude }) limits the graph to the notes and attachments
+   * inside it, so links only resolve to and from notes in the scope
+   */
+  getLinkGraph(scope = {}) {
+    const key = JSON.stringify([scope.root || '', scope.exclude || []]);
+    if (this.graphs.has(key)) {
+      return this.graphs.get(key);
+    }
+
+    const docs = Array.from(this.docs.values()).filter(doc => inScope(doc.path, scope));
+    const attachments = Array.from(this.attachments).filter(attachment => inScope(attachment, scope));
+    const resolve = createLinkResolver(docs, attachments);
+    const outgoing = new Map();
+    const incoming = new Map();
+
+    for (const doc of docs) {
+      const links = (doc.links || []).map(link => ({
+        ...link,
+        resolved: resolve(link.target, doc.path),
+        attachment: isAttachmentTarget(link.target)
+      }));
+      outgoing.set(doc.path, links);
+
+      for (const link of links) {
+        if (!link.resolved || link.resolved === doc.path) {
+          continue;
+        }
+        if (!incoming.has(link.resolved)) {
+          incoming.set(link.resolved, []);
+        }
+        incoming.get(link.resolved).push({ source: doc.path, ...link });
+      }
+    }
+
+    const graph = { resolve, outgoing, incoming };
+    this.graphs.set(key, graph);
+    return graph;
+  }
+
+  /**
+   * Resolve a note name, path or alias to an indexed note path in the scope
+   */
+  resolveNote(name, scope = {}) {
+    const resolved = this.getLinkGraph(scope).resolve(name);
+    return resolved && this.docs.has(resolved) ? resolved : null;
+  }
+
+  getOutgoingLinks(relPath, scope = {}) {
+    return this.getLinkGraph(scope).outgoing.get(relPath) || [];
+  }
+
+  getBacklinks(relPath, scope = {}) {
+    return this.getLinkGraph(scope).incoming.get(relPath) || [];
+  }
+
+  /**
+   * Notes nothing links to; isolatedOnly also requires no links out to other notes
+   */
+  findOrphans({ directory = '', isolatedOnly = false, scope = {} } = {}) {
+    const { outgoing, incoming } = this.getLinkGraph(scope);
+    const prefix = directory ? `${directory.replace(/^\/+|\/+$/g, '')}/` : '';
+
+    return Array.from(outgoing.keys())
+      .filter(docPath => !prefix || docPath.startsWith(prefix))
+      .filter(docPath => !incoming.has(docPath))
+      .filter(docPath => !isolatedOnly || !outgoing.get(docPath).some(link =>
+        link.resolved && link.resolved !== docPath && this.docs.has(link.resolved)
+      ))
+      .sort();
+  }
+
+  /**
+   * Links whose target matches no note, alias or attachment
+   */
+  findBrokenLinks({ directory = '', scope = {} } = {}) {
+    const prefix = directory ? `${directory.replace(/^\/+|\/+$/g, '')}/` : '';
+    const broken = [];
+
+    for (const [source, links] of this.getLinkGraph(scope).outgoing.entries()) {
+      if (prefix && !source.startsWith(prefix)) {
+        continue;
+      }
+      for (const link of links) {
+        if (!link.resolved) {
+          broken.push({ source, ...link });
+        }
+      }
+    }
+
+    return broken.sort((a, b) => a.source.localeCompare(b.source) || a.line - b.line);
+  }
+
+  getStats() {
+    return {
+      notes: this.docs.size,
+      terms: this.postings.size,
+      attachments: this.attachments.size,
+      watching: this.watcher !== null,
+      indexPath: this.config.indexPath
+    };
+  }
+}
+
+// ============================================================
+// Shared Instance
+// ============================================================
+
+const vaultIndexes = new Map();
+
+/**
+ * Get the shared index for a vault
+ * Only the default vault persists its index state
+ */
+export function getVaultIndex(vaultPath = indexConfig.vaultPath) {
+  if (!vaultIndexes.has(vaultPath)) {
+    vaultIndexes.set(vaultPath, vaultPath === indexConfig.vaultPath
+      ? new VaultIndex()
+      : new VaultIndex({ vaultPath, indexPath: null }));
+  }
+  return vaultIndexes.get(vaultPath);
+}
+
+/**
+ * Build the shared index and start watching the vault
+ */
+export async function initializeVaultIndex({ watch = process.env.OBSIDIAN_INDEX_WATCH !== 'false' } = {}) {
+  const index = getVaultIndex();
+  await index.ensureBuilt();
+
+  if (watch) {
+    index.watch();
+  }
+
+  return index;
+}
+
+/**
+ * Stop watching and persist the shared indexes
+ */
+export async function closeVaultIndex() {
+  for (const index of vaultIndexes.values()) {
+    await index.close();
+  }
+}
+
+export default {
+  VaultIndex,
+  tokenize,
+  normalizeTag,
+  parseQuery,
+  getVaultIndex,
+  initializeVaultIndex,
+  closeVaultIndex
+};
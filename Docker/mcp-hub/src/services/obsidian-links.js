@@ -0,0 +1,149 @@
+// ============================================================
+// Obsidian Link Parsing
+// ============================================================
+// Description: Extract [[wikilinks]] and ![[embeds]] from notes and
+// resolve link targets the way Obsidian does
+
+import path from 'path';
+
+const WIKILINK_PATTERN = /(!?)\[\[([^\]\n]+?)\]\]/g;
+
+/**
+ * Blank out frontmatter, fenced code and inline code so links inside them are ignored
+ * Line breaks are kept so line numbers stay accurate
+ */
+function maskNonProse(content) {
+  const blank = (text) => text.replace(/[^\n]/g, ' ');
+
+  return content
+    .replace(/^---\r?\n[\s\S]*?\r?\n---(?=\r?\n|$)/, blank)
+    .replace(/(^|\n)(```|~~~)[^\n]*\n[\s\S]*?(\n\2[^\n]*(?=\n|$)|$)/g, blank)
+    .replace(/`[^`\n]*`/g, blank);
+}
+
+/**
+ * Parse the wikilinks and embeds in a note
+ * [[target#heading|alias]] -> { target, heading, alias, embed, line, context }
+ */
+export function parseLinks(content) {
+  const masked = maskNonProse(content);
+  const lines = content.split('\n');
+  const links = [];
+
+  masked.split('\n').forEach((line, index) => {
+    for (const match of line.matchAll(WIKILINK_PATTERN)) {
+      const [, bang, inner] = match;
+      const pipe = inner.indexOf('|');
+      const reference = pipe === -1 ? inner : inner.slice(0, pipe);
+      const alias = pipe === -1 ? null : inner.slice(pipe + 1).trim() || null;
+
+      const hash = reference.indexOf('#');
+      const target = (hash === -1 ? reference : reference.slice(0, hash)).trim();
+      const heading = hash === -1 ? null : reference.slice(hash + 1).replace(/^\^/, '').trim() || null;
+
+      links.push({
+        target,
+        heading,
+        alias,
+        embed: bang === '!',
+        line: index + 1,
+        context: lines[index].trim().substring(0, 200)
+      });
+    }
+  });
+
+  return links;
+}
+
+/**
+ * Lookup key for a link target or note path: lowercase, no .md extension
+ */
+export function linkKey(value) {
+  return value.replace(/\\/g, '/').replace(/\.md$/i, '').toLowerCase();
+}
+
+/**
+ * Whether a link target points at a non-note file (image, PDF, ...)
+ */
+export function isAttachmentTarget(target) {
+  const ext = path.posix.extname(target).toLowerCase();
+  return ext !== '' && ext !== '.md';
+}
+
+/**
+ * Build a resolver over note paths, aliases and attachment paths
+ * Resolution order: exact path, path suffix, alias; ties go to the note
+ * sharing the longest folder prefix with the linking note, then the shortest path
+ */
+export function createLinkResolver(notes, attachments = []) {
+  const byKey = new Map();
+  const byAlias = new Map();
+  const add = (map, key, value) => {
+    if (!map.has(key)) {
+      map.set(key, []);
+    }
+    map.get(key).push(value);
+  };
+
+  for (const note of notes) {
+    const key = linkKey(note.path);
+    const segments = key.split('/');
+
+    // Index every path suffix so [[note]] and [[folder/note]] both resolve
+    for (let i = 0; i < segments.length; i++) {
+      add(byKey, segments.slice(i).join('/'), note.path);
+    }
+
+    for (const alias of note.aliases || []) {
+      add(byAlias, linkKey(alias), note.path);
+    }
+  }
+
+  for (const attachment of attachments) {
+    const lower = attachment.toLowerCase();
+    const segments = lower.split('/');
+    for (let i = 0; i < segments.length; i++) {
+      add(byKey, segments.slice(i).join('/'), attachment);
+    }
+  }
+
+  const pick = (candidates, fromPath) => {
+    if (!candidates || candidates.length === 0) {
+      return null;
+    }
+    if (candidates.length === 1 || !fromPath) {
+      return [...candidates].sort((a, b) => a.length - b.length || a.localeCompare(b))[0];
+    }
+
+    const fromDir = path.posix.dirname(fromPath).split('/');
+    const shared = (candidate) => {
+      const dir = path.posix.dirname(candidate).split('/');
+      let count = 0;
+      while (count < dir.length && count < fromDir.length && dir[count] === fromDir[count]) {
+        count++;
+      }
+      return count;
+    };
+
+    return [...candidates].sort((a, b) =>
+      shared(b) - shared(a) || a.length - b.length || a.localeCompare(b)
+    )[0];
+  };
+
+  return (target, fromPath = null) => {
+    if (!target) {
+      // [[#heading]] links to the note itself
+      return fromPath;
+    }
+
+    const key = linkKey(target.replace(/^\/+/, ''));
+    return pick(byKey.get(key), fromPath) || pick(byAlias.get(key), fromPath);
+  };
+}
+
+export default {
+  parseLinks,
+  linkKey,
+  isAttachmentTarget,
+  createLinkResolver
+};
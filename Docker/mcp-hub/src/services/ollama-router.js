@@ -2,11 +2,22 @@
 // Ollama Model Router
 // ============================================================
 // Task: US-005 - Route requests to appropriate Ollama models
-// Description: Model discovery, routing, and management for Ollama
+// Description: Model discovery, routing, and management for Ollama and
+// OpenAI-compatible providers (see providers/)
 
-import ollama from 'ollama';
 import { logger } from '../utils/logger.js';
-import { recordOllamaRequest } from '../routes/metrics.js';
+import {
+  recordOllamaRequest,
+  recordOllamaQueueWait,
+  recordOllamaCacheLookup,
+  setOllamaQueueState,
+  recordTaskSelection
+} from '../routes/metrics.js';
+import { getHubConfigSection } from '../utils/hub-config.js';
+import { classifyTask, classifierConfig } from './task-classifier.js';
+import { ModelLimiter, QueueTimeoutError } from './model-limiter.js';
+import { responseCache, cacheConfig, isDeterministic } from './response-cache.js';
+import { OllamaProvider, createProvider, DEFAULT_PROVIDER } from './providers/index.js';
 
 /**
  * Model configuration
@@ -22,10 +33,46 @@ const modelConfig = {
     embedding: process.env.OLLAMA_EMBEDDING_MODEL || 'nomic-embed-text:latest',
     fallback: process.env.OLLAMA_FALLBACK_MODEL || 'llama3.2:latest'
   },
+  // Inference time allowed once a request holds a model slot
   timeout: parseInt(process.env.OLLAMA_TIMEOUT || '120000'), // 2 minutes
-  maxRetries: parseInt(process.env.OLLAMA_MAX_RETRIES || '3')
+  maxRetries: parseInt(process.env.OLLAMA_MAX_RETRIES || '3'),
+  // Concurrent requests per model, unless backends.ollama.concurrency.models says otherwise
+  concurrency: parseInt(process.env.OLLAMA_MODEL_CONCURRENCY || '1'),
+  // Time a request may wait for a model slot (0 waits forever)
+  queueTimeout: parseInt(process.env.OLLAMA_QUEUE_TIMEOUT || '60000')
 };
 
+/**
+ * Ollama backend settings (config/mcp-hub.json backends.ollama)
+ */
+const backendConfig = getHubConfigSection('backends').ollama || {};
+
+/**
+ * Model providers by name (Ollama plus backends.ollama.providers); task
+ * types use the provider named in their model_registry entry, Ollama otherwise
+ */
+const providers = new Map([
+  [DEFAULT_PROVIDER, new OllamaProvider({ host: modelConfig.host, port: modelConfig.port })]
+]);
+
+for (const [name, config] of Object.entries(backendConfig.providers || {})) {
+  if (config.enabled === false) {
+    continue;
+  }
+
+  try {
+    providers.set(name, createProvider(name, config));
+  } catch (error) {
+    logger.error('Invalid model provider configuration', { provider: name, error: error.message });
+  }
+}
+
+/**
+ * Providers and models set at runtime per task type
+ */
+const taskProviders = {};
+const modelOverrides = {};
+
 /**
  * Available models cache
  */
@@ -36,15 +83,67 @@ const MODEL_CACHE_TTL = 300000; // 5 minutes
 /**
  * Task type definitions
  */
-const taskTypes = {
+export const taskTypes = {
   REASONING: 'reasoning',
   CODING: 'coding',
   VISION: 'vision',
   CHAT: 'chat',
   EMBEDDING: 'embedding',
-  GENERAL: 'general'
+  GENERAL: 'general',
+  // Classified from the prompt (see task-classifier.js)
+  AUTO: 'auto'
+};
+
+/**
+ * Model selection settings (config/mcp-hub.json middleware.model_selection)
+ */
+const modelSelection = {
+  strategy: 'automatic_with_override',
+  respect_user_preference: true,
+  log_all_selections: false,
+  fallback_on_error: true,
+  ...(getHubConfigSection('middleware').model_selection || {})
 };
 
+/**
+ * Task type used when a caller does not name one
+ */
+export const defaultTaskType = modelSelection.strategy.startsWith('automatic')
+  ? taskTypes.AUTO
+  : taskTypes.CHAT;
+
+/**
+ * A streamed request stopped because its signal was aborted
+ */
+export class StreamAbortedError extends Error {
+  constructor(message = 'Ollama stream aborted') {
+    super(message);
+    this.name = 'StreamAbortedError';
+  }
+}
+
+/**
+ * A request held a model slot longer than the inference timeout
+ */
+export class InferenceTimeoutError extends Error {
+  constructor(model, timeoutMs) {
+    super(`Ollama ${model} did not finish within ${timeoutMs}ms`);
+    this.name = 'InferenceTimeoutError';
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+export { QueueTimeoutError };
+
+/**
+ * Per-model concurrency limits and request queue
+ */
+export const modelLimiter = new ModelLimiter({
+  limitFor: model => getModelConcurrency(model),
+  onChange: (model, { active, queued }) => setOllamaQueueState(model, active, queued)
+});
+
 /**
  * Initialize Ollama router
  */
@@ -67,25 +166,53 @@ export async function initializeOllama() {
 }
 
 /**
- * Refresh available models from Ollama
+ * Refresh available models from every provider
+ * Fails only when no provider answers
  */
 export async function refreshAvailableModels() {
   const startTime = Date.now();
 
   try {
-    const response = await ollama.list({
-      host: `${modelConfig.host}:${modelConfig.port}`
-    });
-
-    availableModels = response.models.map(m => ({
-      name: m.name,
-      size: m.size,
-      modified_at: m.modified_at,
-      digest: m.digest
+    const listed = await Promise.allSettled(Array.from(providers, async ([name, provider]) => {
+      const response = await provider.list();
+      return response.models.map(m => ({
+        name: m.name,
+        size: m.size,
+        modified_at: m.modified_at,
+        digest: m.digest,
+        provider: name
+      }));
     }));
 
+    const failed = listed.filter(result => result.status === 'rejected');
+    if (failed.length === listed.length) {
+      throw failed[0].reason;
+    }
+    for (const [index, result] of listed.entries()) {
+      if (result.status === 'rejected') {
+        logger.warn('Failed to list models of provider', {
+          provider: Array.from(providers.keys())[index],
+          error: result.reason.message
+        });
+      }
+    }
+
+    availableModels = listed.flatMap(result => result.value || []);
+
     lastModelRefresh = new Date();
 
+    // Cached responses of removed or re-pulled models are stale; providers
+    // that failed to list keep theirs until they answer again
+    const keepProviders = Array.from(providers.keys()).filter((name, index) => listed[index].status === 'rejected');
+    const dropped = await responseCache.retainDigests(availableModels.map(m => m.digest).filter(Boolean), { keepProviders })
+      .catch(error => {
+        logger.warn('Failed to drop stale cached responses', { error: error.message });
+        return 0;
+      });
+    if (dropped > 0) {
+      logger.info('Dropped cached responses of changed models', { dropped });
+    }
+
     logger.info('Ollama models refreshed', {
       count: availableModels.length,
       duration_ms: Date.now() - startTime
@@ -118,18 +245,124 @@ export async function getAvailableModels(forceRefresh = false) {
 export async function isModelAvailable(modelName) {
   try {
     const models = await getAvailableModels();
-    return models.some(m => m.name === modelName || m.name.startsWith(modelName));
+    return models.some(m => matchesModel(m.name, modelName));
   } catch (error) {
     logger.warn('Failed to check model availability', { error: error.message, modelName });
     return false;
   }
 }
 
+/**
+ * Installed model entry ({ name, digest, provider }) for a model name,
+ * preferring the provider of taskType; unknown models get that provider
+ */
+export async function resolveModel(modelName, taskType) {
+  const preferred = getTaskProvider(taskType);
+  const installed = await getAvailableModels().catch(() => []);
+  const matches = installed.filter(m => matchesModel(m.name, modelName));
+
+  return matches.find(m => m.provider === preferred) ||
+    matches[0] ||
+    { name: modelName, digest: null, provider: preferred };
+}
+
+/**
+ * Digest of an installed model, or null when unknown
+ */
+export async function getModelDigest(modelName, taskType) {
+  return (await resolveModel(modelName, taskType)).digest || null;
+}
+
+// ============================================================
+// Providers
+// ============================================================
+
+/**
+ * Provider by name
+ */
+export function getProvider(name = DEFAULT_PROVIDER) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown model provider "${name}"`);
+  }
+  return provider;
+}
+
+/**
+ * Add or replace a provider; the model list is refreshed on next use
+ */
+export function registerProvider(name, provider) {
+  providers.set(name, provider);
+  lastModelRefresh = null;
+  logger.info('Model provider registered', { provider: name, type: provider.type });
+}
+
+/**
+ * model_registry entry of a task type
+ */
+function taskRegistry(taskType) {
+  const registry = backendConfig.model_registry || {};
+  return registry[taskType] || (taskType === taskTypes.EMBEDDING ? registry.embeddings : null) || {};
+}
+
+/**
+ * Name of the provider serving a task type
+ */
+export function getTaskProvider(taskType) {
+  return taskProviders[taskType] || taskRegistry(taskType).provider || DEFAULT_PROVIDER;
+}
+
+/**
+ * Serve a task type from another provider (user override)
+ */
+export function setTaskProvider(taskType, name) {
+  getProvider(name);
+  taskProviders[taskType] = name;
+  logger.info('Task provider override set', { taskType, provider: name });
+}
+
+/**
+ * Whether an installed model name matches a configured one ("qwq" matches "qwq:latest")
+ */
+function matchesModel(installedName, modelName) {
+  return installedName === modelName || installedName.startsWith(modelName);
+}
+
+/**
+ * Concurrent requests allowed for a model
+ */
+export function getModelConcurrency(model) {
+  const limits = backendConfig.concurrency?.models || {};
+  const name = Object.keys(limits).find(configured => model === configured || model.startsWith(`${configured}:`));
+  return name ? limits[name] : modelConfig.concurrency;
+}
+
+/**
+ * Models tried in order for a task type: the task's model, the
+ * model_registry models and fallback, then the global fallback model
+ */
+export function getFallbackChain(taskType) {
+  const registry = taskRegistry(taskType);
+  return [...new Set([
+    getModelForTask(taskType),
+    ...(registry.models || []),
+    registry.fallback,
+    modelConfig.defaultModels.fallback
+  ].filter(Boolean))];
+}
+
 /**
  * Get model for task type
+ * Ollama tasks use the OLLAMA_<TASK>_MODEL defaults; tasks of other
+ * providers start with their model_registry models
  */
 export function getModelForTask(taskType) {
-  const model = modelConfig.defaultModels[taskType] || modelConfig.defaultModels.fallback;
+  const registry = taskRegistry(taskType);
+  const model = modelOverrides[taskType] ||
+    (getTaskProvider(taskType) === DEFAULT_PROVIDER
+      ? modelConfig.defaultModels[taskType]
+      : registry.models?.[0] || registry.fallback) ||
+    modelConfig.defaultModels.fallback;
   logger.debug('Selected model for task', { taskType, model });
   return model;
 }
@@ -139,31 +372,362 @@ export function getModelForTask(taskType) {
  */
 export function setModelForTask(taskType, modelName) {
   if (modelConfig.defaultModels[taskType]) {
-    modelConfig.defaultModels[taskType] = modelName;
+    modelOverrides[taskType] = modelName;
     logger.info('Model override set', { taskType, modelName });
   } else {
     logger.warn('Invalid task type for model override', { taskType });
   }
 }
 
+/**
+ * Ask the classifier model for a task type; null when none is configured
+ */
+function classifierGenerate() {
+  if (!classifierConfig.model) {
+    return null;
+  }
+
+  return async prompt => {
+    const { name, provider } = await resolveModel(classifierConfig.model);
+    const result = await getProvider(provider).generate({
+      model: name,
+      prompt,
+      stream: false,
+      options: { temperature: 0, num_predict: 16 }
+    });
+    return result.response;
+  };
+}
+
+/**
+ * Pick the task type and model for a request
+ * An explicit model wins when respect_user_preference is set; the auto
+ * task type is classified from the prompt and images
+ */
+export async function selectModel(taskType, prompt, { model, images } = {}) {
+  if (model && modelSelection.respect_user_preference) {
+    return { taskType, model, classification: null };
+  }
+
+  if (taskType !== taskTypes.AUTO) {
+    return { taskType, model: getModelForTask(taskType), classification: null };
+  }
+
+  const classification = await classifyTask(prompt, { images, generate: classifierGenerate() });
+  const selected = {
+    taskType: classification.taskType,
+    model: getModelForTask(classification.taskType),
+    classification
+  };
+
+  recordTaskSelection(selected.taskType, classification.method);
+
+  const log = modelSelection.log_all_selections ? logger.info : logger.debug;
+  log.call(logger, 'Auto-selected task type', {
+    decisionId: classification.id,
+    taskType: selected.taskType,
+    model: selected.model,
+    method: classification.method,
+    confidence: classification.confidence,
+    reasons: classification.reasons
+  });
+
+  return selected;
+}
+
+/**
+ * Text of the last user message, for classifying chat requests
+ */
+function lastUserContent(messages = []) {
+  return [...messages].reverse().find(message => message.role === 'user')?.content || '';
+}
+
+// ============================================================
+// Streaming
+// ============================================================
+
+/**
+ * Consume a streamed generate/chat response, passing each token to onToken
+ * Aborting signal aborts the underlying Ollama request
+ * Resolves with the final chunk carrying the full text, like a non-streamed response
+ */
+export async function collectStream(stream, { onToken, signal } = {}) {
+  const abort = () => stream.abort();
+
+  if (signal?.aborted) {
+    abort();
+    throw new StreamAbortedError();
+  }
+  signal?.addEventListener('abort', abort, { once: true });
+
+  let text = '';
+  let tokens = 0;
+  let last = {};
+  let isChat = false;
+
+  try {
+    for await (const part of stream) {
+      isChat = isChat || part.message !== undefined;
+      const token = part.message?.content ?? part.response ?? '';
+      last = part;
+
+      if (token) {
+        text += token;
+        tokens++;
+        await onToken?.(token, { index: tokens - 1, model: part.model });
+      }
+    }
+  } catch (error) {
+    if (signal?.aborted) {
+      throw new StreamAbortedError();
+    }
+    throw error;
+  } finally {
+    signal?.removeEventListener('abort', abort);
+  }
+
+  if (signal?.aborted) {
+    throw new StreamAbortedError();
+  }
+
+  return isChat
+    ? { ...last, message: { ...(last.message || {}), role: last.message?.role || 'assistant', content: text }, tokens }
+    : { ...last, response: text, tokens };
+}
+
+// ============================================================
+// Response Cache
+// ============================================================
+
+/**
+ * Cached value of a request to model, or compute()'s result, cached when
+ * options.storeIf(value) allows; models without a known digest are not cached
+ * options.taskType picks the provider when several list the model
+ * Resolves with { value, cached }
+ */
+export async function withResponseCache(kind, model, parts, compute, { storeIf = () => true, taskType } = {}) {
+  const { digest, provider } = cacheConfig.enabled ? await resolveModel(model, taskType) : {};
+  if (!digest) {
+    return { value: await compute(), cached: false };
+  }
+
+  const key = responseCache.key(digest, { kind, ...parts });
+  const hit = await responseCache.get(digest, key);
+  recordOllamaCacheLookup(kind, hit === undefined ? 'miss' : 'hit');
+
+  if (hit !== undefined) {
+    logger.debug('Ollama response served from cache', { kind, model });
+    return { value: hit, cached: true };
+  }
+
+  const value = await compute();
+  if (storeIf(value)) {
+    await responseCache.set(digest, key, value, { provider });
+  }
+  return { value, cached: false };
+}
+
+/**
+ * Fields of a final Ollama chunk worth caching
+ */
+function cachedResponse({ response, message, done, prompt_eval_count: promptEvalCount, eval_count: evalCount }) {
+  return { response, message, done, prompt_eval_count: promptEvalCount, eval_count: evalCount };
+}
+
+// ============================================================
+// Queueing and Fallback
+// ============================================================
+
+/**
+ * Metrics status of a failed attempt
+ */
+function failureStatus(error) {
+  if (error instanceof StreamAbortedError) {
+    return 'aborted';
+  }
+  if (error instanceof InferenceTimeoutError) {
+    return 'timeout';
+  }
+  return 'error';
+}
+
+/**
+ * Errors that another model may not hit: missing or unloadable models and full queues
+ */
+function shouldFallBack(error) {
+  if (!modelSelection.fallback_on_error) {
+    return false;
+  }
+  if (error instanceof QueueTimeoutError) {
+    return true;
+  }
+  if (error instanceof StreamAbortedError || error instanceof InferenceTimeoutError) {
+    return false;
+  }
+
+  return error.status_code === 404 ||
+    /not found|try pulling|out of memory|failed to load|requires more system memory/i.test(error.message);
+}
+
+/**
+ * Resolve with promise, or reject with StreamAbortedError once signal aborts;
+ * a stream that opens after the abort is aborted too
+ */
+function untilAborted(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      reject(new StreamAbortedError());
+      promise.then(stream => stream?.abort?.(), () => {});
+    };
+
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Run attempt(signal) once a slot on model is free
+ * The queue wait (options.queueTimeout) and the inference time
+ * (options.timeout) are limited and measured separately; the signal passed
+ * to attempt aborts on options.signal or the inference timeout.
+ * options.priority moves the request ahead of lower priority waiters.
+ */
+export async function withModelSlot(model, attempt, options = {}) {
+  const { signal, priority = 0 } = options;
+  const queueTimeout = options.queueTimeout ?? modelConfig.queueTimeout;
+  const timeout = options.timeout ?? modelConfig.timeout;
+  const queuedAt = Date.now();
+
+  let release;
+  try {
+    release = await modelLimiter.acquire(model, { priority, timeout: queueTimeout, signal });
+  } catch (error) {
+    const failure = error instanceof QueueTimeoutError ? error : new StreamAbortedError();
+    recordOllamaRequest(model, failure instanceof QueueTimeoutError ? 'queue_timeout' : 'aborted');
+    throw failure;
+  }
+
+  const queueWaitMs = Date.now() - queuedAt;
+  recordOllamaQueueWait(model, queueWaitMs / 1000);
+
+  // The inference timeout only starts once the request holds a slot
+  const timer = new AbortController();
+  const timeoutId = timeout > 0 ? setTimeout(() => timer.abort(), timeout) : null;
+  const requestSignal = signal ? AbortSignal.any([signal, timer.signal]) : timer.signal;
+  const startedAt = Date.now();
+
+  try {
+    const response = await attempt(requestSignal);
+    const inferenceMs = Date.now() - startedAt;
+    recordOllamaRequest(model, 'success', inferenceMs / 1000);
+    return { response, queueWaitMs, inferenceMs };
+  } catch (error) {
+    const failure = timer.signal.aborted && !signal?.aborted
+      ? new InferenceTimeoutError(model, timeout)
+      : error;
+    recordOllamaRequest(model, failureStatus(failure), (Date.now() - startedAt) / 1000);
+    throw failure;
+  } finally {
+    clearTimeout(timeoutId);
+    release();
+  }
+}
+
+/**
+ * Models to try for a request: the selected model, then the task's
+ * fallback chain, as installed { name, provider } entries
+ */
+async function candidateModels(taskType, selectedModel) {
+  const chain = [...new Set([selectedModel, ...getFallbackChain(taskType)])];
+  const installed = await getAvailableModels().catch(() => []);
+  const preferred = getTaskProvider(taskType);
+  const candidates = [];
+
+  for (const model of chain) {
+    const matches = installed.filter(m => matchesModel(m.name, model));
+    const entry = matches.find(m => m.provider === preferred) || matches[0];
+    if (entry && !candidates.some(c => c.name === entry.name && c.provider === entry.provider)) {
+      candidates.push(entry);
+    }
+  }
+
+  if (candidates.length === 0) {
+    logger.warn('No model of the fallback chain is available, using fallback', {
+      chain,
+      fallbackModel: modelConfig.defaultModels.fallback
+    });
+    return [{ name: modelConfig.defaultModels.fallback, provider: DEFAULT_PROVIDER }];
+  }
+
+  if (!matchesModel(candidates[0].name, selectedModel)) {
+    logger.warn('Selected model not available, using fallback', {
+      selectedModel,
+      fallbackModel: candidates[0].name
+    });
+  }
+
+  return candidates;
+}
+
+/**
+ * Run attempt(model, signal, provider) on the first model of the chain that succeeds
+ * Moves on when a model is missing, cannot load or its queue timed out;
+ * other errors are thrown with the models already tried in error.fallbacks
+ */
+async function runWithFallback(taskType, selectedModel, options, attempt) {
+  const candidates = await candidateModels(taskType, selectedModel);
+  const fallbacks = [];
+
+  for (const [index, { name: model, provider }] of candidates.entries()) {
+    try {
+      const outcome = await withModelSlot(model, signal => attempt(model, signal, getProvider(provider)), options);
+      return { ...outcome, model, provider, fallbacks };
+    } catch (error) {
+      if (index === candidates.length - 1 || !shouldFallBack(error)) {
+        error.model = error.model || model;
+        error.fallbacks = fallbacks;
+        throw error;
+      }
+
+      fallbacks.push({ model, error: error.message });
+      logger.warn('Model failed, trying next in fallback chain', {
+        taskType,
+        model,
+        provider,
+        next: candidates[index + 1].name,
+        error: error.message
+      });
+    }
+  }
+}
+
+// ============================================================
+// Requests
+// ============================================================
+
 /**
  * Route request to appropriate model
+ * options.stream streams tokens to options.onToken; options.signal cancels the request
+ * options.priority, options.queueTimeout and options.timeout tune queueing (see withModelSlot)
  */
 export async function routeRequest(taskType, prompt, options = {}) {
   const startTime = Date.now();
   let selectedModel = options.model || getModelForTask(taskType);
+  let classification = null;
 
   try {
-    // Check if selected model is available
-    const isAvailable = await isModelAvailable(selectedModel);
-
-    if (!isAvailable) {
-      logger.warn('Selected model not available, using fallback', {
-        selectedModel,
-        fallbackModel: modelConfig.defaultModels.fallback
-      });
-      selectedModel = modelConfig.defaultModels.fallback;
-    }
+    ({ taskType, model: selectedModel, classification } = await selectModel(taskType, prompt, options));
 
     logger.info('Routing Ollama request', {
       taskType,
@@ -171,39 +735,63 @@ export async function routeRequest(taskType, prompt, options = {}) {
       promptLength: prompt?.length || 0
     });
 
-    // Execute the request
-    const response = await executeWithRetry(selectedModel, prompt, options);
+    // Always streamed from the provider so cancellation and timeouts stop generation
+    const run = () => runWithFallback(
+      taskType,
+      selectedModel,
+      options,
+      async (model, signal, provider) => {
+        const stream = await untilAborted(executeWithRetry(provider, model, prompt, { ...options, signal, stream: true }), signal);
+        return collectStream(stream, { onToken: options.stream ? options.onToken : undefined, signal });
+      }
+    );
+
+    // Deterministic requests are answered from the cache without queueing
+    const { onToken, signal, priority, queueTimeout, timeout, stream, model: requestedModel, ...request } = options;
+    const { value: outcome, cached } = !options.stream && isDeterministic(options.options)
+      ? await withResponseCache('generate', selectedModel, { prompt, ...request }, async () => {
+        const result = await run();
+        return { ...result, response: cachedResponse(result.response) };
+      }, { storeIf: result => result.fallbacks.length === 0, taskType })
+      : { value: await run(), cached: false };
+    const { response, model, provider, fallbacks = [] } = outcome;
+    const queueWaitMs = cached ? 0 : outcome.queueWaitMs;
+    const inferenceMs = cached ? 0 : outcome.inferenceMs;
 
     const duration = Date.now() - startTime;
 
-    // Record metrics
-    recordOllamaRequest(selectedModel, 'success', duration / 1000);
-
     logger.info('Ollama request completed', {
-      model: selectedModel,
+      model,
+      provider,
       taskType,
-      duration_ms: duration
+      cached,
+      duration_ms: duration,
+      queue_wait_ms: queueWaitMs,
+      inference_ms: inferenceMs
     });
 
     return {
-      model: selectedModel,
-      response: response.response,
+      model,
+      provider,
+      taskType,
+      ...(classification && { classification: summarizeClassification(classification) }),
+      ...(fallbacks.length > 0 && { fallbacks }),
+      ...(cached && { cached }),
+      response: response.response ?? response.message?.content,
+      ...(response.message && { message: response.message }),
       done: response.done,
       duration_ms: duration,
+      queue_wait_ms: queueWaitMs,
+      inference_ms: inferenceMs,
       prompt_eval_count: response.prompt_eval_count,
       eval_count: response.eval_count
     };
   } catch (error) {
-    const duration = Date.now() - startTime;
-
-    // Record metrics
-    recordOllamaRequest(selectedModel, 'error', duration / 1000);
-
     logger.error('Ollama request failed', {
-      model: selectedModel,
+      model: error.model || selectedModel,
       taskType,
       error: error.message,
-      duration_ms: duration
+      duration_ms: Date.now() - startTime
     });
 
     throw error;
@@ -211,33 +799,41 @@ export async function routeRequest(taskType, prompt, options = {}) {
 }
 
 /**
- * Execute request with retry logic
+ * Fields of a classifier decision returned to callers
  */
-async function executeWithRetry(model, prompt, options, retryCount = 0) {
+function summarizeClassification({ id, taskType, method, confidence, reasons }) {
+  return { id, taskType, method, confidence, reasons };
+}
+
+/**
+ * Execute request on a provider with retry logic
+ */
+async function executeWithRetry(provider, model, prompt, options, retryCount = 0) {
+  // Callbacks, the abort signal and queue settings are not for the provider
+  const { onToken, signal, priority, queueTimeout, timeout, ...ollamaOptions } = options;
   const requestOptions = {
+    ...ollamaOptions,
     model,
     prompt,
-    host: `${modelConfig.host}:${modelConfig.port}`,
-    stream: options.stream || false,
-    ...options
+    stream: options.stream || false
   };
 
   try {
     if (options.images) {
-      return await ollama.generate({
+      return await provider.generate({
         ...requestOptions,
         images: options.images
       });
     } else if (options.chat) {
-      return await ollama.chat({
+      return await provider.chat({
         ...requestOptions,
         messages: options.messages || [{ role: 'user', content: prompt }]
       });
     } else {
-      return await ollama.generate(requestOptions);
+      return await provider.generate(requestOptions);
     }
   } catch (error) {
-    if (retryCount < modelConfig.maxRetries && isRetryableError(error)) {
+    if (retryCount < modelConfig.maxRetries && isRetryableError(error) && !signal?.aborted) {
       logger.warn('Retrying Ollama request', {
         attempt: retryCount + 1,
         maxRetries: modelConfig.maxRetries,
@@ -245,7 +841,7 @@ async function executeWithRetry(model, prompt, options, retryCount = 0) {
       });
 
       await new Promise(resolve => setTimeout(resolve, Math.pow(2, retryCount) * 1000));
-      return executeWithRetry(model, prompt, options, retryCount + 1);
+      return executeWithRetry(provider, model, prompt, options, retryCount + 1);
     }
 
     throw error;
@@ -276,25 +872,35 @@ export async function generateEmbedding(text, model = null) {
   const startTime = Date.now();
 
   try {
-    const selectedModel = model || modelConfig.defaultModels.embedding;
-
-    const response = await ollama.embeddings({
-      model: selectedModel,
-      prompt: text,
-      host: `${modelConfig.host}:${modelConfig.port}`
-    });
+    const { name: selectedModel, provider } = await resolveModel(
+      model || getModelForTask(taskTypes.EMBEDDING),
+      taskTypes.EMBEDDING
+    );
+
+    // Embedding calls cannot be aborted, so they hold their slot until done
+    const { value: response, cached } = await withResponseCache('embedding', selectedModel, { prompt: text }, async () => {
+      const { response: result } = await withModelSlot(selectedModel, () => getProvider(provider).embeddings({
+        model: selectedModel,
+        prompt: text
+      }), { timeout: 0 });
+      return { embedding: result.embedding };
+    }, { taskType: taskTypes.EMBEDDING });
 
     const duration = Date.now() - startTime;
 
     logger.info('Embedding generated', {
       model: selectedModel,
+      provider,
       textLength: text.length,
+      cached,
       duration_ms: duration
     });
 
     return {
       embedding: response.embedding,
       model: selectedModel,
+      provider,
+      ...(cached && { cached }),
       duration_ms: duration
     };
   } catch (error) {
@@ -310,39 +916,85 @@ export async function generateEmbedding(text, model = null) {
 
 /**
  * Chat completion
+ * options.stream streams tokens to options.onToken; options.signal cancels the request
+ * options.taskType (default chat) picks the model when none is given
+ * options.priority, options.queueTimeout and options.timeout tune queueing (see withModelSlot)
  */
 export async function chat(messages, model = null, options = {}) {
   const startTime = Date.now();
+  const {
+    onToken,
+    signal,
+    stream,
+    priority,
+    queueTimeout,
+    timeout,
+    taskType = taskTypes.CHAT,
+    ...ollamaOptions
+  } = options;
 
   try {
-    const selectedModel = model || getModelForTask(taskTypes.CHAT);
-
-    const response = await ollama.chat({
-      model: selectedModel,
-      messages,
-      host: `${modelConfig.host}:${modelConfig.port}`,
-      stream: options.stream || false,
-      ...options
-    });
+    const selection = await selectModel(taskType, lastUserContent(messages), { model });
+
+    // Always streamed from the provider so cancellation and timeouts stop generation
+    const run = () => runWithFallback(
+      selection.taskType,
+      selection.model,
+      options,
+      async (candidate, requestSignal, provider) => {
+        const result = await untilAborted(provider.chat({
+          model: candidate,
+          messages,
+          ...ollamaOptions,
+          stream: true
+        }), requestSignal);
+        return collectStream(result, { onToken: stream ? onToken : undefined, signal: requestSignal });
+      }
+    );
+
+    // Deterministic chats are answered from the cache without queueing
+    const { value: outcome, cached } = !stream && isDeterministic(ollamaOptions.options)
+      ? await withResponseCache('chat', selection.model, { messages, ...ollamaOptions }, async () => {
+        const result = await run();
+        return { ...result, response: cachedResponse(result.response) };
+      }, { storeIf: result => result.fallbacks.length === 0, taskType: selection.taskType })
+      : { value: await run(), cached: false };
+    const { response, model: selectedModel, provider, fallbacks = [] } = outcome;
+    const queueWaitMs = cached ? 0 : outcome.queueWaitMs;
+    const inferenceMs = cached ? 0 : outcome.inferenceMs;
 
     const duration = Date.now() - startTime;
 
     logger.info('Chat completion completed', {
       model: selectedModel,
+      provider,
       messageCount: messages.length,
-      duration_ms: duration
+      streamed: Boolean(stream),
+      cached,
+      duration_ms: duration,
+      queue_wait_ms: queueWaitMs,
+      inference_ms: inferenceMs
     });
 
     return {
       model: selectedModel,
+      provider,
+      taskType: selection.taskType,
+      ...(selection.classification && { classification: summarizeClassification(selection.classification) }),
+      ...(fallbacks.length > 0 && { fallbacks }),
+      ...(cached && { cached }),
       message: response.message,
       done: response.done,
-      duration_ms: duration
+      duration_ms: duration,
+      queue_wait_ms: queueWaitMs,
+      inference_ms: inferenceMs,
+      prompt_eval_count: response.prompt_eval_count,
+      eval_count: response.eval_count
     };
   } catch (error) {
     const duration = Date.now() - startTime;
     logger.error('Chat completion failed', {
-      model,
+      model: error.model || model,
       error: error.message,
       duration_ms: duration
     });
@@ -357,24 +1009,32 @@ export async function visionRequest(image, prompt, model = null) {
   const startTime = Date.now();
 
   try {
-    const selectedModel = model || getModelForTask(taskTypes.VISION);
-
-    const response = await ollama.generate({
-      model: selectedModel,
-      prompt,
-      images: [image],
-      host: `${modelConfig.host}:${modelConfig.port}`
+    const { name: selectedModel, provider } = await resolveModel(
+      model || getModelForTask(taskTypes.VISION),
+      taskTypes.VISION
+    );
+
+    const { response } = await withModelSlot(selectedModel, async signal => {
+      const stream = await untilAborted(getProvider(provider).generate({
+        model: selectedModel,
+        prompt,
+        images: [image],
+        stream: true
+      }), signal);
+      return collectStream(stream, { signal });
     });
 
     const duration = Date.now() - startTime;
 
     logger.info('Vision request completed', {
       model: selectedModel,
+      provider,
       duration_ms: duration
     });
 
     return {
       model: selectedModel,
+      provider,
       response: response.response,
       done: response.done,
       duration_ms: duration
@@ -390,6 +1050,18 @@ export async function visionRequest(image, prompt, model = null) {
   }
 }
 
+/**
+ * Status of the providers other than Ollama
+ */
+async function checkProviders() {
+  const others = Array.from(providers).filter(([name]) => name !== DEFAULT_PROVIDER);
+  const results = await Promise.allSettled(others.map(([, provider]) => provider.list()));
+
+  return Object.fromEntries(others.map(([name, provider], index) => [name, results[index].status === 'fulfilled'
+    ? { status: 'healthy', type: provider.type, modelCount: results[index].value.models.length }
+    : { status: 'unhealthy', type: provider.type, message: results[index].reason.message }]));
+}
+
 /**
  * Check Ollama health
  */
@@ -397,9 +1069,7 @@ export async function checkHealth() {
   const startTime = Date.now();
 
   try {
-    const response = await ollama.list({
-      host: `${modelConfig.host}:${modelConfig.port}`
-    });
+    const response = await getProvider().client.list();
 
     const duration = Date.now() - startTime;
 
@@ -409,7 +1079,8 @@ export async function checkHealth() {
       host: modelConfig.host,
       port: modelConfig.port,
       modelCount: response.models.length,
-      response_time_ms: duration
+      response_time_ms: duration,
+      ...(providers.size > 1 && { providers: await checkProviders() })
     };
   } catch (error) {
     const duration = Date.now() - startTime;
@@ -429,10 +1100,7 @@ export async function checkHealth() {
  */
 export async function getModelInfo(modelName) {
   try {
-    const response = await ollama.show({
-      model: modelName,
-      host: `${modelConfig.host}:${modelConfig.port}`
-    });
+    const response = await getProvider().client.show({ model: modelName });
 
     return {
       name: modelName,
@@ -455,10 +1123,7 @@ export async function pullModel(modelName) {
   logger.info('Pulling Ollama model', { modelName });
 
   try {
-    const response = await ollama.pull({
-      model: modelName,
-      host: `${modelConfig.host}:${modelConfig.port}`
-    });
+    const response = await getProvider().client.pull({ model: modelName });
 
     logger.info('Model pulled successfully', { modelName });
 
@@ -483,7 +1148,23 @@ export default {
   isModelAvailable,
   getModelForTask,
   setModelForTask,
+  getModelConcurrency,
+  getFallbackChain,
+  selectModel,
+  withModelSlot,
+  getModelDigest,
+  resolveModel,
+  getProvider,
+  registerProvider,
+  getTaskProvider,
+  setTaskProvider,
+  withResponseCache,
   routeRequest,
+  collectStream,
+  StreamAbortedError,
+  InferenceTimeoutError,
+  QueueTimeoutError,
+  modelLimiter,
   generateEmbedding,
   chat,
   visionRequest,
@@ -491,5 +1172,6 @@ export default {
   getModelInfo,
   pullModel,
   taskTypes,
+  defaultTaskType,
   modelConfig
 };
@@ -0,0 +1,307 @@
+// ============================================================
+// PRD Parser
+// ============================================================
+// Description: Turn a requirements document into a validated task tree
+// using an Ollama model, and persist it as Task nodes in one transaction
+
+import { v4 as uuidv4 } from 'uuid';
+import { createModuleLogger } from '../utils/log-helpers.js';
+import { createEntities } from './neo4j-entities.js';
+import { createRelationships } from './neo4j-relationships.js';
+
+const prdLogger = createModuleLogger('PrdParser');
+
+export const TASK_PRIORITIES = ['critical', 'high', 'medium', 'low'];
+
+const MAX_DEPTH = parseInt(process.env.PRD_MAX_DEPTH || '3');
+const MAX_TASKS = parseInt(process.env.PRD_MAX_TASKS || '200');
+
+/**
+ * Error raised when the model output is not a usable task tree
+ */
+export class PrdValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid task tree: ${errors.join('; ')}`);
+    this.name = 'PrdValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Build the prompt asking the model for a JSON task tree
+ */
+export function buildPrdPrompt(document, { maxDepth = MAX_DEPTH } = {}) {
+  return `You are a project planner. Break the requirements document below into a task tree.
+
+Respond with JSON only, no prose, using exactly this shape:
+{
+  "tasks": [
+    {
+      "key": "short unique identifier, e.g. T1",
+      "title": "imperative task title",
+      "description": "what needs to be done",
+      "priority": "critical | high | medium | low",
+      "tags": ["optional", "labels"],
+      "dependsOn": ["keys of tasks that must be completed first"],
+      "subtasks": [ same shape, nested at most ${maxDepth} levels deep ]
+    }
+  ]
+}
+
+Keys must be unique across the whole tree. Only reference keys that exist.
+
+Requirements document:
+"""
+${document}
+"""`;
+}
+
+/**
+ * Extract the JSON object from a model response
+ * Tolerates code fences and surrounding prose
+ */
+function extractJson(text) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1] : text;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+
+  if (start === -1 || end <= start) {
+    throw new PrdValidationError(['response contains no JSON object']);
+  }
+
+  try {
+    return JSON.parse(candidate.slice(start, end + 1));
+  } catch (error) {
+    throw new PrdValidationError([`response is not valid JSON (${error.message})`]);
+  }
+}
+
+/**
+ * Parse and validate a model response into a normalized task tree
+ * Every node gets a unique key; all problems are collected before throwing
+ */
+export function parsePrdResponse(response, { maxDepth = MAX_DEPTH, maxTasks = MAX_TASKS } = {}) {
+  const data = extractJson(response);
+  const roots = Array.isArray(data) ? data : data?.tasks;
+  const errors = [];
+
+  if (!Array.isArray(roots) || roots.length === 0) {
+    throw new PrdValidationError(['"tasks" must be a non-empty array']);
+  }
+
+  const keys = new Set();
+  const flat = [];
+  let generated = 0;
+
+  const normalize = (raw, depth, pathLabel) => {
+    if (!raw || typeof raw !== 'object') {
+      errors.push(`${pathLabel} is not an object`);
+      return null;
+    }
+
+    if (typeof raw.title !== 'string' || raw.title.trim() === '') {
+      errors.push(`${pathLabel} is missing a title`);
+    }
+
+    if (depth > maxDepth) {
+      errors.push(`${pathLabel} exceeds maximum depth of ${maxDepth}`);
+    }
+
+    let key = raw.key !== undefined && raw.key !== null ? String(raw.key) : null;
+    if (!key) {
+      do {
+        key = `auto-${++generated}`;
+      } while (keys.has(key));
+    } else if (keys.has(key)) {
+      errors.push(`${pathLabel} reuses key "${key}"`);
+    }
+    keys.add(key);
+
+    const priority = TASK_PRIORITIES.includes(raw.priority) ? raw.priority : 'medium';
+
+    const node = {
+      key,
+      title: typeof raw.title === 'string' ? raw.title.trim() : '',
+      description: typeof raw.description === 'string' ? raw.description : '',
+      priority,
+      tags: Array.isArray(raw.tags) ? raw.tags.filter(t => typeof t === 'string') : [],
+      dependsOn: Array.isArray(raw.dependsOn) ? raw.dependsOn.map(String) : [],
+      subtasks: []
+    };
+    flat.push(node);
+
+    if (raw.subtasks !== undefined && !Array.isArray(raw.subtasks)) {
+      errors.push(`${pathLabel}.subtasks must be an array`);
+    }
+
+    (Array.isArray(raw.subtasks) ? raw.subtasks : []).forEach((child, i) => {
+      const normalized = normalize(child, depth + 1, `${pathLabel}.subtasks[${i}]`);
+      if (normalized) {
+        node.subtasks.push(normalized);
+      }
+    });
+
+    return node;
+  };
+
+  const tasks = roots
+    .map((raw, i) => normalize(raw, 1, `tasks[${i}]`))
+    .filter(Boolean);
+
+  if (flat.length > maxTasks) {
+    errors.push(`tree has ${flat.length} tasks, more than the limit of ${maxTasks}`);
+  }
+
+  for (const node of flat) {
+    for (const dep of node.dependsOn) {
+      if (dep === node.key) {
+        errors.push(`task "${node.key}" depends on itself`);
+      } else if (!keys.has(dep)) {
+        errors.push(`task "${node.key}" depends on unknown key "${dep}"`);
+      }
+    }
+  }
+
+  const cycle = findDependencyCycle(flat);
+  if (cycle) {
+    errors.push(`dependency cycle: ${cycle.join(' -> ')}`);
+  }
+
+  if (errors.length > 0) {
+    throw new PrdValidationError(errors);
+  }
+
+  return { tasks, count: flat.length };
+}
+
+/**
+ * Find a cycle among dependsOn references, returning its keys or null
+ */
+function findDependencyCycle(nodes) {
+  const edges = new Map(nodes.map(n => [n.key, n.dependsOn.filter(d => d !== n.key)]));
+  const state = new Map();
+
+  const visit = (key, trail) => {
+    state.set(key, 'visiting');
+
+    for (const dep of edges.get(key) || []) {
+      if (state.get(dep) === 'visiting') {
+        return [...trail.slice(trail.indexOf(dep)), dep];
+      }
+      if (!state.has(dep) && edges.has(dep)) {
+        const found = visit(dep, [...trail, dep]);
+        if (found) {
+          return found;
+        }
+      }
+    }
+
+    state.set(key, 'done');
+    return null;
+  };
+
+  for (const key of edges.keys()) {
+    if (!state.has(key)) {
+      const found = visit(key, [key]);
+      if (found) {
+        return found;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Flatten a validated tree into Task properties and edges ready to write
+ */
+export function buildTaskPlan(tree, { parentTaskId = null, source = 'prd' } = {}) {
+  const timestamp = new Date().toISOString();
+  const ids = new Map();
+  const plan = { tasks: [], subtasks: [], dependencies: [] };
+
+  const walk = (node, parentId) => {
+    const id = uuidv4();
+    ids.set(node.key, id);
+
+    plan.tasks.push({
+      id,
+      title: node.title,
+      description: node.description,
+      priority: node.priority,
+      status: 'pending',
+      tags: node.tags,
+      source,
+      source_key: node.key,
+      created_at: timestamp,
+      updated_at: timestamp
+    });
+
+    if (parentId) {
+      plan.subtasks.push({ parentId, childId: id });
+    }
+
+    node.subtasks.forEach(child => walk(child, id));
+  };
+
+  const collectDependencies = (node) => {
+    for (const dep of node.dependsOn) {
+      plan.dependencies.push({ taskId: ids.get(node.key), dependsOnTaskId: ids.get(dep) });
+    }
+    node.subtasks.forEach(collectDependencies);
+  };
+
+  tree.tasks.forEach(node => walk(node, parentTaskId));
+  tree.tasks.forEach(collectDependencies);
+
+  return plan;
+}
+
+/**
+ * Write a task plan inside an open transaction
+ * Tasks and edges are validated and scoped to the namespace like any other
+ * entity; edges that fail to match their endpoints abort the transaction
+ */
+export async function persistTaskPlan(tx, plan) {
+  const taskEdge = (type, fromId, toId) => ({ fromLabel: 'Task', fromId, type, toLabel: 'Task', toId });
+
+  await createEntities('Task', plan.tasks, { tx });
+  const subtasks = await createRelationships(
+    plan.subtasks.map(edge => taskEdge('HAS_SUBTASK', edge.parentId, edge.childId)),
+    { tx }
+  );
+  const dependencies = await createRelationships(
+    plan.dependencies.map(edge => taskEdge('MUST_COMPLETE_BEFORE', edge.dependsOnTaskId, edge.taskId)),
+    { tx }
+  );
+
+  if (subtasks.length !== plan.subtasks.length || dependencies.length !== plan.dependencies.length) {
+    throw new Error('Failed to link all parsed tasks; transaction rolled back');
+  }
+
+  prdLogger.info('Task plan persisted', {
+    tasks: plan.tasks.length,
+    subtasks: plan.subtasks.length,
+    dependencies: plan.dependencies.length
+  });
+
+  return {
+    tasks: plan.tasks.length,
+    subtasks: plan.subtasks.length,
+    dependencies: plan.dependencies.length
+  };
+}
+
+export default {
+  TASK_PRIORITIES,
+  PrdValidationError,
+  buildPrdPrompt,
+  parsePrdResponse,
+  buildTaskPlan,
+  persistTaskPlan
+};
@@ -0,0 +1,49 @@
+// ============================================================
+// Model Providers Index
+// ============================================================
+// Central export point for model providers, and the factory building
+// them from config/mcp-hub.json backends.providers entries
+
+import { OllamaProvider } from './ollama-provider.js';
+import { OpenAIProvider, toOpenAIMessages, toOpenAIOptions, parseEventStream } from './openai-provider.js';
+import { MockProvider } from './mock-provider.js';
+
+/**
+ * Provider used for task types that do not name one
+ */
+export const DEFAULT_PROVIDER = 'ollama';
+
+/**
+ * Build a provider from its configuration entry
+ * { type: "openai", base_url, api_key_env?, timeout?, models? } or { type: "mock", models? }
+ */
+export function createProvider(name, config = {}) {
+  switch (config.type) {
+    case 'openai':
+      if (!config.base_url) {
+        throw new Error(`Provider "${name}" needs a base_url`);
+      }
+      return new OpenAIProvider({
+        name,
+        baseUrl: config.base_url,
+        apiKey: config.api_key_env ? process.env[config.api_key_env] || '' : '',
+        timeout: config.timeout,
+        models: config.models || null
+      });
+    case 'mock':
+      return new MockProvider({ name, ...(config.models && { models: config.models }) });
+    case 'ollama':
+      return new OllamaProvider({ name, host: config.host, port: config.port });
+    default:
+      throw new Error(`Unknown provider type "${config.type}" for provider "${name}"`);
+  }
+}
+
+export {
+  OllamaProvider,
+  OpenAIProvider,
+  MockProvider,
+  toOpenAIMessages,
+  toOpenAIOptions,
+  parseEventStream
+};
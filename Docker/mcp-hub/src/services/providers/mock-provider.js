@@ -0,0 +1,90 @@
+// ============================================================
+// Mock Provider
+// ============================================================
+// Description: In-process model provider with canned, deterministic
+// answers and embeddings, for tests and for running without a model server
+
+import crypto from 'crypto';
+
+/**
+ * Default answer: the model name and the last user message
+ */
+function echo({ model, messages }) {
+  const last = [...messages].reverse().find(message => message.role === 'user');
+  return `[${model}] ${last?.content ?? ''}`;
+}
+
+/**
+ * Provider answering from reply(request) and recording every call
+ * reply receives { kind, model, messages, options } and returns text
+ */
+export class MockProvider {
+  constructor({ name = 'mock', models = ['mock-model'], reply = echo, dimensions = 8 } = {}) {
+    this.name = name;
+    this.type = 'mock';
+    this.models = models;
+    this.reply = reply;
+    this.dimensions = dimensions;
+    this.calls = [];
+  }
+
+  async list() {
+    return { models: this.models.map(name => ({ name, digest: `${this.name}/${name}` })) };
+  }
+
+  generate({ model, prompt, system, images, stream, options }) {
+    const messages = [
+      ...(system ? [{ role: 'system', content: system }] : []),
+      { role: 'user', content: prompt, images }
+    ];
+    return this.complete({ kind: 'generate', model, messages, stream, options });
+  }
+
+  chat({ model, messages, stream, options }) {
+    return this.complete({ kind: 'chat', model, messages, stream, options });
+  }
+
+  /**
+   * Answer in the Ollama generate or chat shape, streamed word by word
+   */
+  async complete(request) {
+    this.calls.push(request);
+    const text = await this.reply(request);
+    const chunk = (content, done) => ({
+      model: request.model,
+      ...(request.kind === 'chat' ? { message: { role: 'assistant', content } } : { response: content }),
+      done
+    });
+
+    if (!request.stream) {
+      return chunk(text, true);
+    }
+
+    let aborted = false;
+    return {
+      abort: () => { aborted = true; },
+      async *[Symbol.asyncIterator]() {
+        for (const word of text.match(/\S+\s*/g) || []) {
+          if (aborted) {
+            throw new Error('Mock stream aborted');
+          }
+          yield chunk(word, false);
+        }
+        yield chunk('', true);
+      }
+    };
+  }
+
+  /**
+   * Unit-length embedding derived from a hash of the text
+   */
+  async embeddings({ model, prompt }) {
+    this.calls.push({ kind: 'embedding', model, prompt });
+    const hash = crypto.createHash('sha256').update(String(prompt)).digest();
+    const vector = Array.from({ length: this.dimensions }, (_, i) => hash[i % hash.length] / 255 - 0.5);
+    const norm = Math.hypot(...vector) || 1;
+    return { embedding: vector.map(value => value / norm) };
+  }
+}
+
+export default MockProvider;
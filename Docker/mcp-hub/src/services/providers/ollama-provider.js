@@ -0,0 +1,43 @@
+// ============================================================
+// Ollama Provider
+// ============================================================
+// Description: Model provider backed by the ollama npm client. Its request
+// and response shapes are the ones every other provider translates to.
+
+import { Ollama } from 'ollama';
+
+/**
+ * Provider interface shared by all providers:
+ *   list()               -> { models: [{ name, digest, size?, modified_at? }] }
+ *   generate(request)    -> Ollama generate response, or an abortable
+ *                           async iterator of chunks when request.stream
+ *   chat(request)        -> Ollama chat response, or chunks when request.stream
+ *   embeddings(request)  -> { embedding }
+ */
+export class OllamaProvider {
+  constructor({ name = 'ollama', host = 'localhost', port = 11434 } = {}) {
+    this.name = name;
+    this.type = 'ollama';
+    this.host = `${host}:${port}`;
+    // The client is bound to one server; a host field in requests is ignored
+    this.client = new Ollama({ host: `http://${this.host}` });
+  }
+
+  list() {
+    return this.client.list();
+  }
+
+  generate(request) {
+    return this.client.generate(request);
+  }
+
+  chat(request) {
+    return this.client.chat(request);
+  }
+
+  embeddings(request) {
+    return this.client.embeddings(request);
+  }
+}
+
+export default OllamaProvider;
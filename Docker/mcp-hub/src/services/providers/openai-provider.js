@@ -0,0 +1,218 @@
+// ============================================================
+// OpenAI-Compatible Provider
+// ============================================================
+// Description: Model provider for OpenAI-compatible endpoints (llama.cpp
+// server, vLLM, LM Studio). Requests and responses are translated to and
+// from the Ollama shapes the router works with.
+
+/**
+ * Ollama model options mapped to OpenAI request fields
+ */
+const OPTION_FIELDS = {
+  temperature: 'temperature',
+  top_p: 'top_p',
+  seed: 'seed',
+  stop: 'stop',
+  num_predict: 'max_tokens',
+  presence_penalty: 'presence_penalty',
+  frequency_penalty: 'frequency_penalty'
+};
+
+/**
+ * OpenAI request fields for Ollama options
+ */
+export function toOpenAIOptions(options = {}) {
+  return Object.fromEntries(Object.entries(OPTION_FIELDS)
+    .filter(([field]) => options[field] !== undefined && !(field === 'num_predict' && options[field] < 0))
+    .map(([field, openAIField]) => [openAIField, options[field]]));
+}
+
+/**
+ * Data URL of an image given as base64 text, a data URL or bytes
+ */
+function imageUrl(image) {
+  const data = typeof image === 'string' ? image : Buffer.from(image).toString('base64');
+  return data.startsWith('data:') ? data : `data:image/png;base64,${data}`;
+}
+
+/**
+ * OpenAI chat messages for Ollama messages; images become image_url parts
+ */
+export function toOpenAIMessages(messages = []) {
+  return messages.map(({ role, content, images }) => (images?.length
+    ? {
+      role,
+      content: [
+        { type: 'text', text: content },
+        ...images.map(image => ({ type: 'image_url', image_url: { url: imageUrl(image) } }))
+      ]
+    }
+    : { role, content }));
+}
+
+/**
+ * Payloads of the "data:" lines of a Server-Sent Events body
+ */
+export async function* parseEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (line.startsWith('data:')) {
+        yield line.slice(5).trim();
+      }
+    }
+  }
+
+  if (buffer.startsWith('data:')) {
+    yield buffer.slice(5).trim();
+  }
+}
+
+/**
+ * Provider for an OpenAI-compatible /v1 endpoint
+ */
+export class OpenAIProvider {
+  constructor({ name, baseUrl, apiKey = '', timeout = 120000, models = null } = {}) {
+    this.name = name;
+    this.type = 'openai';
+    this.baseUrl = String(baseUrl).replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.timeout = timeout;
+    this.models = models;
+  }
+
+  /**
+   * Send a request; failures throw with the endpoint's message and status_code
+   */
+  async request(path, { method = 'POST', body, signal } = {}) {
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+      },
+      ...(body && { body: JSON.stringify(body) }),
+      signal
+    });
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      let message = text || response.statusText;
+      try {
+        const parsed = JSON.parse(text);
+        message = parsed.error?.message || parsed.error || message;
+      } catch {
+        // Plain-text error body
+      }
+
+      const error = new Error(`${this.name}: ${message}`);
+      error.status_code = response.status;
+      throw error;
+    }
+
+    return response;
+  }
+
+  /**
+   * Stable digest for a model; these endpoints do not report one
+   */
+  digest(model) {
+    return `${this.name}/${model}`;
+  }
+
+  async list() {
+    if (Array.isArray(this.models)) {
+      return { models: this.models.map(name => ({ name, digest: this.digest(name) })) };
+    }
+
+    const response = await this.request('/models', { method: 'GET', signal: AbortSignal.timeout(this.timeout) });
+    const { data = [] } = await response.json();
+    return {
+      models: data.map(model => ({
+        name: model.id,
+        digest: this.digest(model.id),
+        ...(model.created && { modified_at: new Date(model.created * 1000).toISOString() })
+      }))
+    };
+  }
+
+  generate({ model, prompt, system, images, stream, options, format }) {
+    const messages = [
+      ...(system ? [{ role: 'system', content: system }] : []),
+      { role: 'user', content: prompt, images }
+    ];
+    return this.complete({ model, messages, stream, options, format }, 'generate');
+  }
+
+  chat(request) {
+    return this.complete(request, 'chat');
+  }
+
+  /**
+   * Run a chat completion, answering in the Ollama generate or chat shape
+   */
+  async complete({ model, messages, stream = false, options, format }, shape) {
+    const chunk = (text, done, usage) => ({
+      model,
+      ...(shape === 'chat' ? { message: { role: 'assistant', content: text } } : { response: text }),
+      done,
+      ...(usage && { prompt_eval_count: usage.prompt_tokens, eval_count: usage.completion_tokens })
+    });
+
+    const controller = new AbortController();
+    const response = await this.request('/chat/completions', {
+      body: {
+        model,
+        messages: toOpenAIMessages(messages),
+        stream,
+        ...toOpenAIOptions(options),
+        ...(format === 'json' && { response_format: { type: 'json_object' } })
+      },
+      signal: stream ? controller.signal : AbortSignal.timeout(this.timeout)
+    });
+
+    if (!stream) {
+      const result = await response.json();
+      return chunk(result.choices?.[0]?.message?.content ?? '', true, result.usage);
+    }
+
+    return {
+      abort: () => controller.abort(),
+      async *[Symbol.asyncIterator]() {
+        let usage = null;
+
+        for await (const payload of parseEventStream(response.body)) {
+          if (payload === '[DONE]') {
+            break;
+          }
+
+          const event = JSON.parse(payload);
+          usage = event.usage || usage;
+          const text = event.choices?.[0]?.delta?.content;
+          if (text) {
+            yield chunk(text, false);
+          }
+        }
+
+        yield chunk('', true, usage);
+      }
+    };
+  }
+
+  async embeddings({ model, prompt }) {
+    const response = await this.request('/embeddings', {
+      body: { model, input: prompt },
+      signal: AbortSignal.timeout(this.timeout)
+    });
+    const { data = [] } = await response.json();
+    return { embedding: data[0]?.embedding || [] };
+  }
+}
+
+export default OpenAIProvider;
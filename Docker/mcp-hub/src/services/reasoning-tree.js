@@ -0,0 +1,132 @@
+// ============================================================
+// Reasoning Chain Tree View
+// ============================================================
+// Description: Fold step revisions into lineages and render a chain,
+// its active vs superseded thoughts and its branches as a tree
+
+/**
+ * Mark each step active or superseded
+ * A step is superseded once another step revises it
+ */
+export function annotateSteps(steps) {
+  const supersededBy = new Map();
+  for (const step of steps) {
+    if (step.revises) {
+      supersededBy.set(step.revises, step.id);
+    }
+  }
+
+  return steps.map(step => ({
+    ...step,
+    status: supersededBy.has(step.id) ? 'superseded' : 'active',
+    superseded_by: supersededBy.get(step.id) || null
+  }));
+}
+
+/**
+ * Steps that are still in force, in chain order
+ */
+export function getActiveSteps(steps) {
+  return annotateSteps(steps).filter(step => step.status === 'active');
+}
+
+/**
+ * Group steps into lineages: an original thought followed by its revisions
+ * Lineages are ordered by the position of the original thought
+ */
+export function buildLineages(steps) {
+  const annotated = annotateSteps(steps);
+  const byId = new Map(annotated.map(step => [step.id, step]));
+
+  const rootOf = (step) => {
+    let current = step;
+    const seen = new Set();
+    while (current.revises && byId.has(current.revises) && !seen.has(current.id)) {
+      seen.add(current.id);
+      current = byId.get(current.revises);
+    }
+    return current;
+  };
+
+  const lineages = new Map();
+  for (const step of annotated) {
+    const root = rootOf(step);
+    if (!lineages.has(root.id)) {
+      lineages.set(root.id, { root, versions: [] });
+    }
+    lineages.get(root.id).versions.push(step);
+  }
+
+  return Array.from(lineages.values())
+    .sort((a, b) => a.root.step_number - b.root.step_number)
+    .map(({ versions }) => {
+      const ordered = versions.sort((a, b) => a.step_number - b.step_number);
+      return {
+        active: ordered.find(v => v.status === 'active') || ordered[ordered.length - 1],
+        superseded: ordered.filter(v => v.status === 'superseded').reverse()
+      };
+    });
+}
+
+/**
+ * Build the tree for a chain and its branches
+ */
+export function buildChainTree(chain, branches = []) {
+  return {
+    id: chain.id,
+    prompt: chain.prompt,
+    status: chain.status,
+    conclusion: chain.conclusion || null,
+    thoughts: buildLineages(chain.steps || []),
+    branches: branches.map(branch => ({
+      id: branch.id,
+      status: branch.status,
+      conclusion: branch.conclusion || null,
+      merged_into: branch.merged_into || null
+    }))
+  };
+}
+
+/**
+ * Render a chain tree as indented text
+ */
+export function renderChainTree(tree) {
+  const lines = [`Chain ${tree.id.substring(0, 8)} (${tree.status}): ${tree.prompt}`];
+  const items = [
+    ...tree.thoughts.map(thought => ({ kind: 'thought', thought })),
+    ...tree.branches.map(branch => ({ kind: 'branch', branch }))
+  ];
+
+  items.forEach((item, index) => {
+    const last = index === items.length - 1;
+    const branchPrefix = last ? '└─ ' : '├─ ';
+    const childPrefix = last ? '   ' : '│  ';
+
+    if (item.kind === 'branch') {
+      const { branch } = item;
+      const merged = branch.merged_into ? ', merged' : '';
+      lines.push(`${branchPrefix}branch ${branch.id.substring(0, 8)} (${branch.status}${merged})` +
+        (branch.conclusion ? `: ${branch.conclusion}` : ''));
+      return;
+    }
+
+    const { active, superseded } = item.thought;
+    const source = active.merged_from ? ` <- branch ${active.merged_from.substring(0, 8)}` : '';
+    lines.push(`${branchPrefix}[${active.step_number}] ${active.step_type}${source}: ${active.thought}`);
+
+    superseded.forEach((old, i) => {
+      const marker = i === superseded.length - 1 ? '└─ ' : '├─ ';
+      lines.push(`${childPrefix}${marker}~ [${old.step_number}] superseded: ${old.thought}`);
+    });
+  });
+
+  return lines.join('\n');
+}
+
+export default {
+  annotateSteps,
+  getActiveSteps,
+  buildLineages,
+  buildChainTree,
+  renderChainTree
+};
@@ -0,0 +1,214 @@
+// ============================================================
+// Ollama Response Cache
+// ============================================================
+// Description: Content-addressed cache for deterministic Ollama calls
+// (embeddings, temperature-0 completions and chats). Entries are keyed by
+// model digest and request, kept in an in-memory LRU and optionally on disk
+// in one folder per digest. Folders are marked so that only the cache's own
+// folders are ever removed from the cache directory.
+
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createModuleLogger } from '../utils/log-helpers.js';
+
+const cacheLogger = createModuleLogger('ResponseCache');
+
+// File identifying a digest folder written by this cache
+const MARKER_FILE = '.response-cache.json';
+
+/**
+ * Cache configuration
+ */
+export const cacheConfig = {
+  enabled: process.env.OLLAMA_CACHE_ENABLED !== 'false',
+  maxEntries: parseInt(process.env.OLLAMA_CACHE_MAX_ENTRIES || '1000'),
+  // Empty keeps the cache in memory only
+  dir: process.env.OLLAMA_CACHE_DIR || ''
+};
+
+/**
+ * Whether a generation request always gives the same answer
+ */
+export function isDeterministic(options = {}) {
+  return options?.temperature === 0;
+}
+
+/**
+ * Folder name of a model digest
+ */
+function digestFolder(digest) {
+  return String(digest).replace(/[^a-zA-Z0-9]/g, '_');
+}
+
+/**
+ * Object with its keys sorted at every level, so equal requests hash equally
+ */
+function canonical(value) {
+  if (Array.isArray(value)) {
+    return value.map(canonical);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => [key, canonical(value[key])]));
+  }
+  return value;
+}
+
+/**
+ * In-memory LRU with optional on-disk persistence
+ */
+export class ResponseCache {
+  constructor({ maxEntries = cacheConfig.maxEntries, dir = cacheConfig.dir } = {}) {
+    this.maxEntries = maxEntries;
+    this.dir = dir;
+    this.entries = new Map();
+  }
+
+  /**
+   * Key of a request: sha256 over the digest and the request parts
+   */
+  key(digest, parts) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify(canonical({ digest, ...parts })))
+      .digest('hex');
+  }
+
+  filePath(digest, key) {
+    return path.join(this.dir, digestFolder(digest), `${key}.json`);
+  }
+
+  remember(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Cached value, or undefined; disk hits are promoted to memory
+   */
+  async get(digest, key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.remember(key, entry);
+      return entry.value;
+    }
+
+    if (!this.dir) {
+      return undefined;
+    }
+
+    try {
+      const stored = JSON.parse(await fs.readFile(this.filePath(digest, key), 'utf-8'));
+      this.remember(key, stored);
+      return stored.value;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        cacheLogger.warn('Failed to read cache entry', { key, error: error.message });
+      }
+      return undefined;
+    }
+  }
+
+  /**
+   * Store a value; provider names the model provider that reported the digest
+   */
+  async set(digest, key, value, { provider = null } = {}) {
+    const entry = { digest, provider, value, createdAt: new Date().toISOString() };
+    this.remember(key, entry);
+
+    if (!this.dir) {
+      return;
+    }
+
+    try {
+      const file = this.filePath(digest, key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(path.join(path.dirname(file), MARKER_FILE), JSON.stringify({ digest, provider }), { flag: 'wx' })
+        .catch(error => {
+          if (error.code !== 'EEXIST') {
+            throw error;
+          }
+        });
+      await fs.writeFile(file, JSON.stringify(entry), 'utf-8');
+    } catch (error) {
+      cacheLogger.warn('Failed to write cache entry', { key, error: error.message });
+    }
+  }
+
+  /**
+   * Marker of a folder in the cache directory, or null when the cache did not create it
+   */
+  async readMarker(folder) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.dir, folder, MARKER_FILE), 'utf-8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Drop entries of every digest not in digests (models removed or re-pulled)
+   * Entries of keepProviders, whose models could not be listed, are kept;
+   * on disk only folders carrying the cache's marker are removed
+   * Returns the number of in-memory entries dropped
+   */
+  async retainDigests(digests, { keepProviders = [] } = {}) {
+    const current = new Set(digests);
+    const kept = new Set(keepProviders);
+    const isStale = entry => !current.has(entry.digest) && !kept.has(entry.provider);
+    let dropped = 0;
+
+    for (const [key, entry] of this.entries) {
+      if (isStale(entry)) {
+        this.entries.delete(key);
+        dropped++;
+      }
+    }
+
+    if (this.dir) {
+      const existing = await fs.readdir(this.dir, { withFileTypes: true }).catch(() => []);
+
+      for (const { name: folder } of existing.filter(item => item.isDirectory())) {
+        const marker = await this.readMarker(folder);
+        if (!marker || digestFolder(marker.digest) !== folder || !isStale(marker)) {
+          continue;
+        }
+
+        await fs.rm(path.join(this.dir, folder), { recursive: true, force: true });
+        cacheLogger.info('Dropped cached responses of a model digest no longer installed', { folder });
+      }
+    }
+
+    return dropped;
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  getStats() {
+    return {
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      persisted: Boolean(this.dir)
+    };
+  }
+}
+
+/**
+ * Shared cache used by the Ollama router and tools
+ */
+export const responseCache = new ResponseCache();
+
+export default {
+  cacheConfig,
+  isDeterministic,
+  ResponseCache,
+  responseCache
+};
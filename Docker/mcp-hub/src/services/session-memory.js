@@ -0,0 +1,480 @@
+// ============================================================
+// Session Memory
+// ============================================================
+// Description: Conversation sessions recorded turn by turn, rolled up
+// into summary memories with the chat model, and a token-budgeted
+// digest of recent sessions for the next conversation
+
+import { v4 as uuidv4 } from 'uuid';
+import { executeReadTransaction, executeWriteTransaction } from './neo4j-client.js';
+import { CypherQueryBuilder } from './neo4j-query-builder.js';
+import { getSchemaRegistry } from './entity-schemas.js';
+import { chat } from './ollama-router.js';
+import { createModuleLogger } from '../utils/log-helpers.js';
+import { currentNamespace, namespaceParam, whereNamespace } from '../utils/namespace.js';
+
+const sessionLogger = createModuleLogger('SessionMemory');
+
+/**
+ * Session configuration
+ */
+export const sessionConfig = {
+  // Summarize once this many turns are waiting
+  summaryEvery: parseInt(process.env.SESSION_SUMMARY_EVERY || '10'),
+  // Default token budget of get_session_context
+  contextTokens: parseInt(process.env.SESSION_CONTEXT_TOKENS || '2000'),
+  // Characters of transcript sent per summary request
+  maxTranscriptChars: 12000,
+  summaryModel: process.env.SESSION_SUMMARY_MODEL || null
+};
+
+export const turnRoles = ['user', 'assistant', 'system', 'tool'];
+
+export const sessionStatus = {
+  ACTIVE: 'active',
+  COMPLETED: 'completed'
+};
+
+/**
+ * Error for unknown or ended sessions and invalid turns
+ */
+export class SessionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionError';
+  }
+}
+
+/**
+ * Rough token count (4 characters per token), enough for budgeting
+ */
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function toNumber(value) {
+  return value?.toNumber?.() ?? value;
+}
+
+function toSession(node) {
+  const { properties } = node;
+  return {
+    id: properties.id,
+    title: properties.title ?? null,
+    client: properties.client ?? null,
+    status: properties.status,
+    startedAt: properties.startedAt,
+    endedAt: properties.endedAt ?? null,
+    turnCount: toNumber(properties.turnCount) ?? 0,
+    summarizedTurns: toNumber(properties.summarizedTurns) ?? 0
+  };
+}
+
+function toTurn(node) {
+  const { properties } = node;
+  return {
+    index: toNumber(properties.index),
+    role: properties.role,
+    content: properties.content,
+    createdAt: properties.createdAt
+  };
+}
+
+// ============================================================
+// Queries
+// ============================================================
+// Sessions and their turns belong to the namespace they were started in
+
+export const sessionQueries = {
+  start(properties) {
+    const qb = new CypherQueryBuilder();
+    return qb.create(qb.node('s', 'Session', { ...properties, namespace: currentNamespace() })).return('s');
+  },
+
+  /**
+   * Number the turn after the session's last one and attach it
+   */
+  appendTurn(sessionId, { role, content, createdAt }) {
+    const qb = new CypherQueryBuilder();
+    const now = qb.addParam(createdAt, 'createdAt');
+    return qb
+      .match(qb.node('s', 'Session', { id: sessionId }))
+      .where(`s.status = ${qb.addParam(sessionStatus.ACTIVE, 'status')}`)
+      .where(whereNamespace(qb, 's'))
+      .set('s.turnCount = coalesce(s.turnCount, 0) + 1', `s.lastTurnAt = ${now}`)
+      .create(`(s)-${qb.relationship(null, 'HAS_TURN')}->(t:${qb.label('Turn')} {sessionId: s.id, index: s.turnCount, role: ${qb.addParam(role, 'role')}, content: ${qb.addParam(content, 'content')}, createdAt: ${now}, namespace: ${namespaceParam(qb)}})`)
+      .return('s, t');
+  },
+
+  get(sessionId) {
+    const qb = new CypherQueryBuilder();
+    return qb.match(qb.node('s', 'Session', { id: sessionId })).where(whereNamespace(qb, 's')).return('s');
+  },
+
+  /**
+   * Turns after the last summary, oldest first, with the latest summary text
+   */
+  unsummarized(sessionId) {
+    const qb = new CypherQueryBuilder();
+    return qb
+      .match(qb.node('s', 'Session', { id: sessionId }))
+      .where(whereNamespace(qb, 's'))
+      .optionalMatch(`(s)-${qb.relationship('h', 'HAS_SUMMARY')}->(summary)`)
+      .with('s, h, summary')
+      .orderBy('h.throughTurn DESC')
+      .with('s, collect(summary.content)[0] AS previousSummary')
+      .optionalMatch(`(s)-${qb.relationship(null, 'HAS_TURN')}->(t:${qb.label('Turn')})`)
+      .where('t.index > coalesce(s.summarizedTurns, 0)')
+      .with('s, previousSummary, t')
+      .orderBy('t.index')
+      .return('s, previousSummary, collect(t) AS turns');
+  },
+
+  /**
+   * Link a summary memory and move the session's summarized mark
+   */
+  linkSummary(sessionId, memoryId, fromTurn, throughTurn) {
+    const qb = new CypherQueryBuilder();
+    const through = qb.addParam(throughTurn, 'throughTurn');
+    return qb
+      .match(qb.node('s', 'Session', { id: sessionId }))
+      .where(whereNamespace(qb, 's'))
+      .match(qb.node('m', 'Memory', { id: memoryId }))
+      .where(whereNamespace(qb, 'm'))
+      .merge(`(s)-${qb.relationship('h', 'HAS_SUMMARY')}->(m)`)
+      .set(
+        `h.fromTurn = ${qb.addParam(fromTurn, 'fromTurn')}`,
+        `h.throughTurn = ${through}`,
+        `s.summarizedTurns = ${through}`,
+        's.summaryCount = coalesce(s.summaryCount, 0) + 1'
+      )
+      .return('s');
+  },
+
+  end(sessionId, endedAt) {
+    const qb = new CypherQueryBuilder();
+    return qb
+      .match(qb.node('s', 'Session', { id: sessionId }))
+      .where(whereNamespace(qb, 's'))
+      .set(`s.status = ${qb.addParam(sessionStatus.COMPLETED, 'status')}`, `s.endedAt = ${qb.addParam(endedAt, 'endedAt')}`)
+      .return('s');
+  },
+
+  /**
+   * Sessions newest first with their summaries (newest first) and the
+   * turns not yet summarized (newest first)
+   * Summaries are matched without a label so archived ones still count.
+   */
+  context({ sessionId = null, client = null, sessions = 3 } = {}) {
+    const qb = new CypherQueryBuilder();
+    qb.match(qb.node('s', 'Session', sessionId ? { id: sessionId } : {}));
+
+    if (client) {
+      qb.where(`s.client = ${qb.addParam(client, 'client')}`);
+    }
+    qb.where(whereNamespace(qb, 's'));
+
+    return qb
+      .with('s')
+      .orderBy('s.startedAt DESC')
+      .limit(sessionId ? 1 : sessions)
+      .call(inner => inner
+        .with('s')
+        .optionalMatch(`(s)-${inner.relationship('h', 'HAS_SUMMARY')}->(m)`)
+        .with('h, m')
+        .orderBy('h.throughTurn DESC')
+        .return('collect(CASE WHEN m IS NULL THEN null ELSE {content: m.content, fromTurn: h.fromTurn, throughTurn: h.throughTurn} END) AS summaries'))
+      .call(inner => inner
+        .with('s')
+        .optionalMatch(`(s)-${inner.relationship(null, 'HAS_TURN')}->(t:${inner.label('Turn')})`)
+        .where('t.index > coalesce(s.summarizedTurns, 0)')
+        .with('t')
+        .orderBy('t.index DESC')
+        .return('collect(t) AS turns'))
+      .return('s, summaries, turns')
+      .orderBy('s.startedAt DESC');
+  }
+};
+
+// ============================================================
+// Sessions
+// ============================================================
+
+export async function startSession({ title = null, client = null, startedAt = new Date().toISOString() } = {}) {
+  const id = `session_${uuidv4()}`;
+  const properties = {
+    id,
+    name: title || id,
+    status: sessionStatus.ACTIVE,
+    startedAt,
+    turnCount: 0,
+    summarizedTurns: 0,
+    ...(title && { title }),
+    ...(client && { client })
+  };
+  getSchemaRegistry().assertEntity('Session', properties);
+
+  const query = sessionQueries.start(properties);
+  const node = await executeWriteTransaction(async (tx) => {
+    const result = await query.run(tx);
+    return result.records[0].get('s');
+  });
+
+  sessionLogger.info('Session started', { id, client });
+  return toSession(node);
+}
+
+export async function getSession(sessionId) {
+  const query = sessionQueries.get(sessionId);
+  const node = await executeReadTransaction(async (tx) => {
+    const result = await query.run(tx);
+    return result.records[0]?.get('s') ?? null;
+  });
+  return node ? toSession(node) : null;
+}
+
+/**
+ * Record a turn; `pending` is the number of turns waiting for a summary
+ */
+export async function appendTurn(sessionId, { role, content, createdAt = new Date().toISOString() }) {
+  if (!turnRoles.includes(role)) {
+    throw new SessionError(`Unknown role "${role}"; expected one of: ${turnRoles.join(', ')}`);
+  }
+  getSchemaRegistry().assertEntity('Turn', { sessionId, role, content, createdAt }, { partial: true });
+
+  const query = sessionQueries.appendTurn(sessionId, { role, content, createdAt });
+  const record = await executeWriteTransaction(async (tx) => {
+    const result = await query.run(tx);
+    return result.records[0] ?? null;
+  });
+
+  if (!record) {
+    throw new SessionError(`No active session "${sessionId}"`);
+  }
+
+  const session = toSession(record.get('s'));
+  return {
+    session,
+    turn: toTurn(record.get('t')),
+    pending: session.turnCount - session.summarizedTurns
+  };
+}
+
+export async function endSession(sessionId, endedAt = new Date().toISOString()) {
+  const query = sessionQueries.end(sessionId, endedAt);
+  const node = await executeWriteTransaction(async (tx) => {
+    const result = await query.run(tx);
+    return result.records[0]?.get('s') ?? null;
+  });
+
+  if (!node) {
+    throw new SessionError(`No session "${sessionId}"`);
+  }
+
+  sessionLogger.info('Session ended', { id: sessionId });
+  return toSession(node);
+}
+
+// ============================================================
+// Summaries
+// ============================================================
+
+/**
+ * Transcript lines, keeping the latest turns when over the character limit
+ */
+export function formatTranscript(turns, maxChars = sessionConfig.maxTranscriptChars) {
+  const lines = [];
+  let length = 0;
+
+  for (const turn of [...turns].reverse()) {
+    const line = `${turn.role}: ${turn.content}`;
+    if (length + line.length > maxChars && lines.length > 0) {
+      lines.push('[earlier turns omitted]');
+      break;
+    }
+    lines.push(line.substring(0, maxChars));
+    length += line.length + 1;
+  }
+
+  return lines.reverse().join('\n');
+}
+
+export function buildSummaryMessages(turns, previousSummary = null) {
+  return [
+    {
+      role: 'system',
+      content: 'You summarize conversations for long-term memory. Keep decisions, facts learned, ' +
+        'preferences stated and open questions. Write short plain sentences without preamble.'
+    },
+    {
+      role: 'user',
+      content: [
+        ...(previousSummary ? ['Summary of the conversation so far:', previousSummary, ''] : []),
+        `Summarize turns ${turns[0].index}-${turns[turns.length - 1].index}:`,
+        formatTranscript(turns)
+      ].join('\n')
+    }
+  ];
+}
+
+async function chatSummary(messages) {
+  const result = await chat(messages, sessionConfig.summaryModel, { options: { temperature: 0.2 } });
+  return result.message?.content || '';
+}
+
+/**
+ * Summarize the turns recorded since the last summary
+ *
+ * storeSummary({ session, content, fromTurn, throughTurn }) stores the
+ * summary as a memory and returns its id; the summary is then linked to
+ * the session. Returns null when no turns are waiting.
+ */
+export async function summarizeSession(sessionId, { storeSummary, summarize = chatSummary } = {}) {
+  const query = sessionQueries.unsummarized(sessionId);
+  const record = await executeReadTransaction(async (tx) => {
+    const result = await query.run(tx);
+    return result.records[0] ?? null;
+  });
+
+  if (!record) {
+    throw new SessionError(`No session "${sessionId}"`);
+  }
+
+  const turns = record.get('turns').map(toTurn);
+  if (turns.length === 0) {
+    return null;
+  }
+
+  const session = toSession(record.get('s'));
+  const fromTurn = turns[0].index;
+  const throughTurn = turns[turns.length - 1].index;
+  const answer = await summarize(buildSummaryMessages(turns, record.get('previousSummary')));
+  const content = answer.replace(/<think>[\s\S]*?<\/think>/g, '').trim();
+
+  if (!content) {
+    throw new SessionError('The chat model returned an empty summary');
+  }
+
+  const memoryId = await storeSummary({ session, content, fromTurn, throughTurn });
+  const linkQuery = sessionQueries.linkSummary(sessionId, memoryId, fromTurn, throughTurn);
+  await executeWriteTransaction(tx => linkQuery.run(tx));
+
+  sessionLogger.info('Session summarized', { id: sessionId, memoryId, fromTurn, throughTurn });
+  return { memoryId, content, fromTurn, throughTurn };
+}
+
+// ============================================================
+// Context
+// ============================================================
+
+/**
+ * Fit sessions into a token budget
+ *
+ * Per session, newest first: the latest summary, then turns not yet
+ * summarized (newest first), then older summaries. Whatever fits is
+ * printed in chronological order.
+ */
+export function buildSessionDigest(sessions, maxTokens = sessionConfig.contextTokens) {
+  let remaining = maxTokens;
+  let truncated = false;
+  const included = { sessions: 0, summaries: 0, turns: 0 };
+  const sections = [];
+
+  const take = (text) => {
+    const tokens = estimateTokens(text) + 1;
+    if (tokens > remaining) {
+      truncated = true;
+      return false;
+    }
+    remaining -= tokens;
+    return true;
+  };
+
+  for (const { session, summaries, turns } of sessions) {
+    const header = `## ${session.title || session.id} (${session.startedAt}${session.endedAt ? ` - ${session.endedAt}` : ''})`;
+    if (!take(header)) {
+      break;
+    }
+
+    const [latest, ...older] = summaries;
+    const keptSummaries = [];
+    const keptTurns = [];
+
+    if (latest && take(latest.content)) {
+      keptSummaries.push(latest);
+    }
+    for (const turn of turns) {
+      const line = `${turn.role}: ${turn.content}`;
+      if (!take(line)) {
+        break;
+      }
+      keptTurns.push(line);
+    }
+    for (const summary of older) {
+      if (!take(summary.content)) {
+        break;
+      }
+      keptSummaries.push(summary);
+    }
+
+    if (keptSummaries.length === 0 && keptTurns.length === 0) {
+      remaining += estimateTokens(header) + 1;
+      continue;
+    }
+
+    keptSummaries.sort((a, b) => a.throughTurn - b.throughTurn);
+    sections.unshift([
+      header,
+      ...keptSummaries.map(summary => summary.content),
+      ...keptTurns.reverse()
+    ].join('\n'));
+
+    included.sessions++;
+    included.summaries += keptSummaries.length;
+    included.turns += keptTurns.length;
+  }
+
+  return {
+    digest: sections.join('\n\n'),
+    tokens: maxTokens - remaining,
+    truncated,
+    included
+  };
+}
+
+export async function getSessionContext({ sessionId = null, client = null, sessions = 3, maxTokens = sessionConfig.contextTokens } = {}) {
+  const query = sessionQueries.context({ sessionId, client, sessions });
+  const rows = await executeReadTransaction(async (tx) => {
+    const result = await query.run(tx);
+    return result.records.map(record => ({
+      session: toSession(record.get('s')),
+      summaries: record.get('summaries').map(summary => ({
+        content: summary.content,
+        fromTurn: toNumber(summary.fromTurn),
+        throughTurn: toNumber(summary.throughTurn)
+      })),
+      turns: record.get('turns').map(toTurn)
+    }));
+  });
+
+  if (sessionId && rows.length === 0) {
+    throw new SessionError(`No session "${sessionId}"`);
+  }
+
+  return buildSessionDigest(rows, maxTokens);
+}
+
+export default {
+  sessionConfig,
+  sessionQueries,
+  estimateTokens,
+  startSession,
+  getSession,
+  appendTurn,
+  endSession,
+  formatTranscript,
+  buildSummaryMessages,
+  summarizeSession,
+  buildSessionDigest,
+  getSessionContext
+};
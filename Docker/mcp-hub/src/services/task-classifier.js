@@ -0,0 +1,256 @@
+// ============================================================
+// Task Type Classifier
+// ============================================================
+// Description: Pick the task type (reasoning, coding, vision, chat) of a
+// prompt for the "auto" task type, with cheap heuristics first and an
+// optional small-model classifier, and keep routing accuracy stats
+
+import { randomUUID } from 'crypto';
+
+/**
+ * Task types the classifier can choose
+ */
+export const classifiedTaskTypes = ['reasoning', 'coding', 'vision', 'chat'];
+
+/**
+ * Classifier configuration
+ */
+export const classifierConfig = {
+  // Small model asked when the heuristics are unsure; empty disables it
+  model: process.env.OLLAMA_CLASSIFIER_MODEL || '',
+  // Heuristic decisions below this confidence go to the classifier model
+  minConfidence: parseFloat(process.env.OLLAMA_CLASSIFIER_MIN_CONFIDENCE || '0.6'),
+  // Decisions kept for feedback and the stats endpoint
+  historySize: parseInt(process.env.OLLAMA_CLASSIFIER_HISTORY || '500'),
+  maxPromptLength: 2000
+};
+
+// ============================================================
+// Heuristics
+// ============================================================
+
+/**
+ * Weighted signals per task type; each matching rule adds its weight
+ */
+export const classificationRules = {
+  coding: [
+    { name: 'code-fence', pattern: /```/, weight: 3 },
+    { name: 'code-keywords', pattern: /\b(function|const|let|var|def|class|import|return|async|await|public static|#include|console\.log|println)\b/, weight: 1.5 },
+    { name: 'code-syntax', pattern: /(=>|\(\)\s*\{|;\s*$|\bif\s*\(|\bfor\s*\()/m, weight: 1 },
+    { name: 'sql', pattern: /\b(SELECT\s+.+\s+FROM|INSERT\s+INTO|CREATE\s+TABLE|MATCH\s*\()/i, weight: 2 },
+    { name: 'source-file', pattern: /\b[\w-]+\.(js|ts|py|go|rs|java|rb|cpp|cs|php|sh|sql|jsx|tsx)\b/, weight: 1 },
+    { name: 'code-vocabulary', pattern: /\b(code|bug|refactor|compile|stack ?trace|regex|unit test|api|endpoint|implement|debug|exception|syntax)\b/i, weight: 1 }
+  ],
+  reasoning: [
+    { name: 'math-expression', pattern: /\d+\s*[-+*/^=]\s*\d+|\\frac|\\sum|∫|√|\bx\^\d/, weight: 2 },
+    { name: 'math-vocabulary', pattern: /\b(prove|proof|theorem|derive|equation|integral|derivative|probability|calculate|solve for)\b/i, weight: 2 },
+    { name: 'reasoning-vocabulary', pattern: /\b(step by step|analy[sz]e|trade-?offs?|compare|pros and cons|plan|why does|reason about|evaluate|decide)\b/i, weight: 1.5 },
+    { name: 'logic-puzzle', pattern: /\b(puzzle|riddle|if and only if|therefore|implies)\b/i, weight: 1 }
+  ],
+  vision: [
+    { name: 'image-vocabulary', pattern: /\b(this (image|picture|photo|screenshot)|in the (image|picture|photo)|describe the (image|picture))\b/i, weight: 2 }
+  ],
+  chat: [
+    { name: 'greeting', pattern: /^\s*(hi|hello|hey|hola|thanks|thank you)\b/i, weight: 1.5 },
+    { name: 'short-question', test: text => text.length < 120 && /\?\s*$/.test(text), weight: 0.5 }
+  ]
+};
+
+/**
+ * Score a prompt against the rules
+ * Images always mean vision; with no signal at all the prompt is chat
+ */
+export function classifyHeuristically(prompt = '', { images = [] } = {}) {
+  if (images?.length > 0) {
+    return { taskType: 'vision', confidence: 1, scores: { vision: 1 }, reasons: ['images'] };
+  }
+
+  const text = String(prompt).substring(0, classifierConfig.maxPromptLength);
+  const scores = Object.fromEntries(classifiedTaskTypes.map(type => [type, 0]));
+  const reasons = [];
+
+  for (const [taskType, rules] of Object.entries(classificationRules)) {
+    for (const rule of rules) {
+      const matched = rule.test ? rule.test(text) : rule.pattern.test(text);
+      if (matched) {
+        scores[taskType] += rule.weight;
+        reasons.push(rule.name);
+      }
+    }
+  }
+
+  const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+  if (total === 0) {
+    return { taskType: 'chat', confidence: 0.5, scores, reasons: ['no-signal'] };
+  }
+
+  const [taskType, top] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+  return {
+    taskType,
+    confidence: Number((top / total).toFixed(3)),
+    scores,
+    reasons
+  };
+}
+
+// ============================================================
+// Model Classifier
+// ============================================================
+
+export function buildClassifierPrompt(prompt) {
+  return [
+    'Classify the request below into exactly one category:',
+    'coding - writing, reading or fixing code, queries or configuration',
+    'reasoning - math, logic, analysis, planning or multi-step problems',
+    'chat - conversation, questions and everything else',
+    'Answer with the category name only.',
+    '',
+    'Request:',
+    String(prompt).substring(0, classifierConfig.maxPromptLength)
+  ].join('\n');
+}
+
+/**
+ * First category named in the classifier answer, or null
+ */
+export function parseClassifierAnswer(answer = '') {
+  const text = String(answer).replace(/<think>[\s\S]*?<\/think>/g, '').toLowerCase();
+  const match = text.match(/\b(coding|reasoning|vision|chat)\b/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Classify a prompt
+ * generate(prompt) is called with the classifier prompt when the heuristics
+ * are below minConfidence; its failures keep the heuristic decision
+ */
+export async function classifyTask(prompt, { images = [], generate = null } = {}) {
+  const heuristic = classifyHeuristically(prompt, { images });
+  let decision = { ...heuristic, method: 'heuristic' };
+
+  if (generate && heuristic.confidence < classifierConfig.minConfidence) {
+    try {
+      const taskType = parseClassifierAnswer(await generate(buildClassifierPrompt(prompt)));
+      if (taskType) {
+        decision = { ...heuristic, taskType, heuristicTaskType: heuristic.taskType, method: 'model' };
+      }
+    } catch (error) {
+      decision.classifierError = error.message;
+    }
+  }
+
+  return recordDecision(decision, prompt);
+}
+
+// ============================================================
+// Routing Stats
+// ============================================================
+
+const history = new Map();
+let totals = createTotals();
+
+function createTotals() {
+  return {
+    decisions: 0,
+    byTaskType: Object.fromEntries(classifiedTaskTypes.map(type => [type, 0])),
+    byMethod: { heuristic: 0, model: 0 },
+    feedback: 0,
+    correct: 0,
+    // confusion[actual][predicted]
+    confusion: {},
+    // rule -> { correct, wrong } over decisions with feedback
+    rules: {}
+  };
+}
+
+/**
+ * Remember a decision so feedback can be matched to it later
+ */
+function recordDecision(decision, prompt) {
+  const id = randomUUID();
+  const entry = {
+    id,
+    ...decision,
+    promptPreview: String(prompt).substring(0, 80),
+    at: new Date().toISOString()
+  };
+
+  history.set(id, entry);
+  if (history.size > classifierConfig.historySize) {
+    history.delete(history.keys().next().value);
+  }
+
+  totals.decisions++;
+  totals.byTaskType[entry.taskType] = (totals.byTaskType[entry.taskType] || 0) + 1;
+  totals.byMethod[entry.method]++;
+
+  return entry;
+}
+
+/**
+ * Record the task type a decision should have chosen
+ * Returns the updated decision, or null when it is no longer in the history
+ */
+export function recordRoutingFeedback(decisionId, actualTaskType) {
+  if (!classifiedTaskTypes.includes(actualTaskType)) {
+    throw new Error(`Unknown task type "${actualTaskType}" (expected one of: ${classifiedTaskTypes.join(', ')})`);
+  }
+
+  const entry = history.get(decisionId);
+  if (!entry || entry.actualTaskType) {
+    return entry || null;
+  }
+
+  const correct = entry.taskType === actualTaskType;
+  entry.actualTaskType = actualTaskType;
+
+  totals.feedback++;
+  if (correct) {
+    totals.correct++;
+  }
+
+  totals.confusion[actualTaskType] = totals.confusion[actualTaskType] || {};
+  totals.confusion[actualTaskType][entry.taskType] = (totals.confusion[actualTaskType][entry.taskType] || 0) + 1;
+
+  for (const rule of entry.reasons) {
+    totals.rules[rule] = totals.rules[rule] || { correct: 0, wrong: 0 };
+    totals.rules[rule][correct ? 'correct' : 'wrong']++;
+  }
+
+  return entry;
+}
+
+/**
+ * Decision counts, accuracy over decisions with feedback, confusion matrix,
+ * per-rule hit rates and the most recent decisions
+ */
+export function getRoutingStats({ recent = 20 } = {}) {
+  return {
+    decisions: totals.decisions,
+    byTaskType: { ...totals.byTaskType },
+    byMethod: { ...totals.byMethod },
+    feedback: totals.feedback,
+    accuracy: totals.feedback > 0 ? Number((totals.correct / totals.feedback).toFixed(3)) : null,
+    confusion: structuredClone(totals.confusion),
+    rules: structuredClone(totals.rules),
+    recent: Array.from(history.values()).slice(-recent).reverse()
+  };
+}
+
+export function resetRoutingStats() {
+  history.clear();
+  totals = createTotals();
+}
+
+export default {
+  classifiedTaskTypes,
+  classifierConfig,
+  classificationRules,
+  classifyHeuristically,
+  buildClassifierPrompt,
+  parseClassifierAnswer,
+  classifyTask,
+  recordRoutingFeedback,
+  getRoutingStats,
+  resetRoutingStats
+};
@@ -0,0 +1,160 @@
+// ============================================================
+// Task Dependency Graph
+// ============================================================
+// Description: Ranking and path analysis over Task nodes and their
+// dependency edges (dependsOn)-[:TYPE]->(task)
+
+export const DEPENDENCY_TYPES = ['MUST_COMPLETE_BEFORE', 'SHOULD_COMPLETE_BEFORE', 'BLOCKS'];
+
+// Edges that keep a task from starting until the other task is done
+export const HARD_DEPENDENCY_TYPES = ['MUST_COMPLETE_BEFORE', 'BLOCKS'];
+
+export const DONE_STATUSES = ['completed', 'cancelled'];
+
+const PRIORITY_RANK = { critical: 0, high: 1, medium: 2, low: 3 };
+
+const DEFAULT_ESTIMATE = 1;
+
+/**
+ * Whether a task no longer holds up its dependents
+ */
+export function isDone(task) {
+  return DONE_STATUSES.includes(task?.status);
+}
+
+/**
+ * Rank pending tasks whose hard dependencies are all done
+ * Edges are {from, to, type} with optional fromStatus/toStatus
+ * Order: priority, overdue first, earliest due date, most tasks unblocked, oldest
+ */
+export function rankNextTasks(tasks, edges, { now = new Date() } = {}) {
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const nowTime = now.getTime();
+
+  const blockers = new Map();
+  const softPending = new Map();
+  const dependents = new Map();
+
+  // Endpoints outside the ranked set carry their status on the edge
+  const statusOf = (id, fallback) => byId.get(id)?.status ?? fallback;
+
+  for (const edge of edges) {
+    const pending = !DONE_STATUSES.includes(statusOf(edge.from, edge.fromStatus));
+
+    if (!DONE_STATUSES.includes(statusOf(edge.to, edge.toStatus))) {
+      dependents.set(edge.from, (dependents.get(edge.from) || 0) + 1);
+    }
+
+    if (!pending) {
+      continue;
+    }
+
+    const target = HARD_DEPENDENCY_TYPES.includes(edge.type) ? blockers : softPending;
+    if (!target.has(edge.to)) {
+      target.set(edge.to, []);
+    }
+    target.get(edge.to).push(edge.from);
+  }
+
+  const dueTime = (task) => {
+    const time = task.due_date ? Date.parse(task.due_date) : NaN;
+    return Number.isNaN(time) ? Infinity : time;
+  };
+
+  return tasks
+    .filter(task => task.status === 'pending' && !blockers.has(task.id))
+    .map(task => ({
+      task,
+      overdue: dueTime(task) < nowTime,
+      unblocks: dependents.get(task.id) || 0,
+      softDependencies: softPending.get(task.id) || []
+    }))
+    .sort((a, b) =>
+      (PRIORITY_RANK[a.task.priority] ?? PRIORITY_RANK.medium) -
+        (PRIORITY_RANK[b.task.priority] ?? PRIORITY_RANK.medium) ||
+      Number(b.overdue) - Number(a.overdue) ||
+      dueTime(a.task) - dueTime(b.task) ||
+      a.softDependencies.length - b.softDependencies.length ||
+      b.unblocks - a.unblocks ||
+      String(a.task.created_at || '').localeCompare(String(b.task.created_at || ''))
+    );
+}
+
+/**
+ * Longest chain of dependent tasks, weighted by estimated_hours
+ * Done tasks weigh nothing when remainingOnly is set
+ */
+export function computeCriticalPath(tasks, edges, { remainingOnly = true } = {}) {
+  const ids = new Set(tasks.map(t => t.id));
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const inScope = edges.filter(e => ids.has(e.from) && ids.has(e.to));
+
+  const weight = (task) => {
+    if (remainingOnly && isDone(task)) {
+      return 0;
+    }
+    const estimate = Number(task.estimated_hours);
+    return Number.isFinite(estimate) && estimate >= 0 ? estimate : DEFAULT_ESTIMATE;
+  };
+
+  const indegree = new Map(tasks.map(t => [t.id, 0]));
+  const outgoing = new Map(tasks.map(t => [t.id, []]));
+  for (const edge of inScope) {
+    indegree.set(edge.to, indegree.get(edge.to) + 1);
+    outgoing.get(edge.from).push(edge.to);
+  }
+
+  // Kahn's algorithm, relaxing the longest finish time along the way
+  const finish = new Map(tasks.map(t => [t.id, weight(t)]));
+  const previous = new Map();
+  const queue = tasks.filter(t => indegree.get(t.id) === 0).map(t => t.id);
+  let visited = 0;
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    visited++;
+
+    for (const next of outgoing.get(current)) {
+      const candidate = finish.get(current) + weight(byId.get(next));
+      if (candidate > finish.get(next)) {
+        finish.set(next, candidate);
+        previous.set(next, current);
+      }
+
+      indegree.set(next, indegree.get(next) - 1);
+      if (indegree.get(next) === 0) {
+        queue.push(next);
+      }
+    }
+  }
+
+  if (visited < tasks.length) {
+    throw new Error('Dependency graph contains a cycle');
+  }
+
+  let end = null;
+  for (const [id, time] of finish.entries()) {
+    if (end === null || time > finish.get(end)) {
+      end = id;
+    }
+  }
+
+  const path = [];
+  for (let node = end; node !== undefined && node !== null; node = previous.get(node)) {
+    path.unshift(node);
+  }
+
+  return {
+    path: path.map(id => byId.get(id)),
+    length: end === null ? 0 : finish.get(end)
+  };
+}
+
+export default {
+  DEPENDENCY_TYPES,
+  HARD_DEPENDENCY_TYPES,
+  DONE_STATUSES,
+  isDone,
+  rankNextTasks,
+  computeCriticalPath
+};
@@ -0,0 +1,144 @@
+// ============================================================
+// Cypher Safety
+// ============================================================
+// Description: Validate identifiers and numbers before they are
+// interpolated into Cypher, and detect write clauses in raw queries
+
+/**
+ * Safety configuration
+ */
+export const cypherSafetyConfig = {
+  maxDepth: parseInt(process.env.CYPHER_MAX_DEPTH || '6'),
+  allowWriteQueries: process.env.NEO4J_ALLOW_WRITE_QUERIES === 'true',
+  // Raw queries can read every namespace, so only the default one may run them
+  allowRawQueriesInNamespaces: process.env.NEO4J_QUERY_GRAPH_ALL_NAMESPACES === 'true'
+};
+
+// Labels, relationship types and property keys: letters, digits and underscores
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Clauses that modify data or the database; matched outside strings and comments
+const WRITE_CLAUSES = [
+  ['CREATE', /\bCREATE\b/],
+  ['MERGE', /\bMERGE\b/],
+  ['DELETE', /\bDELETE\b/],
+  ['SET', /\bSET\b/],
+  ['REMOVE', /\bREMOVE\b/],
+  ['DROP', /\bDROP\b/],
+  ['FOREACH', /\bFOREACH\b/],
+  ['LOAD CSV', /\bLOAD\s+CSV\b/],
+  ['CALL dbms', /\bCALL\s+DBMS\b/],
+  ['CALL IN TRANSACTIONS', /\bIN\s+TRANSACTIONS\b/]
+];
+
+/**
+ * A value that can't be safely placed in a Cypher query
+ */
+export class CypherSafetyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CypherSafetyError';
+  }
+}
+
+/**
+ * Return the identifier if it is a plain Cypher name, otherwise throw
+ */
+export function safeIdentifier(value, kind = 'identifier') {
+  if (typeof value !== 'string' || !IDENTIFIER_PATTERN.test(value)) {
+    throw new CypherSafetyError(`Invalid ${kind}: ${JSON.stringify(value)}`);
+  }
+  return value;
+}
+
+export function safeLabel(value) {
+  return safeIdentifier(value, 'label');
+}
+
+export function safeRelationshipType(value) {
+  return safeIdentifier(value, 'relationship type');
+}
+
+export function safePropertyKey(value) {
+  return safeIdentifier(value, 'property key');
+}
+
+/**
+ * Property reference such as n.name
+ */
+export function safePropertyPath(value) {
+  if (typeof value !== 'string') {
+    throw new CypherSafetyError(`Invalid property path: ${JSON.stringify(value)}`);
+  }
+  value.split('.').forEach(part => safeIdentifier(part, 'property path'));
+  return value;
+}
+
+/**
+ * Integer within [min, max]; strings of digits are accepted
+ */
+export function safeInteger(value, { name = 'value', min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new CypherSafetyError(`Invalid ${name}: ${JSON.stringify(value)} (expected an integer from ${min} to ${max})`);
+  }
+  return number;
+}
+
+/**
+ * Variable-length traversal depth
+ */
+export function safeDepth(value, { max = cypherSafetyConfig.maxDepth } = {}) {
+  return safeInteger(value, { name: 'depth', min: 1, max });
+}
+
+/**
+ * Blank out string literals, quoted identifiers and comments so keyword
+ * checks only see query structure
+ */
+function stripLiterals(query) {
+  // One pass, so a // inside a string can't hide the rest of the query
+  return query
+    .replace(/'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|`[^`]*`|\/\*[\s\S]*?\*\/|\/\/[^\n]*/g, ' ')
+    // Property access, parameters and labels such as n.set, $delete or :Set are not clauses
+    .replace(/[.$:]\s*[A-Za-z_][A-Za-z0-9_]*/g, ' ');
+}
+
+/**
+ * Write clauses present in a query
+ */
+export function findWriteClauses(query) {
+  const structure = stripLiterals(query).toUpperCase();
+  return WRITE_CLAUSES.filter(([, pattern]) => pattern.test(structure)).map(([name]) => name);
+}
+
+/**
+ * Throw unless the query is read-only or writes are allowed by configuration
+ */
+export function assertReadOnlyQuery(query, { allowWrites = cypherSafetyConfig.allowWriteQueries } = {}) {
+  if (allowWrites) {
+    return;
+  }
+
+  const clauses = findWriteClauses(query);
+  if (clauses.length > 0) {
+    throw new CypherSafetyError(
+      `Query contains write clauses (${clauses.join(', ')}); set NEO4J_ALLOW_WRITE_QUERIES=true to permit them`
+    );
+  }
+}
+
+export default {
+  cypherSafetyConfig,
+  CypherSafetyError,
+  safeIdentifier,
+  safeLabel,
+  safeRelationshipType,
+  safePropertyKey,
+  safePropertyPath,
+  safeInteger,
+  safeDepth,
+  findWriteClauses,
+  assertReadOnlyQuery
+};
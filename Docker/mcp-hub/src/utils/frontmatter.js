@@ -0,0 +1,90 @@
+// ============================================================
+// Markdown Frontmatter Helpers
+// ============================================================
+// Description: Minimal YAML frontmatter parsing shared by the Obsidian
+// tools and the vault index
+
+import { logger } from './logger.js';
+
+/**
+ * Split a note into frontmatter and body
+ * Handles scalars, booleans, inline arrays and "- item" lists
+ */
+export function parseFrontmatter(content) {
+  const frontmatterRegex = /^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n([\s\S]*))?$/;
+  const match = content.match(frontmatterRegex);
+
+  if (!match) {
+    return { frontmatter: null, body: content };
+  }
+
+  try {
+    // Simple YAML parser for basic structures
+    const frontmatter = {};
+    const lines = match[1].split(/\r?\n/);
+    let listKey = null;
+
+    for (const line of lines) {
+      const listItem = line.match(/^\s*-\s+(.*)$/);
+      if (listItem && listKey) {
+        frontmatter[listKey].push(listItem[1].trim().replace(/^["']|["']$/g, ''));
+        continue;
+      }
+
+      listKey = null;
+      const colonIndex = line.indexOf(':');
+      if (colonIndex > 0) {
+        const key = line.substring(0, colonIndex).trim();
+        let value = line.substring(colonIndex + 1).trim();
+
+        // Start of a "- item" list
+        if (value === '') {
+          listKey = key;
+          frontmatter[key] = [];
+          continue;
+        }
+
+        // Handle arrays
+        if (value.startsWith('[') && value.endsWith(']')) {
+          value = value.slice(1, -1).split(',').map(v => v.trim().replace(/^"|"$/g, '')).filter(Boolean);
+        }
+        // Handle booleans
+        else if (value === 'true') value = true;
+        else if (value === 'false') value = false;
+        // Remove quotes from strings
+        else if (value.startsWith('"') && value.endsWith('"')) {
+          value = value.slice(1, -1);
+        }
+
+        frontmatter[key] = value;
+      }
+    }
+
+    return { frontmatter, body: (match[2] || '').trim() };
+  } catch (error) {
+    logger.warn('Failed to parse frontmatter', { error: error.message });
+    return { frontmatter: null, body: content };
+  }
+}
+
+/**
+ * Read a list-valued frontmatter key (tags, aliases) as an array of strings
+ */
+export function getFrontmatterList(frontmatter, key) {
+  const value = frontmatter?.[key];
+
+  if (Array.isArray(value)) {
+    return value.map(String).filter(Boolean);
+  }
+
+  if (typeof value === 'string' && value !== '') {
+    return value.split(',').map(v => v.trim()).filter(Boolean);
+  }
+
+  return [];
+}
+
+export default {
+  parseFrontmatter,
+  getFrontmatterList
+};
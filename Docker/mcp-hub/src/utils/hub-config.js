@@ -0,0 +1,68 @@
+// ============================================================
+// Hub Configuration Loader
+// ============================================================
+// Description: Read config/mcp-hub.json once and expose sections
+
+import { readFileSync, existsSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from './logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Candidate locations, in order: explicit env, container mount, repo checkout
+ */
+const configCandidates = [
+  process.env.MCP_HUB_CONFIG,
+  path.resolve(process.cwd(), 'config/mcp-hub.json'),
+  path.resolve(__dirname, '../../../../config/mcp-hub.json')
+].filter(Boolean);
+
+let cachedConfig = null;
+
+/**
+ * Load the hub configuration (cached after first read)
+ */
+export function loadHubConfig(forceReload = false) {
+  if (cachedConfig && !forceReload) {
+    return cachedConfig;
+  }
+
+  for (const candidate of configCandidates) {
+    if (!existsSync(candidate)) {
+      continue;
+    }
+
+    try {
+      cachedConfig = JSON.parse(readFileSync(candidate, 'utf-8'));
+      logger.debug('Hub configuration loaded', { path: candidate });
+      return cachedConfig;
+    } catch (error) {
+      logger.warn('Failed to parse hub configuration', {
+        path: candidate,
+        error: error.message
+      });
+    }
+  }
+
+  logger.warn('No hub configuration found, using defaults', {
+    searched: configCandidates
+  });
+
+  cachedConfig = {};
+  return cachedConfig;
+}
+
+/**
+ * Get a top-level configuration section
+ */
+export function getHubConfigSection(section, defaults = {}) {
+  const config = loadHubConfig();
+  return { ...defaults, ...(config[section] || {}) };
+}
+
+export default {
+  loadHubConfig,
+  getHubConfigSection
+};
@@ -0,0 +1,139 @@
+// ============================================================
+// Namespace Context
+// ============================================================
+// Description: Carry the tenant namespace of a tool call through
+// async code so graph queries and vault paths can be scoped to it
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Namespace configuration
+ */
+export const namespaceConfig = {
+  defaultNamespace: process.env.MCP_DEFAULT_NAMESPACE || 'default',
+  header: (process.env.MCP_NAMESPACE_HEADER || 'x-namespace').toLowerCase(),
+  vaultDir: (process.env.MCP_NAMESPACE_VAULT_DIR || 'namespaces').replace(/^\/+|\/+$/g, '')
+};
+
+// Lowercase letters, digits, dashes and underscores; usable as a folder name
+const NAMESPACE_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * A namespace that can't be used as a property value and folder name
+ */
+export class NamespaceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NamespaceError';
+  }
+}
+
+/**
+ * Trimmed, lowercased namespace, or null when none was given
+ */
+export function normalizeNamespace(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const namespace = String(value).trim().toLowerCase();
+  if (!NAMESPACE_PATTERN.test(namespace)) {
+    throw new NamespaceError(`Invalid namespace: ${JSON.stringify(value)}`);
+  }
+  return namespace;
+}
+
+/**
+ * First namespace given, in order of precedence, falling back to the default
+ * Sources are typically the tool argument, MCP request metadata and the HTTP header
+ */
+export function resolveNamespace(...sources) {
+  for (const source of sources) {
+    const namespace = normalizeNamespace(source);
+    if (namespace) {
+      return namespace;
+    }
+  }
+  return normalizeNamespace(namespaceConfig.defaultNamespace);
+}
+
+/**
+ * Run fn with the namespace bound for every async call it makes
+ */
+export function runWithNamespace(namespace, fn) {
+  return storage.run(resolveNamespace(namespace), fn);
+}
+
+/**
+ * Namespace of the current tool call (the default outside of one)
+ */
+export function currentNamespace() {
+  return storage.getStore() || resolveNamespace();
+}
+
+export function isDefaultNamespace(namespace = currentNamespace()) {
+  return namespace === resolveNamespace();
+}
+
+// ============================================================
+// Graph Scoping
+// ============================================================
+
+/**
+ * Cypher predicate restricting a node or relationship variable to a namespace
+ * The default namespace also owns data written before namespaces existed
+ */
+export function namespacePredicate(variable, param = '$namespace', namespace = currentNamespace()) {
+  return isDefaultNamespace(namespace)
+    ? `(${variable}.namespace IS NULL OR ${variable}.namespace = ${param})`
+    : `${variable}.namespace = ${param}`;
+}
+
+/**
+ * $namespace parameter of a CypherQueryBuilder, added on first use
+ */
+export function namespaceParam(qb, namespace = currentNamespace()) {
+  return qb.params.namespace === namespace ? '$namespace' : qb.addParam(namespace, 'namespace');
+}
+
+/**
+ * Predicate for a CypherQueryBuilder variable, sharing one $namespace parameter
+ */
+export function whereNamespace(qb, variable, namespace = currentNamespace()) {
+  return namespacePredicate(variable, namespaceParam(qb, namespace), namespace);
+}
+
+// ============================================================
+// Vault Scoping
+// ============================================================
+
+/**
+ * Vault-relative folder of a namespace ('' for the default, which keeps the vault root)
+ */
+export function namespaceVaultDir(namespace = currentNamespace()) {
+  return isDefaultNamespace(namespace) ? '' : `${namespaceConfig.vaultDir}/${namespace}`;
+}
+
+/**
+ * Vault-relative folders the current namespace must not see
+ */
+export function excludedVaultDirs(namespace = currentNamespace()) {
+  return isDefaultNamespace(namespace) ? [namespaceConfig.vaultDir] : [];
+}
+
+export default {
+  namespaceConfig,
+  NamespaceError,
+  normalizeNamespace,
+  resolveNamespace,
+  runWithNamespace,
+  currentNamespace,
+  isDefaultNamespace,
+  namespacePredicate,
+  namespaceParam,
+  whereNamespace,
+  namespaceVaultDir,
+  excludedVaultDirs
+};
@@ -0,0 +1,75 @@
+// ============================================================
+// Similarity Helpers
+// ============================================================
+// Description: Vector and text similarity used by memory recall and
+// duplicate detection
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Cosine similarity between two vectors (0 when either is empty or mismatched)
+ */
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length === 0 || a.length !== b.length) {
+    return 0;
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) {
+    return 0;
+  }
+
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Word n-grams of lowercased text, ignoring punctuation
+ * Text shorter than one shingle becomes a single shingle
+ */
+export function shingles(text, size = 3) {
+  const words = String(text).toLowerCase().match(WORD_PATTERN) || [];
+
+  if (words.length <= size) {
+    return new Set(words.length > 0 ? [words.join(' ')] : []);
+  }
+
+  const result = new Set();
+  for (let i = 0; i <= words.length - size; i++) {
+    result.add(words.slice(i, i + size).join(' '));
+  }
+  return result;
+}
+
+/**
+ * Jaccard similarity of two sets (0 when both are empty)
+ */
+export function jaccardSimilarity(a, b) {
+  if (a.size === 0 && b.size === 0) {
+    return 0;
+  }
+
+  let shared = 0;
+  const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+  for (const item of smaller) {
+    if (larger.has(item)) {
+      shared++;
+    }
+  }
+
+  return shared / (a.size + b.size - shared);
+}
+
+export default {
+  cosineSimilarity,
+  shingles,
+  jaccardSimilarity
+};
@@ -0,0 +1,196 @@
+// ============================================================
+// Unit Tests: Reasoning Chain Stores
+// ============================================================
+// Test chain persistence and rehydration across server restarts
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  MemoryChainStore,
+  FileChainStore,
+  Neo4jChainStore,
+  createChainStore
+} from '../../src/services/chain-store.js';
+import { SequentialThinkingServer } from '../../src/mcp/servers/sequential-thinking-server.js';
+import { runWithNamespace } from '../../src/utils/namespace.js';
+
+const call = (server, name, args) => server.tools.get(name).handler(args);
+
+describe('Chain stores', () => {
+  it('should create stores by type', () => {
+    assert.ok(createChainStore('memory') instanceof MemoryChainStore);
+    assert.ok(createChainStore('file', { chainDir: '/tmp/x' }) instanceof FileChainStore);
+    assert.ok(createChainStore('neo4j') instanceof Neo4jChainStore);
+    assert.throws(() => createChainStore('redis'), /Unknown chain store/);
+  });
+
+  it('should keep stored steps when chain metadata is saved again', async () => {
+    const store = new MemoryChainStore();
+    await store.saveChain({ id: 'c1', prompt: 'p', status: 'in_progress', steps: [] });
+    await store.saveStep('c1', { id: 's1', step_number: 1, thought: 't', created_at: 'now' });
+    await store.saveChain({ id: 'c1', prompt: 'p', status: 'completed', steps: [] });
+
+    const chain = await store.loadChain('c1');
+    assert.equal(chain.status, 'completed');
+    assert.equal(chain.steps.length, 1);
+  });
+
+  it('should keep every step when steps are saved concurrently', async () => {
+    const chainDir = await fs.mkdtemp(path.join(os.tmpdir(), 'chain-steps-'));
+    try {
+      for (const store of [new MemoryChainStore(), new FileChainStore({ chainDir })]) {
+        await store.saveChain({ id: 'c1', prompt: 'p', status: 'in_progress', steps: [] });
+        await Promise.all([1, 2, 3, 4, 5].map(n =>
+          store.saveStep('c1', { id: `s${n}`, step_number: n, thought: 't', created_at: 'now' })
+        ));
+
+        const chain = await store.loadChain('c1');
+        assert.deepEqual(chain.steps.map(step => step.id), ['s1', 's2', 's3', 's4', 's5']);
+      }
+    } finally {
+      await fs.rm(chainDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should only show chains to the namespace that created them', async () => {
+    const store = new MemoryChainStore();
+    await runWithNamespace('team', () => store.saveChain({ id: 'c1', prompt: 'p', status: 'in_progress', steps: [] }));
+
+    assert.equal(await store.loadChain('c1'), null);
+    assert.deepEqual(await store.listChains(), []);
+    await assert.rejects(store.saveStep('c1', { id: 's1', step_number: 1 }), /not found/);
+    await assert.rejects(store.saveChain({ id: 'c1', prompt: 'other', steps: [] }), /not found/);
+
+    const chain = await runWithNamespace('team', () => store.loadChain('c1'));
+    assert.equal(chain.namespace, 'team');
+    assert.equal(chain.prompt, 'p');
+  });
+
+  it('should round-trip nested objects through Neo4j properties', () => {
+    const store = new Neo4jChainStore();
+
+    const chainProps = store.toChainProperties({ id: 'c1', context: { a: 1 }, goal: undefined, steps: [] });
+    assert.equal(chainProps.goal, null);
+    assert.equal(store.fromChainProperties(chainProps).context.a, 1);
+
+    const stepProps = store.toStepProperties({ id: 's1', data: { b: [2] } });
+    assert.equal(typeof stepProps.data_json, 'string');
+    assert.deepEqual(store.fromStepProperties(stepProps).data, { b: [2] });
+  });
+});
+
+describe('SequentialThinkingServer persistence', () => {
+  let chainDir;
+
+  before(async () => {
+    chainDir = await fs.mkdtemp(path.join(os.tmpdir(), 'chains-'));
+  });
+
+  after(async () => {
+    await fs.rm(chainDir, { recursive: true, force: true });
+  });
+
+  const createServer = () => new SequentialThinkingServer({
+    chainStore: 'file',
+    chainDir,
+    exportToObsidian: false
+  });
+
+  it('should rehydrate chains with all steps after a restart', async () => {
+    const first = createServer();
+    const { chainId } = await call(first, 'start_thinking', { prompt: 'Why is the build slow?', context: { repo: 'hub' } });
+    await call(first, 'add_step', { chainId, thought: 'Check the cache', data: { hits: 0 } });
+    await call(first, 'conclude', { chainId, conclusion: 'Cache was disabled', confidence: 0.9 });
+
+    const restarted = createServer();
+    const chain = await call(restarted, 'get_chain', { chainId });
+
+    assert.equal(chain.success, true);
+    assert.equal(chain.status, 'completed');
+    assert.equal(chain.conclusion, 'Cache was disabled');
+    assert.deepEqual(chain.steps.map(s => s.step_type), ['analysis', 'conclusion']);
+    assert.deepEqual(chain.steps[0].data, { hits: 0 });
+  });
+
+  it('should continue numbering when adding to a rehydrated chain', async () => {
+    const first = createServer();
+    const { chainId } = await call(first, 'start_thinking', { prompt: 'Plan the migration' });
+    await call(first, 'add_step', { chainId, thought: 'Inventory tables' });
+
+    const restarted = createServer();
+    const added = await call(restarted, 'add_step', { chainId, thought: 'Order by dependency' });
+
+    assert.equal(added.success, true);
+    assert.equal(added.stepNumber, 2);
+    assert.equal((await createServer().tools.get('get_chain').handler({ chainId })).stepCount, 2);
+  });
+
+  it('should list persisted chains after a restart', async () => {
+    const result = await call(createServer(), 'list_chains', { status: 'completed' });
+
+    assert.equal(result.success, true);
+    assert.equal(result.count, 1);
+    assert.equal(result.chains[0].stepCount, 2);
+  });
+
+  it('should persist branches with their copied steps', async () => {
+    const first = createServer();
+    const { chainId } = await call(first, 'start_thinking', { prompt: 'Choose a database' });
+    await call(first, 'add_step', { chainId, thought: 'Need graph queries' });
+    await call(first, 'add_step', { chainId, thought: 'Need vector search' });
+
+    const branch = await call(first, 'branch_chain', { chainId, atStep: 1 });
+    const restored = await call(createServer(), 'get_chain', { chainId: branch.chainId });
+
+    assert.equal(restored.branch_from, chainId);
+    assert.equal(restored.steps.length, 1);
+    assert.notEqual(restored.steps[0].id, (await call(first, 'get_chain', { chainId })).steps[0].id);
+  });
+
+  it('should number concurrent steps from servers sharing a store one after another', async () => {
+    const store = new MemoryChainStore();
+    const servers = [1, 2].map(() => new SequentialThinkingServer({ store, exportToObsidian: false }));
+    const { chainId } = await call(servers[0], 'start_thinking', { prompt: 'Shared chain' });
+
+    // Both caches hold the chain with no steps before either adds one
+    await Promise.all(servers.map(server => call(server, 'get_chain', { chainId })));
+    const added = await Promise.all(servers.map((server, i) =>
+      call(server, 'add_step', { chainId, thought: `Step from server ${i}` })
+    ));
+
+    assert.deepEqual(added.map(step => step.stepNumber).sort(), [1, 2]);
+    assert.deepEqual((await store.loadChain(chainId)).steps.map(step => step.step_number), [1, 2]);
+  });
+
+  it('should not serve cached chains to other namespaces', async () => {
+    const server = new SequentialThinkingServer({ chainStore: 'memory', exportToObsidian: false });
+    const { chainId } = await runWithNamespace('team-a', () =>
+      call(server, 'start_thinking', { prompt: 'Team A secret plan' })
+    );
+
+    await runWithNamespace('team-b', async () => {
+      assert.equal((await call(server, 'get_chain', { chainId })).success, false);
+      assert.equal((await call(server, 'add_step', { chainId, thought: 'Intrude' })).success, false);
+    });
+
+    // Store failures fall back to the cache, which must still be scoped
+    server.store.listChains = async () => {
+      throw new Error('store down');
+    };
+    const listed = await runWithNamespace('team-b', () => call(server, 'list_chains', {}));
+    assert.equal(listed.count, 0);
+    assert.deepEqual(await runWithNamespace('team-b', () => server.getBranches(chainId)), []);
+
+    const own = await runWithNamespace('team-a', () => call(server, 'get_chain', { chainId }));
+    assert.equal(own.prompt, 'Team A secret plan');
+    assert.equal(own.stepCount, 0);
+  });
+
+  it('should report unknown chains', async () => {
+    const result = await call(createServer(), 'get_chain', { chainId: 'missing' });
+    assert.equal(result.success, false);
+  });
+});
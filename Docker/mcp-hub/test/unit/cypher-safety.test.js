@@ -0,0 +1,112 @@
+// ============================================================
+// Unit Tests: Cypher Safety
+// ============================================================
+// Test identifier and depth validation, write-clause detection and
+// that graph tools reject unsafe input before reaching Neo4j
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CypherSafetyError,
+  safeLabel,
+  safeRelationshipType,
+  safePropertyPath,
+  safeInteger,
+  safeDepth,
+  findWriteClauses,
+  assertReadOnlyQuery
+} from '../../src/utils/cypher-safety.js';
+import neo4jHandlers from '../../src/mcp/tools/neo4j-tools.js';
+import { runWithNamespace } from '../../src/utils/namespace.js';
+import { CypherQueryBuilder, findSubgraph, searchByText } from '../../src/services/neo4j-query-builder.js';
+
+describe('Cypher Safety', () => {
+  describe('identifiers', () => {
+    it('should accept plain names and reject anything else', () => {
+      assert.equal(safeLabel('Task'), 'Task');
+      assert.equal(safeRelationshipType('HAS_SUBTASK'), 'HAS_SUBTASK');
+      assert.equal(safePropertyPath('n.created_at'), 'n.created_at');
+
+      for (const value of ['Task) DETACH DELETE (n', 'A:B', '`Task`', '1Task', '', null, 'n.name = 1 OR 1']) {
+        assert.throws(() => safeLabel(value), CypherSafetyError);
+      }
+      assert.throws(() => safePropertyPath('n.name) DELETE n //'), CypherSafetyError);
+    });
+  });
+
+  describe('numbers', () => {
+    it('should accept integers in range, including numeric strings', () => {
+      assert.equal(safeInteger('25', { name: 'limit' }), 25);
+      assert.equal(safeDepth(3), 3);
+    });
+
+    it('should reject fractions, injections and out-of-range depths', () => {
+      assert.throws(() => safeDepth('2]-() DETACH DELETE (x'), /Invalid depth/);
+      assert.throws(() => safeDepth(0), CypherSafetyError);
+      assert.throws(() => safeDepth(50), CypherSafetyError);
+      assert.throws(() => safeInteger(2.5), CypherSafetyError);
+    });
+  });
+
+  describe('write clauses', () => {
+    it('should find write clauses outside strings, comments and property names', () => {
+      assert.deepEqual(findWriteClauses('MATCH (n) RETURN n'), []);
+      assert.deepEqual(findWriteClauses('MATCH (n:Set) WHERE n.set = "CREATE" RETURN n, $delete // DROP'), []);
+      assert.deepEqual(findWriteClauses('CALL db.index.vector.queryNodes(\'idx\', 5, $e) YIELD node RETURN node'), []);
+
+      assert.deepEqual(findWriteClauses('MATCH (n) DETACH DELETE n'), ['DELETE']);
+      assert.deepEqual(findWriteClauses('merge (a)-[:KNOWS]->(b) on create set a.x = 1'), ['CREATE', 'MERGE', 'SET']);
+      assert.deepEqual(findWriteClauses('CALL dbms.listConfig()'), ['CALL dbms']);
+    });
+
+    it('should not let a string hide the rest of the query', () => {
+      assert.deepEqual(findWriteClauses("MATCH (n) WHERE n.url = 'http://x' DELETE n"), ['DELETE']);
+    });
+
+    it('should allow writes only when configured', () => {
+      assert.throws(() => assertReadOnlyQuery('CREATE (n)'), /NEO4J_ALLOW_WRITE_QUERIES/);
+      assert.doesNotThrow(() => assertReadOnlyQuery('CREATE (n)', { allowWrites: true }));
+    });
+  });
+
+  describe('callers', () => {
+    it('should reject unsafe tool input before opening a session', async () => {
+      await assert.rejects(() => neo4jHandlers.create_relationship({
+        from_label: 'Concept',
+        from_name: 'a',
+        to_label: 'Concept) DETACH DELETE (to',
+        to_name: 'b',
+        relationship_type: 'RELATES_TO'
+      }), CypherSafetyError);
+
+      await assert.rejects(() => neo4jHandlers.get_entity_context({ label: 'Concept', name: 'a', depth: '1]-(x) DELETE x //' }), CypherSafetyError);
+      await assert.rejects(() => neo4jHandlers.query_graph({ query: 'MATCH (n) DETACH DELETE n' }), CypherSafetyError);
+    });
+
+    it('should only run raw queries in the default namespace', async () => {
+      await assert.rejects(
+        () => runWithNamespace('team', () => neo4jHandlers.query_graph({ query: 'MATCH (n) RETURN n' })),
+        /only available in the default namespace/
+      );
+    });
+
+    it('should validate labels, depths and property keys in pattern queries', async () => {
+      await assert.rejects(() => findSubgraph('Task {id: 1}) DETACH DELETE (start', 't1'), CypherSafetyError);
+      await assert.rejects(() => findSubgraph('Task', 't1', '2]-(end) DELETE end //'), CypherSafetyError);
+      await assert.rejects(() => searchByText('Task', 'x', ['name) OR true //']), CypherSafetyError);
+    });
+
+    it('should validate SKIP and LIMIT in the query builder', () => {
+      const qb = new CypherQueryBuilder();
+      const { cypher } = qb
+        .match(`(n:${qb.label('Task')})`)
+        .return('n')
+        .skip('10')
+        .limit(5)
+        .build();
+
+      assert.match(cypher, /SKIP 10\nLIMIT 5$/);
+      assert.throws(() => new CypherQueryBuilder().match('(n)').return('n').limit('5; DROP').build(), CypherSafetyError);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+// ============================================================
+// Unit Tests: Entity Extraction
+// ============================================================
+// Test parsing of model answers, the extraction prompt and the
+// resolve, write and review queries with a stubbed model
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildExtractionPrompt,
+  parseExtraction,
+  extractEntities,
+  extractionQueries
+} from '../../src/services/entity-extraction.js';
+import { SchemaRegistry, EntityValidationError } from '../../src/services/entity-schemas.js';
+import { runWithNamespace } from '../../src/utils/namespace.js';
+
+const answer = `<think>Ana is a person, "the hub" is MCP Hub.</think>
+\`\`\`json
+{
+  "entities": [
+    {"name": "Ana", "label": "person", "aliases": [], "confidence": 0.95},
+    {"name": "MCP Hub", "label": "Service", "aliases": ["the hub", "MCP Hub"], "confidence": "0.9"},
+    {"name": "the hub", "label": "Project", "confidence": 0.6},
+    {"name": "Graph thinking", "label": "Idea", "confidence": 2},
+    {"name": "  ", "label": "Person"}
+  ],
+  "relations": [
+    {"from": "ana", "to": "the hub", "type": "Works On", "confidence": 0.5},
+    {"from": "Ana", "to": "MCP Hub", "type": "works_on", "confidence": 0.9},
+    {"from": "Ana", "to": "Bob", "type": "knows", "confidence": 0.9},
+    {"from": "Ana", "to": "Ana", "type": "is", "confidence": 0.9}
+  ]
+}
+\`\`\``;
+
+describe('Entity Extraction', () => {
+  describe('parsing', () => {
+    it('should normalise entities, labels and confidences', () => {
+      const { entities } = parseExtraction(answer);
+
+      assert.deepEqual(entities.map(e => [e.name, e.label, e.confidence]), [
+        ['Ana', 'Person', 0.95],
+        ['MCP Hub', 'Service', 0.9],
+        ['Graph thinking', 'Concept', 1]
+      ]);
+      assert.deepEqual(entities[1].aliases, ['the hub']);
+    });
+
+    it('should keep relations between extracted entities once', () => {
+      const { relations } = parseExtraction(answer);
+
+      assert.equal(relations.length, 1);
+      assert.equal(relations[0].from.name, 'Ana');
+      assert.equal(relations[0].to.name, 'MCP Hub');
+      assert.equal(relations[0].type, 'works_on');
+      assert.equal(relations[0].confidence, 0.5);
+    });
+
+    it('should reject answers without JSON', () => {
+      assert.throws(() => parseExtraction('<think>{"entities": []}</think> nothing found'), /no JSON object/);
+      assert.deepEqual(parseExtraction('{}'), { entities: [], relations: [] });
+    });
+
+    it('should prompt with the allowed labels and the content', async () => {
+      let prompt = null;
+      const extraction = await extractEntities('Ana deploys MCP Hub', {
+        labels: ['Person', 'Service'],
+        generate: async (p) => {
+          prompt = p;
+          return '{"entities": [{"name": "Ana", "label": "Person", "confidence": 0.8}]}';
+        }
+      });
+
+      assert.match(prompt, /one label from: Person, Service\./);
+      assert.match(prompt, /Text:\nAna deploys MCP Hub$/);
+      assert.equal(extraction.entities[0].label, 'Person');
+      assert.equal(buildExtractionPrompt('x'.repeat(10000)).endsWith('x'.repeat(8000)), true);
+    });
+  });
+
+  describe('queries', () => {
+    it('should resolve by name and alias, preferring the extracted label', () => {
+      const { entities } = parseExtraction(answer);
+      const { cypher, params } = extractionQueries.resolve(entities, ['Person', 'Service', 'Concept']).build();
+
+      assert.match(cypher, /WHERE any\(label IN labels\(n\) WHERE label IN \$labels\) AND \(toLower\(n\.name\) IN candidate\.keys OR any\(alias IN coalesce\(n\.aliases, \[\]\) WHERE toLower\(alias\) IN candidate\.keys\)\)/);
+      assert.match(cypher, /ORDER BY candidate\.index, CASE WHEN candidate\.label IN labels\(n\) THEN 0 ELSE 1 END/);
+      assert.deepEqual(params.candidates[1], { index: 1, label: 'Service', keys: ['mcp hub', 'the hub'] });
+    });
+
+    it('should merge entities per label and mark low confidence as pending', () => {
+      const extraction = parseExtraction(answer);
+      const { cypher, params } = extractionQueries.write('mem_1', extraction, {
+        minConfidence: 0.7,
+        extractedAt: '2025-06-01T00:00:00.000Z'
+      }).build();
+
+      assert.match(cypher, /^MATCH \(m:Memory \{id: \$m_id\}\)\nWHERE \(m\.namespace IS NULL OR m\.namespace = \$namespace\)/);
+      assert.match(cypher, /MERGE \(e:Person \{name: entity\.name, namespace: \$namespace\}\)\n\s*ON CREATE SET e\.id = randomUUID\(\)/);
+      assert.match(cypher, /MERGE \(e:Service \{name: entity\.name, namespace: \$namespace\}\)/);
+      assert.match(cypher, /OPTIONAL MATCH \(legacy:Person \{name: entity\.name\}\)\n\s*WHERE legacy\.namespace IS NULL\n\s*SET legacy\.namespace = \$namespace/);
+      assert.match(cypher, /MATCH \(a \{name: rel\.from, namespace: \$namespace\}\)/);
+      assert.match(cypher, /MERGE \(m\)-\[r:MENTIONS\]->\(e\)/);
+      assert.match(cypher, /MERGE \(a\)-\[r:RELATES_TO \{type: rel\.type\}\]->\(b\)/);
+      assert.equal(params.entities[0].status, 'accepted');
+      assert.equal(params.relations[0].status, 'pending');
+      assert.deepEqual(params.relations[0], {
+        from: 'Ana', fromLabel: 'Person', to: 'MCP Hub', toLabel: 'Service', type: 'works_on', confidence: 0.5, status: 'pending'
+      });
+      assert.equal(params.namespace, 'default');
+    });
+
+    it('should validate groups and relations before writing', () => {
+      const extraction = parseExtraction(answer);
+      extraction.relations[0].type = 'Works On';
+
+      assert.throws(() => extractionQueries.write('mem_1', extraction), EntityValidationError);
+    });
+
+    it('should keep other namespaces apart', () => {
+      runWithNamespace('team', () => {
+        const extraction = parseExtraction(answer);
+        const written = extractionQueries.write('mem_1', extraction).build();
+        assert.doesNotMatch(written.cypher, /legacy/);
+        assert.equal(written.params.namespace, 'team');
+
+        for (const query of [
+          extractionQueries.resolve(extraction.entities),
+          extractionQueries.pending(),
+          extractionQueries.accept(['5:a:1']),
+          extractionQueries.reject(['5:a:1'])
+        ]) {
+          assert.match(query.build().cypher, /\b[an]\.namespace = \$namespace/);
+        }
+      });
+    });
+
+    it('should accept and reject pending extractions by id', () => {
+      const accept = extractionQueries.accept(['5:a:1'], '2025-06-02T00:00:00.000Z').build();
+      assert.match(accept.cypher, /WHERE elementId\(r\) IN \$ids AND r\.status = \$status AND \(a\.namespace IS NULL OR a\.namespace = \$namespace\)\nSET r\.status = 'accepted'/);
+
+      const reject = extractionQueries.reject(['5:a:1']).build();
+      assert.match(reject.cypher, /DELETE r\nWITH collect\(a\) \+ collect\(b\) AS ends, count\(\*\) AS count/);
+      assert.match(reject.cypher, /WHERE n\.source = 'extraction' AND NOT EXISTS \{ MATCH \(n\)--\(\) \}\n\s*DELETE n/);
+
+      const pending = extractionQueries.pending({ memoryId: 'mem_1', limit: 10 }).build();
+      assert.match(pending.cypher, /\(a\.id = \$memoryId OR r\.memoryId = \$memoryId\)/);
+      assert.match(pending.cypher, /LIMIT 10$/);
+    });
+  });
+
+  describe('schemas', () => {
+    it('should validate extracted MENTIONS properties', () => {
+      const registry = new SchemaRegistry({ mode: 'strict' }).load();
+
+      assert.deepEqual(registry.validateRelationship('MENTIONS', 'Memory', 'Person', { confidence: 0.4, status: 'pending' }), []);
+      assert.equal(registry.validateRelationship('MENTIONS', 'Task', 'Person', {}).length, 1);
+      assert.ok(registry.validateRelationship('MENTIONS', 'Memory', 'Person', { status: 'maybe' }).length > 0);
+      assert.deepEqual(registry.validateEntity('Person', { name: 'Ana', aliases: ['A.'] }), []);
+      assert.deepEqual(registry.validateRelationship('RELATES_TO', 'Person', 'Service', { type: 'works_on', confidence: 0.5 }), []);
+      assert.ok(registry.validateRelationship('RELATES_TO', 'Person', 'Service', { confidence: 0.5 }).length > 0);
+    });
+  });
+});
@@ -0,0 +1,147 @@
+// ============================================================
+// Unit Tests: Entity Schema Registry
+// ============================================================
+// Test label and relationship validation against the shipped schemas,
+// custom label schemas and how errors reach tool results
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  SchemaRegistry,
+  EntityValidationError,
+  schemaModes,
+  setSchemaRegistry
+} from '../../src/services/entity-schemas.js';
+import { createEntity, updateEntity } from '../../src/services/neo4j-entities.js';
+import { BaseMCPServer, createTool, createInputSchema } from '../../src/mcp/base-server.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const schemaDir = path.resolve(__dirname, '../../../../config/schemas');
+
+describe('SchemaRegistry', () => {
+  let registry;
+
+  before(() => {
+    registry = new SchemaRegistry({ mode: schemaModes.STRICT }).load(schemaDir);
+  });
+
+  it('should load core labels and label schemas', () => {
+    const labels = registry.getLabels();
+
+    assert.ok(labels.includes('Bug'));
+    assert.ok(labels.includes('Task'));
+    assert.ok(labels.includes('Memory'));
+  });
+
+  it('should reject unknown labels in strict mode only', () => {
+    const [error] = registry.validateEntity('Spaceship', { name: 'x' });
+    assert.equal(error.field, 'label');
+
+    const lenient = new SchemaRegistry({ mode: schemaModes.LENIENT }).load(schemaDir);
+    assert.deepEqual(lenient.validateEntity('Spaceship', { name: 'x' }), []);
+    assert.equal(lenient.validateEntity('Spaceship', { priority: 'urgent' })[0].field, 'priority');
+
+    const off = new SchemaRegistry({ mode: schemaModes.OFF }).load(schemaDir);
+    assert.deepEqual(off.validateEntity('Spaceship', { priority: 'urgent' }), []);
+  });
+
+  it('should apply shared property rules and let label schemas override them', () => {
+    const bugErrors = registry.validateEntity('Bug', { name: 'crash', status: 'in_progress' });
+    assert.deepEqual(bugErrors.map(e => [e.field, e.keyword]), [['status', 'enum']]);
+
+    assert.deepEqual(registry.validateEntity('Task', {
+      id: 't1', title: 'Ship', status: 'in_progress', priority: 'high'
+    }), []);
+  });
+
+  it('should require properties on create but not on partial updates', () => {
+    const errors = registry.validateEntity('Task', { id: 't1', status: 'pending' });
+    assert.deepEqual(errors.map(e => e.field).sort(), ['priority', 'title']);
+
+    assert.deepEqual(registry.validateEntity('Task', { status: 'completed' }, { partial: true }), []);
+    assert.equal(registry.validateEntity('Task', { progress: 150 }, { partial: true })[0].field, 'progress');
+  });
+
+  it('should check relationship endpoints and accept types without a schema', () => {
+    const errors = registry.validateRelationship('has_subtask', 'Project', 'Task', {});
+    assert.deepEqual(errors.map(e => e.field), ['from']);
+
+    assert.deepEqual(registry.validateRelationship('DEPENDS_ON', 'Anything', 'Else', {}), []);
+    assert.throws(
+      () => registry.assertRelationship('TAGGED_WITH', 'Memory', 'Bug', {}),
+      EntityValidationError
+    );
+  });
+
+  describe('custom schema directories', () => {
+    let root;
+
+    before(async () => {
+      root = await fs.mkdtemp(path.join(os.tmpdir(), 'entity-schemas-'));
+      await fs.mkdir(path.join(root, 'entities'));
+      await fs.copyFile(path.join(schemaDir, 'neo4j-entity.schema.json'), path.join(root, 'neo4j-entity.schema.json'));
+      await fs.writeFile(path.join(root, 'entities', 'Runbook.schema.json'), JSON.stringify({
+        type: 'object',
+        required: ['name', 'owner'],
+        properties: { owner: { type: 'string' } }
+      }));
+      await fs.writeFile(path.join(root, 'entities', 'Broken.schema.json'), '{ not json');
+    });
+
+    after(async () => {
+      await fs.rm(root, { recursive: true, force: true });
+    });
+
+    it('should pick up team label schemas by file name and skip broken files', () => {
+      const custom = new SchemaRegistry({ mode: schemaModes.STRICT }).load(root);
+
+      assert.ok(custom.hasLabel('Runbook'));
+      assert.ok(!custom.hasLabel('Broken'));
+      assert.deepEqual(custom.validateEntity('Runbook', { name: 'Failover' }).map(e => e.field), ['owner']);
+    });
+  });
+});
+
+describe('Schema enforcement', () => {
+  before(() => {
+    setSchemaRegistry(new SchemaRegistry({ mode: schemaModes.STRICT }).load(schemaDir));
+  });
+
+  after(() => {
+    setSchemaRegistry(null);
+  });
+
+  it('should reject invalid entities before writing to Neo4j', async () => {
+    await assert.rejects(() => createEntity('Spaceship', { id: 's1' }), EntityValidationError);
+    await assert.rejects(
+      () => updateEntity('Task', 't1', { status: 'done' }),
+      (error) => error.validationErrors[0].field === 'status'
+    );
+  });
+
+  it('should return structured validation errors in tool results', async () => {
+    class EntityServer extends BaseMCPServer {
+      constructor() {
+        super({ name: 'entities', version: '1.0.0' });
+        this.registerTool(createTool('create', 'Create', createInputSchema({}), (args) =>
+          createEntity(args.label, args.properties)
+        ));
+      }
+    }
+
+    const result = await new EntityServer().callTool('create', {
+      label: 'Bug',
+      properties: { id: 'b1', priority: 'urgent' }
+    });
+    const payload = JSON.parse(result.content[0].text);
+
+    assert.equal(result.isError, true);
+    assert.match(payload.error, /Invalid Bug entity/);
+    assert.equal(payload.validationErrors[0].field, 'priority');
+    assert.equal(payload.validationErrors[0].keyword, 'enum');
+  });
+});
@@ -0,0 +1,171 @@
+// ============================================================
+// Unit Tests: Graph Export
+// ============================================================
+// Test export filters, paging and the JSON-LD, GraphML and Cypher
+// serializers against an in-memory page reader
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import neo4j from 'neo4j-driver';
+import {
+  exportQueries,
+  normalizeExportOptions,
+  toPlainValue,
+  createGraphExport,
+  resolveExportPath,
+  writeGraphExport,
+  GraphExportError
+} from '../../src/services/graph-export.js';
+import { CypherSafetyError } from '../../src/utils/cypher-safety.js';
+
+const nodes = [
+  { elementId: '4:a:1', labels: ['Memory'], properties: { id: 'm1', content: 'Uses <GraphML> & "quotes"', importance: 0.5, embedding: [0.1, 0.2] } },
+  { elementId: '4:a:2', labels: ['Tag'], properties: { id: 'infra', name: 'infra' } },
+  { elementId: '4:a:3', labels: ['Task'], properties: { id: 't1', title: "It's done", estimate: neo4j.int(3), tags: ['infra'] } }
+];
+
+const relationships = [
+  { elementId: '5:a:1', type: 'TAGGED_WITH', source: '4:a:1', target: '4:a:2', properties: { weight: neo4j.int(1) } }
+];
+
+function record(values) {
+  return { get: (key) => values[key] };
+}
+
+/**
+ * Serve pages from the fixtures, honouring the element id cursor and LIMIT
+ */
+async function readPage(query) {
+  const { cypher, params } = query.build();
+  const limit = parseInt(cypher.match(/LIMIT (\d+)/)?.[1] || '0');
+
+  if (cypher.includes('nodeKeys')) {
+    return [record({
+      nodeKeys: [...new Set(nodes.flatMap(n => Object.keys(n.properties)))],
+      relationshipKeys: ['weight']
+    })];
+  }
+
+  if (cypher.includes('-[r]->')) {
+    return relationships
+      .filter(r => r.elementId > params.after)
+      .slice(0, limit)
+      .map(r => record({ r: { type: r.type, properties: r.properties }, elementId: r.elementId, source: r.source, target: r.target }));
+  }
+
+  return nodes
+    .filter(n => n.elementId > params.after)
+    .slice(0, limit)
+    .map(n => record({ n: { labels: n.labels, properties: n.properties }, elementId: n.elementId }));
+}
+
+async function collect(options) {
+  const graphExport = createGraphExport(options, { readPage });
+  let text = '';
+  for await (const chunk of graphExport.chunks()) {
+    text += chunk;
+  }
+  return { text, graphExport };
+}
+
+describe('Graph Export', () => {
+  describe('options', () => {
+    it('should apply defaults and validate labels, formats and dates', () => {
+      const options = normalizeExportOptions({ labels: 'Memory, Tag', to: '2025-03-01' });
+
+      assert.equal(options.format, 'jsonld');
+      assert.deepEqual(options.labels, ['Memory', 'Tag']);
+      assert.equal(options.to, '2025-03-01T23:59:59.999Z');
+      assert.ok(normalizeExportOptions().labels.includes('ReasoningChain'));
+
+      assert.throws(() => normalizeExportOptions({ format: 'csv' }), GraphExportError);
+      assert.throws(() => normalizeExportOptions({ from: 'yesterday' }), GraphExportError);
+      assert.throws(() => normalizeExportOptions({ labels: ['Memory) DETACH DELETE (n'] }), CypherSafetyError);
+    });
+
+    it('should filter both ends of relationships with shared parameters', () => {
+      const filters = normalizeExportOptions({ tag: 'infra', from: '2025-01-01' });
+      const { cypher, params } = exportQueries.relationships(filters, '5:a:1', 100).build();
+
+      assert.match(cypher, /any\(label IN labels\(a\) WHERE label IN \$labels\)/);
+      assert.match(cypher, /any\(label IN labels\(b\) WHERE label IN \$labels\)/);
+      assert.match(cypher, /EXISTS \{ MATCH \(b\)-\[:TAGGED_WITH\]->\(:Tag \{name: \$tag\}\) \}/);
+      assert.match(cypher, /elementId\(r\) > \$after/);
+      assert.match(cypher, /\(a\.namespace IS NULL OR a\.namespace = \$namespace\)/);
+      assert.match(cypher, /\(b\.namespace IS NULL OR b\.namespace = \$namespace\)/);
+      assert.deepEqual(Object.keys(params).sort(), ['after', 'from', 'labels', 'namespace', 'tag']);
+    });
+
+    it('should convert driver values to plain values', () => {
+      assert.equal(toPlainValue(neo4j.int(42)), 42);
+      assert.equal(toPlainValue(neo4j.int('9007199254740993')), '9007199254740993');
+      assert.equal(toPlainValue(new neo4j.types.Date(2025, 3, 1)), '2025-03-01');
+      assert.deepEqual(toPlainValue([neo4j.int(1), 'a']), [1, 'a']);
+    });
+  });
+
+  describe('formats', () => {
+    it('should write JSON-LD across pages without embeddings', async () => {
+      const { text, graphExport } = await collect({ format: 'jsonld', pageSize: 2 });
+      const doc = JSON.parse(text);
+
+      assert.deepEqual(graphExport.counts, { nodes: 3, relationships: 1 });
+      assert.equal(doc['@graph'].length, 4);
+      assert.deepEqual(doc['@graph'][0]['@type'], ['Memory']);
+      assert.equal(doc['@graph'][0].embedding, undefined);
+      assert.equal(doc['@graph'][2].estimate, 3);
+      assert.deepEqual(doc['@graph'][3], { '@id': '_:r0', '@type': 'TAGGED_WITH', source: '_:n0', target: '_:n1', weight: 1 });
+    });
+
+    it('should write GraphML with declared keys and escaped values', async () => {
+      const { text } = await collect({ format: 'graphml', includeEmbeddings: true });
+
+      assert.match(text, /<key id="n_content" for="node" attr.name="content" attr.type="string"\/>/);
+      assert.match(text, /<key id="e_weight" for="edge"/);
+      assert.match(text, /Uses &lt;GraphML&gt; &amp; &quot;quotes&quot;/);
+      assert.match(text, /<data key="n_embedding">\[0.1,0.2\]<\/data>/);
+      assert.match(text, /<edge id="e0" source="n0" target="n1">/);
+      assert.ok(text.indexOf('<key id="e_weight"') < text.indexOf('<graph '));
+    });
+
+    it('should write a Cypher script that creates nodes before relationships', async () => {
+      const { text } = await collect({ format: 'cypher' });
+      const lines = text.split('\n');
+
+      assert.ok(lines.includes(
+        'CREATE (:`Task`:`_ExportNode` {`id`: "t1", `title`: "It\'s done", `estimate`: 3, `tags`: ["infra"], `_exportId`: 2});'
+      ));
+      assert.ok(lines.includes(
+        'MATCH (a:_ExportNode {_exportId: 0}), (b:_ExportNode {_exportId: 1}) CREATE (a)-[:`TAGGED_WITH` {`weight`: 1}]->(b);'
+      ));
+      assert.ok(lines.findIndex(l => l.startsWith('MATCH (a:')) > lines.findIndex(l => l.includes('`Task`')));
+      assert.match(text, /REMOVE n:_ExportNode, n\._exportId;\nDROP INDEX export_node_id IF EXISTS;\n$/);
+    });
+  });
+
+  describe('files', () => {
+    let root;
+
+    before(async () => {
+      root = await fs.mkdtemp(path.join(os.tmpdir(), 'graph-export-'));
+    });
+
+    after(async () => {
+      await fs.rm(root, { recursive: true, force: true });
+    });
+
+    it('should write into the export directory only', async () => {
+      const result = await writeGraphExport({ format: 'graphml' }, { exportDir: root, filename: 'g.graphml', readPage });
+
+      assert.equal(result.path, path.join(root, 'g.graphml'));
+      assert.deepEqual(result.counts, { nodes: 3, relationships: 1 });
+      assert.ok(result.bytes > 0);
+      assert.match(await fs.readFile(result.path, 'utf-8'), /<\/graphml>\n$/);
+
+      assert.throws(() => resolveExportPath('../escape.jsonld', root), GraphExportError);
+    });
+  });
+});
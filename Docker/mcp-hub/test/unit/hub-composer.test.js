@@ -0,0 +1,79 @@
+// ============================================================
+// Unit Tests: MCP Hub Composer
+// ============================================================
+// Test namespacing, collision detection and server selection
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { HubComposer, ToolCollisionError } from '../../src/mcp/hub-composer.js';
+import { BaseMCPServer, createTool, createInputSchema } from '../../src/mcp/base-server.js';
+
+class EchoServer extends BaseMCPServer {
+  constructor(config = {}) {
+    super({ name: config.name || 'echo' });
+    this.registerTool(createTool('echo', 'Echo the input', createInputSchema({}), async (args) => args));
+    this.registerTool(createTool('create_entity', 'Shadow a built-in', createInputSchema({}), async () => 'server'));
+  }
+}
+
+const registry = {
+  echo: { serverClass: EchoServer }
+};
+
+describe('HubComposer', () => {
+  it('should namespace server tools with the server name', () => {
+    const hub = new HubComposer({ registry, servers: { echo: { enabled: true } } }).compose();
+
+    assert.ok(hub.getTool('echo.echo'));
+    assert.ok(hub.getTool('echo.create_entity'));
+    assert.equal(hub.getTool('echo'), undefined);
+  });
+
+  it('should report collisions with built-in tools and keep the built-in name', () => {
+    const hub = new HubComposer({ registry, servers: { echo: { enabled: true } } }).compose();
+
+    const collision = hub.getCollisions().find(c => c.name === 'create_entity');
+    assert.ok(collision);
+    assert.deepEqual(collision.sources, ['builtin:neo4j', 'echo']);
+    assert.equal(hub.getTool('create_entity').source, 'builtin:neo4j');
+  });
+
+  it('should expose unambiguous bare aliases when enabled', async () => {
+    const hub = new HubComposer({
+      registry,
+      unqualified_aliases: true,
+      servers: { echo: { enabled: true } }
+    }).compose();
+
+    assert.ok(hub.getTool('echo').alias);
+    assert.deepEqual(await hub.callTool('echo', { value: 1 }), { value: 1 });
+  });
+
+  it('should skip disabled servers', () => {
+    const hub = new HubComposer({ registry, servers: { echo: { enabled: false } } }).compose();
+
+    assert.equal(hub.getTool('echo.echo'), undefined);
+    assert.equal(hub.getInfo().servers.length, 0);
+  });
+
+  it('should throw on collisions when configured to', () => {
+    const composer = new HubComposer({
+      registry,
+      on_collision: 'error',
+      servers: { echo: { enabled: true } }
+    });
+
+    assert.throws(() => composer.compose(), ToolCollisionError);
+  });
+
+  it('should serve only server tools when built-ins are disabled', () => {
+    const hub = new HubComposer({
+      registry,
+      builtin_tools: false,
+      servers: { echo: { enabled: true } }
+    }).compose();
+
+    assert.equal(hub.getCollisions().length, 0);
+    assert.deepEqual(hub.listTools().map(t => t.name).sort(), ['echo.create_entity', 'echo.echo']);
+  });
+});
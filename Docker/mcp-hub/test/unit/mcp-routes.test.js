@@ -0,0 +1,129 @@
+// ============================================================
+// Unit Tests: MCP HTTP Transport Routes
+// ============================================================
+// Test the Streamable HTTP session lifecycle against a local server:
+// initialize, session reuse, explicit termination and idle pruning
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import mcpRoutes, { pruneIdleSessions, closeAllSessions, getSessionCount } from '../../src/routes/mcp.js';
+import { namespaceConfig } from '../../src/utils/namespace.js';
+
+const initializeRequest = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: {
+    protocolVersion: '2025-03-26',
+    capabilities: {},
+    clientInfo: { name: 'route-test', version: '1.0.0' }
+  }
+};
+
+/**
+ * JSON-RPC message of a response sent as JSON or as a one-event SSE stream
+ */
+async function readMessage(response) {
+  const text = await response.text();
+  const data = text.split('\n').find(line => line.startsWith('data: '));
+  return JSON.parse(data ? data.slice('data: '.length) : text);
+}
+
+describe('MCP Streamable HTTP sessions', () => {
+  let server;
+  let url;
+
+  const post = (body, headers = {}) => fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream',
+      ...headers
+    },
+    body: JSON.stringify(body)
+  });
+
+  const initialize = async (headers = {}) => {
+    const response = await post(initializeRequest, headers);
+    await readMessage(response);
+    return response.headers.get('mcp-session-id');
+  };
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/mcp', mcpRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    url = `http://127.0.0.1:${server.address().port}/mcp`;
+  });
+
+  after(async () => {
+    await closeAllSessions();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should open a session on initialize and return its id', async () => {
+    const response = await post(initializeRequest, { [namespaceConfig.header]: 'team' });
+    const message = await readMessage(response);
+    const sessionId = response.headers.get('mcp-session-id');
+
+    assert.equal(response.status, 200);
+    assert.ok(sessionId);
+    assert.equal(message.result.serverInfo.name, 'mcp-superserver');
+
+    const { sessions } = await (await fetch(`${url}/sessions`)).json();
+    const session = sessions.find(s => s.id === sessionId);
+    assert.equal(session.type, 'streamable-http');
+    assert.equal(session.namespace, 'team');
+  });
+
+  it('should reuse the session for later requests', async () => {
+    const sessionId = await initialize();
+    const count = getSessionCount();
+
+    const response = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, { 'mcp-session-id': sessionId });
+    const message = await readMessage(response);
+
+    assert.equal(response.status, 200);
+    assert.ok(message.result.tools.some(tool => tool.name === 'create_entity'));
+    assert.equal(getSessionCount(), count);
+  });
+
+  it('should reject requests without a valid session', async () => {
+    const missing = await post({ jsonrpc: '2.0', id: 3, method: 'tools/list' });
+    const unknown = await post({ jsonrpc: '2.0', id: 4, method: 'tools/list' }, { 'mcp-session-id': 'nope' });
+
+    assert.equal(missing.status, 400);
+    assert.equal((await missing.json()).error.code, -32000);
+    assert.equal(unknown.status, 400);
+    await unknown.body?.cancel();
+  });
+
+  it('should close the session on DELETE', async () => {
+    const sessionId = await initialize();
+    const count = getSessionCount();
+
+    const response = await fetch(url, { method: 'DELETE', headers: { 'mcp-session-id': sessionId } });
+    await response.body?.cancel();
+
+    assert.equal(response.status, 200);
+    assert.equal(getSessionCount(), count - 1);
+
+    const reused = await post({ jsonrpc: '2.0', id: 5, method: 'tools/list' }, { 'mcp-session-id': sessionId });
+    assert.equal(reused.status, 400);
+    await reused.body?.cancel();
+  });
+
+  it('should prune sessions idle longer than the timeout', async () => {
+    await initialize();
+
+    assert.equal(await pruneIdleSessions(60000), 0);
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    const open = getSessionCount();
+    assert.equal(await pruneIdleSessions(1), open);
+    assert.equal(getSessionCount(), 0);
+  });
+});
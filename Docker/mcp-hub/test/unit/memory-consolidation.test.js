@@ -0,0 +1,167 @@
+// ============================================================
+// Unit Tests: Memory Consolidation
+// ============================================================
+// Test duplicate grouping, merge planning, the merge Cypher and the
+// Obsidian note rewrite against a temporary vault
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { shingles, jaccardSimilarity } from '../../src/utils/similarity.js';
+
+let findDuplicateGroups, chooseSurvivor, planConsolidation, consolidationQueries;
+let rewriteMemoryNotes;
+let root;
+
+function memory(id, content, extra = {}) {
+  return { id, content, createdAt: `2025-03-0${id.slice(-1)}T10:00:00.000Z`, tags: [], ...extra };
+}
+
+describe('Memory Consolidation', () => {
+  before(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-consolidation-'));
+    process.env.OBSIDIAN_VAULT = root;
+    process.env.OBSIDIAN_INDEX_PATH = path.join(root, 'index.json');
+    ({ findDuplicateGroups, chooseSurvivor, planConsolidation, consolidationQueries } =
+      await import('../../src/services/memory-consolidation.js'));
+    ({ rewriteMemoryNotes } = await import('../../src/mcp/tools/memory-tools.js'));
+  });
+
+  after(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  describe('similarity', () => {
+    it('should compare word shingles', () => {
+      const a = shingles('The  Neo4j server runs on port 7687');
+      const b = shingles('the neo4j server runs on port 7687.');
+
+      assert.ok(a.has('the neo4j server'));
+      assert.equal(jaccardSimilarity(a, b), 1);
+      assert.ok(jaccardSimilarity(a, shingles('Ollama listens on port 11434')) < 0.2);
+      assert.deepEqual([...shingles('two words')], ['two words']);
+      assert.equal(jaccardSimilarity(new Set(), new Set()), 0);
+    });
+  });
+
+  describe('grouping', () => {
+    it('should group exact and near duplicates only', () => {
+      const memories = [
+        memory('m1', 'Neo4j runs on port 7687 inside the compose network'),
+        memory('m2', 'Neo4j runs on port 7687   inside the compose network'),
+        memory('m3', 'Neo4j runs on port 7687 inside the compose network today'),
+        memory('m4', 'Ollama serves llama3.3 on port 11434')
+      ];
+
+      const groups = findDuplicateGroups(memories, { threshold: 0.8 });
+
+      assert.equal(groups.length, 1);
+      assert.deepEqual(groups[0].memories.map(m => m.id), ['m1', 'm2', 'm3']);
+      assert.equal(groups[0].similarity, 1);
+      assert.equal(findDuplicateGroups(memories, { threshold: 0.95 })[0].memories.length, 2);
+    });
+
+    it('should merge on embeddings when wording overlaps but differs', () => {
+      const memories = [
+        memory('m1', 'The backup job runs every night at two', { embedding: [1, 0, 0] }),
+        memory('m2', 'The backup job starts nightly at 2 AM', { embedding: [0.99, 0.05, 0] }),
+        memory('m3', 'The backup job is weekly', { embedding: [0, 1, 0] })
+      ];
+
+      const groups = findDuplicateGroups(memories, { threshold: 0.9, embeddingThreshold: 0.95 });
+
+      assert.equal(groups.length, 1);
+      assert.deepEqual(groups[0].memories.map(m => m.id), ['m1', 'm2']);
+      assert.ok(groups[0].similarity > 0.95 && groups[0].similarity < 1);
+      assert.equal(findDuplicateGroups(memories, { threshold: 0.9, useEmbeddings: false }).length, 0);
+    });
+
+    it('should not chain near duplicates through a middle memory', () => {
+      const angle = degrees => [Math.cos(degrees * Math.PI / 180), Math.sin(degrees * Math.PI / 180)];
+      const memories = [
+        memory('m1', 'The deploy uses blue green switching', { embedding: angle(0) }),
+        memory('m2', 'The deploy uses blue green rollout', { embedding: angle(20) }),
+        memory('m3', 'The deploy uses canary rollout', { embedding: angle(40) })
+      ];
+
+      const groups = findDuplicateGroups(memories, { threshold: 0.99, embeddingThreshold: 0.9 });
+
+      assert.equal(groups.length, 1);
+      assert.deepEqual(groups[0].memories.map(m => m.id), ['m1', 'm2']);
+    });
+
+    it('should keep the most important, then oldest memory with merged tags', () => {
+      assert.equal(chooseSurvivor([memory('m2', 'x'), memory('m1', 'x')]).id, 'm1');
+      assert.equal(chooseSurvivor([memory('m1', 'x'), memory('m2', 'x', { importance: 0.9 })]).id, 'm2');
+
+      const [plan] = planConsolidation([
+        memory('m1', 'Deploy with make up', { importance: 0.4, tags: ['deploy'] }),
+        memory('m2', 'Deploy with make up', { importance: 0.7, tags: ['make', 'deploy'] })
+      ]);
+
+      assert.equal(plan.survivor.id, 'm2');
+      assert.deepEqual(plan.duplicates.map(m => m.id), ['m1']);
+      assert.equal(plan.importance, 0.7);
+      assert.deepEqual(plan.tags, ['deploy', 'make']);
+    });
+  });
+
+  describe('queries', () => {
+    it('should read the most recent memories with their tags', () => {
+      const { cypher, params } = consolidationQueries.candidates(100).build();
+
+      assert.match(cypher, /^MATCH \(m:Memory\)\nWHERE \(m\.namespace IS NULL OR m\.namespace = \$namespace\)\nWITH m/);
+      assert.match(cypher, /ORDER BY m\.createdAt DESC\nLIMIT 100\nOPTIONAL MATCH \(m\)-\[:TAGGED_WITH\]->\(t:Tag\)/);
+      assert.deepEqual(params, { namespace: 'default' });
+    });
+
+    it('should move relationships and relabel duplicates behind MERGED_FROM', () => {
+      const plan = {
+        survivor: memory('m2', 'x'),
+        duplicates: [memory('m1', 'x'), memory('m3', 'x')],
+        importance: 0.7,
+        tags: []
+      };
+      const { cypher, params } = consolidationQueries.merge(plan, '2025-04-01T00:00:00.000Z').build();
+
+      assert.match(cypher, /^MATCH \(s:Memory \{id: \$s_id\}\)\nWHERE \(s\.namespace IS NULL OR s\.namespace = \$namespace\)/);
+      assert.match(cypher, /UNWIND \$duplicateIds AS duplicateId\nMATCH \(d:Memory \{id: duplicateId\}\)\nWHERE \(d\.namespace IS NULL OR d\.namespace = \$namespace\)/);
+      assert.match(cypher, /MATCH \(d\)-\[r:TAGGED_WITH\]->\(target\)\n\s*MERGE \(s\)-\[:TAGGED_WITH\]->\(target\)\n\s*DELETE r/);
+      assert.match(cypher, /MERGE \(s\)-\[:MENTIONS\]->\(target\)/);
+      assert.match(cypher, /MERGE \(s\)-\[p:MERGED_FROM\]->\(d\)/);
+      assert.match(cypher, /REMOVE d:Memory, d\.embedding\nSET d:MergedMemory, d\.mergedInto = s\.id/);
+      assert.deepEqual(params, {
+        mergedAt: '2025-04-01T00:00:00.000Z',
+        s_id: 'm2',
+        namespace: 'default',
+        importance: 0.7,
+        duplicateIds: ['m1', 'm3']
+      });
+    });
+  });
+
+  describe('notes', () => {
+    it('should record duplicates in the survivor note and delete their notes', async () => {
+      const dir = path.join(root, 'memory', '2025-03-01');
+      await fs.mkdir(path.join(root, 'memory', '2025-03-02'), { recursive: true });
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, 'm1.md'), '---\ntags: ["memory", "deploy"]\n---\n\n# Fact\n\nDeploy with make up\n');
+      await fs.writeFile(path.join(root, 'memory', '2025-03-02', 'm2.md'), '# Fact\n\nDeploy with make up\n');
+
+      await rewriteMemoryNotes({
+        survivor: memory('m1', 'Deploy with make up'),
+        duplicates: [memory('m2', 'Deploy with   make up'), memory('m3', 'Imported, no note')],
+        importance: 0.7,
+        tags: ['deploy', 'make']
+      });
+
+      const note = await fs.readFile(path.join(dir, 'm1.md'), 'utf-8');
+      assert.match(note, /tags: \["memory", "deploy", "make"\]/);
+      assert.match(note, /merged_from: \["m2", "m3"\]/);
+      assert.match(note, /## Merged memories\n\n- m2 \(2025-03-02T10:00:00\.000Z\): Deploy with make up\n- m3 /);
+      await assert.rejects(fs.access(path.join(root, 'memory', '2025-03-02', 'm2.md')));
+    });
+  });
+});
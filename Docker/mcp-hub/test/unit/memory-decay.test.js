@@ -0,0 +1,148 @@
+// ============================================================
+// Unit Tests: Memory Decay
+// ============================================================
+// Test the half-life decay model, reinforcement, the decay Cypher
+// and archiving of faded memory notes to a temporary vault
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2025-06-01T00:00:00.000Z');
+
+let decay, memoryTools;
+let root;
+
+function close(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} !== ${expected}`);
+}
+
+describe('Memory Decay', () => {
+  before(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-decay-'));
+    process.env.OBSIDIAN_VAULT = root;
+    process.env.OBSIDIAN_INDEX_PATH = path.join(root, 'index.json');
+    decay = await import('../../src/services/memory-decay.js');
+    memoryTools = await import('../../src/mcp/tools/memory-tools.js');
+  });
+
+  after(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  describe('model', () => {
+    it('should read half-lives over the defaults', () => {
+      const halfLives = decay.parseHalfLives('event: 7, task:0, bogus, custom:45');
+
+      assert.equal(halfLives.event, 7);
+      assert.equal(halfLives.task, 60);
+      assert.equal(halfLives.custom, 45);
+      assert.equal(halfLives.default, 90);
+      assert.equal(decay.halfLifeFor('unknown'), decay.decayConfig.halfLives.default);
+    });
+
+    it('should halve importance every half-life of the memory type', () => {
+      const halfLife = decay.halfLifeFor('event');
+      const memory = { type: 'event', importance: 0.8, createdAt: new Date(NOW - halfLife * DAY_MS).toISOString() };
+
+      close(decay.effectiveImportance(memory, NOW), 0.4);
+      close(decay.effectiveImportance({ ...memory, importanceUpdatedAt: new Date(NOW).toISOString() }, NOW), 0.8);
+      assert.equal(decay.effectiveImportance({ importance: 0.3 }, NOW), 0.3);
+      assert.equal(decay.decayImportance(0.5, -DAY_MS, 10), 0.5);
+    });
+
+    it('should reinforce by a share of the remaining headroom', () => {
+      close(decay.reinforceImportance(0.5, 0.1), 0.55);
+      assert.equal(decay.reinforceImportance(1, 0.5), 1);
+    });
+
+    it('should rank stale memories below fresh ones with equal similarity', () => {
+      const ranked = memoryTools.rankMemoriesBySimilarity([1, 0], [
+        { id: 'stale', type: 'observation', embedding: [1, 0], importance: 0.9, createdAt: '2024-01-01T00:00:00.000Z' },
+        { id: 'fresh', type: 'observation', embedding: [1, 0], importance: 0.6, createdAt: '2025-05-31T00:00:00.000Z' }
+      ], { now: NOW });
+
+      assert.deepEqual(ranked.map(m => m.id), ['fresh', 'stale']);
+    });
+  });
+
+  describe('queries', () => {
+    it('should decay then reinforce recalled memories and count the access', () => {
+      const { cypher, params } = decay.decayQueries.reinforce(['m1', 'm2'], { boost: 0.05, now: new Date(NOW) }).build();
+
+      assert.match(cypher, /^MATCH \(m:Memory\)\nWHERE m\.id IN \$ids AND \(m\.namespace IS NULL OR m\.namespace = \$namespace\)\nWITH m, coalesce\(m\.importance, 0\.5\) \* 0\.5 \^/);
+      assert.match(cypher, /coalesce\(\$halfLives\[m\.type\], \$defaultHalfLife\)/);
+      assert.match(cypher, /SET m\.importance = current \+ \$boost \* \(1 - current\), m\.importanceUpdatedAt = \$now, m\.accessCount = coalesce\(m\.accessCount, 0\) \+ 1, m\.lastAccessedAt = \$now/);
+      assert.equal(params.now, '2025-06-01T00:00:00.000Z');
+      assert.deepEqual(params.ids, ['m1', 'm2']);
+      assert.equal(params.halfLives.default, undefined);
+      assert.equal(params.defaultHalfLife, decay.decayConfig.halfLives.default);
+    });
+
+    it('should reinforce linked memories without counting an access', () => {
+      const { cypher, params } = decay.decayQueries.reinforceLinked(['Neo4j', 'Docker']).build();
+
+      assert.match(cypher, /EXISTS \{ MATCH \(m\)-\[:MENTIONS\]->\(e\) WHERE e\.name IN \$names AND \(e\.namespace IS NULL OR e\.namespace = \$namespace\) \}\) AND \(m\.namespace IS NULL/);
+      assert.doesNotMatch(cypher, /accessCount/);
+      assert.equal(params.boost, decay.decayConfig.linkBoost);
+    });
+
+    it('should select faded memories faintest first', () => {
+      const { cypher, params } = decay.decayQueries.faded({ threshold: 0.1, type: 'event', limit: 20 }).build();
+
+      assert.match(cypher, /WHERE m\.type = \$type AND \(m\.namespace IS NULL OR m\.namespace = \$namespace\)/);
+      assert.match(cypher, /AS effective\nWHERE effective < \$threshold\nWITH m, effective\nORDER BY effective ASC\nLIMIT 20/);
+      assert.equal(params.threshold, 0.1);
+    });
+
+    it('should relabel archived memories', () => {
+      const { cypher, params } = decay.decayQueries.archive([{ id: 'm1', path: 'archive/m1.md', importance: 0.01 }], '2025-06-01T00:00:00.000Z').build();
+
+      assert.match(cypher, /UNWIND \$archived AS entry\nMATCH \(m:Memory \{id: entry\.id\}\)\nWHERE \(m\.namespace IS NULL OR m\.namespace = \$namespace\)\nREMOVE m:Memory, m\.embedding\nSET m:ArchivedMemory/);
+      assert.equal(params.archivedAt, '2025-06-01T00:00:00.000Z');
+    });
+  });
+
+  describe('archive', () => {
+    it('should move the memory note under the archive folder', async () => {
+      const dir = path.join(root, 'memory', '2025-01-02');
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, 'm1.md'), '---\ntags: ["memory", "event"]\n---\n\n# Event\n\nStandup moved to 10am\n');
+
+      const archivePath = await memoryTools.archiveMemoryNote({
+        id: 'm1',
+        content: 'Standup moved to 10am',
+        type: 'event',
+        importance: 0.5,
+        effectiveImportance: 0.01234,
+        accessCount: 2,
+        lastAccessedAt: '2025-01-05T00:00:00.000Z',
+        createdAt: '2025-01-02T09:00:00.000Z',
+        tags: ['team']
+      }, '2025-06-01T00:00:00.000Z');
+
+      assert.equal(archivePath, 'archive/memory/2025-01-02/m1.md');
+      const note = await fs.readFile(path.join(root, archivePath), 'utf-8');
+      assert.match(note, /tags: \["memory", "event", "archived", "team"\]/);
+      assert.match(note, /effective_importance: "0.012"/);
+      assert.match(note, /access_count: "2"/);
+      assert.match(note, /Standup moved to 10am/);
+      await assert.rejects(fs.access(path.join(dir, 'm1.md')));
+    });
+
+    it('should write the content when the memory has no note', async () => {
+      const archivePath = await memoryTools.archiveMemoryNote({
+        id: 'imported',
+        content: 'Imported from mem0',
+        importance: 0.2,
+        effectiveImportance: 0.01,
+        createdAt: '2025-02-01T00:00:00.000Z'
+      });
+
+      assert.match(await fs.readFile(path.join(root, archivePath), 'utf-8'), /# Imported from mem0\n\nImported from mem0/);
+    });
+  });
+});
@@ -0,0 +1,174 @@
+// ============================================================
+// Unit Tests: Memory Import
+// ============================================================
+// Test the JSONL, Markdown and mem0 parsers, format detection,
+// validation and content-hash deduplication in dry runs
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  contentHash,
+  parseJsonl,
+  parseMarkdownNote,
+  parseMem0Export,
+  readImportSource,
+  resolveImportPath,
+  importMemories,
+  importMemoriesFromPath,
+  importQueries
+} from '../../src/services/memory-import.js';
+import handlers from '../../src/mcp/tools/memory-tools.js';
+
+describe('Memory Import', () => {
+  describe('parsers', () => {
+    it('should read JSONL records, including title/body records', () => {
+      const { records, errors } = parseJsonl([
+        '{"content": "Neo4j runs on port 7687", "type": "fact", "tags": ["neo4j"], "importance": 0.8}',
+        '',
+        '{"request_id": "user-001", "title": "Add export", "body": "Export the graph"}',
+        '{not json'
+      ].join('\n'), { location: 'memories.jsonl' });
+
+      assert.equal(records.length, 2);
+      assert.deepEqual(records[0].tags, ['neo4j']);
+      assert.equal(records[0].importance, 0.8);
+      assert.equal(records[1].content, 'Add export\n\nExport the graph');
+      assert.equal(records[1].externalId, 'user-001');
+      assert.equal(records[1].type, null);
+      assert.deepEqual(errors.map(e => e.location), ['memories.jsonl:4']);
+    });
+
+    it('should read Markdown frontmatter', () => {
+      const record = parseMarkdownNote([
+        '---',
+        'type: event',
+        'tags: [release, infra]',
+        'importance: 0.9',
+        'created: 2025-03-01',
+        '---',
+        '# Release',
+        'Shipped 1.2'
+      ].join('\n'), { location: 'notes/release.md' });
+
+      assert.equal(record.type, 'event');
+      assert.deepEqual(record.tags, ['release', 'infra']);
+      assert.equal(record.importance, 0.9);
+      assert.equal(record.createdAt, '2025-03-01T00:00:00.000Z');
+      assert.equal(record.content, '# Release\nShipped 1.2');
+      assert.equal(record.externalId, 'notes/release.md');
+    });
+
+    it('should read mem0 exports in either shape', () => {
+      const items = [{
+        id: 'abc',
+        memory: 'Prefers dark mode',
+        categories: ['preferences'],
+        metadata: { importance: 2 },
+        created_at: '2024-07-20T10:00:00-07:00'
+      }];
+
+      for (const text of [JSON.stringify(items), JSON.stringify({ results: items })]) {
+        const { records } = parseMem0Export(text);
+        assert.equal(records[0].content, 'Prefers dark mode');
+        assert.equal(records[0].source, 'mem0');
+        assert.deepEqual(records[0].tags, ['preferences']);
+        assert.equal(records[0].importance, null);
+        assert.equal(records[0].createdAt, '2024-07-20T17:00:00.000Z');
+      }
+
+      assert.equal(parseMem0Export('{"foo": 1}').errors.length, 1);
+    });
+
+    it('should hash content with whitespace collapsed', () => {
+      assert.equal(contentHash('a  b\n'), contentHash('a b'));
+      assert.notEqual(contentHash('a b'), contentHash('a c'));
+    });
+  });
+
+  describe('sources', () => {
+    let root;
+
+    before(async () => {
+      root = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-import-'));
+      await fs.mkdir(path.join(root, 'notes', 'sub'), { recursive: true });
+      await fs.mkdir(path.join(root, 'notes', '.obsidian'));
+      await fs.writeFile(path.join(root, 'notes', 'a.md'), '---\ntags: [x]\n---\nFirst note');
+      await fs.writeFile(path.join(root, 'notes', 'sub', 'b.md'), 'Second note');
+      await fs.writeFile(path.join(root, 'notes', 'sub', 'c.md'), 'Second   note');
+      await fs.writeFile(path.join(root, 'notes', 'sub', 'empty.md'), '---\ntype: fact\n---\n');
+      await fs.writeFile(path.join(root, 'notes', '.obsidian', 'hidden.md'), 'Hidden');
+      await fs.writeFile(path.join(root, 'dump.json'), JSON.stringify([{ memory: 'From mem0' }]));
+      await fs.writeFile(path.join(root, 'data.txt'), 'plain');
+    });
+
+    after(async () => {
+      await fs.rm(root, { recursive: true, force: true });
+    });
+
+    it('should detect formats and walk note directories', async () => {
+      const notes = await readImportSource(path.join(root, 'notes'));
+      assert.equal(notes.format, 'markdown');
+      assert.deepEqual(notes.records.map(r => r.location), ['a.md', 'sub/b.md', 'sub/c.md', 'sub/empty.md']);
+
+      assert.equal((await readImportSource(path.join(root, 'dump.json'))).format, 'mem0');
+      await assert.rejects(() => readImportSource(path.join(root, 'data.txt')), /Cannot detect import format/);
+      assert.equal((await readImportSource(path.join(root, 'data.txt'), { format: 'jsonl' })).errors.length, 1);
+    });
+
+    it('should report a dry run with duplicates and invalid records', async () => {
+      const progress = [];
+      const report = await importMemoriesFromPath(path.join(root, 'notes'), {
+        dryRun: true,
+        checkExisting: false,
+        tags: ['imported'],
+        onProgress: (p) => progress.push(p)
+      });
+
+      assert.equal(report.dryRun, true);
+      assert.equal(report.counts.total, 4);
+      assert.equal(report.counts.invalid, 1);
+      assert.equal(report.counts.duplicateInSource, 1);
+      assert.equal(report.counts.toImport, 2);
+      assert.equal(report.counts.created, 0);
+      assert.deepEqual(report.errors, [{ location: 'sub/empty.md', error: 'Missing content' }]);
+      assert.deepEqual(report.preview[0].tags, ['x', 'imported']);
+      assert.equal(report.preview[0].type, 'fact');
+      assert.deepEqual(progress, []);
+    });
+
+    it('should keep the tool inside the import directory', async () => {
+      assert.equal(resolveImportPath('notes', root), path.join(root, 'notes'));
+      assert.throws(() => resolveImportPath('../etc/passwd', root), /must be inside/);
+
+      const result = await handlers.import_memories({ path: '/etc/passwd', dry_run: true });
+      assert.equal(result.success, false);
+    });
+  });
+
+  describe('validation and queries', () => {
+    it('should reject records that fail the Memory schema', async () => {
+      const report = await importMemories([
+        { location: 'x', content: 'ok', tags: [], type: null, importance: null, createdAt: null, source: 'test' },
+        { location: 'y', content: 'bad source', tags: [], type: null, importance: null, createdAt: null, source: 42 }
+      ], { dryRun: true, checkExisting: false });
+
+      assert.equal(report.counts.toImport, 1);
+      assert.equal(report.counts.invalid, 1);
+      assert.equal(report.errors[0].location, 'y');
+    });
+
+    it('should look up stored hashes and claim existing tags with parameters', () => {
+      const hashes = importQueries.existingHashes(['h1']).build();
+      assert.match(hashes.cypher, /WHERE m\.contentHash IN \$hashes AND \(m\.namespace IS NULL OR m\.namespace = \$namespace\)/);
+      assert.deepEqual(hashes.params, { hashes: ['h1'], namespace: 'default' });
+
+      const tags = importQueries.claimTags(['infra']).build();
+      assert.match(tags.cypher, /WHERE t\.name IN \$names AND \(t\.namespace IS NULL OR t\.namespace = \$namespace\)/);
+      assert.match(tags.cypher, /SET t\.id = coalesce\(t\.id, t\.name\)/);
+      assert.deepEqual(tags.params, { names: ['infra'], namespace: 'default' });
+    });
+  });
+});
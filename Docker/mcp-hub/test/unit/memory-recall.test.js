@@ -0,0 +1,148 @@
+// ============================================================
+// Unit Tests: Semantic Memory Recall
+// ============================================================
+// Test cosine ranking and importance blending with a stubbed embedder,
+// and namespace-scoped reads with a stubbed graph reader
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import memoryHandlers, {
+  cosineSimilarity,
+  blendScore,
+  rankMemoriesBySimilarity,
+  setEmbeddingFunction,
+  setGraphReader,
+  embedText
+} from '../../src/mcp/tools/memory-tools.js';
+import { runWithNamespace } from '../../src/utils/namespace.js';
+
+// Tiny bag-of-words embedder over a fixed vocabulary
+const vocabulary = ['database', 'graph', 'neo4j', 'coffee', 'morning', 'deploy', 'docker'];
+
+function stubEmbed(text) {
+  const words = text.toLowerCase().split(/\W+/);
+  return vocabulary.map(term => words.filter(w => w === term).length);
+}
+
+describe('Semantic Memory Recall', () => {
+  before(() => {
+    setEmbeddingFunction(async (text) => stubEmbed(text));
+  });
+
+  describe('cosineSimilarity', () => {
+    it('should return 1 for identical vectors', () => {
+      assert.ok(Math.abs(cosineSimilarity([1, 2, 3], [1, 2, 3]) - 1) < 1e-9);
+    });
+
+    it('should return 0 for orthogonal vectors', () => {
+      assert.equal(cosineSimilarity([1, 0], [0, 1]), 0);
+    });
+
+    it('should return 0 for mismatched or empty vectors', () => {
+      assert.equal(cosineSimilarity([1, 2], [1, 2, 3]), 0);
+      assert.equal(cosineSimilarity([], []), 0);
+      assert.equal(cosineSimilarity(null, [1]), 0);
+      assert.equal(cosineSimilarity([0, 0], [1, 1]), 0);
+    });
+  });
+
+  describe('blendScore', () => {
+    it('should weight importance into the score', () => {
+      assert.equal(blendScore(1, 0, 0.2), 0.8);
+      assert.equal(blendScore(0, 1, 0.2), 0.2);
+    });
+  });
+
+  describe('rankMemoriesBySimilarity', () => {
+    it('should rank memories by similarity to the query embedding', async () => {
+      const memories = [
+        { id: 'a', content: 'Morning coffee routine', importance: 0.5 },
+        { id: 'b', content: 'Neo4j graph database tuning', importance: 0.5 },
+        { id: 'c', content: 'Docker deploy checklist', importance: 0.5 }
+      ];
+
+      for (const memory of memories) {
+        memory.embedding = await embedText(memory.content);
+      }
+
+      const query = await embedText('which graph database do we use');
+      const ranked = rankMemoriesBySimilarity(query, memories, { limit: 3 });
+
+      assert.equal(ranked[0].id, 'b');
+      assert.ok(ranked[0].similarity > ranked[1].similarity);
+    });
+
+    it('should let importance break ties between equally similar memories', () => {
+      const memories = [
+        { id: 'low', embedding: [1, 0], importance: 0.1 },
+        { id: 'high', embedding: [1, 0], importance: 0.9 }
+      ];
+
+      const ranked = rankMemoriesBySimilarity([1, 0], memories);
+
+      assert.deepEqual(ranked.map(m => m.id), ['high', 'low']);
+    });
+
+    it('should apply minScore and limit', () => {
+      const memories = [
+        { id: 'match', embedding: [1, 0], importance: 0.5 },
+        { id: 'miss', embedding: [0, 1], importance: 0.5 },
+        { id: 'partial', embedding: [1, 1], importance: 0.5 }
+      ];
+
+      const ranked = rankMemoriesBySimilarity([1, 0], memories, { minScore: 0.5, limit: 1 });
+
+      assert.equal(ranked.length, 1);
+      assert.equal(ranked[0].id, 'match');
+    });
+  });
+
+  describe('embedText', () => {
+    it('should return null when the embedder fails', async () => {
+      setEmbeddingFunction(async () => {
+        throw new Error('Ollama not reachable');
+      });
+
+      assert.equal(await embedText('anything'), null);
+
+      setEmbeddingFunction(async (text) => stubEmbed(text));
+    });
+  });
+
+  describe('reads in a namespace', () => {
+    const queries = [];
+    const memory = {
+      properties: { id: 'm1', content: 'Neo4j graph database tuning', type: 'fact', importance: 0.5, createdAt: '2026-01-02' }
+    };
+
+    before(() => {
+      setGraphReader(async (query, params) => {
+        queries.push({ query, params });
+        return query.includes('db.index.vector') ? [{ m: memory, score: 1 }] : [{ m: memory }];
+      });
+    });
+
+    after(() => {
+      setGraphReader(null);
+    });
+
+    it('should recall and search by date in a namespace other than the default', async () => {
+      const recalled = await runWithNamespace('team-a', () => memoryHandlers.recall_memory({ query: 'graph database' }));
+      const dated = await runWithNamespace('team-a', () => memoryHandlers.search_memories_by_date({
+        from: '2026-01-01',
+        to: '2026-12-31'
+      }));
+
+      assert.equal(recalled.mode, 'semantic');
+      assert.deepEqual(recalled.memories.filter(m => m.source === 'neo4j').map(m => m.id), ['m1']);
+      assert.equal(dated.success, true);
+      assert.deepEqual(dated.memories.map(m => m.id), ['m1']);
+
+      assert.equal(queries.length, 2);
+      for (const { query, params } of queries) {
+        assert.match(query, /m\.namespace = \$namespace/);
+        assert.equal(params.namespace, 'team-a');
+      }
+    });
+  });
+});
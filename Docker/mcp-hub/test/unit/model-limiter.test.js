@@ -0,0 +1,179 @@
+// ============================================================
+// Unit Tests: Model Concurrency and Fallback
+// ============================================================
+// Test per-model concurrency limits, the priority queue and its
+// timeouts, and fallback chains in the Ollama router
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ModelLimiter, QueueTimeoutError } from '../../src/services/model-limiter.js';
+import ollamaRouter, {
+  routeRequest,
+  refreshAvailableModels,
+  getFallbackChain,
+  getModelConcurrency,
+  withModelSlot,
+  InferenceTimeoutError,
+  StreamAbortedError,
+  getProvider
+} from '../../src/services/ollama-router.js';
+
+// Requests to Ollama go through the default provider's client
+const ollamaClient = getProvider().client;
+
+const { modelConfig } = ollamaRouter;
+
+/**
+ * Promise with its resolve function, to hold requests open
+ */
+function deferred() {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+}
+
+/**
+ * Stand-in for a streamed Ollama generate response
+ */
+function fakeStream(text, { hang = false } = {}) {
+  let release = () => {};
+  return {
+    abort() {
+      release();
+    },
+    async *[Symbol.asyncIterator]() {
+      if (hang) {
+        await new Promise(resolve => { release = resolve; });
+        throw new Error('AbortError');
+      }
+      yield { response: text, done: true, eval_count: 1 };
+    }
+  };
+}
+
+describe('ModelLimiter', () => {
+  it('should cap concurrent requests per model', async () => {
+    const limiter = new ModelLimiter({ limitFor: model => (model === 'wide' ? 2 : 1) });
+    const gate = deferred();
+    let running = 0;
+    let peak = 0;
+
+    const task = async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await gate.promise;
+      running--;
+    };
+
+    const runs = [1, 2, 3].map(() => limiter.run('narrow', task));
+    const wide = [1, 2, 3].map(() => limiter.run('wide', task));
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual(limiter.getStats(), {
+      narrow: { active: 1, queued: 2, limit: 1 },
+      wide: { active: 2, queued: 1, limit: 2 }
+    });
+
+    gate.resolve();
+    await Promise.all([...runs, ...wide]);
+    assert.equal(peak, 3);
+    assert.deepEqual(limiter.getStats().narrow, { active: 0, queued: 0, limit: 1 });
+  });
+
+  it('should serve higher priorities first and equal priorities in order', async () => {
+    const limiter = new ModelLimiter();
+    const release = await limiter.acquire('m');
+    const order = [];
+
+    const waiting = [['low-1', 0], ['high', 5], ['low-2', 0], ['mid', 1]].map(([name, priority]) =>
+      limiter.run('m', () => order.push(name), { priority }));
+
+    release();
+    await Promise.all(waiting);
+    assert.deepEqual(order, ['high', 'mid', 'low-1', 'low-2']);
+  });
+
+  it('should drop waiters that time out or are aborted', async () => {
+    const states = [];
+    const limiter = new ModelLimiter({ onChange: (model, state) => states.push(state) });
+    const release = await limiter.acquire('m');
+    const controller = new AbortController();
+
+    const timedOut = limiter.acquire('m', { timeout: 20 });
+    const aborted = limiter.acquire('m', { signal: controller.signal });
+    controller.abort();
+
+    await assert.rejects(aborted, { name: 'AbortError' });
+    await assert.rejects(timedOut, QueueTimeoutError);
+    assert.deepEqual(states.at(-1), { active: 1, queued: 0 });
+
+    release();
+    assert.deepEqual(limiter.getStats().m, { active: 0, queued: 0, limit: 1 });
+  });
+});
+
+describe('Ollama router queueing and fallback', () => {
+  const original = { list: ollamaClient.list, generate: ollamaClient.generate };
+
+  before(async () => {
+    ollamaClient.list = async () => ({
+      models: ['qwq:latest', 'deepseek-r1:7b', 'llama3.2:latest', 'nomic-embed-text:latest'].map(name => ({ name }))
+    });
+    await refreshAvailableModels();
+  });
+
+  after(() => {
+    Object.assign(ollamaClient, original);
+  });
+
+  it('should build fallback chains from the model registry', () => {
+    assert.deepEqual(getFallbackChain('reasoning').slice(0, 3), [modelConfig.defaultModels.reasoning, 'qwq', 'deepseek-r1']);
+    assert.equal(getFallbackChain('reasoning').at(-1), modelConfig.defaultModels.fallback);
+    assert.equal(getModelConcurrency('nomic-embed-text:latest'), 4);
+    assert.equal(getModelConcurrency('qwq:latest'), modelConfig.concurrency);
+  });
+
+  it('should fall back along the chain when a model fails to load', async () => {
+    const tried = [];
+    ollamaClient.generate = async ({ model }) => {
+      tried.push(model);
+      if (model === 'qwq:latest') {
+        throw Object.assign(new Error('model requires more system memory'), { status_code: 500 });
+      }
+      return fakeStream(`answer from ${model}`);
+    };
+
+    const result = await routeRequest('reasoning', 'Prove it', {});
+
+    assert.deepEqual(tried, ['qwq:latest', 'deepseek-r1:7b']);
+    assert.equal(result.model, 'deepseek-r1:7b');
+    assert.equal(result.response, 'answer from deepseek-r1:7b');
+    assert.deepEqual(result.fallbacks, [{ model: 'qwq:latest', error: 'model requires more system memory' }]);
+    assert.equal(typeof result.queue_wait_ms, 'number');
+  });
+
+  it('should fall back when the queue for a busy model times out', async () => {
+    ollamaClient.generate = async ({ model }) => fakeStream(model);
+
+    const busy = deferred();
+    const holding = withModelSlot('qwq:latest', () => busy.promise);
+    const result = await routeRequest('reasoning', 'Plan it', { queueTimeout: 20 });
+
+    assert.equal(result.model, 'deepseek-r1:7b');
+    assert.match(result.fallbacks[0].error, /waiting for a free qwq:latest slot/);
+
+    busy.resolve('done');
+    assert.equal((await holding).response, 'done');
+  });
+
+  it('should time inference separately from the queue wait', async () => {
+    ollamaClient.generate = async () => fakeStream('', { hang: true });
+
+    await assert.rejects(routeRequest('reasoning', 'Think forever', { timeout: 30 }), InferenceTimeoutError);
+
+    const controller = new AbortController();
+    const pending = routeRequest('reasoning', 'Think forever', { signal: controller.signal, timeout: 0 });
+    setTimeout(() => controller.abort(), 10);
+    await assert.rejects(pending, StreamAbortedError);
+  });
+});
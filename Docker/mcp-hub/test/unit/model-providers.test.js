@@ -0,0 +1,213 @@
+// ============================================================
+// Unit Tests: Model Providers
+// ============================================================
+// Test routing task types to non-Ollama providers and the translation
+// between Ollama and OpenAI-compatible requests and responses
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import {
+  MockProvider,
+  OpenAIProvider,
+  createProvider,
+  toOpenAIMessages,
+  toOpenAIOptions
+} from '../../src/services/providers/index.js';
+import {
+  chat,
+  generateEmbedding,
+  getTaskProvider,
+  refreshAvailableModels,
+  registerProvider,
+  routeRequest,
+  setTaskProvider,
+  visionRequest,
+  getProvider
+} from '../../src/services/ollama-router.js';
+import ollamaHandlers from '../../src/mcp/tools/ollama-tools.js';
+
+// Requests to Ollama go through the default provider's client
+const ollamaClient = getProvider().client;
+
+describe('Router with a mock provider', () => {
+  const original = { list: ollamaClient.list, generate: ollamaClient.generate };
+  const mock = new MockProvider({ models: ['codellama', 'nomic-embed-text', 'llava'] });
+  let ollamaCalls = 0;
+
+  before(async () => {
+    // Ollama also has codellama installed; the task's provider should win
+    ollamaClient.list = async () => ({ models: [{ name: 'codellama:latest', digest: 'ollama-codellama' }, { name: 'llama3.3:latest', digest: 'ollama-llama' }] });
+    ollamaClient.generate = async ({ model }) => {
+      ollamaCalls++;
+      return {
+        abort() {},
+        async *[Symbol.asyncIterator]() {
+          yield { response: `ollama ${model}`, done: true };
+        }
+      };
+    };
+
+    registerProvider('mock', mock);
+    for (const taskType of ['coding', 'embedding', 'vision']) {
+      setTaskProvider(taskType, 'mock');
+    }
+    await refreshAvailableModels();
+  });
+
+  after(() => {
+    Object.assign(ollamaClient, original);
+  });
+
+  it('should route completions of a task type to its provider', async () => {
+    ollamaCalls = 0;
+    const result = await routeRequest('coding', 'Write a loop');
+
+    assert.equal(result.provider, 'mock');
+    assert.equal(result.model, 'codellama');
+    assert.equal(result.response, '[codellama] Write a loop');
+    assert.equal(ollamaCalls, 0);
+  });
+
+  it('should route chats of a task type to its provider', async () => {
+    const result = await chat([{ role: 'user', content: 'Review this diff' }], null, { taskType: 'coding' });
+
+    assert.equal(result.provider, 'mock');
+    assert.equal(result.message.content, '[codellama] Review this diff');
+    assert.equal(mock.calls.at(-1).kind, 'chat');
+  });
+
+  it('should route embeddings and vision requests to their provider', async () => {
+    const embedding = await generateEmbedding('hello');
+    const vision = await visionRequest('aW1hZ2U=', 'Describe it');
+
+    assert.equal(embedding.provider, 'mock');
+    assert.equal(embedding.embedding.length, 8);
+    assert.equal(vision.provider, 'mock');
+    assert.equal(vision.model, 'llava');
+    assert.deepEqual(mock.calls.at(-1).messages.at(-1).images, ['aW1hZ2U=']);
+  });
+
+  it('should serve the Ollama MCP tools through the task provider', async () => {
+    ollamaCalls = 0;
+    const completion = await ollamaHandlers.complete({ task_type: 'coding', prompt: 'Write a loop' });
+    const chatResult = await ollamaHandlers.chat({ task_type: 'coding', prompt: 'Review this diff', system: 'Be brief' });
+    const embedding = await ollamaHandlers.embed({ text: 'hello' });
+
+    assert.deepEqual([completion.provider, completion.completion], ['mock', '[codellama] Write a loop']);
+    assert.deepEqual([chatResult.provider, chatResult.response], ['mock', '[codellama] Review this diff']);
+    assert.deepEqual([embedding.provider, embedding.dimension], ['mock', 8]);
+    assert.equal(ollamaCalls, 0);
+  });
+
+  it('should keep task types without a provider on Ollama', async () => {
+    ollamaCalls = 0;
+    const result = await routeRequest('chat', 'Hi');
+
+    assert.equal(getTaskProvider('chat'), 'ollama');
+    assert.equal(result.provider, 'ollama');
+    assert.equal(result.response, 'ollama llama3.3:latest');
+    assert.equal(ollamaCalls, 1);
+  });
+
+  it('should bind each Ollama provider to its own server', () => {
+    const provider = createProvider('gpu', { type: 'ollama', host: 'gpu-box', port: 11435 });
+
+    assert.equal(provider.client.config.host, 'http://gpu-box:11435');
+    assert.notEqual(provider.client, ollamaClient);
+  });
+
+  it('should reject unknown providers', () => {
+    assert.throws(() => setTaskProvider('coding', 'missing'), /Unknown model provider/);
+    assert.throws(() => createProvider('x', { type: 'grpc' }), /Unknown provider type/);
+    assert.throws(() => createProvider('x', { type: 'openai' }), /needs a base_url/);
+  });
+});
+
+describe('OpenAIProvider', () => {
+  const requests = [];
+  let server;
+  let provider;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const payload = body ? JSON.parse(body) : null;
+        requests.push({ method: req.method, url: req.url, auth: req.headers.authorization, payload });
+
+        if (req.url === '/v1/models') {
+          res.end(JSON.stringify({ data: [{ id: 'qwen2.5-coder' }] }));
+        } else if (req.url === '/v1/embeddings') {
+          res.end(JSON.stringify({ data: [{ embedding: [0.1, 0.2] }] }));
+        } else if (payload.model === 'broken') {
+          res.statusCode = 404;
+          res.end(JSON.stringify({ error: { message: 'model not found' } }));
+        } else if (payload.stream) {
+          res.setHeader('Content-Type', 'text/event-stream');
+          res.write('data: {"choices":[{"delta":{"content":"Hel"}}]}\n\n');
+          res.write('data: {"choices":[{"delta":{"content":"lo"}}],"usage":{"prompt_tokens":3,"completion_tokens":2}}\n\n');
+          res.end('data: [DONE]\n\n');
+        } else {
+          res.end(JSON.stringify({ choices: [{ message: { content: 'Hello' } }], usage: { prompt_tokens: 3, completion_tokens: 1 } }));
+        }
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    provider = new OpenAIProvider({ name: 'local', baseUrl: `http://127.0.0.1:${server.address().port}/v1/`, apiKey: 'secret' });
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should translate Ollama options and images', () => {
+    assert.deepEqual(toOpenAIOptions({ temperature: 0, num_predict: 16, num_ctx: 4096 }), { temperature: 0, max_tokens: 16 });
+    assert.deepEqual(toOpenAIOptions({ num_predict: -1 }), {});
+    assert.deepEqual(toOpenAIMessages([{ role: 'user', content: 'What is this?', images: ['aW1n'] }]), [{
+      role: 'user',
+      content: [
+        { type: 'text', text: 'What is this?' },
+        { type: 'image_url', image_url: { url: 'data:image/png;base64,aW1n' } }
+      ]
+    }]);
+  });
+
+  it('should list models with a provider digest', async () => {
+    const { models } = await provider.list();
+
+    assert.deepEqual(models, [{ name: 'qwen2.5-coder', digest: 'local/qwen2.5-coder' }]);
+    assert.equal(requests.at(-1).auth, 'Bearer secret');
+  });
+
+  it('should answer generate requests in the Ollama shape', async () => {
+    const result = await provider.generate({ model: 'qwen2.5-coder', prompt: 'Hi', system: 'Be brief', options: { num_predict: 8 } });
+
+    assert.deepEqual(result, { model: 'qwen2.5-coder', response: 'Hello', done: true, prompt_eval_count: 3, eval_count: 1 });
+    assert.deepEqual(requests.at(-1).payload.messages, [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'Hi' }]);
+    assert.equal(requests.at(-1).payload.max_tokens, 8);
+  });
+
+  it('should stream chat chunks in the Ollama shape', async () => {
+    const stream = await provider.chat({ model: 'qwen2.5-coder', messages: [{ role: 'user', content: 'Hi' }], stream: true });
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+
+    assert.deepEqual(chunks.map(chunk => chunk.message.content), ['Hel', 'lo', '']);
+    assert.equal(chunks.at(-1).done, true);
+    assert.equal(chunks.at(-1).eval_count, 2);
+  });
+
+  it('should return embeddings and surface endpoint errors', async () => {
+    assert.deepEqual(await provider.embeddings({ model: 'embed', prompt: 'text' }), { embedding: [0.1, 0.2] });
+    assert.equal(requests.at(-1).payload.input, 'text');
+
+    await assert.rejects(
+      provider.chat({ model: 'broken', messages: [] }),
+      error => error.status_code === 404 && /model not found/.test(error.message)
+    );
+  });
+});
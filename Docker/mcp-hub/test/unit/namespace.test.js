@@ -0,0 +1,263 @@
+// ============================================================
+// Unit Tests: Namespaces
+// ============================================================
+// Test namespace resolution and context, namespace-scoped Cypher
+// and namespace vault folders in the Obsidian tools
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  NamespaceError,
+  normalizeNamespace,
+  resolveNamespace,
+  runWithNamespace,
+  currentNamespace,
+  namespacePredicate,
+  namespaceVaultDir,
+  excludedVaultDirs
+} from '../../src/utils/namespace.js';
+import { entityQueries } from '../../src/services/neo4j-entities.js';
+import { relationshipQueries } from '../../src/services/neo4j-relationships.js';
+import { patternQueries } from '../../src/services/neo4j-query-builder.js';
+import { consolidationQueries } from '../../src/services/memory-consolidation.js';
+import { decayQueries } from '../../src/services/memory-decay.js';
+import { importQueries } from '../../src/services/memory-import.js';
+import { sessionQueries } from '../../src/services/session-memory.js';
+import { exportQueries, normalizeExportOptions } from '../../src/services/graph-export.js';
+
+describe('Namespace context', () => {
+  it('should normalize and validate namespaces', () => {
+    assert.equal(normalizeNamespace('  Team-A '), 'team-a');
+    assert.equal(normalizeNamespace(''), null);
+    assert.equal(normalizeNamespace(undefined), null);
+    assert.throws(() => normalizeNamespace('../etc'), NamespaceError);
+    assert.throws(() => normalizeNamespace('a b'), NamespaceError);
+  });
+
+  it('should resolve the first namespace given, falling back to the default', () => {
+    assert.equal(resolveNamespace(undefined, 'meta', 'header'), 'meta');
+    assert.equal(resolveNamespace('arg', 'meta', 'header'), 'arg');
+    assert.equal(resolveNamespace(null, '', undefined), 'default');
+  });
+
+  it('should carry the namespace through async calls', async () => {
+    assert.equal(currentNamespace(), 'default');
+
+    const seen = await runWithNamespace('project-x', async () => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      return currentNamespace();
+    });
+
+    assert.equal(seen, 'project-x');
+    assert.equal(currentNamespace(), 'default');
+  });
+
+  it('should let the default namespace own data written before namespaces', () => {
+    assert.equal(namespacePredicate('e'), '(e.namespace IS NULL OR e.namespace = $namespace)');
+    assert.equal(namespacePredicate('e', '$ns', 'team'), 'e.namespace = $ns');
+  });
+
+  it('should map namespaces to vault folders', () => {
+    assert.equal(namespaceVaultDir('default'), '');
+    assert.equal(namespaceVaultDir('team'), 'namespaces/team');
+    assert.deepEqual(excludedVaultDirs('default'), ['namespaces']);
+    assert.deepEqual(excludedVaultDirs('team'), []);
+  });
+});
+
+describe('Namespace-scoped queries', () => {
+  it('should write and filter entities in the current namespace', () => {
+    runWithNamespace('team', () => {
+      const created = entityQueries.create('Task', { id: 't1' }).build();
+      assert.equal(created.cypher, 'CREATE (e:Task {id: $e_id, namespace: $e_namespace})\nRETURN e');
+      assert.equal(created.params.e_namespace, 'team');
+
+      const found = entityQueries.find('Task', { status: 'open' }).build();
+      assert.match(found.cypher, /WHERE e\.namespace = \$namespace AND e\.status = \$e_status/);
+      assert.equal(found.params.namespace, 'team');
+    });
+  });
+
+  it('should not move entities or relationships to another namespace on update', () => {
+    runWithNamespace('team', () => {
+      const entity = entityQueries.update('Task', 't1', { status: 'done', namespace: 'other' }).build();
+      assert.doesNotMatch(entity.cypher, /SET .*e\.namespace/);
+      assert.equal(entity.params.namespace, 'team');
+      assert.equal(entity.params.e_status, 'done');
+
+      const relationship = relationshipQueries.update('Task', 'a', 'DEPENDS_ON', 'Task', 'b', { namespace: 'other' }).build();
+      assert.doesNotMatch(relationship.cypher, /r\.namespace =/);
+      assert.ok(!Object.values(relationship.params).includes('other'));
+    });
+  });
+
+  it('should keep relationships and paths inside the namespace', () => {
+    runWithNamespace('team', () => {
+      const created = relationshipQueries.create('Task', 'a', 'DEPENDS_ON', 'Task', 'b').build();
+      assert.match(created.cypher, /MATCH \(from:Task \{id: \$from_id\}\)\nWHERE from\.namespace = \$namespace/);
+      assert.match(created.cypher, /MATCH \(to:Task \{id: \$to_id\}\)\nWHERE to\.namespace = \$namespace/);
+      assert.match(created.cypher, /r\.namespace = \$namespace/);
+
+      const { cypher, params } = relationshipQueries.shortestPath('Task', 'a', 'Task', 'b').build();
+      assert.match(cypher, /WHERE all\(n IN nodes\(path\) WHERE n\.namespace = \$namespace\)/);
+      assert.equal(Object.keys(params).filter(name => name.startsWith('namespace')).length, 1);
+    });
+  });
+
+  it('should keep pattern queries and the nodes along their paths inside the namespace', () => {
+    runWithNamespace('team', () => {
+      for (const query of [
+        patternQueries.connected('Task', 't1', 3),
+        patternQueries.shortestPath('Task', 'a', 'Task', 'b'),
+        patternQueries.allPaths('Task', 'a', 'Task', 'b'),
+        patternQueries.subgraph('Task', 't1')
+      ]) {
+        const { cypher, params } = query.build();
+        assert.match(cypher, /^MATCH path = .*\nWHERE all\(n IN nodes\(path\) WHERE n\.namespace = \$namespace\)/);
+        assert.equal(params.namespace, 'team');
+      }
+
+      const neighbors = patternQueries.commonNeighbors('Task', 'a', 'Task', 'b', 'Bug').build();
+      assert.match(neighbors.cypher, /WHERE e1\.namespace = \$namespace AND neighbor\.namespace = \$namespace AND e2\.namespace = \$namespace/);
+
+      const stats = patternQueries.relationshipStats('Task', 't1').build();
+      assert.match(stats.cypher, /WHERE e\.namespace = \$namespace AND other\.namespace = \$namespace/);
+
+      const search = patternQueries.searchByText('Task', 'deploy').build();
+      assert.match(search.cypher, /CONTAINS toLower\(\$search\)\) AND e\.namespace = \$namespace/);
+      assert.equal(search.params.namespace, 'team');
+    });
+  });
+
+  it('should only consolidate and forget memories of the current namespace', () => {
+    runWithNamespace('team', () => {
+      const plan = { survivor: { id: 'm1' }, duplicates: [{ id: 'm2' }], importance: 0.5, tags: [] };
+      const merged = consolidationQueries.merge(plan).build();
+      assert.match(merged.cypher, /MATCH \(s:Memory \{id: \$s_id\}\)\nWHERE s\.namespace = \$namespace/);
+      assert.match(merged.cypher, /MATCH \(d:Memory \{id: duplicateId\}\)\nWHERE d\.namespace = \$namespace/);
+      assert.equal(merged.params.namespace, 'team');
+
+      for (const query of [
+        consolidationQueries.candidates(),
+        decayQueries.faded(),
+        decayQueries.reinforce(['m1']),
+        decayQueries.reinforceLinked(['Neo4j']),
+        decayQueries.archive([{ id: 'm1', path: 'archive/m1.md', importance: 0 }])
+      ]) {
+        const { cypher, params } = query.build();
+        assert.match(cypher, /m\.namespace = \$namespace/);
+        assert.equal(params.namespace, 'team');
+      }
+    });
+  });
+
+  it('should only match stored hashes and tags of the current namespace on import', () => {
+    runWithNamespace('team', () => {
+      const hashes = importQueries.existingHashes(['h1']).build();
+      assert.match(hashes.cypher, /WHERE m\.contentHash IN \$hashes AND m\.namespace = \$namespace/);
+
+      const tags = importQueries.claimTags(['infra']).build();
+      assert.match(tags.cypher, /WHERE t\.name IN \$names AND t\.namespace = \$namespace/);
+      assert.equal(tags.params.namespace, 'team');
+    });
+  });
+
+  it('should keep sessions and turns inside the namespace', () => {
+    runWithNamespace('team', () => {
+      const started = sessionQueries.start({ id: 's1' }).build();
+      assert.equal(started.params.s_namespace, 'team');
+
+      const turn = sessionQueries.appendTurn('s1', { role: 'user', content: 'hi', createdAt: 'now' }).build();
+      assert.match(turn.cypher, /s\.namespace = \$namespace/);
+      assert.match(turn.cypher, /namespace: \$namespace\}\)/);
+
+      for (const query of [sessionQueries.get('s1'), sessionQueries.end('s1', 'now'), sessionQueries.context()]) {
+        assert.match(query.build().cypher, /WHERE .*s\.namespace = \$namespace/);
+      }
+    });
+  });
+
+  it('should export only the requested namespace', () => {
+    const filters = runWithNamespace('team', () => normalizeExportOptions());
+    assert.equal(filters.namespace, 'team');
+    assert.equal(normalizeExportOptions({ namespace: 'other' }).namespace, 'other');
+
+    const { cypher, params } = exportQueries.nodes(filters).build();
+    assert.match(cypher, /n\.namespace = \$namespace/);
+    assert.equal(params.namespace, 'team');
+  });
+});
+
+describe('Namespace vault folders', () => {
+  let root;
+  let obsidianHandlers;
+  let hubComposer;
+
+  before(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'namespace-vault-'));
+    process.env.OBSIDIAN_VAULT = root;
+    process.env.OBSIDIAN_INDEX_PATH = path.join(root, '.index.json');
+    ({ default: obsidianHandlers } = await import('../../src/mcp/tools/obsidian-tools.js'));
+    hubComposer = await import('../../src/mcp/hub-composer.js');
+  });
+
+  after(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('should offer a namespace argument on built-in tools', () => {
+    const hub = hubComposer.createHubComposer({ servers: {} });
+    const { inputSchema } = hub.getTool('create_entity');
+
+    assert.deepEqual(inputSchema.properties.namespace, hubComposer.namespaceArgument);
+    assert.deepEqual(inputSchema.required, ['label', 'name']);
+  });
+
+  it('should write notes under the namespace folder', async () => {
+    const result = await runWithNamespace('team', () => obsidianHandlers.write_note({
+      filename: 'plans/roadmap',
+      content: 'Team wombat roadmap'
+    }));
+
+    assert.equal(result.path, path.join(root, 'namespaces/team/plans/roadmap.md'));
+    await obsidianHandlers.write_note({ filename: 'personal', content: 'Personal wombat notes' });
+    assert.ok(await fs.stat(path.join(root, 'personal.md')));
+  });
+
+  it('should only read, list and search notes of the current namespace', async () => {
+    await assert.rejects(() => obsidianHandlers.read_note({ filename: 'plans/roadmap' }), /Note not found/);
+
+    const note = await runWithNamespace('team', () => obsidianHandlers.read_note({ filename: 'plans/roadmap' }));
+    assert.equal(note.content, 'Team wombat roadmap');
+
+    const teamSearch = await runWithNamespace('team', () => obsidianHandlers.search_notes({ query: 'wombat' }));
+    assert.deepEqual(teamSearch.results.map(r => r.path), ['plans/roadmap.md']);
+
+    const defaultSearch = await obsidianHandlers.search_notes({ query: 'wombat' });
+    assert.deepEqual(defaultSearch.results.map(r => r.path), ['personal.md']);
+
+    const listed = await runWithNamespace('team', () => obsidianHandlers.list_notes({}));
+    assert.deepEqual(listed.notes.map(n => n.path), ['plans/roadmap.md']);
+  });
+
+  it('should refuse paths that leave the namespace folder', async () => {
+    await runWithNamespace('team', async () => {
+      await assert.rejects(() => obsidianHandlers.read_note({ filename: '../other/secret' }), /escapes the namespace folder/);
+      await assert.rejects(() => obsidianHandlers.list_notes({ directory: '../other' }), /escapes the namespace folder/);
+    });
+  });
+
+  it('should keep the default namespace out of other namespaces folders', async () => {
+    for (const handler of ['read_note', 'delete_note']) {
+      await assert.rejects(() => obsidianHandlers[handler]({ filename: 'namespaces/team/plan.md' }), /escapes the namespace folder/);
+    }
+    await assert.rejects(
+      () => obsidianHandlers.write_note({ filename: 'namespaces/team/plan.md', content: 'overwritten' }),
+      /escapes the namespace folder/
+    );
+    await assert.rejects(() => obsidianHandlers.list_notes({ directory: 'namespaces/team' }), /escapes the namespace folder/);
+  });
+});
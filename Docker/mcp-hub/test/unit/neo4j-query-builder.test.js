@@ -0,0 +1,241 @@
+// ============================================================
+// Unit Tests: Neo4j Query Builder
+// ============================================================
+// Test clause ordering, write clauses, UNWIND, subqueries, UNION and
+// parameter naming, and the queries built by the entity and
+// relationship services (no database required)
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CypherQueryBuilder } from '../../src/services/neo4j-query-builder.js';
+import { entityQueries } from '../../src/services/neo4j-entities.js';
+import { relationshipQueries } from '../../src/services/neo4j-relationships.js';
+import { CypherSafetyError } from '../../src/utils/cypher-safety.js';
+
+describe('CypherQueryBuilder', () => {
+  describe('reading', () => {
+    it('should emit clauses in the order they are added', () => {
+      const qb = new CypherQueryBuilder();
+      const { cypher } = qb
+        .match('(a:Task)')
+        .optionalMatch('(a)-[:HAS_SUBTASK]->(s)')
+        .with('a, count(s) as subtasks')
+        .return('a, subtasks')
+        .orderBy('subtasks DESC')
+        .build();
+
+      assert.equal(cypher, [
+        'MATCH (a:Task)',
+        'OPTIONAL MATCH (a)-[:HAS_SUBTASK]->(s)',
+        'WITH a, count(s) as subtasks',
+        'RETURN a, subtasks',
+        'ORDER BY subtasks DESC'
+      ].join('\n'));
+    });
+
+    it('should attach WHERE to the latest MATCH or WITH', () => {
+      const qb = new CypherQueryBuilder();
+      const { cypher } = qb
+        .match('(a:Task)')
+        .where('a.status = "pending"')
+        .where('a.priority = "high"')
+        .with('a')
+        .where('a.progress > 0')
+        .return('a')
+        .build();
+
+      assert.equal(cypher, [
+        'MATCH (a:Task)',
+        'WHERE a.status = "pending" AND a.priority = "high"',
+        'WITH a',
+        'WHERE a.progress > 0',
+        'RETURN a'
+      ].join('\n'));
+
+      assert.throws(() => new CypherQueryBuilder().create('(n)').where('n.x = 1'), /WHERE must follow/);
+    });
+  });
+
+  describe('writing', () => {
+    it('should build MERGE with ON CREATE SET and ON MATCH SET', () => {
+      const qb = new CypherQueryBuilder();
+      const { cypher, params } = qb
+        .merge(qb.node('t', 'Tag', { name: 'infra' }))
+        .onCreateSet('t.created_at = datetime()', qb.assignments('t', { color: 'blue' }))
+        .onMatchSet('t.seen = t.seen + 1')
+        .return('t')
+        .build();
+
+      assert.equal(cypher, [
+        'MERGE (t:Tag {name: $t_name})',
+        'ON CREATE SET t.created_at = datetime(), t.color = $t_color',
+        'ON MATCH SET t.seen = t.seen + 1',
+        'RETURN t'
+      ].join('\n'));
+      assert.deepEqual(params, { t_name: 'infra', t_color: 'blue' });
+    });
+
+    it('should build SET, REMOVE and DETACH DELETE', () => {
+      const qb = new CypherQueryBuilder();
+      const { cypher } = qb
+        .match(qb.node('n', 'Memory', { id: 'm1' }))
+        .set(qb.assignments('n', { content: 'x', skipped: undefined }))
+        .remove(qb.property('n', 'embedding'), 'n:Stale')
+        .detachDelete('n')
+        .build();
+
+      assert.equal(cypher, [
+        'MATCH (n:Memory {id: $n_id})',
+        'SET n.content = $n_content',
+        'REMOVE n.embedding, n:Stale',
+        'DETACH DELETE n'
+      ].join('\n'));
+    });
+
+    it('should reject unsafe names in fragments', () => {
+      const qb = new CypherQueryBuilder();
+
+      assert.throws(() => qb.node('n', 'Task) DETACH DELETE (x'), CypherSafetyError);
+      assert.throws(() => qb.relationship('r', 'REL]->() DELETE x //'), CypherSafetyError);
+      assert.throws(() => qb.assignments('n', { 'name = 1, n.admin': true }), CypherSafetyError);
+      assert.throws(() => qb.unwind('$ids', 'id) DELETE (x'), CypherSafetyError);
+    });
+  });
+
+  describe('composition', () => {
+    it('should build UNWIND over a parameter', () => {
+      const qb = new CypherQueryBuilder();
+      const { cypher, params } = qb
+        .unwind(qb.addParam([1, 2], 'ids'), 'id')
+        .match('(n {id: id})')
+        .return('n')
+        .build();
+
+      assert.equal(cypher, 'UNWIND $ids AS id\nMATCH (n {id: id})\nRETURN n');
+      assert.deepEqual(params, { ids: [1, 2] });
+    });
+
+    it('should build CALL subqueries that share parameters', () => {
+      const qb = new CypherQueryBuilder();
+      qb.match(qb.node('p', 'Project', { id: 'p1' }))
+        .call(inner => inner
+          .with('p')
+          .match(`(p)-${inner.relationship(null, 'HAS_TASK')}->${inner.node('t', 'Task', { status: 'pending' })}`)
+          .return('count(t) as pending'))
+        .return('p, pending');
+
+      const { cypher, params } = qb.build();
+
+      assert.equal(cypher, [
+        'MATCH (p:Project {id: $p_id})',
+        'CALL {',
+        '  WITH p',
+        '  MATCH (p)-[:HAS_TASK]->(t:Task {status: $t_status})',
+        '  RETURN count(t) as pending',
+        '}',
+        'RETURN p, pending'
+      ].join('\n'));
+      assert.deepEqual(params, { p_id: 'p1', t_status: 'pending' });
+    });
+
+    it('should join UNION branches without parameter collisions', () => {
+      const qb = new CypherQueryBuilder();
+      qb.match(qb.node('n', 'Task', { id: 'a' })).return('n.id as id')
+        .union(other => other.match(other.node('n', 'Bug', { id: 'b' })).return('n.id as id'), { all: true })
+        .union(other => other.match(other.node('n', 'Memory', { id: 'c' })).return('n.id as id'));
+
+      const { cypher, params } = qb.build();
+
+      assert.equal(cypher, [
+        'MATCH (n:Task {id: $n_id})',
+        'RETURN n.id as id',
+        'UNION ALL',
+        'MATCH (n:Bug {id: $n_id_0})',
+        'RETURN n.id as id',
+        'UNION',
+        'MATCH (n:Memory {id: $n_id_1})',
+        'RETURN n.id as id'
+      ].join('\n'));
+      assert.deepEqual(params, { n_id: 'a', n_id_0: 'b', n_id_1: 'c' });
+    });
+
+    it('should number unnamed parameters', () => {
+      const qb = new CypherQueryBuilder();
+
+      assert.equal(qb.addParam('x'), '$param0');
+      assert.equal(qb.addParam('y'), '$param1');
+      assert.throws(() => qb.addParam('z', 'bad name'), CypherSafetyError);
+    });
+  });
+});
+
+describe('Service queries', () => {
+  it('should parameterize entity properties', () => {
+    const { cypher, params } = entityQueries.update('Task', 't1', { status: 'completed' }).build();
+
+    assert.equal(cypher, [
+      'MATCH (e:Task {id: $e_id})',
+      'WHERE (e.namespace IS NULL OR e.namespace = $namespace)',
+      'SET e.status = $e_status, e.updated_at = datetime()',
+      'RETURN e'
+    ].join('\n'));
+    assert.deepEqual(params, { e_id: 't1', namespace: 'default', e_status: 'completed' });
+  });
+
+  it('should create entities in batch with UNWIND', () => {
+    const entities = [{ id: 'a' }, { id: 'b' }];
+    const { cypher, params } = entityQueries.createMany('Tag', entities).build();
+
+    assert.equal(cypher, 'UNWIND $entities AS entity\nCREATE (e:Tag)\nSET e = entity, e.namespace = $namespace\nRETURN e');
+    assert.deepEqual(params, { entities, namespace: 'default' });
+  });
+
+  it('should reject unsafe labels and filter keys', () => {
+    assert.throws(() => entityQueries.getById('Task) DETACH DELETE (e', 't1'), CypherSafetyError);
+    assert.throws(() => entityQueries.find('Task', { 'id = 1 OR true //': 'x' }), CypherSafetyError);
+  });
+
+  it('should build relationship queries by direction', () => {
+    assert.equal(
+      relationshipQueries.getForEntity('Task', 't1', 'incoming', 'HAS_SUBTASK').build().cypher,
+      [
+        'MATCH (e:Task {id: $e_id})<-[r:HAS_SUBTASK]-(other)',
+        'WHERE (e.namespace IS NULL OR e.namespace = $namespace) AND (other.namespace IS NULL OR other.namespace = $namespace)',
+        'RETURN r, other, labels(other) as otherLabels'
+      ].join('\n')
+    );
+    assert.equal(
+      relationshipQueries.count('Task', 't1').build().cypher,
+      [
+        'MATCH (e:Task {id: $e_id})-[r]-(other)',
+        'WHERE (e.namespace IS NULL OR e.namespace = $namespace) AND (other.namespace IS NULL OR other.namespace = $namespace)',
+        'RETURN count(r) as count'
+      ].join('\n')
+    );
+  });
+
+  it('should create relationships in batch with one UNWIND branch per type', () => {
+    const { cypher, params } = relationshipQueries.createMany([
+      { fromLabel: 'Task', fromId: 't1', type: 'HAS_SUBTASK', toLabel: 'Task', toId: 't2' },
+      { fromLabel: 'Memory', fromId: 'm1', type: 'TAGGED_WITH', toLabel: 'Tag', toId: 'g1', properties: { weight: 1 } },
+      { fromLabel: 'Task', fromId: 't1', type: 'HAS_SUBTASK', toLabel: 'Task', toId: 't3' }
+    ]).build();
+
+    const branches = cypher.split('\nUNION ALL\n');
+    assert.equal(branches.length, 2);
+    assert.match(branches[0], /^UNWIND \$relationships AS rel\n/);
+    assert.match(branches[0], /CREATE \(from\)-\[r:HAS_SUBTASK\]->\(to\)/);
+    assert.match(branches[1], /^UNWIND \$relationships_\d+ AS rel\n/);
+    assert.match(branches[1], /CREATE \(from\)-\[r:TAGGED_WITH\]->\(to\)/);
+
+    assert.equal(params.relationships.length, 2);
+    assert.equal(params.namespace, 'default');
+    const [tagged] = Object.entries(params).find(([name]) => name.startsWith('relationships_'));
+    assert.deepEqual(params[tagged][0].properties, { weight: 1 });
+  });
+
+  it('should validate shortest path depth', () => {
+    assert.match(relationshipQueries.shortestPath('Task', 'a', 'Task', 'b', 3).build().cypher, /\[\*1\.\.3\]/);
+    assert.throws(() => relationshipQueries.shortestPath('Task', 'a', 'Task', 'b', '3]-(x) DELETE x //'), CypherSafetyError);
+  });
+});
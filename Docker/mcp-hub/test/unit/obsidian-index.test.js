@@ -0,0 +1,172 @@
+// ============================================================
+// Unit Tests: Obsidian Vault Index
+// ============================================================
+// Test BM25 search, phrase and tag filters, incremental updates
+// and persisted index state against a temporary vault
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+let root;
+let vaultPath;
+let VaultIndex;
+let parseQuery;
+let obsidianTools;
+
+const notes = {
+  'graph.md': '---\ntags:\n  - databases\n  - project/hub\n---\n# Graph\nNeo4j stores the knowledge graph. The graph is queried with Cypher.',
+  'vectors.md': '---\ntags: [databases]\n---\nVector search complements the knowledge graph with embeddings.',
+  'journal/2026-01-01.md': 'Met the team. Discussed the graph schema #meeting',
+  '.obsidian/workspace.md': 'graph graph graph'
+};
+
+async function writeNote(relPath, content) {
+  const filePath = path.join(vaultPath, relPath);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, content, 'utf-8');
+}
+
+const createIndex = () => new VaultIndex({
+  vaultPath,
+  indexPath: path.join(root, 'index.json'),
+  saveDelay: 10,
+  watchDebounce: 20
+});
+
+describe('VaultIndex', () => {
+  before(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'vault-index-'));
+    vaultPath = path.join(root, 'vault');
+    for (const [relPath, content] of Object.entries(notes)) {
+      await writeNote(relPath, content);
+    }
+
+    process.env.OBSIDIAN_VAULT = vaultPath;
+    process.env.OBSIDIAN_INDEX_PATH = path.join(root, 'shared-index.json');
+    ({ VaultIndex, parseQuery } = await import('../../src/services/obsidian-index.js'));
+    ({ obsidianTools } = await import('../../src/mcp/tools/obsidian-tools.js'));
+  });
+
+  after(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('should parse phrases and tag filters out of queries', () => {
+    assert.deepEqual(parseQuery('"knowledge graph" cypher tag:Databases #project/hub'), {
+      terms: ['cypher'],
+      phrases: [['knowledge', 'graph']],
+      tags: ['databases', 'project/hub']
+    });
+  });
+
+  it('should rank notes by BM25 and skip hidden folders', async () => {
+    const index = await createIndex().build();
+    const { results } = index.search('graph');
+
+    assert.equal(results.length, 3);
+    assert.equal(results[0].path, 'graph.md');
+    assert.ok(results[0].score > results[1].score);
+  });
+
+  it('should require every term by default and rank any term when asked', async () => {
+    const index = await createIndex().build();
+
+    assert.deepEqual(index.search('graph embeddings').results.map(r => r.path), ['vectors.md']);
+    assert.equal(index.search('graph embeddings', { match: 'any' }).total, 3);
+  });
+
+  it('should filter by phrase', async () => {
+    const index = await createIndex().build();
+    const { results } = index.search('"graph schema"');
+
+    assert.deepEqual(results.map(r => r.path), ['journal/2026-01-01.md']);
+  });
+
+  it('should filter by frontmatter, inline and nested tags', async () => {
+    const index = await createIndex().build();
+
+    assert.equal(index.search('#databases').total, 2);
+    assert.deepEqual(index.search('graph', { tags: ['meeting'] }).results.map(r => r.path), ['journal/2026-01-01.md']);
+    assert.deepEqual(index.search('tag:project').results.map(r => r.path), ['graph.md']);
+  });
+
+  it('should list notes by directory and tag', async () => {
+    const index = await createIndex().build();
+
+    assert.equal(index.list().total, 3);
+    assert.deepEqual(index.list({ directory: 'journal' }).notes.map(n => n.path), ['journal/2026-01-01.md']);
+    assert.equal(index.list({ recursive: false }).total, 2);
+    assert.equal(index.list({ tag: 'databases' }).total, 2);
+  });
+
+  it('should reindex only changed files from persisted state', async () => {
+    const first = await createIndex().build();
+    await first.save();
+
+    await writeNote('vectors.md', 'Rewritten about pgvector');
+
+    const second = createIndex();
+    let reindexed = 0;
+    const indexFile = second.indexFile.bind(second);
+    second.indexFile = async (...args) => {
+      reindexed++;
+      return indexFile(...args);
+    };
+
+    await second.build();
+    assert.equal(reindexed, 1);
+    assert.equal(second.search('pgvector').total, 1);
+    assert.equal(second.search('embeddings').total, 0);
+    await second.close();
+  });
+
+  it('should refresh modified and deleted paths', async () => {
+    const index = await createIndex().build();
+
+    await writeNote('journal/2026-01-02.md', 'Standup about retrieval');
+    await index.refreshPath('journal/2026-01-02.md');
+    assert.equal(index.search('retrieval').total, 1);
+
+    await fs.rm(path.join(vaultPath, 'journal'), { recursive: true });
+    await index.refreshPath('journal');
+    assert.equal(index.list({ directory: 'journal' }).total, 0);
+    await index.close();
+  });
+
+  it('should pick up changes through the file watcher', async () => {
+    const index = await createIndex().build();
+    index.watch();
+
+    await writeNote('watched.md', 'Zeppelin notes');
+
+    let found = 0;
+    for (let i = 0; i < 40 && found === 0; i++) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+      found = index.search('zeppelin').total;
+    }
+
+    await index.close();
+    assert.equal(found, 1);
+  });
+
+  it('should keep the index in sync with tool writes', async () => {
+    const { search_notes, write_note, delete_note, list_notes } = obsidianTools;
+
+    await write_note.handler({ filename: 'tools/new-note', content: 'Quokka sightings', frontmatter: { tags: ['animals'] } });
+    let result = await search_notes.handler({ query: 'quokka', include_content: true });
+    assert.equal(result.count, 1);
+    assert.equal(result.results[0].snippets[0].text, 'Quokka sightings');
+
+    result = await search_notes.handler({ query: 'quokka', case_sensitive: true });
+    assert.equal(result.count, 0);
+
+    assert.equal((await list_notes.handler({ tag: 'animals' })).count, 1);
+
+    await delete_note.handler({ filename: 'tools/new-note' });
+    result = await search_notes.handler({ query: 'quokka' });
+    assert.equal(result.count, 0);
+  });
+});
@@ -0,0 +1,148 @@
+// ============================================================
+// Unit Tests: Obsidian Link Graph
+// ============================================================
+// Test wikilink parsing, Obsidian-style resolution and the backlink,
+// orphan and broken-link tools against a temporary vault
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseLinks, createLinkResolver } from '../../src/services/obsidian-links.js';
+import { VaultIndex, getVaultIndex } from '../../src/services/obsidian-index.js';
+import { ObsidianMemoryServer } from '../../src/mcp/servers/obsidian-memory-server.js';
+import { runWithNamespace } from '../../src/utils/namespace.js';
+
+let root;
+let server;
+
+const notes = {
+  'Home.md': '# Home\nStart at [[Projects/Roadmap|the roadmap]] and [[Ideas]].\n![[diagram.png]]',
+  'Projects/Roadmap.md': '---\naliases:\n  - Plan\n---\nSee [[Ideas#Later]] and [[Missing Note]].',
+  'Projects/Ideas.md': 'Project ideas, linked from [[Plan]].',
+  'Ideas.md': 'Top-level ideas. Self link [[#Top]].',
+  'Archive/Lonely.md': 'Nothing links here.\n```\n[[Roadmap]]\n```',
+  'Archive/Old.md': 'Still points at [[Home]] and `[[Ghost]]`.',
+  'diagram.png': 'png'
+};
+
+const call = (name, args = {}) => server.tools.get(name).handler(args);
+
+describe('Obsidian links', () => {
+  before(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'vault-links-'));
+    for (const [relPath, content] of Object.entries(notes)) {
+      const filePath = path.join(root, relPath);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, content, 'utf-8');
+    }
+
+    server = new ObsidianMemoryServer({
+      vaultPath: root,
+      index: new VaultIndex({ vaultPath: root, indexPath: null })
+    });
+  });
+
+  after(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('should parse targets, headings, aliases and embeds', () => {
+    const links = parseLinks('---\nrelated: "[[Hidden]]"\n---\nSee [[Note#Part|label]] and ![[img.png]]\n`[[Code]]`');
+
+    assert.deepEqual(links.map(({ target, heading, alias, embed, line }) => ({ target, heading, alias, embed, line })), [
+      { target: 'Note', heading: 'Part', alias: 'label', embed: false, line: 4 },
+      { target: 'img.png', heading: null, alias: null, embed: true, line: 4 }
+    ]);
+  });
+
+  it('should resolve links by path, alias and nearest folder', () => {
+    const resolve = createLinkResolver([
+      { path: 'Ideas.md' },
+      { path: 'Projects/Ideas.md' },
+      { path: 'Projects/Roadmap.md', aliases: ['Plan'] }
+    ], ['diagram.png']);
+
+    assert.equal(resolve('Ideas', 'Home.md'), 'Ideas.md');
+    assert.equal(resolve('Ideas', 'Projects/Roadmap.md'), 'Projects/Ideas.md');
+    assert.equal(resolve('projects/ideas.md'), 'Projects/Ideas.md');
+    assert.equal(resolve('plan'), 'Projects/Roadmap.md');
+    assert.equal(resolve('diagram.png'), 'diagram.png');
+    assert.equal(resolve('Nowhere'), null);
+  });
+
+  it('should list backlinks with their context', async () => {
+    const result = await call('get_backlinks', { note: 'Roadmap' });
+
+    assert.equal(result.success, true);
+    assert.equal(result.note, 'Projects/Roadmap.md');
+    assert.deepEqual(result.backlinks.map(l => l.source), ['Home.md', 'Projects/Ideas.md']);
+    assert.equal(result.backlinks[0].alias, 'the roadmap');
+  });
+
+  it('should resolve outgoing links relative to the linking note', async () => {
+    const result = await call('get_outgoing_links', { note: 'Projects/Roadmap' });
+
+    assert.deepEqual(result.links.map(l => [l.target, l.resolved, l.broken]), [
+      ['Ideas', 'Projects/Ideas.md', false],
+      ['Missing Note', null, true]
+    ]);
+  });
+
+  it('should report an unknown note', async () => {
+    const result = await call('get_backlinks', { note: 'Nope' });
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /Note not found/);
+  });
+
+  it('should find orphan notes, ignoring self links and code blocks', async () => {
+    const orphans = await call('find_orphan_notes');
+    assert.deepEqual(orphans.notes, ['Archive/Lonely.md', 'Archive/Old.md']);
+
+    const isolated = await call('find_orphan_notes', { isolatedOnly: true });
+    assert.deepEqual(isolated.notes, ['Archive/Lonely.md']);
+  });
+
+  it('should find broken links and pick up vault changes', async () => {
+    let result = await call('find_broken_links');
+    assert.deepEqual(result.links.map(l => [l.source, l.target]), [['Projects/Roadmap.md', 'Missing Note']]);
+
+    await fs.writeFile(path.join(root, 'Missing Note.md'), 'Now it exists.', 'utf-8');
+    result = await call('find_broken_links');
+    assert.equal(result.total, 0);
+
+    const backlinks = await call('get_backlinks', { note: 'Missing Note' });
+    assert.deepEqual(backlinks.backlinks.map(l => l.source), ['Projects/Roadmap.md']);
+  });
+
+  it('should only follow links between notes of the current namespace', async () => {
+    await fs.mkdir(path.join(root, 'namespaces/team-a'), { recursive: true });
+    await fs.mkdir(path.join(root, 'namespaces/team-b'), { recursive: true });
+    await fs.writeFile(path.join(root, 'namespaces/team-a/Plan.md'), 'Team A plan, see [[Roadmap]].', 'utf-8');
+    await fs.writeFile(path.join(root, 'namespaces/team-b/secret.md'), 'Secret notes on the [[Plan]].', 'utf-8');
+
+    await runWithNamespace('team-a', async () => {
+      const backlinks = await call('get_backlinks', { note: 'Plan' });
+      assert.equal(backlinks.note, 'namespaces/team-a/Plan.md');
+      assert.deepEqual(backlinks.backlinks, []);
+
+      const outgoing = await call('get_outgoing_links', { note: 'Plan' });
+      assert.deepEqual(outgoing.links.map(l => [l.target, l.resolved]), [['Roadmap', null]]);
+
+      assert.deepEqual((await call('find_orphan_notes')).notes, ['namespaces/team-a/Plan.md']);
+      assert.deepEqual((await call('find_broken_links')).links.map(l => l.source), ['namespaces/team-a/Plan.md']);
+    });
+
+    const defaultBacklinks = await call('get_backlinks', { note: 'Plan' });
+    assert.equal(defaultBacklinks.note, 'Projects/Roadmap.md');
+    assert.ok(defaultBacklinks.backlinks.every(l => !l.source.startsWith('namespaces/')));
+    assert.ok((await call('find_orphan_notes')).notes.every(note => !note.startsWith('namespaces/')));
+  });
+
+  it('should share the hub vault index unless given a vault', () => {
+    assert.equal(new ObsidianMemoryServer().linkIndex, getVaultIndex());
+    assert.equal(new ObsidianMemoryServer({ vaultPath: root }).linkIndex.vaultPath, root);
+  });
+});
@@ -0,0 +1,122 @@
+// ============================================================
+// Unit Tests: Ollama Streaming
+// ============================================================
+// Test token collection and cancellation, NDJSON parsing across
+// chunks, MCP progress reporting and SSE chat request bodies
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { collectStream, StreamAbortedError } from '../../src/services/ollama-router.js';
+import { createToolContext } from '../../src/mcp/server-factory.js';
+import { chatMessages } from '../../src/routes/ollama.js';
+
+/**
+ * Stand-in for the ollama client's AbortableAsyncIterator
+ */
+function fakeStream(parts, { waitForAbort = false } = {}) {
+  let aborted = false;
+  let release = () => {};
+
+  return {
+    get aborted() {
+      return aborted;
+    },
+    abort() {
+      aborted = true;
+      release();
+    },
+    async *[Symbol.asyncIterator]() {
+      for (const part of parts) {
+        if (aborted) {
+          throw new Error('AbortError');
+        }
+        yield part;
+      }
+      if (waitForAbort) {
+        await new Promise(resolve => { release = resolve; });
+        throw new Error('AbortError');
+      }
+    }
+  };
+}
+
+describe('collectStream', () => {
+  it('should pass tokens on and return the full chat message', async () => {
+    const tokens = [];
+    const result = await collectStream(fakeStream([
+      { model: 'llama', message: { role: 'assistant', content: 'Hel' }, done: false },
+      { model: 'llama', message: { role: 'assistant', content: 'lo' }, done: false },
+      { model: 'llama', message: { role: 'assistant', content: '' }, done: true, eval_count: 2 }
+    ]), { onToken: token => tokens.push(token) });
+
+    assert.deepEqual(tokens, ['Hel', 'lo']);
+    assert.equal(result.message.content, 'Hello');
+    assert.equal(result.done, true);
+    assert.equal(result.eval_count, 2);
+    assert.equal(result.tokens, 2);
+  });
+
+  it('should join generate responses', async () => {
+    const result = await collectStream(fakeStream([
+      { response: 'a' }, { response: 'b' }, { response: '', done: true }
+    ]));
+
+    assert.equal(result.response, 'ab');
+    assert.equal(result.message, undefined);
+  });
+
+  it('should abort the Ollama request when the signal is aborted', async () => {
+    const controller = new AbortController();
+    const stream = fakeStream([{ response: 'partial' }], { waitForAbort: true });
+
+    const pending = collectStream(stream, {
+      signal: controller.signal,
+      onToken: () => setImmediate(() => controller.abort())
+    });
+
+    await assert.rejects(pending, StreamAbortedError);
+    assert.equal(stream.aborted, true);
+  });
+
+  it('should not start a stream whose signal is already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const stream = fakeStream([{ response: 'x' }]);
+
+    await assert.rejects(collectStream(stream, { signal: controller.signal }), StreamAbortedError);
+    assert.equal(stream.aborted, true);
+  });
+});
+
+describe('createToolContext', () => {
+  it('should report progress only when the client sent a progress token', async () => {
+    const sent = [];
+    const extra = { signal: new AbortController().signal, sendNotification: async n => sent.push(n) };
+
+    const context = createToolContext({ params: { name: 'ollama_chat', _meta: { progressToken: 'p1' } } }, extra);
+    await context.reportProgress('Hel');
+    await context.reportProgress('lo');
+
+    assert.equal(context.signal, extra.signal);
+    assert.deepEqual(sent.map(n => n.params), [
+      { progressToken: 'p1', progress: 1, message: 'Hel' },
+      { progressToken: 'p1', progress: 2, message: 'lo' }
+    ]);
+    assert.equal(sent[0].method, 'notifications/progress');
+
+    assert.equal(createToolContext({ params: { name: 'ollama_chat' } }, extra).reportProgress, null);
+  });
+});
+
+describe('chatMessages', () => {
+  it('should build messages from a prompt and system prompt', () => {
+    assert.deepEqual(chatMessages({ prompt: 'Hi', system: 'Be brief' }), [
+      { role: 'system', content: 'Be brief' },
+      { role: 'user', content: 'Hi' }
+    ]);
+    assert.deepEqual(chatMessages({ messages: [{ role: 'user', content: 'x' }], prompt: 'ignored' }), [
+      { role: 'user', content: 'x' }
+    ]);
+    assert.equal(chatMessages({}), null);
+  });
+});
@@ -0,0 +1,186 @@
+// ============================================================
+// Unit Tests: PRD Parsing
+// ============================================================
+// Test model output validation, plan building and the parse_prd tool
+// with a mocked model response
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parsePrdResponse,
+  buildTaskPlan,
+  persistTaskPlan,
+  PrdValidationError
+} from '../../src/services/prd-parser.js';
+import { TaskMasterServer } from '../../src/mcp/servers/task-master-server.js';
+
+const modelOutput = JSON.stringify({
+  tasks: [
+    {
+      key: 'T1',
+      title: 'Design schema',
+      priority: 'high',
+      subtasks: [
+        { key: 'T1.1', title: 'Entities' },
+        { key: 'T1.2', title: 'Relationships', dependsOn: ['T1.1'] }
+      ]
+    },
+    { key: 'T2', title: 'Build API', priority: 'urgent', dependsOn: ['T1'] }
+  ]
+});
+
+/**
+ * Fake transaction that records queries and reports every node and edge as created
+ */
+function createFakeTx() {
+  const runs = [];
+  return {
+    runs,
+    async run(cypher, params) {
+      runs.push({ cypher, params });
+      const created = params.entities || params.relationships || [];
+      return { records: created.map(() => ({ get: () => ({}) })) };
+    }
+  };
+}
+
+describe('parsePrdResponse', () => {
+  it('should normalize a valid tree', () => {
+    const tree = parsePrdResponse(modelOutput);
+
+    assert.equal(tree.count, 4);
+    assert.equal(tree.tasks[0].subtasks.length, 2);
+    assert.equal(tree.tasks[1].priority, 'medium');
+  });
+
+  it('should accept JSON wrapped in code fences and prose', () => {
+    const tree = parsePrdResponse(`Here is the plan:\n\`\`\`json\n${modelOutput}\n\`\`\``);
+    assert.equal(tree.count, 4);
+  });
+
+  it('should collect all validation errors', () => {
+    const bad = JSON.stringify({
+      tasks: [
+        { key: 'A', title: '', dependsOn: ['missing'] },
+        { key: 'A', title: 'Duplicate' }
+      ]
+    });
+
+    assert.throws(() => parsePrdResponse(bad), (error) => {
+      assert.ok(error instanceof PrdValidationError);
+      assert.equal(error.errors.length, 3);
+      return true;
+    });
+  });
+
+  it('should reject dependency cycles', () => {
+    const cyclic = JSON.stringify({
+      tasks: [
+        { key: 'A', title: 'A', dependsOn: ['B'] },
+        { key: 'B', title: 'B', dependsOn: ['A'] }
+      ]
+    });
+
+    assert.throws(() => parsePrdResponse(cyclic), /dependency cycle/);
+  });
+
+  it('should reject trees deeper than the limit', () => {
+    const deep = JSON.stringify({
+      tasks: [{ title: 'a', subtasks: [{ title: 'b', subtasks: [{ title: 'c' }] }] }]
+    });
+
+    assert.throws(() => parsePrdResponse(deep, { maxDepth: 2 }), /maximum depth/);
+  });
+
+  it('should reject output without JSON', () => {
+    assert.throws(() => parsePrdResponse('I cannot help with that'), PrdValidationError);
+  });
+});
+
+describe('buildTaskPlan', () => {
+  it('should flatten tasks and resolve edges to generated IDs', () => {
+    const plan = buildTaskPlan(parsePrdResponse(modelOutput), { parentTaskId: 'root' });
+    const idOf = (key) => plan.tasks.find(t => t.source_key === key).id;
+
+    assert.equal(plan.tasks.length, 4);
+    assert.deepEqual(
+      plan.subtasks.filter(e => e.parentId === 'root').map(e => e.childId),
+      [idOf('T1'), idOf('T2')]
+    );
+    assert.deepEqual(plan.dependencies, [
+      { taskId: idOf('T1.2'), dependsOnTaskId: idOf('T1.1') },
+      { taskId: idOf('T2'), dependsOnTaskId: idOf('T1') }
+    ]);
+  });
+
+  it('should abort persistence when edges do not match', async () => {
+    const plan = buildTaskPlan(parsePrdResponse(modelOutput));
+    const tx = createFakeTx();
+    tx.run = async () => ({ records: [] });
+
+    await assert.rejects(persistTaskPlan(tx, plan), /rolled back/);
+  });
+});
+
+describe('parse_prd tool', () => {
+  const createServer = (overrides = {}) => {
+    const transactions = [];
+    const server = new TaskMasterServer({
+      modelRequest: async () => ({ model: 'mock', response: modelOutput }),
+      writeTransaction: async (fn) => {
+        const tx = createFakeTx();
+        transactions.push(tx);
+        return fn(tx);
+      },
+      readNote: async () => ({ content: '# PRD\nBuild the thing' }),
+      ...overrides
+    });
+    return { server, transactions };
+  };
+
+  it('should create the hierarchy in a single transaction', async () => {
+    const { server, transactions } = createServer();
+
+    const result = await server.tools.get('parse_prd').handler({ document: 'Build the thing' });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.created, { tasks: 4, subtasks: 2, dependencies: 2 });
+    assert.equal(result.rootTaskIds.length, 2);
+    assert.equal(transactions.length, 1);
+    assert.equal(transactions[0].runs.length, 3);
+
+    const [tasks, subtasks, dependencies] = transactions[0].runs;
+    assert.match(tasks.cypher, /CREATE \(e:Task\)\nSET e = entity, e\.namespace = \$namespace/);
+    assert.match(subtasks.cypher, /\[r:HAS_SUBTASK\]/);
+    assert.match(dependencies.cypher, /\[r:MUST_COMPLETE_BEFORE\]/);
+    assert.equal(dependencies.params.namespace, 'default');
+  });
+
+  it('should read the document from an Obsidian note', async () => {
+    let prompt;
+    const { server } = createServer({
+      modelRequest: async (taskType, text) => {
+        prompt = text;
+        return { model: 'mock', response: modelOutput };
+      }
+    });
+
+    const result = await server.tools.get('parse_prd').handler({ notePath: 'Projects/PRD', dryRun: true });
+
+    assert.equal(result.success, true);
+    assert.equal(result.taskCount, 4);
+    assert.match(prompt, /Build the thing/);
+  });
+
+  it('should return validation errors without writing', async () => {
+    const { server, transactions } = createServer({
+      modelRequest: async () => ({ model: 'mock', response: '{"tasks": []}' })
+    });
+
+    const result = await server.tools.get('parse_prd').handler({ document: 'x' });
+
+    assert.equal(result.success, false);
+    assert.ok(result.validationErrors.length > 0);
+    assert.equal(transactions.length, 0);
+  });
+});
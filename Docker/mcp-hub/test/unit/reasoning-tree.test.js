@@ -0,0 +1,130 @@
+// ============================================================
+// Unit Tests: Step Revision and Branch Merge
+// ============================================================
+// Test revision lineages, branch merging and the chain tree view
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { annotateSteps, buildLineages, renderChainTree, buildChainTree } from '../../src/services/reasoning-tree.js';
+import { SequentialThinkingServer } from '../../src/mcp/servers/sequential-thinking-server.js';
+
+const call = (server, name, args) => server.tools.get(name).handler(args);
+
+const createServer = () => new SequentialThinkingServer({ chainStore: 'memory', exportToObsidian: false });
+
+const steps = [
+  { id: 'a', step_number: 1, step_type: 'analysis', thought: 'first' },
+  { id: 'b', step_number: 2, step_type: 'analysis', thought: 'second' },
+  { id: 'a2', step_number: 3, step_type: 'analysis', thought: 'first, revised', revises: 'a' },
+  { id: 'a3', step_number: 4, step_type: 'analysis', thought: 'first, revised again', revises: 'a2' }
+];
+
+describe('Reasoning tree', () => {
+  it('should mark revised steps as superseded', () => {
+    const annotated = annotateSteps(steps);
+
+    assert.deepEqual(annotated.map(s => s.status), ['superseded', 'active', 'superseded', 'active']);
+    assert.equal(annotated[0].superseded_by, 'a2');
+  });
+
+  it('should fold revisions into lineages at the original position', () => {
+    const lineages = buildLineages(steps);
+
+    assert.deepEqual(lineages.map(l => l.active.id), ['a3', 'b']);
+    assert.deepEqual(lineages[0].superseded.map(s => s.id), ['a2', 'a']);
+  });
+
+  it('should render active and superseded thoughts', () => {
+    const rendered = renderChainTree(buildChainTree(
+      { id: 'chain-0001', prompt: 'p', status: 'in_progress', steps },
+      [{ id: 'branch-0001', status: 'completed', conclusion: 'done' }]
+    ));
+
+    assert.equal(rendered, [
+      'Chain chain-00 (in_progress): p',
+      '├─ [4] analysis: first, revised again',
+      '│  ├─ ~ [3] superseded: first, revised',
+      '│  └─ ~ [1] superseded: first',
+      '├─ [2] analysis: second',
+      '└─ branch branch-0 (completed): done'
+    ].join('\n'));
+  });
+});
+
+describe('revise_step', () => {
+  it('should append a revision and keep the superseded step', async () => {
+    const server = createServer();
+    const { chainId } = await call(server, 'start_thinking', { prompt: 'Estimate load' });
+    await call(server, 'add_step', { chainId, thought: '100 rps', stepType: 'hypothesis' });
+
+    const revised = await call(server, 'revise_step', { chainId, stepNumber: 1, thought: '1000 rps', reason: 'peak traffic' });
+    assert.equal(revised.success, true);
+    assert.equal(revised.stepNumber, 2);
+
+    const chain = await call(server, 'get_chain', { chainId });
+    assert.deepEqual(chain.steps.map(s => s.status), ['superseded', 'active']);
+    assert.equal(chain.steps[1].step_type, 'hypothesis');
+    assert.equal(chain.steps[1].data.revision_reason, 'peak traffic');
+  });
+
+  it('should refuse to revise a superseded step', async () => {
+    const server = createServer();
+    const { chainId } = await call(server, 'start_thinking', { prompt: 'p' });
+    await call(server, 'add_step', { chainId, thought: 'v1' });
+    const { stepId } = await call(server, 'revise_step', { chainId, stepNumber: 1, thought: 'v2' });
+
+    const result = await call(server, 'revise_step', { chainId, stepNumber: 1, thought: 'v3' });
+    assert.equal(result.success, false);
+    assert.equal(result.activeStepId, stepId);
+  });
+});
+
+describe('merge_branches', () => {
+  it('should merge concluded branch conclusions into the parent', async () => {
+    const server = createServer();
+    const { chainId } = await call(server, 'start_thinking', { prompt: 'Pick a queue' });
+    await call(server, 'add_step', { chainId, thought: 'Options: Kafka, NATS' });
+
+    const kafka = await call(server, 'branch_chain', { chainId });
+    const nats = await call(server, 'branch_chain', { chainId });
+    await call(server, 'conclude', { chainId: kafka.chainId, conclusion: 'Kafka fits replay needs', confidence: 0.8 });
+    await call(server, 'add_step', { chainId: nats.chainId, thought: 'NATS is simpler' });
+
+    const result = await call(server, 'merge_branches', { chainId, synthesis: 'Use Kafka' });
+
+    assert.equal(result.mergedCount, 1);
+    assert.deepEqual(result.skipped, [{ branchId: nats.chainId, reason: 'not concluded' }]);
+
+    const view = await call(server, 'get_chain', { chainId, view: 'tree' });
+    const merged = view.steps.find(s => s.merged_from === kafka.chainId);
+    assert.equal(merged.thought, 'Kafka fits replay needs');
+    assert.equal(view.steps[view.steps.length - 1].thought, 'Use Kafka');
+    assert.match(view.rendered, /<- branch/);
+    assert.match(view.rendered, /completed, merged/);
+  });
+
+  it('should not merge the same branch twice', async () => {
+    const server = createServer();
+    const { chainId } = await call(server, 'start_thinking', { prompt: 'p' });
+    const branch = await call(server, 'branch_chain', { chainId });
+    await call(server, 'conclude', { chainId: branch.chainId, conclusion: 'c' });
+
+    await call(server, 'merge_branches', { chainId });
+    const again = await call(server, 'merge_branches', { chainId, branchIds: [branch.chainId] });
+
+    assert.equal(again.mergedCount, 0);
+    assert.equal(again.skipped[0].reason, 'already merged');
+  });
+
+  it('should merge in-progress branches when asked', async () => {
+    const server = createServer();
+    const { chainId } = await call(server, 'start_thinking', { prompt: 'p' });
+    const branch = await call(server, 'branch_chain', { chainId });
+    await call(server, 'add_step', { chainId: branch.chainId, thought: 'draft' });
+    await call(server, 'revise_step', { chainId: branch.chainId, stepNumber: 1, thought: 'better draft' });
+
+    const result = await call(server, 'merge_branches', { chainId, includeUnconcluded: true });
+
+    assert.equal(result.merged[0].thought, 'better draft');
+  });
+});
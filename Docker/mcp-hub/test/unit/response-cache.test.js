@@ -0,0 +1,172 @@
+// ============================================================
+// Unit Tests: Ollama Response Cache
+// ============================================================
+// Test the LRU, on-disk persistence, digest invalidation and cached
+// embeddings and temperature-0 requests in the Ollama router
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { ResponseCache, isDeterministic, responseCache } from '../../src/services/response-cache.js';
+import { generateEmbedding, routeRequest, refreshAvailableModels, registerProvider, getProvider } from '../../src/services/ollama-router.js';
+import { MockProvider } from '../../src/services/providers/index.js';
+
+// Requests to Ollama go through the default provider's client
+const ollamaClient = getProvider().client;
+
+describe('ResponseCache', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'response-cache-'));
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should key requests by content regardless of option order', () => {
+    const cache = new ResponseCache();
+    const key = cache.key('d1', { prompt: 'p', options: { temperature: 0, seed: 1 } });
+
+    assert.equal(key, cache.key('d1', { options: { seed: 1, temperature: 0 }, prompt: 'p' }));
+    assert.notEqual(key, cache.key('d2', { prompt: 'p', options: { temperature: 0, seed: 1 } }));
+  });
+
+  it('should evict the least recently used entry', async () => {
+    const cache = new ResponseCache({ maxEntries: 2, dir: '' });
+    await cache.set('d', 'a', 1);
+    await cache.set('d', 'b', 2);
+    await cache.get('d', 'a');
+    await cache.set('d', 'c', 3);
+
+    assert.equal(await cache.get('d', 'b'), undefined);
+    assert.equal(await cache.get('d', 'a'), 1);
+    assert.equal(cache.getStats().entries, 2);
+  });
+
+  it('should persist entries and drop the folders of digests no longer installed', async () => {
+    const writer = new ResponseCache({ dir });
+    await writer.set('sha256:old', 'k1', { embedding: [1] });
+    await writer.set('sha256:new', 'k2', { embedding: [2] });
+
+    const reader = new ResponseCache({ dir });
+    assert.deepEqual(await reader.get('sha256:old', 'k1'), { embedding: [1] });
+
+    assert.equal(await reader.retainDigests(['sha256:new']), 1);
+    assert.deepEqual(await fs.readdir(dir), ['sha256_new']);
+    assert.equal(await new ResponseCache({ dir }).get('sha256:old', 'k1'), undefined);
+  });
+
+  it('should only remove its own folders and keep those of providers that failed to list', async () => {
+    const shared = path.join(dir, 'shared');
+    await fs.mkdir(path.join(shared, 'backups'), { recursive: true });
+    await fs.writeFile(path.join(shared, 'backups', 'graph.json'), '{}');
+
+    const cache = new ResponseCache({ dir: shared });
+    await cache.set('sha256:gone', 'k1', { embedding: [1] }, { provider: 'ollama' });
+    await cache.set('llamacpp/qwen', 'k2', { embedding: [2] }, { provider: 'llamacpp' });
+
+    assert.equal(await cache.retainDigests([], { keepProviders: ['llamacpp'] }), 1);
+    assert.deepEqual((await fs.readdir(shared)).sort(), ['backups', 'llamacpp_qwen']);
+    assert.deepEqual(await cache.get('llamacpp/qwen', 'k2'), { embedding: [2] });
+
+    await cache.retainDigests([]);
+    assert.deepEqual(await fs.readdir(shared), ['backups']);
+  });
+
+  it('should only treat temperature 0 as deterministic', () => {
+    assert.equal(isDeterministic({ temperature: 0 }), true);
+    assert.equal(isDeterministic({ temperature: 0.7 }), false);
+    assert.equal(isDeterministic(undefined), false);
+  });
+});
+
+describe('Ollama router response cache', () => {
+  const original = { list: ollamaClient.list, embeddings: ollamaClient.embeddings, generate: ollamaClient.generate };
+  let digest = 'digest-1';
+  let calls = 0;
+
+  before(async () => {
+    ollamaClient.list = async () => ({
+      models: [
+        { name: 'nomic-embed-text:latest', digest: 'embed-digest' },
+        { name: 'qwq:latest', digest }
+      ]
+    });
+    ollamaClient.embeddings = async ({ prompt }) => {
+      calls++;
+      return { embedding: [prompt.length, calls] };
+    };
+    ollamaClient.generate = async ({ prompt }) => {
+      calls++;
+      return {
+        abort() {},
+        async *[Symbol.asyncIterator]() {
+          yield { response: `answer ${calls} to ${prompt}`, done: true };
+        }
+      };
+    };
+    responseCache.clear();
+    await refreshAvailableModels();
+  });
+
+  after(() => {
+    Object.assign(ollamaClient, original);
+  });
+
+  it('should serve repeated embeddings from the cache', async () => {
+    calls = 0;
+    const first = await generateEmbedding('hello');
+    const second = await generateEmbedding('hello');
+
+    assert.equal(calls, 1);
+    assert.equal(first.cached, undefined);
+    assert.equal(second.cached, true);
+    assert.deepEqual(second.embedding, first.embedding);
+  });
+
+  it('should cache temperature-0 requests only', async () => {
+    calls = 0;
+    const options = { options: { temperature: 0 } };
+    const first = await routeRequest('reasoning', 'Prove it', options);
+    const second = await routeRequest('reasoning', 'Prove it', options);
+    await routeRequest('reasoning', 'Prove it', { options: { temperature: 0.8 } });
+
+    assert.equal(calls, 2);
+    assert.equal(second.cached, true);
+    assert.equal(second.response, first.response);
+    assert.equal(second.queue_wait_ms, 0);
+  });
+
+  it('should drop cached responses when a model digest changes', async () => {
+    calls = 0;
+    await routeRequest('reasoning', 'Plan it', { options: { temperature: 0 } });
+
+    digest = 'digest-2';
+    await refreshAvailableModels();
+    const repeated = await routeRequest('reasoning', 'Plan it', { options: { temperature: 0 } });
+
+    assert.equal(calls, 2);
+    assert.equal(repeated.cached, undefined);
+    assert.equal(responseCache.getStats().entries, 2);
+  });
+
+  it('should keep cached responses of a provider that failed to list its models', async () => {
+    const entries = responseCache.getStats().entries;
+    const list = ollamaClient.list;
+    registerProvider('mock', new MockProvider());
+    ollamaClient.list = async () => {
+      throw new Error('connect ECONNREFUSED');
+    };
+
+    try {
+      await refreshAvailableModels();
+      assert.equal(responseCache.getStats().entries, entries);
+    } finally {
+      ollamaClient.list = list;
+    }
+  });
+});
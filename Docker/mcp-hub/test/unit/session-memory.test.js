@@ -0,0 +1,125 @@
+// ============================================================
+// Unit Tests: Session Memory
+// ============================================================
+// Test transcript formatting, summary prompts, the token-budgeted
+// session digest and the session queries
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  estimateTokens,
+  formatTranscript,
+  buildSummaryMessages,
+  buildSessionDigest,
+  sessionQueries,
+  appendTurn,
+  SessionError
+} from '../../src/services/session-memory.js';
+import { sessionTools } from '../../src/mcp/tools/session-tools.js';
+import { createHubComposer } from '../../src/mcp/hub-composer.js';
+
+function turn(index, role, content) {
+  return { index, role, content, createdAt: `2025-06-01T10:0${index % 10}:00.000Z` };
+}
+
+describe('Session Memory', () => {
+  describe('summaries', () => {
+    it('should keep the latest turns when the transcript is too long', () => {
+      const turns = [turn(1, 'user', 'a'.repeat(50)), turn(2, 'assistant', 'b'.repeat(50)), turn(3, 'user', 'c'.repeat(10))];
+
+      assert.equal(formatTranscript(turns), turns.map(t => `${t.role}: ${t.content}`).join('\n'));
+      assert.equal(formatTranscript(turns, 80), `[earlier turns omitted]\nassistant: ${'b'.repeat(50)}\nuser: ${'c'.repeat(10)}`);
+    });
+
+    it('should include the previous summary and the turn range', () => {
+      const messages = buildSummaryMessages([turn(11, 'user', 'Use Neo4j 5'), turn(12, 'assistant', 'Noted')], 'We chose Docker Compose.');
+
+      assert.equal(messages[0].role, 'system');
+      assert.match(messages[1].content, /^Summary of the conversation so far:\nWe chose Docker Compose\.\n\nSummarize turns 11-12:\nuser: Use Neo4j 5\nassistant: Noted$/);
+      assert.doesNotMatch(buildSummaryMessages([turn(1, 'user', 'hi')])[1].content, /so far/);
+    });
+  });
+
+  describe('digest', () => {
+    const sessions = [
+      {
+        session: { id: 's2', title: 'Deploy', startedAt: '2025-06-02T09:00:00.000Z', endedAt: null },
+        summaries: [
+          { content: 'Second summary of deploy work.', fromTurn: 11, throughTurn: 20 },
+          { content: 'First summary of deploy work.', fromTurn: 1, throughTurn: 10 }
+        ],
+        turns: [turn(22, 'assistant', 'Run make up.'), turn(21, 'user', 'How do I start it?')]
+      },
+      {
+        session: { id: 's1', title: null, startedAt: '2025-06-01T09:00:00.000Z', endedAt: '2025-06-01T10:00:00.000Z' },
+        summaries: [{ content: 'Older session summary.', fromTurn: 1, throughTurn: 4 }],
+        turns: []
+      }
+    ];
+
+    it('should print everything in chronological order within the budget', () => {
+      const { digest, truncated, included, tokens } = buildSessionDigest(sessions, 1000);
+
+      assert.equal(truncated, false);
+      assert.deepEqual(included, { sessions: 2, summaries: 3, turns: 2 });
+      assert.ok(digest.indexOf('## s1') < digest.indexOf('## Deploy'));
+      assert.match(digest, /First summary of deploy work\.\nSecond summary of deploy work\.\nuser: How do I start it\?\nassistant: Run make up\.$/);
+      assert.ok(tokens <= 1000);
+    });
+
+    it('should prefer the latest summary and turns of the newest session', () => {
+      const { digest, truncated, included, tokens } = buildSessionDigest(sessions, 40);
+
+      assert.equal(truncated, true);
+      assert.ok(tokens <= 40);
+      assert.match(digest, /Second summary/);
+      assert.match(digest, /Run make up/);
+      assert.doesNotMatch(digest, /First summary|Older session/);
+      assert.equal(included.sessions, 1);
+    });
+
+    it('should estimate tokens from characters', () => {
+      assert.equal(estimateTokens('abcd'), 1);
+      assert.equal(estimateTokens('abcde'), 2);
+      assert.equal(estimateTokens(null), 0);
+    });
+  });
+
+  describe('queries', () => {
+    it('should number turns from the session counter', () => {
+      const { cypher, params } = sessionQueries.appendTurn('session_1', { role: 'user', content: 'hi', createdAt: '2025-06-01T00:00:00.000Z' }).build();
+
+      assert.match(cypher, /WHERE s\.status = \$status AND \(s\.namespace IS NULL OR s\.namespace = \$namespace\)\nSET s\.turnCount = coalesce\(s\.turnCount, 0\) \+ 1/);
+      assert.match(cypher, /CREATE \(s\)-\[:HAS_TURN\]->\(t:Turn \{sessionId: s\.id, index: s\.turnCount, role: \$role, content: \$content, createdAt: \$createdAt, namespace: \$namespace\}\)/);
+      assert.equal(params.status, 'active');
+    });
+
+    it('should read turns after the summarized mark with the latest summary', () => {
+      const { cypher } = sessionQueries.unsummarized('session_1').build();
+
+      assert.match(cypher, /ORDER BY h\.throughTurn DESC\nWITH s, collect\(summary\.content\)\[0\] AS previousSummary/);
+      assert.match(cypher, /WHERE t\.index > coalesce\(s\.summarizedTurns, 0\)/);
+    });
+
+    it('should filter recent sessions by client', () => {
+      const { cypher, params } = sessionQueries.context({ client: 'cursor', sessions: 2 }).build();
+
+      assert.match(cypher, /^MATCH \(s:Session\)\nWHERE s\.client = \$client AND \(s\.namespace IS NULL OR s\.namespace = \$namespace\)\nWITH s\nORDER BY s\.startedAt DESC\nLIMIT 2/);
+      assert.match(cypher, /CALL \{\n  WITH s\n  OPTIONAL MATCH \(s\)-\[h:HAS_SUMMARY\]->\(m\)/);
+      assert.deepEqual(params, { client: 'cursor', namespace: 'default' });
+    });
+
+    it('should reject unknown roles before writing', async () => {
+      await assert.rejects(appendTurn('session_1', { role: 'narrator', content: 'x' }), SessionError);
+    });
+  });
+
+  describe('tools', () => {
+    it('should serve the session tools from the hub', () => {
+      const hub = createHubComposer({ servers: {} });
+
+      assert.deepEqual(Object.keys(sessionTools), ['start_session', 'append_turn', 'end_session', 'get_session_context']);
+      assert.equal(hub.getTool('append_turn').source, 'builtin:session');
+    });
+  });
+});
@@ -0,0 +1,137 @@
+// ============================================================
+// Unit Tests: Task Classifier
+// ============================================================
+// Test heuristic task classification, the classifier model fallback,
+// auto model selection and routing accuracy stats
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  classifyHeuristically,
+  classifyTask,
+  parseClassifierAnswer,
+  recordRoutingFeedback,
+  getRoutingStats,
+  resetRoutingStats
+} from '../../src/services/task-classifier.js';
+import { selectModel, getModelForTask, taskTypes } from '../../src/services/ollama-router.js';
+import ollamaHandlers from '../../src/mcp/tools/ollama-tools.js';
+
+describe('classifyHeuristically', () => {
+  it('should route code to the coding task type', () => {
+    const result = classifyHeuristically('Why does this fail?\n```js\nconst x = await load();\n```');
+    assert.equal(result.taskType, 'coding');
+    assert.ok(result.reasons.includes('code-fence'));
+    assert.ok(result.confidence > 0.6);
+  });
+
+  it('should route math and analysis to the reasoning task type', () => {
+    assert.equal(classifyHeuristically('Solve for x: 3x + 4 = 19, step by step').taskType, 'reasoning');
+    assert.equal(classifyHeuristically('Prove the theorem that the sum of two even numbers is even').taskType, 'reasoning');
+  });
+
+  it('should route requests with images to the vision task type', () => {
+    const result = classifyHeuristically('What is this?', { images: ['aGVsbG8='] });
+    assert.deepEqual([result.taskType, result.confidence], ['vision', 1]);
+  });
+
+  it('should fall back to chat with low confidence when nothing matches', () => {
+    const result = classifyHeuristically('Tell me about your favourite colour');
+    assert.deepEqual([result.taskType, result.confidence, result.reasons], ['chat', 0.5, ['no-signal']]);
+  });
+});
+
+describe('classifyTask', () => {
+  beforeEach(() => resetRoutingStats());
+
+  it('should ask the classifier model only when the heuristics are unsure', async () => {
+    const prompts = [];
+    const generate = async prompt => {
+      prompts.push(prompt);
+      return '<think>it is about code</think> coding';
+    };
+
+    const sure = await classifyTask('```py\ndef f(): return 1\n```', { generate });
+    assert.equal(sure.method, 'heuristic');
+    assert.equal(prompts.length, 0);
+
+    const unsure = await classifyTask('Tell me about the ocean', { generate });
+    assert.deepEqual([unsure.taskType, unsure.method, unsure.heuristicTaskType], ['coding', 'model', 'chat']);
+    assert.match(prompts[0], /Tell me about the ocean/);
+  });
+
+  it('should keep the heuristic decision when the classifier model fails', async () => {
+    const result = await classifyTask('Tell me about the ocean', {
+      generate: async () => { throw new Error('model not found'); }
+    });
+
+    assert.deepEqual([result.taskType, result.method, result.classifierError], ['chat', 'heuristic', 'model not found']);
+  });
+
+  it('should parse category names from classifier answers', () => {
+    assert.equal(parseClassifierAnswer('Reasoning.'), 'reasoning');
+    assert.equal(parseClassifierAnswer('no idea'), null);
+  });
+});
+
+describe('Routing stats', () => {
+  beforeEach(() => resetRoutingStats());
+
+  it('should track accuracy, confusion and rule hit rates from feedback', async () => {
+    const code = await classifyTask('Refactor this function: const f = () => 1;');
+    const chat = await classifyTask('hello there, how are you?');
+
+    recordRoutingFeedback(code.id, 'coding');
+    recordRoutingFeedback(chat.id, 'reasoning');
+    // Repeated feedback for a decision is ignored
+    recordRoutingFeedback(chat.id, 'chat');
+
+    const stats = getRoutingStats();
+    assert.equal(stats.decisions, 2);
+    assert.equal(stats.feedback, 2);
+    assert.equal(stats.accuracy, 0.5);
+    assert.deepEqual(stats.confusion, { coding: { coding: 1 }, reasoning: { chat: 1 } });
+    assert.deepEqual(stats.rules.greeting, { correct: 0, wrong: 1 });
+    assert.equal(stats.recent[0].id, chat.id);
+  });
+
+  it('should reject unknown task types and report unknown decisions', () => {
+    assert.throws(() => recordRoutingFeedback('x', 'poetry'), /Unknown task type/);
+    assert.equal(recordRoutingFeedback('missing', 'chat'), null);
+  });
+});
+
+describe('Auto model selection', () => {
+  beforeEach(() => resetRoutingStats());
+
+  it('should pick the model of the classified task type', async () => {
+    const selected = await selectModel(taskTypes.AUTO, 'Fix the bug in server.js: ```js\nif (x) {\n```');
+
+    assert.equal(selected.taskType, 'coding');
+    assert.equal(selected.model, getModelForTask('coding'));
+    assert.equal(getRoutingStats().byTaskType.coding, 1);
+  });
+
+  it('should keep explicit models and task types', async () => {
+    assert.deepEqual(await selectModel(taskTypes.AUTO, '```js```', { model: 'mistral' }), {
+      taskType: taskTypes.AUTO,
+      model: 'mistral',
+      classification: null
+    });
+    assert.equal((await selectModel(taskTypes.VISION, 'hi')).model, getModelForTask('vision'));
+    assert.equal(getRoutingStats().decisions, 0);
+  });
+
+  it('should take routing feedback through the MCP tools', async () => {
+    const { classification } = await selectModel(taskTypes.AUTO, 'Calculate 12 * 7 and explain');
+
+    const feedback = await ollamaHandlers.routing_feedback({ decision_id: classification.id, task_type: 'reasoning' });
+    assert.deepEqual([feedback.predicted, feedback.correct], ['reasoning', true]);
+
+    const stats = await ollamaHandlers.routing_stats({ recent: 1 });
+    assert.equal(stats.accuracy, 1);
+    assert.equal(stats.recent.length, 1);
+
+    await assert.rejects(() => ollamaHandlers.routing_feedback({ decision_id: 'nope', task_type: 'chat' }), /not found/);
+  });
+});
@@ -0,0 +1,108 @@
+// ============================================================
+// Unit Tests: Task Dependency Graph
+// ============================================================
+// Test next-task ranking and critical path computation
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { rankNextTasks, computeCriticalPath } from '../../src/services/task-graph.js';
+
+const now = new Date('2026-06-01T00:00:00Z');
+
+const task = (id, props = {}) => ({ id, title: id, status: 'pending', priority: 'medium', ...props });
+const edge = (from, to, type = 'MUST_COMPLETE_BEFORE') => ({ from, to, type });
+
+describe('rankNextTasks', () => {
+  it('should skip tasks with incomplete hard dependencies', () => {
+    const tasks = [task('a'), task('b', { priority: 'critical' })];
+    const ranked = rankNextTasks(tasks, [edge('a', 'b')], { now });
+
+    assert.deepEqual(ranked.map(r => r.task.id), ['a']);
+  });
+
+  it('should unblock tasks whose dependencies are completed', () => {
+    const tasks = [task('a', { status: 'completed' }), task('b', { priority: 'critical' }), task('c')];
+    const ranked = rankNextTasks(tasks, [edge('a', 'b')], { now });
+
+    assert.equal(ranked[0].task.id, 'b');
+  });
+
+  it('should use edge statuses for dependencies outside the ranked set', () => {
+    const ranked = rankNextTasks([task('b')], [{ ...edge('x', 'b'), fromStatus: 'in_progress' }], { now });
+    assert.equal(ranked.length, 0);
+  });
+
+  it('should not block on soft dependencies but rank them lower', () => {
+    const tasks = [task('a', { status: 'in_progress' }), task('b'), task('c')];
+    const ranked = rankNextTasks(tasks, [edge('a', 'b', 'SHOULD_COMPLETE_BEFORE')], { now });
+
+    assert.deepEqual(ranked.map(r => r.task.id), ['c', 'b']);
+    assert.deepEqual(ranked[1].softDependencies, ['a']);
+  });
+
+  it('should order by priority, then overdue, then due date', () => {
+    const tasks = [
+      task('later', { due_date: '2026-07-01' }),
+      task('overdue', { due_date: '2026-05-01' }),
+      task('none'),
+      task('high', { priority: 'high' })
+    ];
+    const ranked = rankNextTasks(tasks, [], { now });
+
+    assert.deepEqual(ranked.map(r => r.task.id), ['high', 'overdue', 'later', 'none']);
+    assert.equal(ranked[1].overdue, true);
+  });
+
+  it('should prefer tasks that unblock more work', () => {
+    const tasks = [task('a'), task('b'), task('c'), task('d')];
+    const ranked = rankNextTasks(tasks, [edge('b', 'c'), edge('b', 'd')], { now });
+
+    assert.equal(ranked[0].task.id, 'b');
+    assert.equal(ranked[0].unblocks, 2);
+  });
+});
+
+describe('computeCriticalPath', () => {
+  it('should follow the longest weighted chain', () => {
+    const tasks = [
+      task('design', { estimated_hours: 4 }),
+      task('api', { estimated_hours: 8 }),
+      task('docs', { estimated_hours: 1 }),
+      task('release', { estimated_hours: 2 })
+    ];
+    const edges = [edge('design', 'api'), edge('design', 'docs'), edge('api', 'release'), edge('docs', 'release')];
+
+    const { path, length } = computeCriticalPath(tasks, edges);
+
+    assert.deepEqual(path.map(t => t.id), ['design', 'api', 'release']);
+    assert.equal(length, 14);
+  });
+
+  it('should ignore completed work when remainingOnly is set', () => {
+    const tasks = [
+      task('a', { estimated_hours: 10, status: 'completed' }),
+      task('b', { estimated_hours: 1 }),
+      task('c', { estimated_hours: 3 })
+    ];
+    const edges = [edge('a', 'b')];
+
+    assert.equal(computeCriticalPath(tasks, edges).length, 3);
+    assert.equal(computeCriticalPath(tasks, edges, { remainingOnly: false }).length, 11);
+  });
+
+  it('should ignore edges leaving the scope', () => {
+    const { path } = computeCriticalPath([task('a'), task('b')], [edge('outside', 'a'), edge('a', 'b')]);
+    assert.deepEqual(path.map(t => t.id), ['a', 'b']);
+  });
+
+  it('should reject cyclic graphs', () => {
+    assert.throws(
+      () => computeCriticalPath([task('a'), task('b')], [edge('a', 'b'), edge('b', 'a')]),
+      /cycle/
+    );
+  });
+
+  it('should handle an empty scope', () => {
+    assert.deepEqual(computeCriticalPath([], []), { path: [], length: 0 });
+  });
+});
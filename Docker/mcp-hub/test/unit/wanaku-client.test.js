@@ -0,0 +1,257 @@
+// ============================================================
+// Unit Tests: Wanaku Client Routing
+// ============================================================
+// Test routing policies, circuit breaking, failover and health probing
+// against local stub HTTP servers
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import {
+  WanakuClient,
+  routingPolicies,
+  circuitStates,
+  initializeWanaku,
+  closeWanaku,
+  isWanakuInitialized
+} from '../../src/mcp/wanaku-client.js';
+
+/**
+ * Start a stub MCP server; behaviour can be switched while running
+ */
+function startStub(name, { delay = 0 } = {}) {
+  const stub = { name, calls: 0, healthy: true, failing: false, delay, status: 500 };
+
+  stub.server = http.createServer((req, res) => {
+    if (req.url === '/health') {
+      res.writeHead(stub.healthy ? 200 : 503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ status: stub.healthy ? 'ok' : 'down' }));
+      return;
+    }
+
+    stub.calls++;
+    setTimeout(() => {
+      if (stub.failing) {
+        res.writeHead(stub.status);
+        res.end();
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ server: name }));
+    }, stub.delay);
+  });
+
+  return new Promise(resolve => {
+    stub.server.listen(0, '127.0.0.1', () => {
+      stub.endpoint = `http://127.0.0.1:${stub.server.address().port}`;
+      resolve(stub);
+    });
+  });
+}
+
+async function createClient(stubs, config = {}) {
+  const client = new WanakuClient({
+    maxRetries: 0,
+    retryDelay: 1,
+    timeout: 2000,
+    failureThreshold: 2,
+    circuitResetTimeout: 60000,
+    ...config
+  });
+
+  for (const [index, stub] of stubs.entries()) {
+    await client.registerServer({
+      name: stub.name,
+      endpoint: stub.endpoint,
+      tools: ['echo'],
+      priority: index
+    });
+  }
+
+  return client;
+}
+
+describe('WanakuClient routing', () => {
+  let primary;
+  let secondary;
+
+  before(async () => {
+    primary = await startStub('primary');
+    secondary = await startStub('secondary', { delay: 20 });
+  });
+
+  after(async () => {
+    await Promise.all([primary, secondary].map(stub => new Promise(resolve => stub.server.close(resolve))));
+  });
+
+  const reset = () => {
+    for (const stub of [primary, secondary]) {
+      stub.calls = 0;
+      stub.healthy = true;
+      stub.failing = false;
+      stub.status = 500;
+    }
+  };
+
+  it('should prefer the lowest priority value', async () => {
+    reset();
+    const client = await createClient([primary, secondary]);
+
+    const result = await client.routeToolCall('echo', {});
+    assert.equal(result.server, 'primary');
+  });
+
+  it('should rotate servers with round-robin', async () => {
+    reset();
+    const client = await createClient([primary, secondary], { routingPolicy: routingPolicies.ROUND_ROBIN });
+
+    const first = await client.routeToolCall('echo', {});
+    const second = await client.routeToolCall('echo', {});
+    assert.notEqual(first.server, second.server);
+  });
+
+  it('should pick the fastest server with least-latency', async () => {
+    reset();
+    const client = await createClient([secondary, primary], { routingPolicy: routingPolicies.LEAST_LATENCY });
+
+    await client.probeServers();
+    client.registeredServers.get('secondary').latency_ms = 500;
+    client.registeredServers.get('primary').latency_ms = 1;
+
+    const result = await client.routeToolCall('echo', {});
+    assert.equal(result.server, 'primary');
+  });
+
+  it('should fail over and open the circuit after repeated failures', async () => {
+    reset();
+    primary.failing = true;
+    const client = await createClient([primary, secondary]);
+
+    assert.equal((await client.routeToolCall('echo', {})).server, 'secondary');
+    assert.equal((await client.routeToolCall('echo', {})).server, 'secondary');
+    assert.equal(client.registeredServers.get('primary').circuit.state, circuitStates.OPEN);
+
+    // Open circuit: primary is skipped entirely
+    const callsBefore = primary.calls;
+    assert.equal((await client.routeToolCall('echo', {})).server, 'secondary');
+    assert.equal(primary.calls, callsBefore);
+  });
+
+  it('should not fail over on client errors', async () => {
+    reset();
+    primary.failing = true;
+    primary.status = 400;
+    const client = await createClient([primary, secondary]);
+
+    await assert.rejects(client.routeToolCall('echo', {}), { name: 'ServerCallError', status: 400 });
+    assert.equal(secondary.calls, 0);
+    assert.equal(client.registeredServers.get('primary').circuit.failures, 0);
+  });
+
+  it('should report every failure when all servers fail', async () => {
+    reset();
+    primary.failing = true;
+    secondary.failing = true;
+    const client = await createClient([primary, secondary]);
+
+    await assert.rejects(client.routeToolCall('echo', {}), /All servers failed for tool echo: primary .*; secondary/);
+  });
+
+  it('should retry a single server before giving up', async () => {
+    reset();
+    primary.failing = true;
+    const client = await createClient([primary], { maxRetries: 2, failureThreshold: 10 });
+
+    await assert.rejects(client.routeToolCall('echo', {}));
+    assert.equal(primary.calls, 3);
+  });
+
+  it('should half-open the circuit after the reset timeout and close it on success', async () => {
+    reset();
+    primary.failing = true;
+    const client = await createClient([primary, secondary], { circuitResetTimeout: 20 });
+
+    await client.routeToolCall('echo', {});
+    await client.routeToolCall('echo', {});
+    assert.equal(client.registeredServers.get('primary').circuit.state, circuitStates.OPEN);
+
+    primary.failing = false;
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    assert.equal((await client.routeToolCall('echo', {})).server, 'primary');
+    assert.equal(client.registeredServers.get('primary').circuit.state, circuitStates.CLOSED);
+  });
+
+  it('should let a single trial call through a half-open circuit', async () => {
+    reset();
+    primary.failing = true;
+    const client = await createClient([primary, secondary], { circuitResetTimeout: 20 });
+
+    await client.routeToolCall('echo', {});
+    await client.routeToolCall('echo', {});
+    primary.failing = false;
+    primary.delay = 50;
+    await new Promise(resolve => setTimeout(resolve, 30));
+    primary.calls = 0;
+
+    try {
+      const results = await Promise.all([1, 2, 3].map(() => client.routeToolCall('echo', {})));
+
+      assert.equal(primary.calls, 1);
+      assert.deepEqual(results.map(r => r.server).sort(), ['primary', 'secondary', 'secondary']);
+      assert.equal(client.registeredServers.get('primary').circuit.state, circuitStates.CLOSED);
+    } finally {
+      primary.delay = 0;
+    }
+  });
+
+  it('should update server status from health probes', async () => {
+    reset();
+    secondary.healthy = false;
+    const client = await createClient([primary, secondary]);
+
+    const results = await client.probeServers();
+    const byName = Object.fromEntries(results.map(r => [r.server, r.status]));
+
+    assert.deepEqual(byName, { primary: 'healthy', secondary: 'unhealthy' });
+    assert.ok(client.registeredServers.get('primary').latency_ms >= 0);
+    assert.ok(client.registeredServers.get('secondary').last_checked_at);
+  });
+
+  it('should rank unhealthy servers last', async () => {
+    reset();
+    primary.healthy = false;
+    const client = await createClient([primary, secondary]);
+
+    await client.probeServers();
+    assert.deepEqual(client.selectServers('echo'), ['secondary', 'primary']);
+  });
+
+  it('should start and stop periodic probing', async () => {
+    reset();
+    const client = await createClient([primary]);
+
+    client.startHealthChecks(10);
+    await new Promise(resolve => setTimeout(resolve, 40));
+    client.stopHealthChecks();
+
+    assert.equal(client.healthTimer, null);
+    assert.equal(client.registeredServers.get('primary').status, 'healthy');
+  });
+
+  it('should probe from initialization until closed without holding the process open', () => {
+    const client = initializeWanaku({ healthCheckInterval: 1000 });
+
+    assert.ok(client.healthTimer);
+    assert.equal(client.healthTimer.hasRef(), false);
+
+    closeWanaku();
+    assert.equal(client.healthTimer, null);
+    assert.equal(isWanakuInitialized(), false);
+
+    const unprobed = initializeWanaku({ healthCheckInterval: 0 });
+    assert.equal(unprobed.healthTimer, null);
+    closeWanaku();
+  });
+});